@@ -14,6 +14,9 @@ import {
   Ban,
   Home,
   Hash,
+  MountainSnow,
+  ShieldCheck,
+  Upload,
 } from 'lucide-react';
 import {
   hasApiKey,
@@ -28,7 +31,8 @@ import {
   setLocalModelName,
   isLocalModel
 } from '../../services/openaiService';
-import { getSetting, setSetting, resetSettings, getWaypointNumberingMode, setWaypointNumberingMode } from '../../services/settingsService';
+import { getSetting, setSetting, resetSettings, getWaypointNumberingMode, setWaypointNumberingMode, getTerrainFollowSettings } from '../../services/settingsService';
+import { DEFAULT_RULE_PACK, getImportedRulePacks, importRulePack, removeRulePack } from '../../lib';
 import ModelHelpModal from './ModelHelpModal';
 import ConfirmDialog from '../ConfirmDialog/ConfirmDialog';
 import { useConfirmDialog } from '../../hooks/useConfirmDialog';
@@ -46,6 +50,9 @@ function ApiSettings({ isOpen, onClose, onApiStatusChange }) {
   const [localEndpoint, setLocalEndpointState] = useState(getLocalEndpoint());
   const [localModelName, setLocalModelNameState] = useState(getLocalModelName());
   const [waypointNumbering, setWaypointNumbering] = useState(getWaypointNumberingMode());
+  const [terrainFollow, setTerrainFollow] = useState(getTerrainFollowSettings());
+  const [rulePacks, setRulePacks] = useState(getImportedRulePacks());
+  const [rulePackError, setRulePackError] = useState(null);
   const modalRef = useRef(null);
   const { dialogState, showConfirm, handleConfirm, handleCancel } = useConfirmDialog();
 
@@ -59,6 +66,7 @@ function ApiSettings({ isOpen, onClose, onApiStatusChange }) {
       setDidAvoidanceMode(getSetting('didAvoidanceMode') ?? false);
       setDidWarningOnly(getSetting('didWarningOnlyMode') ?? false);
       setWaypointNumbering(getWaypointNumberingMode());
+      setTerrainFollow(getTerrainFollowSettings());
     };
     window.addEventListener('storage', handleStorageChange);
     return () => window.removeEventListener('storage', handleStorageChange);
@@ -138,6 +146,37 @@ function ApiSettings({ isOpen, onClose, onApiStatusChange }) {
     setTimeout(() => setTestStatus(null), 5000);
   };
 
+  // ルールパック（JSON）の取り込み
+  const handleRulePackImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const result = importRulePack(await file.text());
+    if (result.success) {
+      setRulePacks(getImportedRulePacks());
+      setRulePackError(null);
+      notifyStatusChange('rulePack', result.pack.id);
+    } else {
+      setRulePackError(`${file.name}: ${result.error}`);
+    }
+  };
+
+  // ルールパック削除
+  const handleRemoveRulePack = async (pack) => {
+    const confirmed = await showConfirm({
+      title: 'ルールパックの削除',
+      message: `「${pack.name}」を削除しますか？`,
+      confirmText: '削除',
+      cancelText: 'キャンセル',
+      variant: 'danger'
+    });
+    if (confirmed) {
+      removeRulePack(pack.id);
+      setRulePacks(getImportedRulePacks());
+      notifyStatusChange('rulePack', 'deleted');
+    }
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -464,6 +503,93 @@ function ApiSettings({ isOpen, onClose, onApiStatusChange }) {
                       </div>
                   </div>
 
+                  <hr className='settings-divider' />
+
+                  {/* 地形追従設定 */}
+                  <div className='settings-section'>
+                      <h3><MountainSnow size={14} /> 地形追従</h3>
+                      <div className='slider-section'>
+                          <label className='slider-label'>
+                              <span>対地高度:</span>
+                              <input
+                                  type='number'
+                                  min='5'
+                                  max='150'
+                                  step='5'
+                                  value={terrainFollow.agl}
+                                  onChange={(e) => {
+                                      const value = Math.min(150, Math.max(5, parseInt(e.target.value) || 5));
+                                      setTerrainFollow(prev => ({ ...prev, agl: value }));
+                                      setSetting('terrainFollowAGL', value);
+                                  }}
+                                  className='distance-input'
+                              />
+                              <span className='unit'>m</span>
+                          </label>
+                          <label className='slider-label'>
+                              <span>許容ずれ:</span>
+                              <input
+                                  type='number'
+                                  min='1'
+                                  max='50'
+                                  value={terrainFollow.tolerance}
+                                  onChange={(e) => {
+                                      const value = Math.min(50, Math.max(1, parseInt(e.target.value) || 1));
+                                      setTerrainFollow(prev => ({ ...prev, tolerance: value }));
+                                      setSetting('terrainFollowTolerance', value);
+                                  }}
+                                  className='distance-input'
+                              />
+                              <span className='unit'>m</span>
+                          </label>
+                      </div>
+                  </div>
+
+                  <hr className='settings-divider' />
+
+                  {/* 判定ルール */}
+                  <div className='settings-section'>
+                      <h3><ShieldCheck size={14} /> 判定ルール</h3>
+                      <div className='settings-info'>
+                          <p>
+                              組織のルールパック（JSON）を取り込むと、しきい値・重大度・メッセージを標準ルールに重ねて判定します
+                              （同じ id のルールは上書き、"enabled": false で無効化）。許可・承認の要否は法令どおり判定します。
+                          </p>
+                      </div>
+                      <ul className='rule-pack-list'>
+                          <li className='rule-pack-item'>
+                              <span className='rule-pack-name'>{DEFAULT_RULE_PACK.name}</span>
+                              <span className='rule-pack-meta'>{DEFAULT_RULE_PACK.rules.length}件 / 既定</span>
+                          </li>
+                          {rulePacks.map((pack) => (
+                              <li key={pack.id} className='rule-pack-item'>
+                                  <span className='rule-pack-name'>{pack.name}</span>
+                                  <span className='rule-pack-meta'>
+                                      {pack.rules.length}件{pack.version !== undefined && ` / v${pack.version}`}
+                                  </span>
+                                  <button
+                                      className='rule-pack-remove'
+                                      onClick={() => handleRemoveRulePack(pack)}
+                                      title='削除'
+                                  >
+                                      <Trash2 size={12} />
+                                  </button>
+                              </li>
+                          ))}
+                      </ul>
+                      <label className='rule-pack-import'>
+                          <Upload size={12} />
+                          ルールパック読込
+                          <input type='file' accept='.json' onChange={handleRulePackImport} hidden />
+                      </label>
+                      {rulePackError && (
+                          <div className='rule-pack-error'>
+                              <AlertCircle size={14} />
+                              {rulePackError}
+                          </div>
+                      )}
+                  </div>
+
                   <div className='settings-footer'>
                       <p className='settings-note'>
                           ※ 設定はブラウザに保存（サーバー送信なし）
@@ -484,6 +610,7 @@ function ApiSettings({ isOpen, onClose, onApiStatusChange }) {
                                   setDidAvoidanceMode(false);
                                   setDidWarningOnly(false);
                                   setWaypointNumbering('global');
+                                  setTerrainFollow(getTerrainFollowSettings());
                               }
                           }}
                       >
@@ -0,0 +1,102 @@
+import { useState, useMemo } from 'react'
+import * as turf from '@turf/turf'
+import { X, Spline } from 'lucide-react'
+import { generateCorridorWaypoints, formatDistance, DEFAULT_CORRIDOR_WIDTH } from '../../services/waypointGenerator'
+import styles from './CorridorSettingsDialog.module.scss'
+
+const CorridorSettingsDialog = ({ polygon, onConfirm, onCancel }) => {
+  const [width, setWidth] = useState(polygon.corridorWidth ?? DEFAULT_CORRIDOR_WIDTH)
+  const [passes, setPasses] = useState(2)
+
+  const centerlineLength = useMemo(
+    () => turf.length(turf.lineString(polygon.centerline.coordinates), { units: 'meters' }),
+    [polygon]
+  )
+
+  const waypointCount = useMemo(
+    () => generateCorridorWaypoints(polygon, { width, passes }).length,
+    [polygon, width, passes]
+  )
+
+  const passSpacing = width / passes
+
+  return (
+    <div className={styles.dialog}>
+      <div className={styles.header}>
+        <div className={styles.titleRow}>
+          <Spline size={20} />
+          <h3>回廊マッピング設定</h3>
+        </div>
+        <button className={styles.closeButton} onClick={onCancel}>
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className={styles.content}>
+        <div className={styles.polygonInfo}>
+          <div
+            className={styles.colorDot}
+            style={{ backgroundColor: polygon.color }}
+          />
+          <span className={styles.polygonName}>{polygon.name}</span>
+          <span className={styles.polygonMeta}>中心線 {formatDistance(centerlineLength)}</span>
+        </div>
+
+        <div className={styles.fieldGrid}>
+          <label className={styles.field}>
+            <span>回廊幅</span>
+            <input
+              type="number"
+              min="2"
+              max="1000"
+              value={width}
+              onChange={(e) => setWidth(Math.min(1000, Math.max(2, parseFloat(e.target.value) || 2)))}
+              className={styles.numberInput}
+            />
+            <span className={styles.unit}>m</span>
+          </label>
+          <label className={styles.field}>
+            <span>平行パス数</span>
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={passes}
+              onChange={(e) => setPasses(Math.min(20, Math.max(1, parseInt(e.target.value) || 1)))}
+              className={styles.numberInput}
+            />
+            <span className={styles.unit}>本</span>
+          </label>
+        </div>
+
+        <div className={styles.preview}>
+          <h4>生成プレビュー</h4>
+          <div className={styles.summary}>
+            <span>パス間隔 {formatDistance(passSpacing)}</span>
+            <span>Waypoint {waypointCount}点</span>
+            <span>総飛行距離 約{formatDistance(centerlineLength * passes)}</span>
+          </div>
+          <p className={styles.hint}>
+            中心線から左右にオフセットしたパスを往復順に飛行します。回廊幅で作成したエリアが規制チェックの対象になります
+          </p>
+        </div>
+      </div>
+
+      <div className={styles.actions}>
+        <button className={styles.cancelButton} onClick={onCancel}>
+          キャンセル
+        </button>
+        <button
+          className={styles.confirmButton}
+          onClick={() => onConfirm({ width, passes })}
+          disabled={waypointCount === 0}
+        >
+          <Spline size={16} />
+          {waypointCount} Waypoint生成
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CorridorSettingsDialog
@@ -10,23 +10,16 @@ import {
   exportFullBackup,
   generateDMSPreview,
   generatePolygonKMLPreview,
-  getPolygonOrderFromWaypoints
+  generateWaypointJSONPreview,
+  getPolygonOrderFromWaypoints,
+  getMaxAltitudeASLByPolygon
 } from '../../utils/exporters'
 import { exportAllData } from '../../utils/storage'
+import { formatWaypointActions } from '../../services/waypointActions'
+import { getLowestCeilingByPolygon } from '../../services/airspaceCeiling'
 import styles from './ExportPanel.module.scss'
 
 // Generate preview data for different formats
-const generateWaypointJSONPreview = (waypoints) => {
-  return waypoints.map((wp, index) => ({
-    number: index + 1,
-    latitude: wp.lat,
-    longitude: wp.lng,
-    elevation: wp.elevation || null,
-    polygonName: wp.polygonName || '',
-    type: wp.type || 'vertex'
-  }))
-}
-
 const decimalToDMSPreview = (decimal, isLatitude = true) => {
   const absolute = Math.abs(decimal)
   const degrees = Math.floor(absolute)
@@ -52,27 +45,31 @@ const decimalToDMSPreview = (decimal, isLatitude = true) => {
 }
 
 const generateWaypointCSVPreview = (waypoints) => {
-  const headers = ['番号', '緯度', '経度', '標高', 'ポリゴン名', '種別']
+  const headers = ['番号', '緯度', '経度', '標高', '海抜高度', 'ポリゴン名', '種別', 'アクション']
   const rows = waypoints.map((wp, index) => [
     index + 1,
     wp.lat.toFixed(6),
     wp.lng.toFixed(6),
     wp.elevation ? wp.elevation.toFixed(1) : '-',
+    Number.isFinite(wp.altitudeASL) ? wp.altitudeASL.toFixed(1) : '-',
     wp.polygonName || '',
-    wp.type === 'manual' ? '手動' : wp.type === 'grid' ? 'グリッド' : '頂点'
+    wp.type === 'manual' ? '手動' : wp.type === 'grid' ? 'グリッド' : wp.type === 'survey' ? '測量' : wp.type === 'orbit' ? '周回' : wp.type === 'facade' ? '壁面' : wp.type === 'corridor' ? '回廊' : wp.type === 'terrain' ? '地形' : '頂点',
+    formatWaypointActions(wp.actions) || '-'
   ])
   return { headers, rows }
 }
 
 const generateWaypointDMSCSVPreview = (waypoints) => {
-  const headers = ['番号', '緯度（DMS）', '経度（DMS）', '標高', 'ポリゴン名', '種別']
+  const headers = ['番号', '緯度（DMS）', '経度（DMS）', '標高', '海抜高度', 'ポリゴン名', '種別', 'アクション']
   const rows = waypoints.map((wp, index) => [
     index + 1,
     Number.isFinite(wp.lat) ? decimalToDMSPreview(wp.lat, true) : '-',
     Number.isFinite(wp.lng) ? decimalToDMSPreview(wp.lng, false) : '-',
     wp.elevation ? wp.elevation.toFixed(1) : '-',
+    Number.isFinite(wp.altitudeASL) ? wp.altitudeASL.toFixed(1) : '-',
     wp.polygonName || '',
-    wp.type === 'manual' ? '手動' : wp.type === 'grid' ? 'グリッド' : '頂点'
+    wp.type === 'manual' ? '手動' : wp.type === 'grid' ? 'グリッド' : wp.type === 'survey' ? '測量' : wp.type === 'orbit' ? '周回' : wp.type === 'facade' ? '壁面' : wp.type === 'corridor' ? '回廊' : wp.type === 'terrain' ? '地形' : '頂点',
+    formatWaypointActions(wp.actions) || '-'
   ])
   return { headers, rows }
 }
@@ -86,14 +83,15 @@ const generatePolygonGeoJSONPreview = (polygons) => {
       properties: {
         name: polygon.name,
         color: polygon.color,
-        createdAt: polygon.createdAt
+        createdAt: polygon.createdAt,
+        ...(polygon.keepOutOf && { keepOutOf: polygon.keepOutOf })
       },
       geometry: polygon.geometry
     }))
   }
 }
 
-const ExportPanel = ({ waypoints = [], polygons = [], onClose }) => {
+const ExportPanel = ({ waypoints = [], polygons = [], airspaceCeilings = null, onClose }) => {
   const [previewMode, setPreviewMode] = useState(null) // null | 'waypoint-json' | 'waypoint-csv' | 'waypoint-dms' | 'waypoint-dms-csv' | 'polygon-geojson' | 'polygon-kml' | 'backup'
   const [notamAltitudes, setNotamAltitudes] = useState({}) // { [polygonId]: number }
 
@@ -102,6 +100,15 @@ const ExportPanel = ({ waypoints = [], polygons = [], onClose }) => {
     return getPolygonOrderFromWaypoints(waypoints, polygons)
   }, [waypoints, polygons])
 
+  // 地形追従で設定済みの海抜高度（未入力時の既定値）
+  const terrainAltitudes = useMemo(() => getMaxAltitudeASLByPolygon(waypoints), [waypoints])
+
+  // 制限表面による飛行可能高度（範囲内の頂点・Waypointで最も低いもの）
+  const polygonCeilings = useMemo(
+    () => getLowestCeilingByPolygon(airspaceCeilings, waypoints),
+    [airspaceCeilings, waypoints]
+  )
+
   // DMSテキストモードの高度入力を初期化
   useEffect(() => {
     if (previewMode === 'waypoint-dms') {
@@ -133,7 +140,7 @@ const ExportPanel = ({ waypoints = [], polygons = [], onClose }) => {
       case 'waypoint-csv':
         return generateWaypointCSVPreview(waypoints)
       case 'waypoint-dms':
-        return generateDMSPreview(waypoints, polygons, notamAltitudes)
+        return generateDMSPreview(waypoints, polygons, notamAltitudes, polygonCeilings)
       case 'waypoint-dms-csv':
         return generateWaypointDMSCSVPreview(waypoints)
       case 'polygon-geojson':
@@ -145,7 +152,7 @@ const ExportPanel = ({ waypoints = [], polygons = [], onClose }) => {
       default:
         return null
     }
-  }, [previewMode, waypoints, polygons, notamAltitudes])
+  }, [previewMode, waypoints, polygons, notamAltitudes, polygonCeilings])
 
   const handleExportWaypointsJSON = () => {
     if (waypoints.length === 0) return
@@ -179,7 +186,7 @@ const ExportPanel = ({ waypoints = [], polygons = [], onClose }) => {
 
   const handleExportDMS = () => {
     if (waypoints.length === 0) return
-    exportToDMS(waypoints, polygons, notamAltitudes)
+    exportToDMS(waypoints, polygons, notamAltitudes, null, polygonCeilings)
   }
 
   // Preview mode title
@@ -250,12 +257,25 @@ const ExportPanel = ({ waypoints = [], polygons = [], onClose }) => {
                       type="number"
                       min="0"
                       max="9999"
-                      placeholder="高度"
+                      placeholder={terrainAltitudes[polygon.id] ? `${terrainAltitudes[polygon.id]}` : '高度'}
                       value={notamAltitudes[polygon.id] || ''}
                       onChange={(e) => handleAltitudeChange(polygon.id, e.target.value)}
                       className={styles.altitudeInput}
                     />
                     <span className={styles.altitudeUnit}>m</span>
+                    {polygonCeilings[polygon.id] && (
+                      <span
+                        className={`${styles.altitudeCeiling} ${
+                          Number(notamAltitudes[polygon.id] || terrainAltitudes[polygon.id]) >
+                            Math.floor(polygonCeilings[polygon.id].ceilingASL)
+                            ? styles.exceeded
+                            : ''
+                        }`}
+                        title={`${polygonCeilings[polygon.id].airportName} ${polygonCeilings[polygon.id].surfaceLabel}`}
+                      >
+                        上限 {Math.floor(polygonCeilings[polygon.id].ceilingASL)}m
+                      </span>
+                    )}
                   </div>
                 </div>
               ))}
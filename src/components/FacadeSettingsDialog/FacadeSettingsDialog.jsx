@@ -0,0 +1,149 @@
+import { useState, useMemo } from 'react'
+import { X, Building, AlertTriangle } from 'lucide-react'
+import { getPolygonEdges, generateFacadeWaypoints, formatDistance } from '../../services/waypointGenerator'
+import styles from './FacadeSettingsDialog.module.scss'
+
+// Bearing to 8-point compass label
+const COMPASS = ['北', '北東', '東', '南東', '南', '南西', '西', '北西']
+const toCompass = (bearing) => COMPASS[Math.round(bearing / 45) % 8]
+
+const FacadeSettingsDialog = ({ polygon, onConfirm, onCancel }) => {
+  const edges = useMemo(() => getPolygonEdges(polygon), [polygon])
+  const [selectedEdges, setSelectedEdges] = useState(() => {
+    // Default: the longest wall
+    const longest = edges.reduce((best, edge) => (!best || edge.length > best.length ? edge : best), null)
+    return longest ? [longest.index] : []
+  })
+  const [offset, setOffset] = useState(10)
+  const [spacing, setSpacing] = useState(10)
+  const [minAltitude, setMinAltitude] = useState(10)
+  const [maxAltitude, setMaxAltitude] = useState(30)
+  const [verticalStep, setVerticalStep] = useState(5)
+
+  const settings = useMemo(() => ({
+    edges: selectedEdges,
+    offset,
+    spacing,
+    minAltitude,
+    maxAltitude,
+    verticalStep
+  }), [selectedEdges, offset, spacing, minAltitude, maxAltitude, verticalStep])
+
+  const preview = useMemo(() => {
+    const waypoints = generateFacadeWaypoints(polygon, settings)
+    const columns = new Set(waypoints.map(wp => wp.facadeColumn)).size
+    return { count: waypoints.length, columns }
+  }, [polygon, settings])
+
+  const toggleEdge = (index) => {
+    setSelectedEdges(prev => (
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index].sort((a, b) => a - b)
+    ))
+  }
+
+  const numberField = (label, value, setValue, { min = 0, max = 150, unit = 'm' } = {}) => (
+    <label className={styles.field}>
+      <span>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => setValue(Math.min(max, Math.max(min, parseFloat(e.target.value) || min)))}
+        className={styles.numberInput}
+      />
+      <span className={styles.unit}>{unit}</span>
+    </label>
+  )
+
+  return (
+    <div className={styles.dialog}>
+      <div className={styles.header}>
+        <div className={styles.titleRow}>
+          <Building size={20} />
+          <h3>壁面点検Waypoint設定</h3>
+        </div>
+        <button className={styles.closeButton} onClick={onCancel}>
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className={styles.content}>
+        <div className={styles.polygonInfo}>
+          <div
+            className={styles.colorDot}
+            style={{ backgroundColor: polygon.color }}
+          />
+          <span className={styles.polygonName}>{polygon.name}</span>
+        </div>
+
+        <div className={styles.settingGroup}>
+          <label className={styles.label}>
+            点検する辺
+            <span className={styles.unit}>(外向き法線側から撮影)</span>
+          </label>
+          <div className={styles.edgeList}>
+            {edges.map(edge => (
+              <label key={edge.index} className={styles.edgeItem}>
+                <input
+                  type="checkbox"
+                  checked={selectedEdges.includes(edge.index)}
+                  onChange={() => toggleEdge(edge.index)}
+                />
+                <span>辺{edge.index + 1}</span>
+                <span className={styles.edgeMeta}>
+                  {formatDistance(edge.length)} / {toCompass(edge.bearing)}向き
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className={styles.fieldGrid}>
+          {numberField('離隔距離', offset, setOffset, { min: 1, max: 100 })}
+          {numberField('水平間隔', spacing, setSpacing, { min: 1, max: 100 })}
+          {numberField('最低高度', minAltitude, setMinAltitude)}
+          {numberField('最高高度', maxAltitude, setMaxAltitude)}
+          {numberField('垂直ステップ', verticalStep, setVerticalStep, { min: 1, max: 50 })}
+        </div>
+
+        <div className={styles.preview}>
+          <h4>生成プレビュー</h4>
+          <div className={styles.summary}>
+            <span>列 {preview.columns}本</span>
+            <span>Waypoint {preview.count}点</span>
+          </div>
+          <p className={styles.hint}>列ごとに上昇・下降を交互に行い、機首は壁面に正対します</p>
+          {Math.max(minAltitude, maxAltitude) > 150 && (
+            <div className={styles.alert}>
+              <AlertTriangle size={16} />
+              <span>150mを超える高度があります（航空法の許可が必要）</span>
+            </div>
+          )}
+          {offset < 30 && (
+            <div className={styles.alert}>
+              <AlertTriangle size={16} />
+              <span>建物等から30m未満の飛行は承認が必要です（管理者の了承がある場合を除く）</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className={styles.actions}>
+        <button className={styles.cancelButton} onClick={onCancel}>
+          キャンセル
+        </button>
+        <button
+          className={styles.confirmButton}
+          onClick={() => onConfirm(settings)}
+          disabled={preview.count === 0}
+        >
+          <Building size={16} />
+          {preview.count} Waypoint生成
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default FacadeSettingsDialog
@@ -1,6 +1,7 @@
 import { useState, useCallback, useRef } from 'react'
 import { FolderOpen, AlertTriangle, X } from 'lucide-react'
 import { parseFile } from '../../utils/fileParser'
+import { countPolygonVertices } from '../../services/waypointGenerator'
 import styles from './FileImport.module.scss'
 
 const FileImport = ({ onImport, onClose }) => {
@@ -19,7 +20,8 @@ const FileImport = ({ onImport, onClose }) => {
     if (result.success) {
       setPreview({
         filename: file.name,
-        polygons: result.polygons
+        polygons: result.polygons,
+        waypoints: result.waypoints || []
       })
     } else {
       setError(result.error)
@@ -58,7 +60,7 @@ const FileImport = ({ onImport, onClose }) => {
 
   const handleImport = () => {
     if (preview?.polygons) {
-      onImport?.(preview.polygons)
+      onImport?.(preview.polygons, preview.waypoints)
       onClose?.()
     }
   }
@@ -91,7 +93,7 @@ const FileImport = ({ onImport, onClose }) => {
               <FolderOpen size={48} className={styles.folderIcon} />
               <p>ファイルをドロップ</p>
               <p className={styles.hint}>または クリックして選択</p>
-              <p className={styles.formats}>対応形式: GeoJSON, KML</p>
+              <p className={styles.formats}>対応形式: GeoJSON, KML, Waypoint JSON, バックアップJSON</p>
             </div>
           </div>
 
@@ -122,6 +124,7 @@ const FileImport = ({ onImport, onClose }) => {
             <span className={styles.filename}>{preview.filename}</span>
             <span className={styles.polygonCount}>
               {preview.polygons.length} ポリゴン
+              {preview.waypoints.length > 0 && ` / ${preview.waypoints.length} Waypoint`}
             </span>
           </div>
 
@@ -136,7 +139,7 @@ const FileImport = ({ onImport, onClose }) => {
                   {index + 1}. {polygon.name}
                 </span>
                 <span className={styles.vertexCount}>
-                  {polygon.geometry.coordinates[0].length - 1} 頂点
+                  {countPolygonVertices(polygon)} 頂点
                 </span>
               </li>
             ))}
@@ -32,8 +32,9 @@ import {
   Package,
   ShieldCheck,
 } from 'lucide-react';
-import { USE_CASES, generateRouteOptions } from '../../services/routePlanner';
+import { USE_CASES, generateRouteOptions, getUseCaseAltitude, getUseCasePhotoPlan } from '../../services/routePlanner';
 import { generatePreview, downloadFile } from '../../services/documentGenerator';
+import { classifySpecifiedFlight, formatFlightCategory } from '../../services/specifiedFlight';
 import { searchAddress } from '../../services/geocoding';
 import './FlightPlanner.scss';
 
@@ -139,7 +140,7 @@ function FlightPlanner({
         startPoint,
         endPoint,
         selectedUseCase,
-        { altitude: selectedUseCase.recommendedAltitude }
+        { altitude: getUseCaseAltitude(selectedUseCase) }
       );
       setRouteOptions(options);
       setSelectedRoute(options.recommended);
@@ -188,11 +189,12 @@ function FlightPlanner({
       route: selectedRoute,
       useCase: selectedUseCase,
       evaluation: selectedRoute.evaluation,
-      altitude: selectedUseCase?.recommendedAltitude || 50,
+      specifiedFlight: selectedRoute.evaluation.specifiedFlight,
+      altitude: routeOptions?.altitude ?? getUseCaseAltitude(selectedUseCase),
       flightDate: new Date(),
       location: endPoint?.name || '-',
     };
-  }, [selectedRoute, polygons, selectedUseCase, endPoint]);
+  }, [selectedRoute, polygons, selectedUseCase, endPoint, routeOptions]);
 
   // プレビュー表示
   const handlePreview = (format) => {
@@ -315,6 +317,12 @@ function FlightPlanner({
 
   if (!isOpen) return null;
 
+  const selectedPhotoPlan = selectedUseCase ? getUseCasePhotoPlan(selectedUseCase) : null;
+  // 用途の飛行方法だけでの特定飛行判定（空域はルート生成後に評価）
+  const selectedUseCaseFlight = selectedUseCase
+    ? classifySpecifiedFlight({ ...selectedUseCase.flightConditions, autonomous: true })
+    : null;
+
   return (
     <div className="flight-planner">
       <div className="planner-header">
@@ -385,12 +393,33 @@ function FlightPlanner({
                   </div>
                   <div className="detail-item">
                     <Plane size={14} />
-                    <span>推奨高度: {selectedUseCase.recommendedAltitude}m</span>
+                    <span>推奨高度: {getUseCaseAltitude(selectedUseCase)}m</span>
                   </div>
+                  {selectedPhotoPlan && (
+                    <>
+                      <div className="detail-item">
+                        <Ruler size={14} />
+                        <span>GSD: {selectedPhotoPlan.gsd.toFixed(2)}cm/px（{selectedPhotoPlan.cameraName}）</span>
+                      </div>
+                      <div className="detail-item">
+                        <Route size={14} />
+                        <span>
+                          ライン間隔: {selectedPhotoPlan.lineSpacing.toFixed(1)}m / 撮影間隔: {selectedPhotoPlan.triggerDistance.toFixed(1)}m
+                        </span>
+                      </div>
+                    </>
+                  )}
                 </div>
                 <div className="regulations">
                   <strong>関連規制:</strong>
                   <ul>
+                    <li>{formatFlightCategory(selectedUseCaseFlight)}</li>
+                    {selectedUseCaseFlight.items.length > 0 && (
+                      <li>
+                        特定飛行: {selectedUseCaseFlight.items.map(item => item.name).join('、')}
+                        （技能証明: {selectedUseCaseFlight.license.label}）
+                      </li>
+                    )}
                     {selectedUseCase.regulations.map((reg, i) => (
                       <li key={i}>{reg}</li>
                     ))}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   Plane,
   Shield,
@@ -18,15 +18,41 @@ import {
   Minimize2,
   Maximize2,
   ClipboardCheck,
+  Award,
+  Upload,
 } from 'lucide-react';
 import {
   checkAllLegalRequirements,
   generateExternalLinks,
 } from '../../services/legalRequirements';
 import { getPolygonCenter } from '../../services/waypointGenerator';
+import { getDroneSpecs, getSelectedDroneId } from '../../services/droneSpecsService';
 import { GlassPanel } from '../GlassPanel';
 import './FlightRequirements.scss';
 
+// props 省略時の既定値（再レンダーごとに新しい配列を作らない）
+const NO_ITEMS = [];
+
+// 特定飛行の判定に使う飛行の条件（飛行空域・高度はチェック結果から判定）
+const DEFAULT_FLIGHT_CONDITIONS = {
+  plannedAt: '',
+  bvlos: false,
+  overPeople: false,
+  nearPeople: false,
+  eventOverflight: false,
+  dangerousGoods: false,
+  payloadDrop: false,
+};
+
+const FLIGHT_CONDITION_OPTIONS = [
+  { key: 'bvlos', label: '目視外' },
+  { key: 'overPeople', label: '第三者上空' },
+  { key: 'nearPeople', label: '人・物件30m未満' },
+  { key: 'eventOverflight', label: '催し場所上空' },
+  { key: 'dangerousGoods', label: '危険物輸送' },
+  { key: 'payloadDrop', label: '物件投下' },
+];
+
 /**
  * 飛行要件サマリーパネル
  *
@@ -34,9 +60,18 @@ import './FlightRequirements.scss';
  * 1. 航空法関連
  * 2. 小型無人機等飛行禁止法
  * 3. 土地・施設管理者ルール
+ *
+ * polygons / waypoints を渡すと全ポリゴン・全飛行区間で判定し、
+ * 該当部分（建物・道路から30m未満の区間を含む）を onAssessmentChange（GeoJSON FeatureCollection | null）で地図に渡す
+ *
+ * 飛行の条件（予定日時・目視外・第三者上空等）から特定飛行の飛行カテゴリー・レベルと
+ * 必要な技能証明・機体認証を表示する
  */
 function FlightRequirements({
   polygon,
+  polygons = NO_ITEMS,
+  waypoints = NO_ITEMS,
+  onAssessmentChange,
   altitude = 50,
   searchResult = null,
   isOpen,
@@ -55,10 +90,19 @@ function FlightRequirements({
   const [showProcedures, setShowProcedures] = useState(false);
   const [copiedId, setCopiedId] = useState(null);
   const [minimized, setMinimized] = useState(initialMinimized);
+  const [flightConditions, setFlightConditions] = useState(DEFAULT_FLIGHT_CONDITIONS);
+  // 読み込んだ建物 GeoJSON（null のときは国土地理院の建物データで30mを確認）
+  const [buildingData, setBuildingData] = useState(null);
 
   // チェック実行
+  const areaPolygons = useMemo(
+    () => (polygons.length > 0 ? polygons : (polygon ? [polygon] : NO_ITEMS)),
+    [polygons, polygon]
+  );
+  const hasTarget = areaPolygons.length > 0 || waypoints.length > 0 || !!searchResult;
+
   const runCheck = useCallback(async () => {
-    if (!polygon && !searchResult) {
+    if (!hasTarget) {
       return;
     }
 
@@ -66,14 +110,18 @@ function FlightRequirements({
     setError(null);
 
     try {
-      // 中心座標を取得
+      // 中心座標を取得（土地管理者ルール・最寄り施設の表示用）
       let lat, lng;
-      if (polygon) {
-        const center = getPolygonCenter(polygon);
+      const centerPolygon = polygon || areaPolygons[0];
+      if (centerPolygon) {
+        const center = getPolygonCenter(centerPolygon);
         if (center) {
           lat = center.lat;
           lng = center.lng;
         }
+      } else if (waypoints.length > 0) {
+        lat = waypoints[0].lat;
+        lng = waypoints[0].lng;
       } else if (searchResult) {
         lat = searchResult.lat;
         lng = searchResult.lng;
@@ -88,25 +136,59 @@ function FlightRequirements({
         lng,
         altitude,
         searchResult,
-        polygons: polygon ? [polygon] : [],
+        polygons: areaPolygons,
+        waypoints,
+        buildingFeatures: buildingData?.features || null,
+        flightConditions: {
+          ...flightConditions,
+          plannedAt: flightConditions.plannedAt || null,
+          takeoffWeightKg: getDroneSpecs(getSelectedDroneId())?.takeoffWeight,
+          autonomous: waypoints.length > 0,
+        },
       };
 
       const checkResults = await checkAllLegalRequirements(context);
       setResults(checkResults);
+      const highlights = [
+        ...(checkResults.areaAssessment?.features.features || []),
+        ...(checkResults.separation?.features.features || []),
+      ];
+      onAssessmentChange?.(highlights.length > 0
+        ? { type: 'FeatureCollection', features: highlights }
+        : null);
     } catch (err) {
       console.error('[FlightRequirements] Check error:', err);
       setError(err.message);
     } finally {
       setIsLoading(false);
     }
-  }, [polygon, altitude, searchResult]);
+  }, [polygon, areaPolygons, waypoints, hasTarget, altitude, searchResult, flightConditions, buildingData, onAssessmentChange]);
 
-  // ポリゴンまたは検索結果が変わったらチェック実行
+  // ポリゴン・Waypoint または検索結果が変わったらチェック実行
   useEffect(() => {
-    if (isOpen && (polygon || searchResult)) {
+    if (isOpen && hasTarget) {
       runCheck();
     }
-  }, [isOpen, polygon, searchResult, runCheck]);
+  }, [isOpen, hasTarget, runCheck]);
+
+  const updateFlightCondition = (key, value) => {
+    setFlightConditions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // 建物 GeoJSON の読み込み（FeatureCollection）
+  const handleBuildingImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const features = data.type === 'FeatureCollection' ? data.features : [data];
+      setBuildingData({ name: file.name, features: features.filter((f) => f?.geometry) });
+    } catch (err) {
+      console.error('[FlightRequirements] Building import error:', err);
+      setError('建物データ（GeoJSON）を読み込めませんでした');
+    }
+  };
 
   // カテゴリ展開/折りたたみ
   const toggleCategory = (categoryId) => {
@@ -267,8 +349,8 @@ ${procedure.link ? `参考: ${procedure.link}` : ''}`;
       <button
         className="header-action-btn"
         onClick={runCheck}
-        disabled={isLoading || (!polygon && !searchResult)}
-        title={!polygon && !searchResult ? 'ポリゴンまたは検索結果が必要です' : '再チェック'}
+        disabled={isLoading || !hasTarget}
+        title={!hasTarget ? 'ポリゴンまたは検索結果が必要です' : '再チェック'}
       >
         <RefreshCw size={16} className={isLoading ? 'spinning' : ''} />
       </button>
@@ -321,6 +403,86 @@ ${procedure.link ? `参考: ${procedure.link}` : ''}`;
               )}
             </div>
           )}
+          {results?.areaAssessment && (
+            <p className="assessment-scope">
+              ポリゴン{results.areaAssessment.polygonCount}件・飛行区間{results.areaAssessment.legCount}件の全体で判定
+            </p>
+          )}
+
+          {/* 飛行の条件 */}
+          <div className="flight-conditions">
+            <label className="planned-at">
+              <span>飛行予定日時</span>
+              <input
+                type="datetime-local"
+                value={flightConditions.plannedAt}
+                onChange={(e) => updateFlightCondition('plannedAt', e.target.value)}
+              />
+            </label>
+            <div className="condition-options">
+              {FLIGHT_CONDITION_OPTIONS.map(({ key, label }) => (
+                <label key={key}>
+                  <input
+                    type="checkbox"
+                    checked={flightConditions[key]}
+                    onChange={(e) => updateFlightCondition(key, e.target.checked)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div className="building-source">
+              <span>
+                30m判定の建物: {buildingData
+                  ? `${buildingData.name}（${buildingData.features.length}件）`
+                  : '国土地理院データ'}
+              </span>
+              {buildingData ? (
+                <button onClick={() => setBuildingData(null)}>解除</button>
+              ) : (
+                <label className="building-import">
+                  <Upload size={12} />
+                  GeoJSON読込
+                  <input type="file" accept=".geojson,.json" onChange={handleBuildingImport} hidden />
+                </label>
+              )}
+            </div>
+          </div>
+
+          {/* 特定飛行・飛行カテゴリー */}
+          {results?.specifiedFlight && !isLoading && (
+            <div className={`flight-category ${results.specifiedFlight.isSpecified ? 'warning' : 'ok'}`}>
+              <div className="flight-category-header">
+                <Award size={16} />
+                <strong>{results.specifiedFlight.categoryLabel}</strong>
+                <span>{results.specifiedFlight.levelLabel}</span>
+              </div>
+              <p className="flight-category-items">
+                特定飛行: {results.specifiedFlight.isSpecified
+                  ? results.specifiedFlight.items.map((item) => item.name).join('、')
+                  : '該当なし'}
+              </p>
+              <dl>
+                <dt>技能証明</dt>
+                <dd>
+                  {results.specifiedFlight.license.label}
+                  {results.specifiedFlight.limitations.length > 0 &&
+                    `（${results.specifiedFlight.limitations.join('・')}）`}
+                </dd>
+                <dt>機体認証</dt>
+                <dd>{results.specifiedFlight.typeCertificate.label}</dd>
+                <dt>許可・承認</dt>
+                <dd>{results.specifiedFlight.permission.label}</dd>
+              </dl>
+              {results.specifiedFlight.notes.length > 0 && (
+                <ul className="flight-category-notes">
+                  {results.specifiedFlight.notes.map((note, i) => (
+                    <li key={i}>{note}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
 
           {/* ローディング */}
           {isLoading && (
@@ -386,6 +548,12 @@ ${procedure.link ? `参考: ${procedure.link}` : ''}`;
                             {item.description && (
                               <p className="item-description">{item.description}</p>
                             )}
+                            {item.triggers?.length > 0 && (
+                              <p className="item-triggers">
+                                <MapPin size={12} />
+                                該当{item.triggers.length}か所を地図に表示中
+                              </p>
+                            )}
                             {item.action && (
                               <p className="item-action">
                                 <span className="action-label">対応:</span>
@@ -1,22 +1,67 @@
 import { useState, useMemo } from 'react'
-import { X, Grid3X3, AlertTriangle, Info } from 'lucide-react'
-import { estimateGridWaypointCount, calculatePolygonArea, formatArea } from '../../services/waypointGenerator'
+import { X, Grid3X3, AlertTriangle, Info, Camera } from 'lucide-react'
+import {
+  estimateGridWaypointCount,
+  estimateSurveyPattern,
+  findOptimalSurveyHeading,
+  calculatePolygonArea,
+  countPolygonVertices,
+  formatArea,
+  formatDistance,
+  getPhotoGridSpacing
+} from '../../services/waypointGenerator'
+import { getAllDrones, getSelectedDroneId } from '../../services/droneSpecsService'
+import { planPhotogrammetryForDrone, DEFAULT_PHOTO_PARAMS } from '../../services/photogrammetryService'
 import styles from './GridSettingsDialog.module.scss'
 
 const GridSettingsDialog = ({ polygon, onConfirm, onCancel }) => {
   const [spacing, setSpacing] = useState(30)
   const [includeVertices, setIncludeVertices] = useState(true)
+  const [pattern, setPattern] = useState('grid') // 'grid' | 'survey'
+  const [autoHeading, setAutoHeading] = useState(true)
+  const [manualHeading, setManualHeading] = useState(0)
+
+  // Photogrammetry: derive line spacing and altitude from the camera and target GSD
+  const cameraDrones = useMemo(() => getAllDrones().filter(d => d.camera), [])
+  const [useCamera, setUseCamera] = useState(false)
+  const [droneId, setDroneId] = useState(() => {
+    const selected = getSelectedDroneId()
+    return cameraDrones.some(d => d.id === selected) ? selected : cameraDrones[0]?.id
+  })
+  const [targetGSD, setTargetGSD] = useState(DEFAULT_PHOTO_PARAMS.targetGSD)
+  const [frontOverlap, setFrontOverlap] = useState(DEFAULT_PHOTO_PARAMS.frontOverlap)
+  const [sideOverlap, setSideOverlap] = useState(DEFAULT_PHOTO_PARAMS.sideOverlap)
+
+  const photoPlan = useMemo(() => {
+    if (!useCamera) return null
+    return planPhotogrammetryForDrone(droneId, { targetGSD, frontOverlap, sideOverlap })
+  }, [useCamera, droneId, targetGSD, frontOverlap, sideOverlap])
+
+  // Survey lines use the side-overlap spacing (photos are triggered by distance along each line);
+  // the point grid is one photo per point, so it keeps both overlaps in both directions
+  const effectiveSpacing = !photoPlan
+    ? spacing
+    : pattern === 'survey' ? photoPlan.lineSpacing : getPhotoGridSpacing(photoPlan)
+
+  // Survey pattern: resolve heading (fewest turns when auto) and preview lines
+  const surveyEstimate = useMemo(() => {
+    if (pattern !== 'survey') return null
+    const heading = autoHeading ? findOptimalSurveyHeading(polygon, effectiveSpacing) : manualHeading
+    return estimateSurveyPattern(polygon, effectiveSpacing, heading)
+  }, [polygon, effectiveSpacing, pattern, autoHeading, manualHeading])
 
   // Calculate estimated waypoint count
   const estimatedCount = useMemo(() => {
-    const gridCount = estimateGridWaypointCount(polygon, spacing)
-    const vertexCount = includeVertices ? polygon.geometry.coordinates[0].length - 1 : 0
+    const gridCount = surveyEstimate
+      ? surveyEstimate.lineCount * 2
+      : estimateGridWaypointCount(polygon, effectiveSpacing)
+    const vertexCount = includeVertices ? countPolygonVertices(polygon) : 0
     return {
       grid: gridCount,
       vertex: vertexCount,
       total: gridCount + vertexCount
     }
-  }, [polygon, spacing, includeVertices])
+  }, [polygon, effectiveSpacing, includeVertices, surveyEstimate])
 
   // Calculate polygon area
   const area = useMemo(() => calculatePolygonArea(polygon), [polygon])
@@ -36,7 +81,10 @@ const GridSettingsDialog = ({ polygon, onConfirm, onCancel }) => {
 
   const handleConfirm = () => {
     onConfirm({
-      spacing,
+      pattern,
+      spacing: effectiveSpacing,
+      heading: surveyEstimate ? surveyEstimate.heading : null,
+      photoPlan,
       includeVertices,
       estimatedCount: estimatedCount.total
     })
@@ -65,52 +113,193 @@ const GridSettingsDialog = ({ polygon, onConfirm, onCancel }) => {
           <span className={styles.polygonArea}>({formatArea(area)})</span>
         </div>
 
-        {/* Spacing setting */}
+        {/* Pattern selection */}
         <div className={styles.settingGroup}>
-          <label className={styles.label}>
-            グリッド間隔
-            <span className={styles.unit}>(メートル)</span>
+          <label className={styles.label}>生成パターン</label>
+          <div className={styles.spacingPresets}>
+            <button
+              className={`${styles.presetButton} ${pattern === 'grid' ? styles.active : ''}`}
+              onClick={() => setPattern('grid')}
+            >
+              グリッド（点群）
+            </button>
+            <button
+              className={`${styles.presetButton} ${pattern === 'survey' ? styles.active : ''}`}
+              onClick={() => setPattern('survey')}
+            >
+              測量パターン（往復）
+            </button>
+          </div>
+        </div>
+
+        {/* Camera-driven photogrammetry */}
+        <div className={styles.settingGroup}>
+          <label className={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={useCamera}
+              onChange={(e) => setUseCamera(e.target.checked)}
+              disabled={cameraDrones.length === 0}
+            />
+            <span>カメラ仕様と目標GSDから間隔・高度を算出</span>
           </label>
 
-          <div className={styles.spacingInput}>
+          {useCamera && (
+            <div className={styles.cameraSettings}>
+              <select
+                value={droneId}
+                onChange={(e) => setDroneId(e.target.value)}
+                className={styles.select}
+              >
+                {cameraDrones.map(d => (
+                  <option key={d.id} value={d.id}>{d.model}（{d.camera.name}）</option>
+                ))}
+              </select>
+              <div className={styles.cameraInputs}>
+                <label>
+                  目標GSD
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.1"
+                    value={targetGSD}
+                    onChange={(e) => setTargetGSD(Math.max(0.1, parseFloat(e.target.value) || 0.1))}
+                  />
+                  cm/px
+                </label>
+                <label>
+                  ラップ率（縦）
+                  <input
+                    type="number"
+                    min="0"
+                    max="95"
+                    step="5"
+                    value={Math.round(frontOverlap * 100)}
+                    onChange={(e) => setFrontOverlap((parseInt(e.target.value) || 0) / 100)}
+                  />
+                  %
+                </label>
+                <label>
+                  ラップ率（横）
+                  <input
+                    type="number"
+                    min="0"
+                    max="95"
+                    step="5"
+                    value={Math.round(sideOverlap * 100)}
+                    onChange={(e) => setSideOverlap((parseInt(e.target.value) || 0) / 100)}
+                  />
+                  %
+                </label>
+              </div>
+              {photoPlan && (
+                <div className={styles.surveySummary}>
+                  <span><Camera size={12} /> 高度 {Math.round(photoPlan.altitude)}m</span>
+                  <span>GSD {photoPlan.gsd.toFixed(2)}cm/px</span>
+                  {pattern === 'survey' ? (
+                    <>
+                      <span>ライン間隔 {photoPlan.lineSpacing.toFixed(1)}m</span>
+                      <span>撮影間隔 {photoPlan.triggerDistance.toFixed(1)}m</span>
+                    </>
+                  ) : (
+                    <span>グリッド間隔 {effectiveSpacing.toFixed(1)}m（各点で撮影）</span>
+                  )}
+                </div>
+              )}
+              {photoPlan?.warnings.map((warning, i) => (
+                <div key={i} className={`${styles.alert} ${styles.warning}`}>
+                  <AlertTriangle size={16} />
+                  <span>{warning}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Spacing setting */}
+        {!photoPlan && (
+          <div className={styles.settingGroup}>
+            <label className={styles.label}>
+              {pattern === 'survey' ? '飛行ライン間隔' : 'グリッド間隔'}
+              <span className={styles.unit}>(メートル)</span>
+            </label>
+
+            <div className={styles.spacingInput}>
+              <input
+                type="number"
+                min="5"
+                max="500"
+                step="5"
+                value={spacing}
+                onChange={(e) => setSpacing(Math.max(5, parseInt(e.target.value) || 5))}
+                className={styles.numberInput}
+              />
+              <span className={styles.inputUnit}>m</span>
+            </div>
+
+            <div className={styles.spacingPresets}>
+              {suggestedSpacings.map(s => (
+                <button
+                  key={s}
+                  className={`${styles.presetButton} ${spacing === s ? styles.active : ''}`}
+                  onClick={() => setSpacing(s)}
+                >
+                  {s}m
+                </button>
+              ))}
+            </div>
+
             <input
-              type="number"
+              type="range"
               min="5"
-              max="500"
+              max="200"
               step="5"
               value={spacing}
-              onChange={(e) => setSpacing(Math.max(5, parseInt(e.target.value) || 5))}
-              className={styles.numberInput}
+              onChange={(e) => setSpacing(parseInt(e.target.value))}
+              className={styles.slider}
             />
-            <span className={styles.inputUnit}>m</span>
+            <div className={styles.sliderLabels}>
+              <span>5m (密)</span>
+              <span>200m (粗)</span>
+            </div>
           </div>
+        )}
 
-          <div className={styles.spacingPresets}>
-            {suggestedSpacings.map(s => (
-              <button
-                key={s}
-                className={`${styles.presetButton} ${spacing === s ? styles.active : ''}`}
-                onClick={() => setSpacing(s)}
-              >
-                {s}m
-              </button>
-            ))}
+        {/* Heading setting (survey only) */}
+        {pattern === 'survey' && (
+          <div className={styles.settingGroup}>
+            <label className={styles.label}>
+              飛行方位
+              <span className={styles.unit}>(真北から時計回り)</span>
+            </label>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={autoHeading}
+                onChange={(e) => setAutoHeading(e.target.checked)}
+              />
+              <span>旋回数が最少になる方位を自動選択</span>
+            </label>
+            {!autoHeading && (
+              <>
+                <input
+                  type="range"
+                  min="0"
+                  max="179"
+                  step="1"
+                  value={manualHeading}
+                  onChange={(e) => setManualHeading(parseInt(e.target.value))}
+                  className={styles.slider}
+                />
+                <div className={styles.sliderLabels}>
+                  <span>0° (南北)</span>
+                  <span>{manualHeading}°</span>
+                  <span>179°</span>
+                </div>
+              </>
+            )}
           </div>
-
-          <input
-            type="range"
-            min="5"
-            max="200"
-            step="5"
-            value={spacing}
-            onChange={(e) => setSpacing(parseInt(e.target.value))}
-            className={styles.slider}
-          />
-          <div className={styles.sliderLabels}>
-            <span>5m (密)</span>
-            <span>200m (粗)</span>
-          </div>
-        </div>
+        )}
 
         {/* Include vertices option */}
         <div className={styles.settingGroup}>
@@ -128,10 +317,17 @@ const GridSettingsDialog = ({ polygon, onConfirm, onCancel }) => {
         <div className={styles.preview}>
           <h4>生成プレビュー</h4>
           <div className={styles.countGrid}>
-            <div className={styles.countItem}>
-              <span className={styles.countLabel}>グリッド</span>
-              <span className={styles.countValue}>{estimatedCount.grid}</span>
-            </div>
+            {surveyEstimate ? (
+              <div className={styles.countItem}>
+                <span className={styles.countLabel}>ライン</span>
+                <span className={styles.countValue}>{surveyEstimate.lineCount}</span>
+              </div>
+            ) : (
+              <div className={styles.countItem}>
+                <span className={styles.countLabel}>グリッド</span>
+                <span className={styles.countValue}>{estimatedCount.grid}</span>
+              </div>
+            )}
             {includeVertices && (
               <div className={styles.countItem}>
                 <span className={styles.countLabel}>頂点</span>
@@ -146,6 +342,14 @@ const GridSettingsDialog = ({ polygon, onConfirm, onCancel }) => {
             </div>
           </div>
 
+          {surveyEstimate && surveyEstimate.lineCount > 0 && (
+            <div className={styles.surveySummary}>
+              <span>方位 {Math.round(surveyEstimate.heading)}°</span>
+              <span>旋回 {surveyEstimate.turnCount}回</span>
+              <span>総延長 {formatDistance(surveyEstimate.totalLength)}</span>
+            </div>
+          )}
+
           {/* Warnings */}
           {isVeryHighCount && (
             <div className={`${styles.alert} ${styles.danger}`}>
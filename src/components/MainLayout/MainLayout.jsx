@@ -1,9 +1,10 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import { ChevronDown, Search, Undo2, Redo2, Map as MapIcon, Layers, Settings, Sun, Moon, Menu, Route, Maximize2, Minimize2, X, Download, Box, Rotate3D, Crosshair, Satellite } from 'lucide-react'
-import { getSetting, saveSettings, isDIDAvoidanceModeEnabled, getWaypointNumberingMode } from '../../services/settingsService'
+import { getSetting, saveSettings, isDIDAvoidanceModeEnabled, getWaypointNumberingMode, getTerrainFollowSettings } from '../../services/settingsService'
 import { MAP_STYLES, CROSSHAIR_DESIGNS, CROSSHAIR_COLORS, COORDINATE_FORMATS } from '../Map/mapConstants'
-import { getDetailedCollisionResults, getDetailedCollisionResultsWithRestrictionSurfaces, checkWaypointsRestrictionSurfaces, checkAllWaypointsDID, checkAllPolygonsCollision } from '../../services/riskService'
-import { preloadDIDDataForCoordinates, isAllDIDCacheReady } from '../../services/didService'
+import { checkWaypointsRestrictionSurfaces, checkAllPolygonsCollision } from '../../services/riskService'
+import { createRouteWorkerClient, isAbortError } from '../../services/routeWorkerClient'
+import { preloadDIDDataForCoordinates, isAllDIDCacheReady, getDIDDataForCoordinates } from '../../services/didService'
 import MapComponent from '../Map/Map'
 import SearchForm from '../SearchForm/SearchForm'
 import PolygonList from '../PolygonList/PolygonList'
@@ -11,14 +12,25 @@ import WaypointList from '../WaypointList/WaypointList'
 import FileImport from '../FileImport/FileImport'
 import ExportPanel from '../ExportPanel/ExportPanel'
 import GridSettingsDialog from '../GridSettingsDialog/GridSettingsDialog'
+import OrbitSettingsDialog from '../OrbitSettingsDialog/OrbitSettingsDialog'
+import FacadeSettingsDialog from '../FacadeSettingsDialog/FacadeSettingsDialog'
+import CorridorSettingsDialog from '../CorridorSettingsDialog/CorridorSettingsDialog'
+import PolygonToolsDialog from '../PolygonToolsDialog/PolygonToolsDialog'
+import WaypointActionEditor from '../WaypointActionEditor/WaypointActionEditor'
 import HelpModal from '../HelpModal/HelpModal'
 import { saveSearchHistory, isFirstVisit, markVisited } from '../../utils/storage'
 import { searchAddress } from '../../services/geocoding'
-import { polygonToWaypoints, generateAllWaypoints, getPolygonCenter, generateGridWaypoints, generatePerimeterWaypoints, reindexWaypoints } from '../../services/waypointGenerator'
+import { polygonToWaypoints, generateAllWaypoints, getPolygonCenter, generateGridWaypoints, generateSurveyWaypoints, generateOrbitWaypoints, generateFacadeWaypoints, generateCorridorWaypoints, createCorridorPolygon, generatePerimeterWaypoints, reindexWaypoints, getPolygonParts, moveGeometryVertex } from '../../services/waypointGenerator'
 import { createPolygonFromSearchResult } from '../../services/polygonGenerator'
 import { generateExamplePolygons, generateExampleWaypoints } from '../../services/exampleData'
-import { addElevationToWaypoints } from '../../services/elevation'
+import { addElevationToWaypoints, applyTerrainFollowing } from '../../services/elevation'
+import { applyActionsToWaypoints } from '../../services/waypointActions'
+import { getKeepOutAreas, isKeepOutPolygon, subtractKeepOutAreas } from '../../services/keepOutService'
+import { splitPolygonByLine } from '../../services/polygonOperations'
+import { recommendTakeoffSites } from '../../services/takeoffSiteService'
+import { computeAirspaceCeilings, formatCeilingMargin } from '../../services/airspaceCeiling'
 import { computePolygonConflicts } from '../../services/conflictService'
+import { useActiveRulePack } from '../../lib'
 import FlightAssistant from '../FlightAssistant'
 import ApiSettings from '../ApiSettings'
 import FlightRequirements from '../FlightRequirements'
@@ -34,6 +46,15 @@ import { useConfirmDialog } from '../../hooks/useConfirmDialog'
 import ConfirmDialog from '../ConfirmDialog/ConfirmDialog'
 import '../../App.scss'
 
+// Batch collision / DID checks run in Web Workers so large grids don't block the map
+// One client per purpose: aborting a stale job terminates its worker, which must not cancel the other checks
+const collisionWorker = createRouteWorkerClient()
+const didWorker = createRouteWorkerClient()
+const didRecheckWorker = createRouteWorkerClient()
+
+// Wait for edits to settle before querying elevations for airspace ceilings (ms)
+const AIRSPACE_CEILING_DEBOUNCE_MS = 800
+
 // Default center: Tokyo Tower
 const DEFAULT_CENTER = { lat: 35.6585805, lng: 139.7454329 }
 
@@ -127,6 +148,74 @@ const calcTotalDistance = (wps) => {
   return total
 }
 
+// 衝突判定の結果からWaypointのマーカー表示用フラグを作る
+const toIssueFlags = (result) => ({
+  hasDID: false, // RBushからはDID判定しない（DIDは別途 DID GeoJSON で判定）
+  hasAirport: result.collisionType === 'AIRPORT' || result.collisionType === 'MILITARY',
+  hasProhibited: result.collisionType === 'RED_ZONE',
+  hasYellowZone: result.collisionType === 'YELLOW_ZONE'
+})
+
+// 危険セグメント: 両端点が同一制限区域内のセグメント（ポリゴンごとのWaypointの閉じたループ）
+const buildDangerSegments = (waypoints, flagsById) => {
+  const dangerSegments = []
+
+  // ポリゴンごとにWaypointをグループ化
+  const waypointsByPolygon = new Map()
+  for (const wp of waypoints) {
+    const polygonId = wp.polygonId || wp.polygonName || 'default'
+    if (!waypointsByPolygon.has(polygonId)) {
+      waypointsByPolygon.set(polygonId, [])
+    }
+    waypointsByPolygon.get(polygonId).push(wp)
+  }
+
+  // 各ポリゴン内のセグメントをチェック
+  for (const [, polygonWaypoints] of waypointsByPolygon.entries()) {
+    if (polygonWaypoints.length < 2) continue
+
+    const sortedWaypoints = [...polygonWaypoints].sort((a, b) => a.index - b.index)
+
+    // ポリゴン由来のWaypointは閉じたループを形成するため、
+    // 最後のWP→最初のWPのセグメントも含める（modulo で巻き戻し）
+    const n = sortedWaypoints.length
+    for (let i = 0; i < n; i++) {
+      const wpFrom = sortedWaypoints[i]
+      const wpTo = sortedWaypoints[(i + 1) % n]
+      const flagsFrom = flagsById[wpFrom.id] || {}
+      const flagsTo = flagsById[wpTo.id] || {}
+
+      let segmentType = null
+      let segmentColor = null
+
+      if (flagsFrom.hasDID && flagsTo.hasDID) {
+        segmentType = 'DID'
+        segmentColor = '#dc2626'
+      } else if (flagsFrom.hasAirport && flagsTo.hasAirport) {
+        segmentType = 'AIRPORT'
+        segmentColor = '#9333ea'
+      } else if (flagsFrom.hasProhibited && flagsTo.hasProhibited) {
+        segmentType = 'PROHIBITED'
+        segmentColor = '#dc2626'
+      } else if (flagsFrom.hasYellowZone && flagsTo.hasYellowZone) {
+        segmentType = 'YELLOW_ZONE'
+        segmentColor = '#eab308'
+      }
+
+      if (segmentType) {
+        dangerSegments.push({
+          fromWaypoint: wpFrom,
+          toWaypoint: wpTo,
+          segmentType,
+          segmentColor
+        })
+      }
+    }
+  }
+
+  return dangerSegments
+}
+
 function MainLayout() {
 
   // Hooks
@@ -150,6 +239,9 @@ function MainLayout() {
 
   // UI state
   const [drawMode, setDrawMode] = useState(false)
+  const [keepOutParentId, setKeepOutParentId] = useState(null) // parent polygon while drawing a keep-out area
+  const [splitTargetId, setSplitTargetId] = useState(null) // polygon being split while drawing a split line
+  const [drawType, setDrawType] = useState('polygon') // 'polygon' | 'line' (corridor centerline)
   const [activePanel, setActivePanel] = useState('polygons') // 'polygons' | 'waypoints'
   const [panelHeight, setPanelHeight] = useState(null) // null = auto
   // サイドバーセクションの開閉状態を localStorage に永続化
@@ -233,16 +325,25 @@ function MainLayout() {
   const [showImport, setShowImport] = useState(false)
   const [showExport, setShowExport] = useState(false)
   const [showGridSettings, setShowGridSettings] = useState(null) // polygon for grid generation
+  const [showOrbitSettings, setShowOrbitSettings] = useState(null) // { center, polygon } for orbit generation
+  const [showFacadeSettings, setShowFacadeSettings] = useState(null) // polygon for façade generation
+  const [showCorridorSettings, setShowCorridorSettings] = useState(null) // corridor polygon for corridor generation
+  const [actionEditorIds, setActionEditorIds] = useState(null) // waypoint ids for action editing
+  const [polygonToolsTarget, setPolygonToolsTarget] = useState(null) // polygon for geometry operations
   const [showHelp, setShowHelp] = useState(isFirstVisit())
   const [showApiSettings, setShowApiSettings] = useState(false)
   const [showChat, setShowChat] = useState(false)
   const [showFlightRequirements, setShowFlightRequirements] = useState(false)
+  const [legalHighlights, setLegalHighlights] = useState(null) // areas/legs triggering legal requirements (GeoJSON)
   const [showFlightPlanner, setShowFlightPlanner] = useState(false)
   const [showRouteOptimizer, setShowRouteOptimizer] = useState(false)
   const [showWeatherForecast, setShowWeatherForecast] = useState(false)
   const [showDroneDashboard, setShowDroneDashboard] = useState(false)
   const [selectedDashboardPoint, setSelectedDashboardPoint] = useState(null)
   const [optimizedRoute, setOptimizedRoute] = useState(null)
+  const [takeoffCandidates, setTakeoffCandidates] = useState([]) // recommended takeoff sites shown on map
+  const [homePoint, setHomePoint] = useState(null) // selected takeoff site
+  const [isRecommendingTakeoff, setIsRecommendingTakeoff] = useState(false)
   const [lastSearchResult, setLastSearchResult] = useState(null)
   
   // Custom Layers
@@ -266,8 +367,17 @@ function MainLayout() {
   const [didHighlightedWaypointIndices, setDidHighlightedWaypointIndices] = useState(() => new Set())
   // Per-waypoint issue flags (airport/prohibited/did) for marker highlighting (recommendedWaypointsと独立)
   const [waypointIssueFlagsById, setWaypointIssueFlagsById] = useState(() => ({}))
-  // Path collision results (intersection points and affected segments)
-  const [pathCollisionResult, setPathCollisionResult] = useState(null)
+  // Allowed max ASL altitude under airport restriction surfaces (per waypoint / polygon vertex)
+  // Kept with the waypoints/polygons it was computed for, so a stale result is never shown after an edit
+  const [airspaceCeilingCheck, setAirspaceCeilingCheck] = useState(null)
+  const airspaceCeilings = useMemo(
+    () => (airspaceCeilingCheck?.waypoints === waypoints && airspaceCeilingCheck?.polygons === polygons
+      ? airspaceCeilingCheck.result
+      : null),
+    [airspaceCeilingCheck, waypoints, polygons]
+  )
+  // Active compliance rule pack (follows imports / removals in API settings)
+  const activeRulePack = useActiveRulePack()
   // Polygon collision results (overlap areas)
   const [polygonCollisionResult, setPolygonCollisionResult] = useState(null)
 
@@ -308,6 +418,38 @@ function MainLayout() {
     preload()
   }, [waypoints])
 
+  // ============================================
+  // 制限表面による飛行可能高度（標高APIを使うため衝突検出とは別に、編集が落ち着いてから実行）
+  // 結果が出たら衝突検出が表面より下を飛ぶWaypointの空港判定を外して再判定する
+  // ============================================
+  useEffect(() => {
+    if (!waypoints || waypoints.length === 0) {
+      setAirspaceCeilingCheck(null)
+      return
+    }
+
+    const controller = new AbortController()
+    const computeCeilings = async () => {
+      try {
+        const result = await computeAirspaceCeilings([...waypoints].sort((a, b) => a.index - b.index), {
+          polygons,
+          signal: controller.signal
+        })
+        setAirspaceCeilingCheck({ waypoints, polygons, result })
+      } catch (error) {
+        if (!isAbortError(error)) {
+          console.warn('[AirspaceCeiling] 飛行可能高度の算出エラー:', error)
+        }
+      }
+    }
+
+    const timeoutId = setTimeout(computeCeilings, AIRSPACE_CEILING_DEBOUNCE_MS)
+    return () => {
+      clearTimeout(timeoutId)
+      controller.abort()
+    }
+  }, [waypoints, polygons])
+
   // ============================================
   // 自動衝突検出 (RBush空間インデックス + DID GeoJSON)
   // 初期ロード時・リロード時・waypoint変更時に常時実行
@@ -316,16 +458,17 @@ function MainLayout() {
     if (!waypoints || waypoints.length === 0) {
       setWaypointIssueFlagsById({})
       setDidHighlightedWaypointIndices(new Set())
-      setPathCollisionResult(null)
       return
     }
 
-    let cancelled = false
+    // 次の変更が来たら、Worker に残っている古い判定を中断する
+    const controller = new AbortController()
+    const { signal } = controller
 
     // 衝突検出を非同期で実行
     const checkCollisions = async () => {
       try {
-        // 1. 制限表面（kokuarea）による正確な空港判定を取得
+        // 1. 制限表面（kokuarea）による正確な空港判定を取得（表面の高さとの比較は表示時に飛行可能高度と重ねる）
         let restrictionSurfaceResults = null
         try {
           if (import.meta.env.DEV) {
@@ -342,12 +485,15 @@ function MainLayout() {
         }
 
         // キャンセルチェック（非同期処理後）
-        if (cancelled) return
+        if (signal.aborted) return
 
-        // 2. RBush空間インデックス + 制限表面による空港・禁止区域検出
-        const { results, byType } = restrictionSurfaceResults
-          ? getDetailedCollisionResultsWithRestrictionSurfaces(waypoints, { restrictionSurfaceResults })
-          : getDetailedCollisionResults(waypoints)
+        // 2. RBush空間インデックス + 制限表面による空港・禁止区域検出（Web Worker）
+        const { results, byType } = await collisionWorker.run('checkCollisions', {
+          waypoints,
+          restrictionSurfaceResults,
+          rulePack: activeRulePack
+        }, { signal })
+        if (signal.aborted) return
 
         const newFlags = {}
         const didSet = new Set()
@@ -355,14 +501,11 @@ function MainLayout() {
         for (const [waypointId, result] of results.entries()) {
           if (result.isColliding) {
             const wp = waypoints.find(w => w.id === waypointId)
-            // RBush空間インデックスにはDIDは含まれていないはず
-            // (airports + noFlyZones のみ)
-            const hasDID = false // RBushからはDID判定しない
-            const hasAirport = result.collisionType === 'AIRPORT' || result.collisionType === 'MILITARY'
-            const hasProhibited = result.collisionType === 'RED_ZONE'
-            const hasYellowZone = result.collisionType === 'YELLOW_ZONE'
-
-            newFlags[waypointId] = { hasDID, hasAirport, hasProhibited, hasYellowZone }
+            newFlags[waypointId] = toIssueFlags(result)
+            // 制限表面内の空港判定は、表面より下を飛ぶと分かれば表示時にこちらへ差し替える
+            if (result.belowSurfaceResult) {
+              newFlags[waypointId].belowSurfaceFlags = toIssueFlags(result.belowSurfaceResult)
+            }
 
             // デバッグ: 検出結果
             if (import.meta.env.DEV && wp) {
@@ -377,7 +520,8 @@ function MainLayout() {
             console.log(`[CollisionCheck] DIDチェック開始: ${waypoints.length}個のウェイポイント`)
           }
 
-          const didResult = await checkAllWaypointsDID(waypoints)
+          const didData = await getDIDDataForCoordinates(waypoints)
+          const didResult = await didWorker.run('checkDID', { waypoints, didData }, { signal })
 
           if (import.meta.env.DEV) {
             console.log(`[CollisionCheck] DIDチェック完了:`, {
@@ -392,7 +536,7 @@ function MainLayout() {
             })
           }
 
-          if (!cancelled && didResult?.hasDIDWaypoints) {
+          if (!signal.aborted && didResult?.hasDIDWaypoints) {
             for (const didWp of didResult.didWaypoints) {
               const wp = waypoints.find(w => w.id === didWp.waypointId)
               if (wp) {
@@ -411,104 +555,84 @@ function MainLayout() {
           }
         } catch (didError) {
           // DIDチェック失敗しても他の判定は続行
-          console.warn('[CollisionCheck] DIDチェックエラー（継続）:', didError)
-        }
-
-        if (cancelled) return
-
-        // 3. 危険セグメント検出（両端点が同一制限区域内のセグメント）
-        const dangerSegments = []
-
-        // ポリゴンごとにWaypointをグループ化
-        const waypointsByPolygon = new Map()
-        for (const wp of waypoints) {
-          const polygonId = wp.polygonId || wp.polygonName || 'default'
-          if (!waypointsByPolygon.has(polygonId)) {
-            waypointsByPolygon.set(polygonId, [])
+          if (!isAbortError(didError)) {
+            console.warn('[CollisionCheck] DIDチェックエラー（継続）:', didError)
           }
-          waypointsByPolygon.get(polygonId).push(wp)
         }
 
-        // 各ポリゴン内のセグメントをチェック
-        for (const [, polygonWaypoints] of waypointsByPolygon.entries()) {
-          if (polygonWaypoints.length < 2) continue
-
-          const sortedWaypoints = [...polygonWaypoints].sort((a, b) => a.index - b.index)
-
-          // ポリゴン由来のWaypointは閉じたループを形成するため、
-          // 最後のWP→最初のWPのセグメントも含める（modulo で巻き戻し）
-          const n = sortedWaypoints.length
-          for (let i = 0; i < n; i++) {
-            const wpFrom = sortedWaypoints[i]
-            const wpTo = sortedWaypoints[(i + 1) % n]
-            const flagsFrom = newFlags[wpFrom.id] || {}
-            const flagsTo = newFlags[wpTo.id] || {}
-
-            let segmentType = null
-            let segmentColor = null
-
-            if (flagsFrom.hasDID && flagsTo.hasDID) {
-              segmentType = 'DID'
-              segmentColor = '#dc2626'
-            } else if (flagsFrom.hasAirport && flagsTo.hasAirport) {
-              segmentType = 'AIRPORT'
-              segmentColor = '#9333ea'
-            } else if (flagsFrom.hasProhibited && flagsTo.hasProhibited) {
-              segmentType = 'PROHIBITED'
-              segmentColor = '#dc2626'
-            } else if (flagsFrom.hasYellowZone && flagsTo.hasYellowZone) {
-              segmentType = 'YELLOW_ZONE'
-              segmentColor = '#eab308'
-            }
-
-            if (segmentType) {
-              dangerSegments.push({
-                fromWaypoint: wpFrom,
-                toWaypoint: wpTo,
-                segmentType,
-                segmentColor
-              })
-            }
-          }
-        }
+        if (signal.aborted) return
 
         setWaypointIssueFlagsById(newFlags)
         setDidHighlightedWaypointIndices(didSet)
-        setPathCollisionResult(dangerSegments.length > 0 ? {
-          isColliding: true,
-          dangerSegments,
-          intersectionPoints: [],
-          affectedSegments: []
-        } : null)
-
-        if (import.meta.env.DEV && (Object.keys(byType).length > 0 || didSet.size > 0 || dangerSegments.length > 0)) {
+
+        if (import.meta.env.DEV && (Object.keys(byType).length > 0 || didSet.size > 0)) {
           console.log('[CollisionCheck] 自動検出結果:', {
             rbush: byType,
-            did: didSet.size > 0 ? `${didSet.size}件` : 'なし',
-            dangerSegments: dangerSegments.length > 0 ? `${dangerSegments.length}セグメント` : 'なし'
+            did: didSet.size > 0 ? `${didSet.size}件` : 'なし'
           })
         }
       } catch (error) {
-        console.warn('[CollisionCheck] 衝突検出エラー:', error)
+        if (!isAbortError(error)) {
+          console.warn('[CollisionCheck] 衝突検出エラー:', error)
+        }
       }
     }
 
     // 即座に実行（debounce短縮: 100ms）
     const timeoutId = setTimeout(checkCollisions, 100)
     return () => {
-      cancelled = true
       clearTimeout(timeoutId)
+      controller.abort()
+    }
+  }, [waypoints, activeRulePack]) // waypointsに依存（didDataReady削除で初期ロード時も実行、ルールパックの取り込み・削除でも再判定）
+
+  // 飛行可能高度（制限表面の高さ）は衝突検出とは別に算出されるため、表示時に判定へ重ねる:
+  // 表面より下を飛ぶWaypointは空港の判定を外し、表面を超える区間を危険セグメントに加える
+  const displayedIssueFlags = useMemo(() => {
+    if (!airspaceCeilings) return waypointIssueFlagsById
+    const flags = { ...waypointIssueFlagsById }
+    for (const [waypointId, ceiling] of airspaceCeilings.waypoints.entries()) {
+      const current = flags[waypointId]
+      if (!current?.belowSurfaceFlags || ceiling.margin === null || ceiling.margin < 0) continue
+      flags[waypointId] = { ...current.belowSurfaceFlags, hasDID: current.hasDID }
+    }
+    return flags
+  }, [waypointIssueFlagsById, airspaceCeilings])
+
+  const pathCollisionResult = useMemo(() => {
+    const dangerSegments = buildDangerSegments(waypoints, displayedIssueFlags)
+
+    // 制限表面を超える高さで飛ぶ区間（高さの超過量を表示）
+    for (const leg of airspaceCeilings?.legs || []) {
+      if (!leg.violates) continue
+      dangerSegments.push({
+        fromWaypoint: leg.from,
+        toWaypoint: leg.to,
+        segmentType: 'AIRSPACE_CEILING',
+        segmentColor: '#9333ea',
+        heightMargin: leg.margin,
+        label: `${leg.surfaceLabel} ${formatCeilingMargin(leg.margin)}`
+      })
     }
-  }, [waypoints]) // waypointsのみに依存（didDataReady削除で初期ロード時も実行）
+
+    return dangerSegments.length > 0 ? {
+      isColliding: true,
+      dangerSegments,
+      intersectionPoints: [],
+      affectedSegments: []
+    } : null
+  }, [waypoints, displayedIssueFlags, airspaceCeilings])
 
   // DIDデータ準備完了時に再チェック
   useEffect(() => {
     if (didDataReady && waypoints && waypoints.length > 0) {
       // waypointsを強制的に更新して再チェックをトリガー
       // （既にuseEffectが走っているので、ここでは追加のDIDチェックのみ）
+      const controller = new AbortController()
       const recheckDID = async () => {
         try {
-          const didResult = await checkAllWaypointsDID(waypoints)
+          const didData = await getDIDDataForCoordinates(waypoints)
+          const didResult = await didRecheckWorker.run('checkDID', { waypoints, didData }, { signal: controller.signal })
           if (didResult?.hasDIDWaypoints) {
             setWaypointIssueFlagsById(prev => {
               const updated = { ...prev }
@@ -533,25 +657,31 @@ function MainLayout() {
             }
           }
         } catch (error) {
-          console.warn('[CollisionCheck] DID再チェックエラー:', error)
+          if (!isAbortError(error)) {
+            console.warn('[CollisionCheck] DID再チェックエラー:', error)
+          }
         }
       }
       recheckDID()
+      return () => controller.abort()
     }
   }, [didDataReady, waypoints])
 
+  // Flight areas only: keep-out areas are holes of their parent polygon, not areas to fly or assess
+  const flightPolygons = useMemo(() => polygons.filter(p => !isKeepOutPolygon(p)), [polygons])
+
   // ============================================
   // ポリゴン衝突検出
   // ============================================
   useEffect(() => {
-    if (!polygons || polygons.length === 0) {
+    if (flightPolygons.length === 0) {
       setPolygonCollisionResult(null)
       return
     }
 
     // debounce: 500ms待ってから実行
     const timeoutId = setTimeout(() => {
-      const result = checkAllPolygonsCollision(polygons)
+      const result = checkAllPolygonsCollision(flightPolygons)
       setPolygonCollisionResult(result.hasCollisions ? result : null)
 
       if (import.meta.env.DEV && result.hasCollisions) {
@@ -563,11 +693,14 @@ function MainLayout() {
     }, 500)
 
     return () => clearTimeout(timeoutId)
-  }, [polygons])
+  }, [flightPolygons])
 
   // Compute per-polygon conflict info (own vs external overlap)
   const polygonConflicts = useMemo(() => computePolygonConflicts(polygons), [polygons])
 
+  // Keep-out areas keep the same identity until polygons change, so RouteOptimizer does not rebuild its callbacks every render
+  const keepOutAreas = useMemo(() => getKeepOutAreas(polygons), [polygons])
+
   // Toggle sidebar collapsed state
   const toggleSidebar = useCallback(() => {
     setSidebarCollapsed(prev => {
@@ -670,13 +803,115 @@ function MainLayout() {
     }
   }, [waypoints, setWaypoints, showNotification])
 
+  // Terrain following: constant AGL with intermediate waypoints over uneven ground
+  const handleTerrainFollow = useCallback(async () => {
+    if (waypoints.length === 0) return
+
+    setIsLoadingElevation(true)
+
+    try {
+      const { agl, tolerance } = getTerrainFollowSettings()
+      // Drop previously inserted terrain waypoints so re-running does not accumulate them
+      const baseWaypoints = waypoints.filter(w => w.type !== 'terrain')
+      const result = await applyTerrainFollowing(baseWaypoints, {
+        agl,
+        tolerance,
+        onProgress: (current, total) => setElevationProgress({ current, total })
+      })
+      setWaypoints(reindexWaypoints(result, { mode: getWaypointNumberingMode() }))
+      const inserted = result.length - baseWaypoints.length
+      const missing = result.filter(w => w.elevationMissing).length
+      if (missing > 0) {
+        showNotification(`地形追従を設定しました（対地${agl}m、中間Waypoint ${inserted}点を追加）。標高を取得できなかった${missing}点は高度を変更していません`, 'warning')
+      } else {
+        showNotification(`地形追従を設定しました（対地${agl}m、中間Waypoint ${inserted}点を追加）`)
+      }
+    } catch (error) {
+      console.error('Terrain following error:', error)
+      showNotification('地形追従の設定に失敗しました', 'error')
+    } finally {
+      setIsLoadingElevation(false)
+      setElevationProgress(null)
+    }
+  }, [waypoints, setWaypoints, showNotification])
+
   // Handle polygon create
   const handlePolygonCreate = useCallback((polygon) => {
-    setPolygons(prev => [...prev, polygon])
     setDrawMode(false)
-    showNotification('ポリゴンを作成しました')
+
+    // Split line drawn for a polygon (the line arrives as a corridor centerline)
+    const splitTarget = splitTargetId && polygon.centerline
+      ? polygons.find(p => p.id === splitTargetId)
+      : null
+    setSplitTargetId(null)
+    if (splitTarget) {
+      const pieces = splitPolygonByLine(splitTarget, polygon.centerline)
+      if (pieces.length === 0) {
+        showNotification('分割線がポリゴンを横切っていません', 'error')
+        return
+      }
+      setPolygons(prev => [...prev, ...pieces])
+      showNotification(`「${splitTarget.name}」を${pieces.length}個に分割しました`)
+      return
+    }
+
+    // Keep-out area drawn for a parent polygon
+    const parent = keepOutParentId && !polygon.centerline
+      ? polygons.find(p => p.id === keepOutParentId)
+      : null
+    setKeepOutParentId(null)
+    if (parent) {
+      const count = getKeepOutAreas(polygons, parent.id).length + 1
+      setPolygons(prev => [...prev, {
+        ...polygon,
+        name: `${parent.name} 除外${count}`,
+        color: '#E74C3C',
+        keepOutOf: parent.id,
+        keepOutBuffer: 0
+      }])
+      showNotification(`「${parent.name}」に除外エリアを追加しました`)
+      return
+    }
+
+    setPolygons(prev => [...prev, polygon])
+    showNotification(polygon.centerline ? '回廊を作成しました' : 'ポリゴンを作成しました')
+  }, [keepOutParentId, splitTargetId, polygons, setPolygons, showNotification])
+
+  // Start drawing a keep-out area inside a polygon
+  const handleAddKeepOut = useCallback((polygon) => {
+    setEditingPolygon(null)
+    setDrawType('polygon')
+    setDrawMode(true)
+    setKeepOutParentId(polygon.id)
+    showNotification(`「${polygon.name}」内の除外エリアを描画してください`)
+  }, [showNotification])
+
+  // Polygon toolbox results are added in one update so a single undo removes them
+  const handlePolygonToolsConfirm = useCallback((results) => {
+    setPolygonToolsTarget(null)
+    if (results.length === 0) return
+    setPolygons(prev => [...prev, ...results])
+    showNotification(`「${results[0].name}」を作成しました`)
   }, [setPolygons, showNotification])
 
+  // Start drawing a split line across a polygon
+  const handlePolygonSplitRequest = useCallback((polygon) => {
+    setPolygonToolsTarget(null)
+    setEditingPolygon(null)
+    setKeepOutParentId(null)
+    setDrawType('line')
+    setDrawMode(true)
+    setSplitTargetId(polygon.id)
+    showNotification(`「${polygon.name}」を横切る分割線を描画してください`)
+  }, [showNotification])
+
+  // Update keep-out buffer (meters)
+  const handleKeepOutBufferChange = useCallback((id, buffer) => {
+    setPolygons(prev => prev.map(p =>
+      p.id === id ? { ...p, keepOutBuffer: Math.max(0, buffer) } : p
+    ))
+  }, [setPolygons])
+
   // Handle polygon update
   const handlePolygonUpdate = useCallback((feature) => {
     setPolygons(prev => prev.map(p =>
@@ -686,7 +921,8 @@ function MainLayout() {
 
   // Handle polygon delete
   const handlePolygonDelete = useCallback((id) => {
-    setPolygons(prev => prev.filter(p => p.id !== id))
+    // Keep-out areas are deleted together with their parent
+    setPolygons(prev => prev.filter(p => p.id !== id && p.keepOutOf !== id))
     setWaypoints(prev => reindexWaypoints(prev.filter(w => w.polygonId !== id), { mode: getWaypointNumberingMode() }))
     if (selectedPolygonId === id) {
       setSelectedPolygonId(null)
@@ -872,9 +1108,15 @@ function MainLayout() {
   const handlePolygonEditComplete = useCallback((updatedFeature) => {
     // Update polygon geometry
     setPolygons(prev => {
-      const updated = prev.map(p =>
-        p.id === updatedFeature.id ? { ...p, geometry: updatedFeature.geometry } : p
-      )
+      const updated = prev.map(p => {
+        if (p.id !== updatedFeature.id) return p
+        // Corridors are edited via their centerline; rebuild the buffered area
+        if (p.centerline && updatedFeature.geometry.type === 'LineString') {
+          const geometry = createCorridorPolygon(updatedFeature.geometry, p.corridorWidth) || p.geometry
+          return { ...p, centerline: updatedFeature.geometry, geometry }
+        }
+        return { ...p, geometry: updatedFeature.geometry }
+      })
 
       // Find the updated polygon
       const polygon = updated.find(p => p.id === updatedFeature.id)
@@ -895,14 +1137,29 @@ function MainLayout() {
           const waypointCount = existingWaypoints.length
 
           let newWaypoints = []
-          const updatedPolygon = { ...polygon, geometry: updatedFeature.geometry }
+          const updatedPolygon = polygon
 
           if (waypointType === 'perimeter') {
             // Regenerate perimeter waypoints with same count
-            newWaypoints = generatePerimeterWaypoints(updatedPolygon, waypointCount)
-          } else if (waypointType === 'grid') {
-            // For grid, just regenerate vertices (grid needs manual regeneration)
+            newWaypoints = generatePerimeterWaypoints(subtractKeepOutAreas(updatedPolygon, updated), waypointCount)
+          } else if (waypointType === 'grid' || waypointType === 'survey' || waypointType === 'facade') {
+            // For grid/survey/facade, just regenerate vertices (needs manual regeneration)
             newWaypoints = polygonToWaypoints(updatedPolygon)
+          } else if (waypointType === 'corridor') {
+            // Keep the pass count along the edited centerline
+            const passes = Math.max(...existingWaypoints.map(wp => wp.corridorPass || 1))
+            newWaypoints = generateCorridorWaypoints(updatedPolygon, { passes })
+          } else if (waypointType === 'orbit') {
+            // Keep the orbit rings, shifted to follow the new centroid
+            const newCenter = getPolygonCenter(updatedPolygon)
+            newWaypoints = newCenter
+              ? existingWaypoints.map(wp => ({
+                  ...wp,
+                  lat: wp.lat + newCenter.lat - (wp.poi?.lat ?? newCenter.lat),
+                  lng: wp.lng + newCenter.lng - (wp.poi?.lng ?? newCenter.lng),
+                  poi: newCenter
+                }))
+              : existingWaypoints
           } else {
             // Default: vertex waypoints
             newWaypoints = polygonToWaypoints(updatedPolygon)
@@ -945,7 +1202,10 @@ function MainLayout() {
 
   // Generate waypoints from single polygon
   const handleGenerateWaypoints = useCallback(async (polygon, options = {}) => {
-    const { includeGrid = false } = options
+    const { includeGrid = false, orbit = false, facade = false, corridor = false } = options
+
+    // Keep-out areas only shape their parent's waypoints
+    if (isKeepOutPolygon(polygon)) return
 
     // If grid is requested, show settings dialog
     if (includeGrid) {
@@ -953,6 +1213,27 @@ function MainLayout() {
       return
     }
 
+    // Parallel passes along a corridor centerline
+    if (corridor && polygon.centerline) {
+      setShowCorridorSettings(polygon)
+      return
+    }
+
+    // Vertical columns along the polygon walls (building, dam)
+    if (facade) {
+      setShowFacadeSettings(polygon)
+      return
+    }
+
+    // Orbit around the polygon centroid (tower, chimney, etc.)
+    if (orbit) {
+      const center = getPolygonCenter(polygon)
+      if (center) {
+        setShowOrbitSettings({ center, polygon })
+      }
+      return
+    }
+
     // Check if there are existing vertex waypoints for this polygon
     const existingVertexWaypoints = waypoints.filter(
       w => w.polygonId === polygon.id && w.type === 'vertex'
@@ -989,7 +1270,9 @@ function MainLayout() {
     const polygon = showGridSettings
     if (!polygon) return
 
-    const { spacing, includeVertices } = settings
+    const { pattern = 'grid', spacing, heading, photoPlan, includeVertices } = settings
+    // Grid points and survey lines skip keep-out areas (with their buffer)
+    const coverage = subtractKeepOutAreas(polygon, polygons)
 
     let newWaypoints = []
 
@@ -999,8 +1282,10 @@ function MainLayout() {
       newWaypoints.push(...vertexWaypoints)
     }
 
-    // Add grid waypoints
-    const gridWaypoints = generateGridWaypoints(polygon, spacing)
+    // Add grid waypoints (point cloud) or survey lines (serpentine order)
+    const gridWaypoints = pattern === 'survey'
+      ? generateSurveyWaypoints(coverage, { spacing, heading: heading ?? 'auto', photoPlan })
+      : generateGridWaypoints(coverage, spacing, { photoPlan })
     newWaypoints.push(...gridWaypoints)
 
     // Remove existing waypoints for this polygon and reindex all
@@ -1023,14 +1308,74 @@ function MainLayout() {
         }
       )
     } else {
-      showNotification(`${newWaypoints.length} Waypointを生成しました（${spacing}m間隔）`)
+      showNotification(`${newWaypoints.length} Waypointを生成しました（${Math.round(spacing)}m間隔）`)
     }
-  }, [showGridSettings, setWaypoints, showNotification])
+  }, [showGridSettings, polygons, setWaypoints, showNotification])
+
+  // Open orbit settings from the map context menu (arbitrary point or polygon centroid)
+  const handleOrbitRequest = useCallback((center, polygon = null) => {
+    setShowOrbitSettings({ center, polygon })
+  }, [])
+
+  // Handle orbit settings confirm
+  const handleOrbitSettingsConfirm = useCallback((settings) => {
+    const { center, polygon, ...orbitOptions } = settings
+    const newWaypoints = generateOrbitWaypoints(center, { ...orbitOptions, polygon })
+
+    // Polygon-based orbits replace that polygon's waypoints; POI-only orbits are appended
+    setWaypoints(prev => reindexWaypoints([
+      ...(polygon ? prev.filter(w => w.polygonId !== polygon.id) : prev),
+      ...newWaypoints
+    ], { mode: getWaypointNumberingMode() }))
+
+    setShowOrbitSettings(null)
+    setActivePanel('waypoints')
+    showNotification(`${newWaypoints.length} 周回Waypointを生成しました`)
+  }, [setWaypoints, showNotification])
+
+  // Handle façade settings confirm
+  const handleFacadeSettingsConfirm = useCallback((settings) => {
+    const polygon = showFacadeSettings
+    if (!polygon) return
+
+    const newWaypoints = generateFacadeWaypoints(polygon, settings)
+
+    // Remove existing waypoints for this polygon and reindex all
+    setWaypoints(prev => reindexWaypoints([
+      ...prev.filter(w => w.polygonId !== polygon.id),
+      ...newWaypoints
+    ], { mode: getWaypointNumberingMode() }))
+
+    setShowFacadeSettings(null)
+    setActivePanel('waypoints')
+    showNotification(`${newWaypoints.length} 壁面点検Waypointを生成しました`)
+  }, [showFacadeSettings, setWaypoints, showNotification])
+
+  // Handle corridor settings confirm
+  const handleCorridorSettingsConfirm = useCallback(({ width, passes }) => {
+    const source = showCorridorSettings
+    if (!source) return
+
+    // Re-buffer the corridor area so compliance checks match the new width
+    const geometry = createCorridorPolygon(source.centerline, width) || source.geometry
+    const polygon = { ...source, geometry, corridorWidth: width }
+    setPolygons(prev => prev.map(p => p.id === polygon.id ? polygon : p))
+
+    const newWaypoints = generateCorridorWaypoints(polygon, { width, passes })
+    setWaypoints(prev => reindexWaypoints([
+      ...prev.filter(w => w.polygonId !== polygon.id),
+      ...newWaypoints
+    ], { mode: getWaypointNumberingMode() }))
+
+    setShowCorridorSettings(null)
+    setActivePanel('waypoints')
+    showNotification(`${newWaypoints.length} 回廊Waypointを生成しました（${passes}パス）`)
+  }, [showCorridorSettings, setPolygons, setWaypoints, showNotification])
 
   // Generate waypoints from all polygons
   const handleGenerateAllWaypoints = useCallback(() => {
-    if (polygons.length === 0) return
-    const newWaypoints = generateAllWaypoints(polygons)
+    if (flightPolygons.length === 0) return
+    const newWaypoints = generateAllWaypoints(flightPolygons)
     setWaypoints(newWaypoints)
     setActivePanel('waypoints')
 
@@ -1047,7 +1392,7 @@ function MainLayout() {
     } else {
       showNotification(`${newWaypoints.length} Waypointを生成しました`)
     }
-  }, [polygons, setWaypoints, showNotification])
+  }, [flightPolygons, setWaypoints, showNotification])
 
   // Handle route optimization result
   const handleApplyOptimizedRoute = useCallback((result) => {
@@ -1075,6 +1420,35 @@ function MainLayout() {
     showNotification('ホームポイントを移動しました')
   }, [optimizedRoute, showNotification])
 
+  // Recommend takeoff sites around the waypoints and show them on the map
+  const handleRecommendTakeoff = useCallback(async () => {
+    if (waypoints.length === 0) return
+    setIsRecommendingTakeoff(true)
+
+    try {
+      const sites = await recommendTakeoffSites(waypoints, { keepOutAreas })
+      setTakeoffCandidates(sites)
+      if (sites.length === 0) {
+        showNotification('離発着に適した候補が見つかりませんでした', 'warning')
+      } else {
+        const unchecked = sites.some(site => !site.metrics.surfaceChecked)
+        showNotification(`離発着地点の候補を${sites.length}件表示しました。${unchecked ? '一部の候補は建物・水面を確認できませんでした。' : ''}地図上の候補をクリックして選択してください（水面の中央は判定できないため現地で確認）`)
+      }
+    } catch (error) {
+      console.error('Takeoff site recommendation error:', error)
+      showNotification('離発着地点の推薦に失敗しました', 'error')
+    } finally {
+      setIsRecommendingTakeoff(false)
+    }
+  }, [waypoints, keepOutAreas, showNotification])
+
+  // Select a recommended takeoff site as home point
+  const handleTakeoffCandidateSelect = useCallback((candidate) => {
+    setHomePoint({ lat: candidate.lat, lng: candidate.lng })
+    setTakeoffCandidates([])
+    showNotification(`候補${candidate.rank}を離発着地点に設定しました`)
+  }, [showNotification])
+
   // Handle waypoint select from sidebar - start editing parent polygon
   const handleWaypointSelect = useCallback((waypoint) => {
     // Focus on waypoint location
@@ -1132,13 +1506,25 @@ function MainLayout() {
     setWaypoints(updatedWaypoints)
 
     // Skip polygon update for manual or grid waypoints
-    if (!waypoint || !waypoint.polygonId || waypoint.type === 'manual' || waypoint.type === 'grid') {
+    if (!waypoint || !waypoint.polygonId || waypoint.type === 'manual' || waypoint.type === 'grid' || waypoint.type === 'survey' || waypoint.type === 'orbit' || waypoint.type === 'facade' || waypoint.type === 'corridor') {
+      return
+    }
+
+    // Polygons with holes or several parts: move only the matching vertex
+    const sourcePolygon = polygons.find(p => p.id === waypoint.polygonId)
+    if (getPolygonParts(sourcePolygon).flat().length > 1) {
+      if (waypoint.type !== 'vertex') return
+      setPolygons(prev => prev.map(p => (
+        p.id === waypoint.polygonId
+          ? { ...p, geometry: moveGeometryVertex(p.geometry, waypoint, [newLng, newLat]) }
+          : p
+      )))
       return
     }
 
     // Get all waypoints for this polygon (excluding grid and manual)
     const polygonWaypoints = updatedWaypoints
-      .filter(w => w.polygonId === waypoint.polygonId && w.type !== 'grid' && w.type !== 'manual')
+      .filter(w => w.polygonId === waypoint.polygonId && w.type !== 'grid' && w.type !== 'survey' && w.type !== 'orbit' && w.type !== 'facade' && w.type !== 'corridor' && w.type !== 'manual')
       .sort((a, b) => a.index - b.index)
 
     if (polygonWaypoints.length < 3) return
@@ -1159,7 +1545,7 @@ function MainLayout() {
         }
       }
     }))
-  }, [waypoints, setWaypoints, setPolygons])
+  }, [waypoints, polygons, setWaypoints, setPolygons])
 
   // Handle waypoint update (edit name, coords, etc.)
   const handleWaypointUpdate = useCallback((id, updateData) => {
@@ -1183,11 +1569,34 @@ function MainLayout() {
     showNotification('すべてのWaypointを削除しました')
   }, [setWaypoints, showNotification])
 
+  // Apply per-waypoint actions (single waypoint or bulk selection)
+  const handleWaypointActionsApply = useCallback((ids, actions, mode = 'replace') => {
+    setWaypoints(prev => applyActionsToWaypoints(prev, ids, actions, mode))
+    showNotification(
+      ids.length > 1
+        ? `${ids.length} Waypointにアクションを設定しました`
+        : 'アクションを設定しました'
+    )
+  }, [setWaypoints, showNotification])
+
+  const handleActionEditorConfirm = useCallback((actions, mode) => {
+    if (actionEditorIds) {
+      handleWaypointActionsApply(actionEditorIds, actions, mode)
+    }
+    setActionEditorIds(null)
+  }, [actionEditorIds, handleWaypointActionsApply])
+
   // Handle file import
-  const handleImport = useCallback((importedPolygons) => {
+  const handleImport = useCallback((importedPolygons, importedWaypoints = []) => {
     setPolygons(prev => [...prev, ...importedPolygons])
+    if (importedWaypoints.length > 0) {
+      // バックアップからの復元: アクション付きWaypointも取り込む
+      setWaypoints(prev => reindexWaypoints([...prev, ...importedWaypoints], { mode: getWaypointNumberingMode() }))
+      showNotification(`${importedPolygons.length} ポリゴン、${importedWaypoints.length} Waypointをインポートしました`)
+      return
+    }
     showNotification(`${importedPolygons.length} ポリゴンをインポートしました`)
-  }, [setPolygons, showNotification])
+  }, [setPolygons, setWaypoints, showNotification])
 
   // Handle loading example data
   const handleLoadExampleData = useCallback(() => {
@@ -1323,12 +1732,30 @@ function MainLayout() {
               編集完了
             </button>
           ) : (
-            <button
-              className={`mode-toggle ${drawMode ? 'active' : ''}`}
-              onClick={() => setDrawMode(!drawMode)}
-            >
-              {drawMode ? '描画中' : '描画モード'}
-            </button>
+            <>
+              <button
+                className={`mode-toggle ${drawMode && drawType === 'polygon' ? 'active' : ''}`}
+                onClick={() => {
+                  setDrawType('polygon')
+                  setDrawMode(!(drawMode && drawType === 'polygon'))
+                  setKeepOutParentId(null)
+                  setSplitTargetId(null)
+                }}
+              >
+                {drawMode && drawType === 'polygon' ? '描画中' : '描画モード'}
+              </button>
+              <button
+                className={`mode-toggle ${drawMode && drawType === 'line' ? 'active' : ''}`}
+                onClick={() => {
+                  setDrawType('line')
+                  setDrawMode(!(drawMode && drawType === 'line'))
+                  setKeepOutParentId(null)
+                  setSplitTargetId(null)
+                }}
+              >
+                {drawMode && drawType === 'line' ? '回廊描画中' : '回廊描画'}
+              </button>
+            </>
           )}
           <button
             className="action-button"
@@ -1649,6 +2076,9 @@ function MainLayout() {
                     onToggleWaypointLink={handleToggleWaypointLink}
                     onGenerateWaypoints={handleGenerateWaypoints}
                     onGenerateAllWaypoints={handleGenerateAllWaypoints}
+                    onAddKeepOut={handleAddKeepOut}
+                    onOpenPolygonTools={setPolygonToolsTarget}
+                    onKeepOutBufferChange={handleKeepOutBufferChange}
                     onLoadExampleData={handleLoadExampleData}
                     onResetAll={handleResetAll}
                     polygonConflicts={polygonConflicts}
@@ -1661,9 +2091,14 @@ function MainLayout() {
                     onUpdate={handleWaypointUpdate}
                     onClear={handleWaypointClear}
                     onFetchElevation={handleFetchElevation}
+                    onTerrainFollow={handleTerrainFollow}
+                    onEditActions={setActionEditorIds}
                     isLoadingElevation={isLoadingElevation}
                     elevationProgress={elevationProgress}
+                    airspaceCeilings={airspaceCeilings}
                     onOpenRouteOptimizer={() => setShowRouteOptimizer(true)}
+                    onRecommendTakeoff={handleRecommendTakeoff}
+                    isRecommendingTakeoff={isRecommendingTakeoff}
                   />
                 )}
               </div>
@@ -1682,12 +2117,18 @@ function MainLayout() {
             visibleCustomLayerIds={visibleCustomLayerIds}
             recommendedWaypoints={recommendedWaypoints}
             didHighlightedWaypointIndices={didHighlightedWaypointIndices}
-            waypointIssueFlagsById={waypointIssueFlagsById}
+            waypointIssueFlagsById={displayedIssueFlags}
             pathCollisionResult={pathCollisionResult}
+            airspaceCeilings={airspaceCeilings}
             polygonCollisionResult={polygonCollisionResult}
+            legalHighlights={showFlightRequirements ? legalHighlights : null}
             highlightedWaypointIndex={highlightedWaypointIndex}
             optimizedRoute={optimizedRoute}
             onHomePointMove={handleHomePointMove}
+            takeoffCandidates={takeoffCandidates}
+            onTakeoffCandidateSelect={handleTakeoffCandidateSelect}
+            homePoint={homePoint}
+            onHomePointChange={setHomePoint}
             isMobile={isMobile}
             isChatOpen={showChat}
             onPolygonCreate={handlePolygonCreate}
@@ -1702,12 +2143,16 @@ function MainLayout() {
             onWaypointDelete={handleWaypointDelete}
             onWaypointMove={handleWaypointMove}
             onWaypointsBulkDelete={handleWaypointsBulkDelete}
+            onOrbitRequest={handleOrbitRequest}
+            onWaypointActionsApply={handleWaypointActionsApply}
+            onEditWaypointActions={setActionEditorIds}
             onCustomLayerAdded={handleCustomLayerAdded}
             onCustomLayerRemoved={handleCustomLayerRemoved}
             onCustomLayerToggle={handleCustomLayerToggle}
             selectedPolygonId={selectedPolygonId}
             editingPolygon={editingPolygon}
             drawMode={drawMode}
+            drawType={drawType}
             showDIDTooltip={showDIDTooltip}
             onShowDIDTooltipChange={setShowDIDTooltip}
             didTooltipAutoFade={didTooltipAutoFade}
@@ -1717,7 +2162,13 @@ function MainLayout() {
           {/* Draw mode hint */}
           {drawMode && (
             <div className="draw-hint">
-              地図をクリックしてポリゴンを描画
+              {splitTargetId
+                ? '地図をクリックして分割線を描画'
+                : drawType === 'line'
+                ? '地図をクリックして回廊の中心線を描画'
+                : keepOutParentId
+                ? '地図をクリックして除外エリアを描画'
+                : '地図をクリックしてポリゴンを描画'}
               <br />
               最後の点をダブルクリックで完了
             </div>
@@ -1817,6 +2268,7 @@ function MainLayout() {
             <ExportPanel
               waypoints={waypoints}
               polygons={polygons}
+              airspaceCeilings={airspaceCeilings}
               onClose={() => setShowExport(false)}
             />
           </div>
@@ -1828,7 +2280,7 @@ function MainLayout() {
         <div className="modal-overlay" onClick={() => setShowGridSettings(null)}>
           <div onClick={e => e.stopPropagation()}>
             <GridSettingsDialog
-              polygon={showGridSettings}
+              polygon={subtractKeepOutAreas(showGridSettings, polygons)}
               onConfirm={handleGridSettingsConfirm}
               onCancel={() => setShowGridSettings(null)}
             />
@@ -1836,6 +2288,73 @@ function MainLayout() {
         </div>
       )}
 
+      {/* Orbit Settings Modal */}
+      {showOrbitSettings && (
+        <div className="modal-overlay" onClick={() => setShowOrbitSettings(null)}>
+          <div onClick={e => e.stopPropagation()}>
+            <OrbitSettingsDialog
+              target={showOrbitSettings}
+              onConfirm={handleOrbitSettingsConfirm}
+              onCancel={() => setShowOrbitSettings(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Facade Settings Modal */}
+      {showFacadeSettings && (
+        <div className="modal-overlay" onClick={() => setShowFacadeSettings(null)}>
+          <div onClick={e => e.stopPropagation()}>
+            <FacadeSettingsDialog
+              polygon={showFacadeSettings}
+              onConfirm={handleFacadeSettingsConfirm}
+              onCancel={() => setShowFacadeSettings(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Corridor Settings Modal */}
+      {showCorridorSettings && (
+        <div className="modal-overlay" onClick={() => setShowCorridorSettings(null)}>
+          <div onClick={e => e.stopPropagation()}>
+            <CorridorSettingsDialog
+              polygon={showCorridorSettings}
+              onConfirm={handleCorridorSettingsConfirm}
+              onCancel={() => setShowCorridorSettings(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Polygon Tools Modal */}
+      {polygonToolsTarget && (
+        <div className="modal-overlay" onClick={() => setPolygonToolsTarget(null)}>
+          <div onClick={e => e.stopPropagation()}>
+            <PolygonToolsDialog
+              polygon={polygonToolsTarget}
+              polygons={flightPolygons}
+              onConfirm={handlePolygonToolsConfirm}
+              onSplitRequest={handlePolygonSplitRequest}
+              onCancel={() => setPolygonToolsTarget(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Waypoint Action Editor Modal */}
+      {actionEditorIds && (
+        <div className="modal-overlay" onClick={() => setActionEditorIds(null)}>
+          <div onClick={e => e.stopPropagation()}>
+            <WaypointActionEditor
+              targets={waypoints.filter(w => actionEditorIds.includes(w.id))}
+              onConfirm={handleActionEditorConfirm}
+              onCancel={() => setActionEditorIds(null)}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Help Modal */}
       {showHelp && (
         <div className="modal-overlay" onClick={() => setShowHelp(false)}>
@@ -1856,11 +2375,17 @@ function MainLayout() {
 
       {/* Flight Requirements Panel (法的要件サマリー) */}
       <FlightRequirements
-        polygon={selectedPolygonId ? polygons.find(p => p.id === selectedPolygonId) : (polygons.length > 0 ? polygons[0] : null)}
+        polygon={(selectedPolygonId && flightPolygons.find(p => p.id === selectedPolygonId)) || flightPolygons[0] || null}
+        polygons={flightPolygons}
+        waypoints={waypoints}
+        onAssessmentChange={setLegalHighlights}
         altitude={50}
         searchResult={lastSearchResult}
         isOpen={showFlightRequirements}
-        onClose={() => setShowFlightRequirements(false)}
+        onClose={() => {
+          setShowFlightRequirements(false)
+          setLegalHighlights(null)
+        }}
         sidebarCollapsed={sidebarCollapsed}
       />
 
@@ -1901,6 +2426,8 @@ function MainLayout() {
         isOpen={showRouteOptimizer}
         onClose={() => setShowRouteOptimizer(false)}
         waypoints={waypoints}
+        keepOutAreas={keepOutAreas}
+        homePoint={homePoint}
         onApplyRoute={handleApplyOptimizedRoute}
       />
 
@@ -3,6 +3,9 @@ import { useMap } from 'react-map-gl/maplibre'
 import MapboxDraw from '@mapbox/mapbox-gl-draw'
 import '@mapbox/mapbox-gl-draw/dist/mapbox-gl-draw.css'
 
+// Corridor areas are edited through their centerline
+const getEditableGeometry = (polygon) => polygon.centerline || polygon.geometry
+
 const DrawControl = forwardRef(({
   position = 'top-left',
   onCreate,
@@ -10,6 +13,7 @@ const DrawControl = forwardRef(({
   onDelete,
   onEditComplete,
   active = false,
+  drawType = 'polygon',
   editingPolygon = null
 }, ref) => {
   const { current: map } = useMap()
@@ -20,7 +24,7 @@ const DrawControl = forwardRef(({
   useImperativeHandle(ref, () => ({
     startDrawing: () => {
       if (drawRef.current) {
-        drawRef.current.changeMode('draw_polygon')
+        drawRef.current.changeMode(drawType === 'line' ? 'draw_line_string' : 'draw_polygon')
       }
     },
     stopDrawing: () => {
@@ -40,7 +44,7 @@ const DrawControl = forwardRef(({
           id: polygon.id,
           type: 'Feature',
           properties: {},
-          geometry: polygon.geometry
+          geometry: getEditableGeometry(polygon)
         }
         drawRef.current.add(feature)
         drawRef.current.changeMode('direct_select', { featureId: polygon.id })
@@ -235,12 +239,12 @@ const DrawControl = forwardRef(({
     if (!drawRef.current) return
 
     if (active) {
-      drawRef.current.changeMode('draw_polygon')
+      drawRef.current.changeMode(drawType === 'line' ? 'draw_line_string' : 'draw_polygon')
     } else if (!editingPolygon) {
       drawRef.current.changeMode('simple_select')
       drawRef.current.deleteAll()
     }
-  }, [active, editingPolygon])
+  }, [active, drawType, editingPolygon])
 
   // Handle editing polygon changes
   useEffect(() => {
@@ -252,7 +256,7 @@ const DrawControl = forwardRef(({
         id: editingPolygon.id,
         type: 'Feature',
         properties: {},
-        geometry: editingPolygon.geometry
+        geometry: getEditableGeometry(editingPolygon)
       }
       drawRef.current.add(feature)
       drawRef.current.changeMode('direct_select', { featureId: editingPolygon.id })
@@ -23,6 +23,8 @@ import {
 } from './hooks'
 import { createAirspaceLayerConfigs } from '../../config/layerConfigs'
 import { MAP_STYLES, LAYER_COLORS } from './mapConstants'
+import { getPolygonCenter, createCorridorPolygon, DEFAULT_CORRIDOR_WIDTH } from '../../services/waypointGenerator'
+import { WAYPOINT_ACTION_TYPES, createWaypointAction, formatWaypointAction } from '../../services/waypointActions'
 import {
   formatDateToJST,
   formatDMSCoordinate,
@@ -56,6 +58,7 @@ import {
 } from '../../lib/services/restrictionSurfaces'
 import { loadMapSettings, saveMapSettings } from '../../utils/storage'
 import { checkDIDArea } from '../../services/didService'
+import { getLowestCeilingByPolygon } from '../../services/airspaceCeiling'
 import styles from './Map.module.scss'
 
 // Default center: Tokyo Tower
@@ -71,10 +74,16 @@ const Map = ({
   didHighlightedWaypointIndices = null,
   waypointIssueFlagsById = null,
   pathCollisionResult = null,
+  airspaceCeilings = null,
   polygonCollisionResult = null,
+  legalHighlights = null,
   highlightedWaypointIndex = null,
   optimizedRoute = null,
   onHomePointMove,
+  takeoffCandidates = [],
+  onTakeoffCandidateSelect,
+  homePoint = null,
+  onHomePointChange,
   isMobile = false,
   isChatOpen = false,
   onPolygonCreate,
@@ -89,9 +98,13 @@ const Map = ({
   onWaypointDelete,
   onWaypointMove,
   onWaypointsBulkDelete,
+  onOrbitRequest,
+  onWaypointActionsApply,
+  onEditWaypointActions,
   selectedPolygonId,
   editingPolygon = null,
   drawMode = false,
+  drawType = 'polygon',
   showDIDTooltip: externalShowDIDTooltip,
   onShowDIDTooltipChange,
   didTooltipAutoFade: externalDidTooltipAutoFade,
@@ -161,6 +174,8 @@ const Map = ({
     setContextMenu,
     polygonContextMenu,
     setPolygonContextMenu,
+    mapContextMenu,
+    setMapContextMenu,
     vertexListModal,
     setVertexListModal,
     tooltip,
@@ -994,6 +1009,7 @@ const Map = ({
             type: 'danger-segment',
             segmentType: segment.segmentType,
             color: segment.segmentColor,
+            label: segment.label || '',
             index: idx
           },
           geometry: {
@@ -1179,13 +1195,38 @@ const Map = ({
           polygon
         })
       }
+    } else if (onOrbitRequest && !drawMode && !editingPolygon) {
+      // Empty map: offer point-based actions (orbit around this point)
+      e.preventDefault()
+      setMapContextMenu({
+        isOpen: true,
+        position: { x: e.point.x, y: e.point.y },
+        lngLat: { lat: e.lngLat.lat, lng: e.lngLat.lng }
+      })
     }
-  }, [polygons, onPolygonSelect])
+  }, [polygons, onPolygonSelect, onOrbitRequest, drawMode, editingPolygon])
 
   // Handle polygon creation from draw control
   const handleCreate = useCallback((features) => {
     if (onPolygonCreate && features.length > 0) {
       const feature = features[0]
+
+      // Drawn centerline: store the buffered corridor as the area geometry
+      if (feature.geometry.type === 'LineString') {
+        const geometry = createCorridorPolygon(feature.geometry, DEFAULT_CORRIDOR_WIDTH)
+        if (!geometry) return
+        onPolygonCreate({
+          id: crypto.randomUUID(),
+          name: `回廊 ${Date.now()}`,
+          geometry,
+          centerline: feature.geometry,
+          corridorWidth: DEFAULT_CORRIDOR_WIDTH,
+          createdAt: Date.now(),
+          color: '#45B7D1'
+        })
+        return
+      }
+
       const polygon = {
         id: crypto.randomUUID(),
         name: `エリア ${Date.now()}`,
@@ -1318,7 +1359,7 @@ const Map = ({
     }
 
     // Don't show tooltip if context menu is open or waypoint is hovering
-    if (contextMenu?.isOpen || polygonContextMenu?.isOpen || isWaypointHoveringRef.current) {
+    if (contextMenu?.isOpen || polygonContextMenu?.isOpen || mapContextMenu?.isOpen || isWaypointHoveringRef.current) {
       return
     }
 
@@ -1384,7 +1425,7 @@ const Map = ({
       }
       setTooltip(null)
     }
-  }, [polygons, waypoints, contextMenu, polygonContextMenu, drawMode, editingPolygon])
+  }, [polygons, waypoints, contextMenu, polygonContextMenu, mapContextMenu, drawMode, editingPolygon])
 
   // Handle polygon hover end - hide tooltip
   const handlePolygonHoverEnd = useCallback(() => {
@@ -1405,11 +1446,28 @@ const Map = ({
   }, [])
 
   // Handle context menu actions
-  const handleContextMenuAction = useCallback((action, _data) => {
+  const handleContextMenuAction = useCallback((action, data) => {
     if (!contextMenu?.waypoint) return
     const wp = contextMenu.waypoint
+    // Right-clicking a waypoint inside the box selection targets the whole selection
+    const actionTargetIds = selectedWaypointIds.has(wp.id) && selectedWaypointIds.size > 1
+      ? [...selectedWaypointIds]
+      : [wp.id]
 
     switch (action) {
+      case 'add-action': {
+        const newAction = createWaypointAction(data)
+        if (newAction) {
+          onWaypointActionsApply?.(actionTargetIds, [newAction], 'append')
+        }
+        break
+      }
+      case 'edit-actions':
+        onEditWaypointActions?.(actionTargetIds)
+        break
+      case 'clear-actions':
+        onWaypointActionsApply?.(actionTargetIds, [], 'replace')
+        break
       case 'delete':
         if (onWaypointDelete) {
           if (confirm(`Waypoint #${wp.index} を削除しますか？`)) {
@@ -1431,7 +1489,7 @@ const Map = ({
       default:
         break
     }
-  }, [contextMenu, onWaypointDelete, onWaypointClick])
+  }, [contextMenu, selectedWaypointIds, onWaypointDelete, onWaypointClick, onWaypointActionsApply, onEditWaypointActions])
 
   // Build context menu items for waypoint
   const waypointContextMenuItems = useMemo(() => {
@@ -1507,6 +1565,47 @@ const Map = ({
       })
     }
 
+    // Per-waypoint actions
+    if (wp.actions?.length > 0) {
+      items.push({
+        id: 'info-actions',
+        type: 'info',
+        label: 'アクション',
+        content: (
+          <div style={{ fontSize: '12px', lineHeight: '1.6' }}>
+            {wp.actions.map((action, idx) => (
+              <div key={idx}>
+                {idx + 1}. {WAYPOINT_ACTION_TYPES[action.type]?.icon} {formatWaypointAction(action)}
+              </div>
+            ))}
+          </div>
+        )
+      })
+    }
+
+    if (onWaypointActionsApply) {
+      const bulkCount = selectedWaypointIds.has(wp.id) && selectedWaypointIds.size > 1
+        ? selectedWaypointIds.size
+        : 0
+      items.push({ id: 'divider-actions', divider: true })
+      if (bulkCount > 0) {
+        items.push({ id: 'actions-bulk-header', type: 'header', label: `選択中の${bulkCount}件に適用` })
+      }
+      Object.entries(WAYPOINT_ACTION_TYPES).forEach(([type, definition]) => {
+        items.push({
+          id: `add-action-${type}`,
+          icon: definition.icon,
+          label: `${definition.label}を追加`,
+          action: 'add-action',
+          data: type
+        })
+      })
+      items.push({ id: 'edit-actions', icon: '⚡', label: 'アクションを編集...', action: 'edit-actions' })
+      if (wp.actions?.length > 0 || bulkCount > 0) {
+        items.push({ id: 'clear-actions', icon: '🧹', label: 'アクションをクリア', action: 'clear-actions' })
+      }
+    }
+
     items.push(
       { id: 'divider1', divider: true },
       { id: 'copy-coords', icon: '📋', label: '座標をコピー (decimal)', action: 'copy-coords' },
@@ -1516,7 +1615,7 @@ const Map = ({
     )
     
     return items
-  }, [contextMenu, polygons])
+  }, [contextMenu, polygons, selectedWaypointIds, onWaypointActionsApply])
 
   // Handle polygon context menu actions
   const handlePolygonContextMenuAction = useCallback(async (action) => {
@@ -1563,10 +1662,39 @@ const Map = ({
       case 'show-vertices':
         setVertexListModal({ polygon })
         break
+      case 'orbit': {
+        const center = getPolygonCenter(polygon)
+        if (center && onOrbitRequest) {
+          onOrbitRequest(center, polygon)
+        }
+        break
+      }
+      default:
+        break
+    }
+  }, [polygonContextMenu, onPolygonDelete, onPolygonEditStart, onOrbitRequest, waypoints])
+
+  // Handle empty-map context menu actions
+  const handleMapContextMenuAction = useCallback((action) => {
+    if (!mapContextMenu?.lngLat) return
+
+    switch (action) {
+      case 'orbit':
+        onOrbitRequest?.(mapContextMenu.lngLat)
+        break
       default:
         break
     }
-  }, [polygonContextMenu, onPolygonDelete, onPolygonEditStart, waypoints])
+  }, [mapContextMenu, onOrbitRequest])
+
+  const mapContextMenuItems = useMemo(() => {
+    if (!mapContextMenu?.lngLat) return []
+    const { lat, lng } = mapContextMenu.lngLat
+    return [
+      { id: 'header', type: 'header', label: `${lat.toFixed(6)}, ${lng.toFixed(6)}` },
+      { id: 'orbit', icon: '🔄', label: 'ここを中心に周回Waypoint生成', action: 'orbit' }
+    ]
+  }, [mapContextMenu])
 
   // Compute conflict zones: intersection between own and external polygons
   const conflictGeoJSON = useMemo(() => {
@@ -1803,6 +1931,13 @@ const Map = ({
       )
     }
 
+    if (onOrbitRequest) {
+      items.push(
+        { id: 'orbit', icon: '🔄', label: '重心を中心に周回Waypoint生成', action: 'orbit' },
+        { id: 'divider-orbit', divider: true }
+      )
+    }
+
     if (!polygon.external) {
       items.push(
         { id: 'edit', icon: '✏️', label: '形状を編集', action: 'edit' },
@@ -1814,7 +1949,7 @@ const Map = ({
     )
 
     return items
-  }, [polygonContextMenu, waypoints, conflictGeoJSON])
+  }, [polygonContextMenu, waypoints, conflictGeoJSON, onOrbitRequest])
 
   // Convert polygons to GeoJSON for display (exclude polygon being edited)
   const polygonsGeoJSON = {
@@ -1829,12 +1964,25 @@ const Map = ({
           name: p.name,
           color: p.color,
           selected: p.id === selectedPolygonId,
-          external: !!p.external
+          external: !!p.external,
+          keepOut: !!p.keepOutOf
         },
         geometry: p.geometry
       }))
   }
 
+  // Corridor centerlines (drawn line; the polygon is its buffer)
+  const corridorCenterlinesGeoJSON = {
+    type: 'FeatureCollection',
+    features: polygons
+      .filter(p => p.centerline && (!editingPolygon || p.id !== editingPolygon.id))
+      .map(p => ({
+        type: 'Feature',
+        properties: { id: p.id, color: p.color },
+        geometry: p.centerline
+      }))
+  }
+
   const interactiveLayerIds = [
     'polygon-fill',
     'nuclear-plants-fill',
@@ -1890,6 +2038,7 @@ const Map = ({
           onDelete={handleDelete}
           onEditComplete={onPolygonEditComplete}
           active={drawMode}
+          drawType={drawType}
           editingPolygon={editingPolygon}
         />
 
@@ -2153,6 +2302,23 @@ const Map = ({
                 'line-opacity': 0.8
               }}
             />
+            {/* Height margin label for legs above restriction surfaces */}
+            <Layer
+              id="path-collision-labels"
+              type="symbol"
+              filter={['all', ['==', ['get', 'type'], 'danger-segment'], ['!=', ['get', 'label'], '']]}
+              layout={{
+                'symbol-placement': 'line-center',
+                'text-field': ['get', 'label'],
+                'text-size': 11,
+                'text-font': ['Open Sans Bold', 'Arial Unicode MS Bold']
+              }}
+              paint={{
+                'text-color': ['get', 'color'],
+                'text-halo-color': 'rgba(255,255,255,0.9)',
+                'text-halo-width': 1.5
+              }}
+            />
           </Source>
         )}
 
@@ -2191,6 +2357,51 @@ const Map = ({
           </Source>
         )}
 
+        {/* Legal assessment overlay - polygon parts / legs triggering legal requirements */}
+        {legalHighlights && (
+          <Source id="legal-assessment-overlay" type="geojson" data={legalHighlights}>
+            <Layer
+              id="legal-assessment-fill"
+              type="fill"
+              filter={['in', ['geometry-type'], ['literal', ['Polygon', 'MultiPolygon']]]}
+              paint={{
+                'fill-color': ['case', ['==', ['get', 'status'], 'error'], '#dc2626', '#f59e0b'],
+                'fill-opacity': 0.3
+              }}
+            />
+            <Layer
+              id="legal-assessment-outline"
+              type="line"
+              filter={['!=', ['geometry-type'], 'Point']}
+              paint={{
+                // Legs within 30 m of buildings/roads are purple to tell them apart from zone crossings
+                'line-color': ['case',
+                  ['==', ['get', 'itemId'], 'separation'], '#9333ea',
+                  ['==', ['get', 'status'], 'error'], '#dc2626',
+                  '#f59e0b'
+                ],
+                'line-width': ['case', ['==', ['geometry-type'], 'LineString'], 5, 2],
+                'line-opacity': 0.85
+              }}
+            />
+            <Layer
+              id="legal-assessment-points"
+              type="circle"
+              filter={['==', ['geometry-type'], 'Point']}
+              paint={{
+                'circle-radius': 9,
+                'circle-color': 'rgba(0, 0, 0, 0)',
+                'circle-stroke-color': ['case',
+                  ['==', ['get', 'itemId'], 'separation'], '#9333ea',
+                  ['==', ['get', 'status'], 'error'], '#dc2626',
+                  '#f59e0b'
+                ],
+                'circle-stroke-width': 3
+              }}
+            />
+          </Source>
+        )}
+
         {/* Display saved polygons */}
         <Source id="polygons" type="geojson" data={polygonsGeoJSON}>
           {/* Own polygons - solid fill */}
@@ -2211,7 +2422,7 @@ const Map = ({
           <Layer
             id="polygon-outline"
             type="line"
-            filter={['!=', ['get', 'external'], true]}
+            filter={['all', ['!=', ['get', 'external'], true], ['!=', ['get', 'keepOut'], true]]}
             paint={{
               'line-color': ['get', 'color'],
               'line-width': [
@@ -2222,6 +2433,22 @@ const Map = ({
               ]
             }}
           />
+          {/* Keep-out areas - dashed outline over the parent fill */}
+          <Layer
+            id="polygon-keepout-outline"
+            type="line"
+            filter={['==', ['get', 'keepOut'], true]}
+            paint={{
+              'line-color': ['get', 'color'],
+              'line-width': [
+                'case',
+                ['get', 'selected'],
+                3,
+                2
+              ],
+              'line-dasharray': [2, 2]
+            }}
+          />
           {/* External polygons - outline only (no fill to reduce layer clutter) */}
           <Layer
             id="polygon-external-outline"
@@ -2253,6 +2480,19 @@ const Map = ({
           />
         </Source>
 
+        {/* Corridor centerlines */}
+        <Source id="corridor-centerlines" type="geojson" data={corridorCenterlinesGeoJSON}>
+          <Layer
+            id="corridor-centerline"
+            type="line"
+            paint={{
+              'line-color': ['get', 'color'],
+              'line-width': 2,
+              'line-dasharray': [2, 2]
+            }}
+          />
+        </Source>
+
         {/* Conflict zones - intersection between own and external polygons */}
         {conflictGeoJSON && (
           <Source id="conflict-zones" type="geojson" data={conflictGeoJSON}>
@@ -2349,6 +2589,48 @@ const Map = ({
           </Marker>
         )}
 
+        {/* Display recommended takeoff sites (click to select as home point) */}
+        {takeoffCandidates.map((candidate) => (
+          <Marker
+            key={`takeoff-${candidate.rank}`}
+            latitude={candidate.lat}
+            longitude={candidate.lng}
+            onClick={(e) => {
+              e.originalEvent.stopPropagation()
+              onTakeoffCandidateSelect?.(candidate)
+            }}
+          >
+            <div
+              className={styles.takeoffCandidate}
+              title={`離発着候補${candidate.rank}（スコア${candidate.score}）\n${candidate.reasons.join('\n')}\nクリックで離発着地点に設定`}
+            >
+              <span>{candidate.rank}</span>
+            </div>
+          </Marker>
+        ))}
+
+        {/* Display selected takeoff site (draggable) */}
+        {homePoint && !optimizedRoute?.homePoint && (
+          <Marker
+            latitude={homePoint.lat}
+            longitude={homePoint.lng}
+            draggable={!!onHomePointChange}
+            onDragEnd={(e) => {
+              onHomePointChange?.({
+                lat: e.lngLat.lat,
+                lng: e.lngLat.lng
+              })
+            }}
+          >
+            <div
+              className={`${styles.homeMarker} ${onHomePointChange ? styles.draggable : ''}`}
+              title="離発着地点 - ドラッグで移動可能"
+            >
+              <span>H</span>
+            </div>
+          </Marker>
+        )}
+
         {/* Display waypoints as draggable markers (non-interactive during polygon edit) */}
         {waypoints.map((wp) => {
             const isHighlighted = highlightedWaypointIndex === wp.index
@@ -2423,7 +2705,7 @@ const Map = ({
                 >
                     <div
                         className={`${styles.waypointMarker} ${
-                            wp.type === 'grid' ? styles.gridMarker : ''
+                            wp.type === 'grid' || wp.type === 'survey' ? styles.gridMarker : ''
                         } ${
                             selectedWaypointIds.has(wp.id)
                                 ? styles.selected
@@ -2529,6 +2811,17 @@ const Map = ({
         />
       )}
 
+      {/* Map (empty area) Context Menu */}
+      {mapContextMenu && (
+        <ContextMenu
+          isOpen={mapContextMenu.isOpen}
+          position={mapContextMenu.position}
+          menuItems={mapContextMenuItems}
+          onClose={() => setMapContextMenu(null)}
+          onAction={handleMapContextMenuAction}
+        />
+      )}
+
       {/* Map Tooltip */}
       {tooltip && (
         <MapTooltip
@@ -2536,6 +2829,9 @@ const Map = ({
           position={tooltip.position}
           data={tooltip.data}
           type={tooltip.type}
+          ceiling={tooltip.type === 'waypoint'
+            ? airspaceCeilings?.waypoints.get(tooltip.data?.id)
+            : getLowestCeilingByPolygon(airspaceCeilings, waypoints)[tooltip.data?.id]}
           onClose={() => setTooltip(null)}
         />
       )}
@@ -10,6 +10,7 @@ export const useMapInteractions = () => {
   // コンテキストメニュー
   const [contextMenu, setContextMenu] = useState(null) // { isOpen, position, waypoint }
   const [polygonContextMenu, setPolygonContextMenu] = useState(null) // { isOpen, position, polygon }
+  const [mapContextMenu, setMapContextMenu] = useState(null) // { isOpen, position, lngLat }
   const [vertexListModal, setVertexListModal] = useState(null) // { polygon }
 
   // ツールチップ
@@ -29,6 +30,8 @@ export const useMapInteractions = () => {
     setContextMenu,
     polygonContextMenu,
     setPolygonContextMenu,
+    mapContextMenu,
+    setMapContextMenu,
     vertexListModal,
     setVertexListModal,
 
@@ -6,6 +6,7 @@
 import { useState, useRef, useLayoutEffect, useEffect } from 'react'
 import { X } from 'lucide-react'
 import { formatDateToJST } from '../../utils/formatters'
+import { formatCeiling, formatCeilingMargin } from '../../services/airspaceCeiling'
 import styles from './MapTooltip.module.scss'
 
 /**
@@ -15,9 +16,10 @@ import styles from './MapTooltip.module.scss'
  * @param {Object} props.position - { x, y } position for tooltip
  * @param {Object} props.data - Data to display in tooltip
  * @param {string} props.type - 'waypoint' or 'polygon'
+ * @param {Object} props.ceiling - Allowed max altitude under the restriction surface (polygon: lowest vertex / waypoint)
  * @param {Function} props.onClose - Callback to close tooltip
  */
-export const MapTooltip = ({ isVisible, position, data, type, onClose }) => {
+export const MapTooltip = ({ isVisible, position, data, type, ceiling = null, onClose }) => {
   const tooltipRef = useRef(null)
   // 配置計算結果を1つの state にまとめることで setState カスケードを回避
   const [layout, setLayout] = useState({
@@ -98,6 +100,16 @@ export const MapTooltip = ({ isVisible, position, data, type, onClose }) => {
 
   if (!isVisible || !data || !position) return null
 
+  const ceilingRow = ceiling && (
+    <div className={styles.row}>
+      <span className={styles.label}>上限高度:</span>
+      <span className={`${styles.value} ${ceiling.exceeds ? styles.exceeded : ''}`}>
+        {formatCeiling(ceiling)}
+        {ceiling.margin !== null && ` ${formatCeilingMargin(ceiling.margin)}`}
+      </span>
+    </div>
+  )
+
   return (
     <div
       ref={tooltipRef}
@@ -175,6 +187,7 @@ export const MapTooltip = ({ isVisible, position, data, type, onClose }) => {
                 </span>
               </div>
             )}
+            {ceilingRow}
             {data.createdAt && (
               <div className={styles.row}>
                 <span className={styles.label}>作成:</span>
@@ -217,6 +230,7 @@ export const MapTooltip = ({ isVisible, position, data, type, onClose }) => {
                 <span className={styles.value}>{data.area.toFixed(2)} m²</span>
               </div>
             )}
+            {ceilingRow}
             {data.createdAt && (
               <div className={styles.row}>
                 <span className={styles.label}>作成:</span>
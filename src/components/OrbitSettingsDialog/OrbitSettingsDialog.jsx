@@ -0,0 +1,178 @@
+import { useState, useMemo } from 'react'
+import { X, Orbit, AlertTriangle } from 'lucide-react'
+import { formatDistance } from '../../services/waypointGenerator'
+import styles from './OrbitSettingsDialog.module.scss'
+
+// Parse "30, 50, 80" into a sorted list of positive numbers
+const parseNumberList = (text) => {
+  const values = text
+    .split(/[,、\s]+/)
+    .map(v => parseFloat(v))
+    .filter(v => Number.isFinite(v) && v > 0)
+  return [...new Set(values)].sort((a, b) => a - b)
+}
+
+const OrbitSettingsDialog = ({ target, onConfirm, onCancel }) => {
+  const { center, polygon } = target
+  const [radiusText, setRadiusText] = useState('30')
+  const [altitudeText, setAltitudeText] = useState('30, 50')
+  const [pointCount, setPointCount] = useState(12)
+  const [startAngle, setStartAngle] = useState(0)
+  const [direction, setDirection] = useState('cw')
+
+  const radii = useMemo(() => parseNumberList(radiusText), [radiusText])
+  const altitudes = useMemo(() => parseNumberList(altitudeText), [altitudeText])
+
+  const ringCount = radii.length * altitudes.length
+  const totalCount = ringCount * pointCount
+  const totalLength = useMemo(
+    () => altitudes.length * radii.reduce((sum, r) => sum + 2 * Math.PI * r, 0),
+    [radii, altitudes]
+  )
+  const isHighAltitude = altitudes.some(a => a > 150)
+
+  const handleConfirm = () => {
+    onConfirm({
+      center,
+      polygon,
+      radius: radii,
+      altitudes,
+      pointCount,
+      startAngle,
+      direction
+    })
+  }
+
+  return (
+    <div className={styles.dialog}>
+      <div className={styles.header}>
+        <div className={styles.titleRow}>
+          <Orbit size={20} />
+          <h3>周回（POI）Waypoint設定</h3>
+        </div>
+        <button className={styles.closeButton} onClick={onCancel}>
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className={styles.content}>
+        {/* POI info */}
+        <div className={styles.poiInfo}>
+          {polygon && (
+            <div
+              className={styles.colorDot}
+              style={{ backgroundColor: polygon.color }}
+            />
+          )}
+          <span className={styles.poiName}>{polygon ? `${polygon.name}（重心）` : '指定地点'}</span>
+          <span className={styles.poiCoords}>
+            {center.lat.toFixed(6)}, {center.lng.toFixed(6)}
+          </span>
+        </div>
+
+        <div className={styles.settingGroup}>
+          <label className={styles.label}>
+            周回半径
+            <span className={styles.unit}>(m, カンマ区切りで複数)</span>
+          </label>
+          <input
+            type="text"
+            value={radiusText}
+            onChange={(e) => setRadiusText(e.target.value)}
+            className={styles.textInput}
+          />
+        </div>
+
+        <div className={styles.settingGroup}>
+          <label className={styles.label}>
+            高度ティア
+            <span className={styles.unit}>(m AGL, 低い順に飛行)</span>
+          </label>
+          <input
+            type="text"
+            value={altitudeText}
+            onChange={(e) => setAltitudeText(e.target.value)}
+            className={styles.textInput}
+          />
+        </div>
+
+        <div className={styles.inlineGroup}>
+          <label className={styles.label}>
+            1周の点数
+            <input
+              type="number"
+              min="3"
+              max="72"
+              value={pointCount}
+              onChange={(e) => setPointCount(Math.min(72, Math.max(3, parseInt(e.target.value) || 3)))}
+              className={styles.numberInput}
+            />
+          </label>
+          <label className={styles.label}>
+            開始方位
+            <input
+              type="number"
+              min="0"
+              max="359"
+              value={startAngle}
+              onChange={(e) => setStartAngle(((parseInt(e.target.value) || 0) % 360 + 360) % 360)}
+              className={styles.numberInput}
+            />
+            °
+          </label>
+        </div>
+
+        <div className={styles.settingGroup}>
+          <label className={styles.label}>周回方向</label>
+          <div className={styles.presets}>
+            <button
+              className={`${styles.presetButton} ${direction === 'cw' ? styles.active : ''}`}
+              onClick={() => setDirection('cw')}
+            >
+              時計回り
+            </button>
+            <button
+              className={`${styles.presetButton} ${direction === 'ccw' ? styles.active : ''}`}
+              onClick={() => setDirection('ccw')}
+            >
+              反時計回り
+            </button>
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div className={styles.preview}>
+          <h4>生成プレビュー</h4>
+          <div className={styles.summary}>
+            <span>周回 {ringCount}周</span>
+            <span>Waypoint {totalCount}点</span>
+            <span>周回距離 {formatDistance(totalLength)}</span>
+          </div>
+          <p className={styles.hint}>機首方位は常にPOI（中心）を向くよう各Waypointに記録されます</p>
+          {isHighAltitude && (
+            <div className={styles.alert}>
+              <AlertTriangle size={16} />
+              <span>150mを超える高度ティアがあります（航空法の許可が必要）</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className={styles.actions}>
+        <button className={styles.cancelButton} onClick={onCancel}>
+          キャンセル
+        </button>
+        <button
+          className={styles.confirmButton}
+          onClick={handleConfirm}
+          disabled={totalCount === 0}
+        >
+          <Orbit size={16} />
+          {totalCount} Waypoint生成
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default OrbitSettingsDialog
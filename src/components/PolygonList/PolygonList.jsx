@@ -1,6 +1,6 @@
 import { useState } from 'react'
-import { MapPin, Grid3X3, Pencil, Trash2, PenTool, Link2, Unlink2, Database, Radio, RotateCcw, AlertTriangle } from 'lucide-react'
-import { calculatePolygonArea, calculatePolygonPerimeter, formatArea, formatDistance } from '../../services/waypointGenerator'
+import { MapPin, Grid3X3, Orbit, Building, Spline, Pencil, Trash2, PenTool, Link2, Unlink2, Database, Radio, RotateCcw, AlertTriangle, Ban, Shapes } from 'lucide-react'
+import { calculatePolygonArea, calculatePolygonPerimeter, countPolygonVertices, formatArea, formatDistance } from '../../services/waypointGenerator'
 import ConfirmDialog from '../ConfirmDialog/ConfirmDialog'
 import { useConfirmDialog } from '../../hooks/useConfirmDialog'
 import styles from './PolygonList.module.scss'
@@ -15,6 +15,9 @@ const PolygonList = ({
   onToggleWaypointLink,
   onGenerateWaypoints,
   onGenerateAllWaypoints,
+  onAddKeepOut,
+  onKeepOutBufferChange,
+  onOpenPolygonTools,
   onLoadExampleData,
   onResetAll,
   polygonConflicts = {}
@@ -70,9 +73,17 @@ const PolygonList = ({
     )
   }
 
-  const ownCount = polygons.filter(p => !p.external).length
+  const ownCount = polygons.filter(p => !p.external && !p.keepOutOf).length
   const externalCount = polygons.filter(p => p.external).length
 
+  // Keep-out areas are listed right after their parent polygon
+  const polygonIds = new Set(polygons.map(p => p.id))
+  const isChildKeepOut = (p) => p.keepOutOf && polygonIds.has(p.keepOutOf)
+  const orderedPolygons = polygons
+    .filter(p => !isChildKeepOut(p))
+    .flatMap(p => [p, ...polygons.filter(k => k.keepOutOf === p.id)])
+  let topLevelIndex = 0
+
   return (
     <div className={styles.polygonList}>
       <div className={styles.header}>
@@ -113,25 +124,55 @@ const PolygonList = ({
       </div>
 
       <ul className={styles.list}>
-        {polygons.map((polygon, index) => {
+        {orderedPolygons.map((polygon) => {
           const area = calculatePolygonArea(polygon)
           const perimeter = calculatePolygonPerimeter(polygon)
           const isSelected = polygon.id === selectedPolygonId
           const isEditing = polygon.id === editingId
+          const isKeepOut = Boolean(polygon.keepOutOf)
+          const keepOutCount = polygons.filter(p => p.keepOutOf === polygon.id).length
+          const index = isKeepOut ? null : topLevelIndex++
 
           return (
             <li
               key={polygon.id}
-              className={`${styles.item} ${isSelected ? styles.selected : ''} ${isEditing ? styles.editing : ''} ${polygon.external ? styles.external : ''}`}
+              className={`${styles.item} ${isSelected ? styles.selected : ''} ${isEditing ? styles.editing : ''} ${polygon.external ? styles.external : ''} ${isKeepOut ? styles.keepOut : ''}`}
               onClick={() => !isEditing && onSelect?.(polygon)}
             >
               {/* Top row: color indicator + action buttons */}
               <div className={styles.topRow}>
                 <div className={styles.colorIndicator} style={{ backgroundColor: polygon.color }}>
                   {polygon.external && <Radio size={10} />}
+                  {isKeepOut && <Ban size={10} />}
                 </div>
                 <div className={styles.actions}>
-                  {!polygon.external && (
+                  {isKeepOut && (
+                    <>
+                      <button
+                        className={styles.actionButton}
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          onEditShape?.(polygon)
+                        }}
+                        data-tooltip="形状を編集"
+                        data-tooltip-pos="bottom"
+                      >
+                        <PenTool size={14} />
+                      </button>
+                      <button
+                        className={styles.actionButton}
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          handleStartEdit(polygon)
+                        }}
+                        data-tooltip="名前を編集"
+                        data-tooltip-pos="bottom"
+                      >
+                        <Pencil size={14} />
+                      </button>
+                    </>
+                  )}
+                  {!polygon.external && !isKeepOut && (
                     <>
                       <button
                         className={styles.actionButton}
@@ -177,6 +218,67 @@ const PolygonList = ({
                       >
                         <Grid3X3 size={14} />
                       </button>
+                      {polygon.centerline && (
+                        <button
+                          className={styles.actionButton}
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            onGenerateWaypoints?.(polygon, { corridor: true })
+                          }}
+                          data-tooltip="回廊Waypoint生成"
+                          data-tooltip-pos="bottom"
+                        >
+                          <Spline size={14} />
+                        </button>
+                      )}
+                      <button
+                        className={styles.actionButton}
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          onGenerateWaypoints?.(polygon, { orbit: true })
+                        }}
+                        data-tooltip="周回Waypoint生成"
+                        data-tooltip-pos="bottom"
+                      >
+                        <Orbit size={14} />
+                      </button>
+                      <button
+                        className={styles.actionButton}
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          onGenerateWaypoints?.(polygon, { facade: true })
+                        }}
+                        data-tooltip="壁面点検Waypoint生成"
+                        data-tooltip-pos="bottom"
+                      >
+                        <Building size={14} />
+                      </button>
+                      {onAddKeepOut && !polygon.centerline && (
+                        <button
+                          className={styles.actionButton}
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            onAddKeepOut(polygon)
+                          }}
+                          data-tooltip="除外エリアを描画"
+                          data-tooltip-pos="bottom"
+                        >
+                          <Ban size={14} />
+                        </button>
+                      )}
+                      {onOpenPolygonTools && !polygon.centerline && (
+                        <button
+                          className={styles.actionButton}
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            onOpenPolygonTools(polygon)
+                          }}
+                          data-tooltip="ポリゴン編集ツール"
+                          data-tooltip-pos="bottom"
+                        >
+                          <Shapes size={14} />
+                        </button>
+                      )}
                       <button
                         className={styles.actionButton}
                         onClick={(e) => {
@@ -195,8 +297,10 @@ const PolygonList = ({
                     onClick={async (e) => {
                       e.stopPropagation()
                       const confirmed = await showConfirm({
-                        title: polygon.external ? '外部飛行計画の削除' : 'ポリゴンの削除',
-                        message: `「${polygon.name}」を削除しますか？`,
+                        title: polygon.external ? '外部飛行計画の削除' : isKeepOut ? '除外エリアの削除' : 'ポリゴンの削除',
+                        message: keepOutCount > 0
+                          ? `「${polygon.name}」と除外エリア${keepOutCount}件を削除しますか？`
+                          : `「${polygon.name}」を削除しますか？`,
                         confirmText: '削除',
                         cancelText: 'キャンセル',
                         variant: 'danger'
@@ -224,7 +328,7 @@ const PolygonList = ({
               {/* Content: name + stats */}
               <div className={styles.content}>
                 <div className={styles.nameRow}>
-                  <span className={styles.index}>{index + 1}.</span>
+                  <span className={styles.index}>{isKeepOut ? '└' : `${index + 1}.`}</span>
                   {isEditing ? (
                     <input
                       type="text"
@@ -252,9 +356,26 @@ const PolygonList = ({
                 <div className={styles.stats}>
                   <span>面積: {formatArea(area)}</span>
                   <span>周長: {formatDistance(perimeter)}</span>
-                  <span>頂点: {polygon.geometry.coordinates[0].length - 1}</span>
+                  <span>頂点: {countPolygonVertices(polygon)}</span>
+                  {keepOutCount > 0 && <span>除外: {keepOutCount}</span>}
                 </div>
 
+                {/* Keep-out buffer (waypoints and route legs keep this distance) */}
+                {isKeepOut && (
+                  <label className={styles.keepOutBuffer} onClick={(e) => e.stopPropagation()}>
+                    除外バッファ
+                    <input
+                      type="number"
+                      min={0}
+                      max={200}
+                      step={1}
+                      value={polygon.keepOutBuffer ?? 0}
+                      onChange={(e) => onKeepOutBufferChange?.(polygon.id, Number(e.target.value) || 0)}
+                    />
+                    m
+                  </label>
+                )}
+
                 {/* Conflict warning */}
                 {!polygon.external && polygonConflicts[polygon.id] && (
                   <div className={`${styles.conflictWarning} ${polygonConflicts[polygon.id].some(h => h.severity === 'DANGER') ? styles.conflictDanger : ''}`}>
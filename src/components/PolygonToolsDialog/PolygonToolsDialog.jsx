@@ -0,0 +1,217 @@
+import { useState, useMemo } from 'react'
+import { X, Shapes, Scissors } from 'lucide-react'
+import {
+  bufferPolygon,
+  simplifyPolygon,
+  mergePolygons,
+  subtractPolygon
+} from '../../services/polygonOperations'
+import { calculatePolygonArea, countPolygonVertices, formatArea } from '../../services/waypointGenerator'
+import styles from './PolygonToolsDialog.module.scss'
+
+const OPERATIONS = [
+  { id: 'buffer', label: 'バッファ' },
+  { id: 'simplify', label: '簡略化' },
+  { id: 'merge', label: '結合' },
+  { id: 'subtract', label: '差し引き' },
+  { id: 'split', label: '分割' }
+]
+
+/**
+ * Polygon geometry toolbox.
+ * Every operation produces new polygons (the source is kept); onConfirm receives them.
+ */
+const PolygonToolsDialog = ({ polygon, polygons = [], onConfirm, onSplitRequest, onCancel }) => {
+  const [operation, setOperation] = useState('buffer')
+  const [bufferMeters, setBufferMeters] = useState(10)
+  const [tolerance, setTolerance] = useState(2)
+  const [mergeIds, setMergeIds] = useState(() => new Set())
+  const [cutterId, setCutterId] = useState('')
+
+  // Other own polygons that can be merged with / subtracted from this one
+  const candidates = useMemo(
+    () => polygons.filter(p => p.id !== polygon.id && !p.external && !p.centerline),
+    [polygons, polygon]
+  )
+
+  const result = useMemo(() => {
+    switch (operation) {
+      case 'buffer':
+        return bufferPolygon(polygon, bufferMeters)
+      case 'simplify':
+        return simplifyPolygon(polygon, tolerance)
+      case 'merge':
+        return mergePolygons([polygon, ...candidates.filter(p => mergeIds.has(p.id))])
+      case 'subtract': {
+        const cutter = candidates.find(p => p.id === cutterId)
+        return cutter ? subtractPolygon(polygon, cutter) : null
+      }
+      default:
+        return null
+    }
+  }, [operation, polygon, candidates, bufferMeters, tolerance, mergeIds, cutterId])
+
+  const toggleMerge = (id) => {
+    setMergeIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  return (
+    <div className={styles.dialog}>
+      <div className={styles.header}>
+        <div className={styles.titleRow}>
+          <Shapes size={20} />
+          <h3>ポリゴン編集ツール</h3>
+        </div>
+        <button className={styles.closeButton} onClick={onCancel}>
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className={styles.content}>
+        <div className={styles.polygonInfo}>
+          <div
+            className={styles.colorDot}
+            style={{ backgroundColor: polygon.color }}
+          />
+          <span className={styles.polygonName}>{polygon.name}</span>
+          <span className={styles.polygonMeta}>
+            {formatArea(calculatePolygonArea(polygon))} / {countPolygonVertices(polygon)}頂点
+          </span>
+        </div>
+
+        <div className={styles.operationTabs}>
+          {OPERATIONS.map(op => (
+            <button
+              key={op.id}
+              className={`${styles.operationTab} ${operation === op.id ? styles.active : ''}`}
+              onClick={() => setOperation(op.id)}
+            >
+              {op.label}
+            </button>
+          ))}
+        </div>
+
+        {operation === 'buffer' && (
+          <label className={styles.field}>
+            <span>外側(+) / 内側(−)</span>
+            <input
+              type="number"
+              min="-500"
+              max="500"
+              value={bufferMeters}
+              onChange={(e) => setBufferMeters(Math.min(500, Math.max(-500, parseFloat(e.target.value) || 0)))}
+              className={styles.numberInput}
+            />
+            <span className={styles.unit}>m</span>
+          </label>
+        )}
+
+        {operation === 'simplify' && (
+          <label className={styles.field}>
+            <span>許容誤差</span>
+            <input
+              type="number"
+              min="0.1"
+              max="100"
+              step="0.5"
+              value={tolerance}
+              onChange={(e) => setTolerance(Math.min(100, Math.max(0.1, parseFloat(e.target.value) || 0.1)))}
+              className={styles.numberInput}
+            />
+            <span className={styles.unit}>m</span>
+          </label>
+        )}
+
+        {operation === 'merge' && (
+          <div className={styles.polygonChoices}>
+            {candidates.length === 0 && <p className={styles.hint}>結合できるポリゴンがありません</p>}
+            {candidates.map(p => (
+              <label key={p.id} className={styles.choice}>
+                <input
+                  type="checkbox"
+                  checked={mergeIds.has(p.id)}
+                  onChange={() => toggleMerge(p.id)}
+                />
+                <span className={styles.colorDot} style={{ backgroundColor: p.color }} />
+                {p.name}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {operation === 'subtract' && (
+          <div className={styles.polygonChoices}>
+            {candidates.length === 0 && <p className={styles.hint}>差し引くポリゴンがありません</p>}
+            {candidates.map(p => (
+              <label key={p.id} className={styles.choice}>
+                <input
+                  type="radio"
+                  name="cutter"
+                  checked={cutterId === p.id}
+                  onChange={() => setCutterId(p.id)}
+                />
+                <span className={styles.colorDot} style={{ backgroundColor: p.color }} />
+                {p.name}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {operation === 'split' && (
+          <p className={styles.hint}>
+            地図上に分割線を描画します。線がポリゴンを横切る位置で複数のポリゴンに分割されます
+          </p>
+        )}
+
+        {operation !== 'split' && (
+          <div className={styles.preview}>
+            <h4>結果プレビュー</h4>
+            {result ? (
+              <div className={styles.summary}>
+                <span>{result.name}</span>
+                <span>{formatArea(calculatePolygonArea(result))}</span>
+                <span>{countPolygonVertices(result)}頂点</span>
+              </div>
+            ) : (
+              <p className={styles.hint}>
+                {operation === 'buffer' ? 'この内側バッファではエリアが残りません' : '対象を選択してください'}
+              </p>
+            )}
+            <p className={styles.hint}>元のポリゴンは残り、結果は新しいポリゴンとして追加されます（元に戻す可能）</p>
+          </div>
+        )}
+      </div>
+
+      <div className={styles.actions}>
+        <button className={styles.cancelButton} onClick={onCancel}>
+          キャンセル
+        </button>
+        {operation === 'split' ? (
+          <button className={styles.confirmButton} onClick={() => onSplitRequest?.(polygon)}>
+            <Scissors size={16} />
+            分割線を描画
+          </button>
+        ) : (
+          <button
+            className={styles.confirmButton}
+            onClick={() => result && onConfirm?.([result])}
+            disabled={!result}
+          >
+            <Shapes size={16} />
+            ポリゴンを作成
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PolygonToolsDialog
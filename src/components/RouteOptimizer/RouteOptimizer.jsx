@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import {
   X,
   ChevronRight,
@@ -24,6 +24,11 @@ import {
   Wheat,
   Package,
   ShieldCheck,
+  Wind,
+  ArrowUp,
+  ArrowDown,
+  ListOrdered,
+  Truck,
 } from 'lucide-react';
 import {
   getAllDrones,
@@ -31,15 +36,24 @@ import {
   getFormattedSpecs,
   getRouteSettings,
   saveRouteSettings,
+  OPTIMIZATION_ALGORITHMS,
 } from '../../services/droneSpecsService';
 import { USE_CASES } from '../../services/routePlanner';
-import {
-  optimizeRoute,
-  formatDistance,
-  formatTime,
-} from '../../services/routeOptimizer';
+import { formatDistance, formatTime } from '../../services/routeOptimizer';
+import { createRouteWorkerClient, isAbortError } from '../../services/routeWorkerClient';
+import { getForecastWind } from '../../services/batteryModel';
+import { FLIGHT_TIME_COMPONENTS, formatSeconds } from '../../services/flightTimeModel';
+import { FLEET_COLORS, MAX_FLEET_SIZE } from '../../services/fleetPlanner';
+import { buildOrderConstraints, getWaypointPolygons } from '../../services/orderConstraints';
+import { LAUNCH_PATH_SPACING } from '../../services/launchPlanner';
+import { prepareAirspaceData } from '../../services/airspaceCeiling';
+import { getDIDDataForCoordinates } from '../../services/didService';
+import { fetchPrefectureWeather } from '../../lib';
 import './RouteOptimizer.scss';
 
+// 最適化は Web Worker で実行する（数千WPでもダイアログが固まらないように）
+const routeWorker = createRouteWorkerClient();
+
 // アイコン名からコンポーネントへのマッピング
 const ICON_MAP = {
   // ドローン用
@@ -58,6 +72,17 @@ const ICON_MAP = {
   ShieldCheck,
 };
 
+// "35.68, 139.76" 形式の入力を座標に変換（空欄・不正値は自動）
+const parseHomePoint = (text) => {
+  const [lat, lng] = (text || '').split(',').map(v => parseFloat(v));
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+// 1行に1地点の "緯度, 経度" を座標の配列に変換（不正な行は無視）
+const parseLaunchPoints = (text) => {
+  return (text || '').split('\n').map(parseHomePoint).filter(Boolean);
+};
+
 // アイコンコンポーネントを取得
 const getIcon = (iconName, size = 24) => {
   const IconComponent = ICON_MAP[iconName];
@@ -68,6 +93,8 @@ const RouteOptimizer = ({
   isOpen,
   onClose,
   waypoints,
+  keepOutAreas = [],
+  homePoint = null,
   onApplyRoute,
 }) => {
   const [step, setStep] = useState(1);
@@ -78,17 +105,34 @@ const RouteOptimizer = ({
     checkRegulations: true,
     algorithm: 'nearest-neighbor',
     safetyMargin: 0.2,
+    useWindForecast: true,
+    payload: 0,
   });
   const [homePointMode, setHomePointMode] = useState('auto');
+  const [keepOutMode, setKeepOutMode] = useState('reroute');
   const [customHomePoint, setCustomHomePoint] = useState(null);
+  // 複数の離発着地点（homePointMode === 'multiple'）: 1行1地点、asPath なら車で走るルートとして扱う
+  const [launchInput, setLaunchInput] = useState({ text: '', asPath: false });
   const [isOptimizing, setIsOptimizing] = useState(false);
+  const [progress, setProgress] = useState(null); // { progress: 0〜1, message }
+  const abortRef = useRef(null);
   const [optimizationResult, setOptimizationResult] = useState(null);
+  const [solverComparison, setSolverComparison] = useState([]);
+  const [isComparing, setIsComparing] = useState(false);
+  // 直近の最適化の入力（アルゴリズム比較を同じ条件で解き直すため）
+  const lastOptimizeRef = useRef(null);
+  const [fleetMembers, setFleetMembers] = useState([]); // 2機目以降 [{ droneId, homeText }]
+  // 巡回順序の制約（WP番号の入力欄、polygonOrder: ポリゴンの飛行順 | null）
+  const [orderInput, setOrderInput] = useState({ first: '', last: '', adjacent: '', polygonOrder: null });
   const [expandedFlight, setExpandedFlight] = useState(null);
   const [error, setError] = useState(null);
 
-  // 初期化
+  // 初期化は閉じた状態から開いたときだけ（開いている間の離発着地点の変更では入力を消さない）
+  const wasOpenRef = useRef(false);
   useEffect(() => {
-    if (isOpen) {
+    const opened = isOpen && !wasOpenRef.current;
+    wasOpenRef.current = isOpen;
+    if (opened) {
       const settings = getRouteSettings();
       setSelectedDroneId(settings.selectedDroneId);
       setOptions({
@@ -96,16 +140,45 @@ const RouteOptimizer = ({
         checkRegulations: settings.checkRegulationsEnabled,
         algorithm: settings.optimizationAlgorithm,
         safetyMargin: settings.safetyMargin,
+        useWindForecast: true,
+        payload: 0,
       });
       setStep(1);
       setSelectedUseCase(null);
       setOptimizationResult(null);
+      setSolverComparison([]);
+      setFleetMembers([]);
+      setOrderInput({ first: '', last: '', adjacent: '', polygonOrder: null });
+      setLaunchInput({ text: '', asPath: false });
+      // 地図上で離発着地点が選択済みならそれを使う
+      setCustomHomePoint(homePoint);
+      setHomePointMode(homePoint ? 'custom' : 'auto');
       setError(null);
     }
+  }, [isOpen, homePoint]);
+
+  // 開いている間に地図で離発着地点が選ばれたら、その地点だけ反映する
+  useEffect(() => {
+    if (isOpen && homePoint) {
+      setCustomHomePoint(homePoint);
+      setHomePointMode('custom');
+    }
+  }, [isOpen, homePoint]);
+
+  // ダイアログを閉じたら実行中の最適化を中断
+  useEffect(() => {
+    if (!isOpen) abortRef.current?.abort();
   }, [isOpen]);
 
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   const drones = getAllDrones();
 
+  const handleAlgorithmSelect = useCallback((algorithm) => {
+    setOptions(prev => ({ ...prev, algorithm }));
+    saveRouteSettings({ optimizationAlgorithm: algorithm });
+  }, []);
+
   const handleDroneSelect = useCallback((droneId) => {
     setSelectedDroneId(droneId);
     saveRouteSettings({ selectedDroneId: droneId });
@@ -114,7 +187,10 @@ const RouteOptimizer = ({
   const handleOptimize = useCallback(async () => {
     if (!selectedDroneId || waypoints.length === 0) return;
 
+    const controller = new AbortController();
+    abortRef.current = controller;
     setIsOptimizing(true);
+    setProgress({ progress: 0, message: '準備中' });
     setError(null);
 
     try {
@@ -122,26 +198,146 @@ const RouteOptimizer = ({
         ? customHomePoint
         : null;
 
-      const result = await optimizeRoute(waypoints, {
+      // 風予報（Open-Meteo）を取得。失敗時は風なしで計算し、保守側の見積りで補う
+      let wind = null;
+      if (options.useWindForecast) {
+        try {
+          const lat = waypoints.reduce((sum, wp) => sum + wp.lat, 0) / waypoints.length;
+          const lng = waypoints.reduce((sum, wp) => sum + wp.lng, 0) / waypoints.length;
+          wind = getForecastWind(await fetchPrefectureWeather(lat, lng));
+        } catch (err) {
+          console.warn('[RouteOptimizer] 風予報の取得に失敗しました', err);
+        }
+      }
+
+      // 規制チェックの DID・制限表面・標高はメインスレッドで取得して渡す（Worker からは取得しない）
+      let didData = null;
+      let airspaceData = null;
+      if (options.checkRegulations) {
+        setProgress({ progress: 0, message: '規制データを取得中' });
+        [didData, airspaceData] = await Promise.all([
+          getDIDDataForCoordinates(waypoints).catch((err) => {
+            console.warn('[RouteOptimizer] DIDデータの取得に失敗しました', err);
+            return null;
+          }),
+          prepareAirspaceData(waypoints, { signal: controller.signal }).catch((err) => {
+            if (isAbortError(err)) throw err;
+            console.warn('[RouteOptimizer] 制限表面・標高の取得に失敗しました', err);
+            return null;
+          }),
+        ]);
+      }
+
+      const launchPoints = homePointMode === 'multiple' ? parseLaunchPoints(launchInput.text) : [];
+
+      const fleet = fleetMembers.length > 0
+        ? [
+            { droneId: selectedDroneId, homePoint },
+            ...fleetMembers.map(member => ({ droneId: member.droneId, homePoint: parseHomePoint(member.homeText) })),
+          ]
+        : null;
+
+      // Worker には localStorage がないため、設定値はすべて明示して渡す
+      const optimizeOptions = {
         droneId: selectedDroneId,
         homePoint,
+        fleet,
         algorithm: options.algorithm,
         checkRegulations: options.checkRegulations,
         autoSplit: options.autoSplit,
+        keepOutAreas,
+        keepOutMode,
+        wind,
+        payload: Math.min(options.payload, getDroneSpecs(selectedDroneId)?.maxPayload || 0),
+        safetyMargin: options.safetyMargin,
+        orderConstraints: buildOrderConstraints(waypoints, orderInput),
+        launchPoints: launchInput.asPath ? null : launchPoints,
+        launchPath: launchInput.asPath ? launchPoints : null,
+        airspaceData,
+        didData,
+      };
+
+      const result = await routeWorker.run('optimizeRoute', { waypoints, options: optimizeOptions }, {
+        signal: controller.signal,
+        onProgress: setProgress,
       });
 
       if (result.success) {
+        lastOptimizeRef.current = { waypoints, options: optimizeOptions };
         setOptimizationResult(result);
+        setSolverComparison([]);
         setStep(4);
       } else {
         setError(result.error);
       }
     } catch (err) {
-      setError(err.message || '最適化に失敗しました');
+      if (!isAbortError(err)) {
+        setError(err.message || '最適化に失敗しました');
+      }
     } finally {
+      if (abortRef.current === controller) abortRef.current = null;
       setIsOptimizing(false);
+      setProgress(null);
     }
-  }, [selectedDroneId, waypoints, homePointMode, customHomePoint, options]);
+  }, [selectedDroneId, waypoints, homePointMode, customHomePoint, options, keepOutAreas, keepOutMode, fleetMembers, orderInput, launchInput]);
+
+  const handleCancelOptimize = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  // アルゴリズム比較は結果表示後に必要なときだけ、直近の最適化と同じ条件で実行する
+  const handleCompareSolvers = useCallback(async () => {
+    if (!lastOptimizeRef.current) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsComparing(true);
+    setProgress({ progress: 0, message: '準備中' });
+    setError(null);
+
+    try {
+      const comparison = await routeWorker.run('compareSolvers', lastOptimizeRef.current, {
+        signal: controller.signal,
+        onProgress: setProgress,
+      });
+      setSolverComparison(comparison);
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setError(err.message || 'アルゴリズム比較に失敗しました');
+      }
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setIsComparing(false);
+      setProgress(null);
+    }
+  }, []);
+
+  const handlePolygonOrderToggle = useCallback((enabled) => {
+    setOrderInput(prev => ({
+      ...prev,
+      polygonOrder: enabled ? getWaypointPolygons(waypoints).map(polygon => polygon.key) : null,
+    }));
+  }, [waypoints]);
+
+  const movePolygon = useCallback((index, direction) => {
+    setOrderInput(prev => {
+      const polygonOrder = [...prev.polygonOrder];
+      const target = index + direction;
+      if (target < 0 || target >= polygonOrder.length) return prev;
+      [polygonOrder[index], polygonOrder[target]] = [polygonOrder[target], polygonOrder[index]];
+      return { ...prev, polygonOrder };
+    });
+  }, []);
+
+  const handleFleetSizeChange = useCallback((size) => {
+    setFleetMembers(prev => Array.from({ length: size - 1 }, (_, i) =>
+      prev[i] || { droneId: selectedDroneId, homeText: '' }
+    ));
+  }, [selectedDroneId]);
+
+  const updateFleetMember = useCallback((index, changes) => {
+    setFleetMembers(prev => prev.map((member, i) => (i === index ? { ...member, ...changes } : member)));
+  }, []);
 
   // FIXME: ルート最適化の結果適用は現在無効化中
   // TODO: 以下の既知バグを修正後に再度有効化する
@@ -163,12 +359,15 @@ const RouteOptimizer = ({
   const handleReset = useCallback(() => {
     setStep(1);
     setOptimizationResult(null);
+    setSolverComparison([]);
     setError(null);
   }, []);
 
   if (!isOpen) return null;
 
   const selectedDroneSpecs = selectedDroneId ? getFormattedSpecs(selectedDroneId) : null;
+  const selectedMaxPayload = drones.find(d => d.id === selectedDroneId)?.maxPayload || 0;
+  const waypointPolygons = getWaypointPolygons(waypoints);
 
   return (
     <div className="route-optimizer">
@@ -342,9 +541,185 @@ const RouteOptimizer = ({
                     />
                     <span>最初のウェイポイントを使用</span>
                   </label>
+                  {customHomePoint && (
+                    <label className="route-optimizer__radio">
+                      <input
+                        type="radio"
+                        name="homePoint"
+                        checked={homePointMode === 'custom'}
+                        onChange={() => setHomePointMode('custom')}
+                      />
+                      <span>
+                        地図で選択した離発着地点（{customHomePoint.lat.toFixed(5)}, {customHomePoint.lng.toFixed(5)}）
+                      </span>
+                    </label>
+                  )}
+                  <label className="route-optimizer__radio">
+                    <input
+                      type="radio"
+                      name="homePoint"
+                      checked={homePointMode === 'multiple'}
+                      onChange={() => setHomePointMode('multiple')}
+                    />
+                    <span>複数の離発着地点（車で移動しながらバッテリー交換）</span>
+                  </label>
+                </div>
+                {homePointMode === 'multiple' && (
+                  <div className="route-optimizer__launch-input">
+                    <textarea
+                      rows={4}
+                      placeholder={'緯度, 経度 を1行に1地点\n35.6812, 139.7671\n35.6850, 139.7720'}
+                      value={launchInput.text}
+                      onChange={(e) => setLaunchInput({ ...launchInput, text: e.target.value })}
+                    />
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={launchInput.asPath}
+                        onChange={(e) => setLaunchInput({ ...launchInput, asPath: e.target.checked })}
+                      />
+                      車で走るルートとして扱う（ルート上{LAUNCH_PATH_SPACING}mごとに候補を置く）
+                    </label>
+                    <p className="route-optimizer__option-desc">
+                      {parseLaunchPoints(launchInput.text).length}地点。各フライトを最も多くのWaypointを回れる地点に割り当て、移動を含む行程を作成します（複数機運航時は使用しません）
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              <div className="route-optimizer__option-group">
+                <label>同時運航する機数</label>
+                <div className="route-optimizer__fleet-size">
+                  {Array.from({ length: MAX_FLEET_SIZE }, (_, i) => i + 1).map(size => (
+                    <button
+                      key={size}
+                      className={fleetMembers.length + 1 === size ? 'selected' : ''}
+                      onClick={() => handleFleetSizeChange(size)}
+                    >
+                      {size}機
+                    </button>
+                  ))}
+                </div>
+                {fleetMembers.length > 0 && (
+                  <div className="route-optimizer__fleet-members">
+                    <div className="route-optimizer__fleet-member">
+                      <span className="route-optimizer__fleet-dot" style={{ backgroundColor: FLEET_COLORS[0] }} />
+                      <span>機体1: {selectedDroneSpecs?.model}（上記のホームポイント）</span>
+                    </div>
+                    {fleetMembers.map((member, i) => (
+                      <div key={i} className="route-optimizer__fleet-member">
+                        <span className="route-optimizer__fleet-dot" style={{ backgroundColor: FLEET_COLORS[i + 1] }} />
+                        <span>機体{i + 2}:</span>
+                        <select
+                          value={member.droneId}
+                          onChange={(e) => updateFleetMember(i, { droneId: e.target.value })}
+                        >
+                          {drones.map(drone => (
+                            <option key={drone.id} value={drone.id}>{drone.model}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          placeholder="離発着地点 緯度, 経度（空欄で自動）"
+                          value={member.homeText}
+                          onChange={(e) => updateFleetMember(i, { homeText: e.target.value })}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <p className="route-optimizer__option-desc">
+                  複数機で担当エリアを重ならないように分け、全機の作業完了までの時間が最短になるよう分担します
+                </p>
+              </div>
+
+              <div className="route-optimizer__option-group">
+                <label>巡回順序の最適化アルゴリズム</label>
+                <div className="route-optimizer__radio-group">
+                  {OPTIMIZATION_ALGORITHMS.map((algorithm) => (
+                    <label key={algorithm.id} className="route-optimizer__radio">
+                      <input
+                        type="radio"
+                        name="algorithm"
+                        checked={options.algorithm === algorithm.id}
+                        onChange={() => handleAlgorithmSelect(algorithm.id)}
+                      />
+                      <span>{algorithm.name}（{algorithm.description}）</span>
+                    </label>
+                  ))}
                 </div>
               </div>
 
+              <div className="route-optimizer__option-group">
+                <label>巡回順序の制約</label>
+                <div className="route-optimizer__order-inputs">
+                  <label>
+                    <span>最初に飛ぶWP</span>
+                    <input
+                      type="text"
+                      placeholder="例: 3, 7"
+                      value={orderInput.first}
+                      onChange={(e) => setOrderInput({ ...orderInput, first: e.target.value })}
+                    />
+                  </label>
+                  <label>
+                    <span>最後に飛ぶWP</span>
+                    <input
+                      type="text"
+                      placeholder="例: 12"
+                      value={orderInput.last}
+                      onChange={(e) => setOrderInput({ ...orderInput, last: e.target.value })}
+                    />
+                  </label>
+                  <label>
+                    <span>連続して飛ぶWP</span>
+                    <input
+                      type="text"
+                      placeholder="例: 4-5-6, 10-11"
+                      value={orderInput.adjacent}
+                      onChange={(e) => setOrderInput({ ...orderInput, adjacent: e.target.value })}
+                    />
+                  </label>
+                </div>
+                {waypointPolygons.length > 1 && (
+                  <>
+                    <label className="route-optimizer__order-toggle">
+                      <input
+                        type="checkbox"
+                        checked={orderInput.polygonOrder !== null}
+                        onChange={(e) => handlePolygonOrderToggle(e.target.checked)}
+                      />
+                      ポリゴンの順番を指定
+                    </label>
+                    {orderInput.polygonOrder && (
+                      <ol className="route-optimizer__polygon-order">
+                        {orderInput.polygonOrder.map((key, i) => {
+                          const polygon = waypointPolygons.find(p => p.key === key);
+                          return (
+                            <li key={key}>
+                              <span>{i + 1}. {polygon?.name || key}（{polygon?.count || 0}WP）</span>
+                              <button onClick={() => movePolygon(i, -1)} disabled={i === 0} title="前へ">
+                                <ArrowUp size={14} />
+                              </button>
+                              <button
+                                onClick={() => movePolygon(i, 1)}
+                                disabled={i === orderInput.polygonOrder.length - 1}
+                                title="後へ"
+                              >
+                                <ArrowDown size={14} />
+                              </button>
+                            </li>
+                          );
+                        })}
+                      </ol>
+                    )}
+                  </>
+                )}
+                <p className="route-optimizer__option-desc">
+                  WP番号で指定します。制約を守るために増えた距離は結果に表示されます
+                </p>
+              </div>
+
               <div className="route-optimizer__option-group">
                 <label>
                   <input
@@ -373,6 +748,22 @@ const RouteOptimizer = ({
                 </p>
               </div>
 
+              {keepOutAreas.length > 0 && (
+                <div className="route-optimizer__option-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={keepOutMode === 'reroute'}
+                      onChange={(e) => setKeepOutMode(e.target.checked ? 'reroute' : 'flag')}
+                    />
+                    除外エリアを迂回
+                  </label>
+                  <p className="route-optimizer__option-desc">
+                    {keepOutAreas.length}件の除外エリアを横切る区間を迂回します（オフの場合は警告のみ）
+                  </p>
+                </div>
+              )}
+
               <div className="route-optimizer__option-group">
                 <label>安全マージン</label>
                 <div className="route-optimizer__slider-group">
@@ -390,11 +781,57 @@ const RouteOptimizer = ({
                 </p>
               </div>
 
+              <div className="route-optimizer__option-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={options.useWindForecast}
+                    onChange={(e) => setOptions({ ...options, useWindForecast: e.target.checked })}
+                  />
+                  風予報を考慮
+                </label>
+                <p className="route-optimizer__option-desc">
+                  Open-Meteoの風予報から向かい風・追い風による消費電力の増減を計算します
+                </p>
+              </div>
+
+              {selectedMaxPayload > 0 && (
+                <div className="route-optimizer__option-group">
+                  <label>ペイロード</label>
+                  <div className="route-optimizer__slider-group">
+                    <input
+                      type="range"
+                      min="0"
+                      max={selectedMaxPayload}
+                      step="100"
+                      value={Math.min(options.payload, selectedMaxPayload)}
+                      onChange={(e) => setOptions({ ...options, payload: parseInt(e.target.value) })}
+                    />
+                    <span className="route-optimizer__slider-value">{Math.min(options.payload, selectedMaxPayload)}g</span>
+                  </div>
+                </div>
+              )}
+
               <div className="route-optimizer__waypoint-info">
                 <MapPin size={16} />
                 <span>{waypoints.length}個のウェイポイントを最適化します</span>
               </div>
 
+              {progress && (
+                <div className="route-optimizer__progress">
+                  <div className="route-optimizer__progress-label">
+                    <span>{progress.message}</span>
+                    <span>{Math.round(progress.progress * 100)}%</span>
+                  </div>
+                  <div className="route-optimizer__progress-bar">
+                    <div
+                      className="route-optimizer__progress-fill"
+                      style={{ width: `${Math.round(progress.progress * 100)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+
               {error && (
                 <div className="route-optimizer__error">
                   <AlertTriangle size={16} />
@@ -436,9 +873,11 @@ const RouteOptimizer = ({
                   <Clock size={20} />
                   <div>
                     <span className="route-optimizer__summary-value">
-                      {formatTime(optimizationResult.totalTime)}
+                      {formatTime(optimizationResult.isFleet ? optimizationResult.missionTime : optimizationResult.totalTime)}
+                    </span>
+                    <span className="route-optimizer__summary-label">
+                      {optimizationResult.isFleet ? 'ミッション時間' : '総飛行時間'}
                     </span>
-                    <span className="route-optimizer__summary-label">総飛行時間</span>
                   </div>
                 </div>
                 <div className="route-optimizer__summary-item">
@@ -468,6 +907,111 @@ const RouteOptimizer = ({
                 </div>
               )}
 
+              {optimizationResult.summary.orderConstraints && (
+                <div className="route-optimizer__constraint-info">
+                  <ListOrdered size={16} />
+                  <div>
+                    {optimizationResult.summary.orderConstraints.extraDistance >= 1
+                      ? `巡回順序の制約により距離が${formatDistance(optimizationResult.summary.orderConstraints.extraDistance)}（${optimizationResult.summary.orderConstraints.extraPercent.toFixed(1)}%）増えました`
+                      : '巡回順序の制約を適用しました（距離の増加なし）'}
+                    {optimizationResult.summary.orderConstraints.warnings.map((warning, i) => (
+                      <span key={i} className="route-optimizer__constraint-warning">{warning}</span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {optimizationResult.isFleet && (
+                <div className="route-optimizer__fleet-summary">
+                  {optimizationResult.fleet.map((member) => (
+                    <div key={member.droneIndex} className="route-optimizer__fleet-card">
+                      <span className="route-optimizer__fleet-dot" style={{ backgroundColor: member.color }} />
+                      <div>
+                        <strong>機体{member.droneIndex + 1}: {member.model}</strong>
+                        <span>
+                          {member.waypointCount}WP / バッテリー{member.totalFlights}本 / {formatDistance(member.totalDistance)} / {formatTime(member.missionTime)}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="route-optimizer__solver-comparison">
+                <h4>アルゴリズム比較（バッテリー分割前の巡回距離）</h4>
+                {solverComparison.length > 0 ? (
+                  <table>
+                    <tbody>
+                      {solverComparison.map((solver) => (
+                        <tr
+                          key={solver.algorithm}
+                          className={optimizationResult.summary.solvedWith.includes(solver.algorithm) ? 'selected' : ''}
+                        >
+                          <td>{solver.name}</td>
+                          <td>{solver.available ? formatDistance(solver.distance) : '地点数が多すぎます'}</td>
+                          <td>{solver.available ? `${Math.round(solver.durationMs)}ms` : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : isComparing ? (
+                  <div className="route-optimizer__progress">
+                    <div className="route-optimizer__progress-label">
+                      <span>{progress?.message}</span>
+                      <span>{Math.round((progress?.progress ?? 0) * 100)}%</span>
+                    </div>
+                    <div className="route-optimizer__progress-bar">
+                      <div
+                        className="route-optimizer__progress-fill"
+                        style={{ width: `${Math.round((progress?.progress ?? 0) * 100)}%` }}
+                      />
+                    </div>
+                    <button
+                      className="route-optimizer__btn route-optimizer__btn--secondary"
+                      onClick={handleCancelOptimize}
+                    >
+                      <X size={16} /> キャンセル
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    className="route-optimizer__btn route-optimizer__btn--secondary"
+                    onClick={handleCompareSolvers}
+                  >
+                    全アルゴリズムで比較する
+                  </button>
+                )}
+                {error && (
+                  <div className="route-optimizer__error">
+                    <AlertTriangle size={16} />
+                    {error}
+                  </div>
+                )}
+              </div>
+
+              <div className="route-optimizer__home-info">
+                <Wind size={16} />
+                <span>
+                  {optimizationResult.battery.wind
+                    ? `風 ${optimizationResult.battery.wind.speed.toFixed(1)} m/s`
+                      + (optimizationResult.battery.wind.direction !== null ? `（${Math.round(optimizationResult.battery.wind.direction)}°から）` : '')
+                    : '風予報なし'}
+                </span>
+                <span className="route-optimizer__home-reason">
+                  (バッテリー使用率は予報値、±は予報誤差・突風を見込んだ上振れ幅)
+                </span>
+              </div>
+
+              {(optimizationResult.summary.keepOutCrossings > 0 || optimizationResult.summary.keepOutDetours > 0) && (
+                <div className="route-optimizer__cluster-notice">
+                  <AlertTriangle size={16} />
+                  <span>
+                    {optimizationResult.summary.keepOutDetours > 0 && `除外エリアを${optimizationResult.summary.keepOutDetours}区間で迂回しました。`}
+                    {optimizationResult.summary.keepOutCrossings > 0 && `${optimizationResult.summary.keepOutCrossings}区間が除外エリアを横切ります。`}
+                  </span>
+                </div>
+              )}
+
               {optimizationResult.summary.isMultiCluster && (
                 <div className="route-optimizer__cluster-notice">
                   <AlertTriangle size={16} />
@@ -482,43 +1026,79 @@ const RouteOptimizer = ({
               <div className="route-optimizer__home-info">
                 <Home size={16} />
                 <span>
-                  ホームポイント: {optimizationResult.homePoint.lat.toFixed(6)}, {optimizationResult.homePoint.lng.toFixed(6)}
+                  {optimizationResult.itinerary ? '最初の離発着地点' : 'ホームポイント'}: {optimizationResult.homePoint.lat.toFixed(6)}, {optimizationResult.homePoint.lng.toFixed(6)}
                 </span>
-                {optimizationResult.optimalStartPoint?.reason && (
+                {!optimizationResult.itinerary && optimizationResult.optimalStartPoint?.reason && (
                   <span className="route-optimizer__home-reason">
                     ({optimizationResult.optimalStartPoint.reason})
                   </span>
                 )}
               </div>
 
+              {/* 現場の行程（複数の離発着地点） */}
+              {optimizationResult.itinerary && (
+                <div className="route-optimizer__itinerary">
+                  <h4>現場の行程</h4>
+                  <ol>
+                    {optimizationResult.itinerary.map((entry, i) => (
+                      <li key={i} className={`route-optimizer__itinerary-${entry.type}`}>
+                        {entry.type === 'move' ? (
+                          <>
+                            <Truck size={14} />
+                            <span>
+                              L{entry.launchNumber}へ移動
+                              {entry.distance === null
+                                ? '（現場到着）'
+                                : `（${formatDistance(entry.distance)}・約${Math.max(1, Math.round(entry.minutes))}分）`}
+                            </span>
+                            <span className="route-optimizer__home-reason">
+                              {entry.launch.name || `${entry.launch.lat.toFixed(5)}, ${entry.launch.lng.toFixed(5)}`}
+                            </span>
+                          </>
+                        ) : (
+                          <>
+                            <Plane size={14} />
+                            <span>
+                              {entry.flightNumbers.map(n => `F${n}`).join('/')}を飛行（{formatTime(entry.minutes)}）
+                            </span>
+                          </>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+
               {/* フライト詳細 */}
               <div className="route-optimizer__flights">
-                {optimizationResult.flights.map((flight) => (
-                  <div key={flight.flightNumber} className="route-optimizer__flight">
+                {optimizationResult.flights.map((flight, flightIndex) => (
+                  <div key={flightIndex} className="route-optimizer__flight">
                     <div
                       className="route-optimizer__flight-header"
                       onClick={() => setExpandedFlight(
-                        expandedFlight === flight.flightNumber ? null : flight.flightNumber
+                        expandedFlight === flightIndex ? null : flightIndex
                       )}
                     >
                       <div className="route-optimizer__flight-title">
                         <span
                           className="route-optimizer__flight-badge"
                           style={{
-                            backgroundColor: flight.flightNumber === 1 ? '#2563eb' :
-                              flight.flightNumber === 2 ? '#16a34a' : '#dc2626'
+                            backgroundColor: flight.droneColor || (flight.flightNumber === 1 ? '#2563eb' :
+                              flight.flightNumber === 2 ? '#16a34a' : '#dc2626')
                           }}
                         >
-                          Flight {flight.flightNumber}
+                          {flight.droneIndex !== undefined && `機体${flight.droneIndex + 1} `}Flight {flight.flightNumber}
                         </span>
                         <span className="route-optimizer__flight-stats">
                           {formatTime(flight.estimatedTime)} / {formatDistance(flight.totalDistance)}
                         </span>
                       </div>
-                      <div className="route-optimizer__flight-battery">
+                      <div className={`route-optimizer__flight-battery ${flight.exceedsBattery ? 'exceeds' : ''}`}>
                         <Battery size={14} />
-                        <span>{Math.round(flight.batteryUsage)}%</span>
-                        {expandedFlight === flight.flightNumber ? (
+                        <span title={`保守側の見積り: ${Math.round(flight.batteryUsageHigh)}%`}>
+                          {Math.round(flight.batteryUsage)}% ±{Math.ceil(flight.batteryMargin)}
+                        </span>
+                        {expandedFlight === flightIndex ? (
                           <ChevronUp size={16} />
                         ) : (
                           <ChevronDown size={16} />
@@ -526,7 +1106,7 @@ const RouteOptimizer = ({
                       </div>
                     </div>
 
-                    {expandedFlight === flight.flightNumber && (
+                    {expandedFlight === flightIndex && (
                       <div className="route-optimizer__flight-detail">
                         <div className="route-optimizer__flight-route">
                           <span className="route-optimizer__flight-home">
@@ -544,6 +1124,34 @@ const RouteOptimizer = ({
                           </span>
                         </div>
 
+                        {flight.timeBreakdown && (
+                          <div className="route-optimizer__flight-time">
+                            <div className="route-optimizer__time-components">
+                              {FLIGHT_TIME_COMPONENTS
+                                .filter(({ key }) => flight.timeBreakdown[key] >= 0.5)
+                                .map(({ key, label }) => (
+                                  <span key={key}>
+                                    {label} {formatSeconds(flight.timeBreakdown[key])}
+                                  </span>
+                                ))}
+                            </div>
+                            <table className="route-optimizer__leg-times">
+                              <thead>
+                                <tr><th>区間</th><th>距離</th><th>時間</th></tr>
+                              </thead>
+                              <tbody>
+                                {flight.timeBreakdown.legs.map((leg, idx) => (
+                                  <tr key={idx}>
+                                    <td>{leg.from} → {leg.to}</td>
+                                    <td>{formatDistance(leg.distance)}</td>
+                                    <td>{formatSeconds(leg.totalSeconds)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+
                         {flight.restrictions.length > 0 && (
                           <div className="route-optimizer__flight-warnings">
                             {flight.restrictions.map((r, idx) => (
@@ -603,12 +1211,21 @@ const RouteOptimizer = ({
 
           {step === 3 && (
             <>
-              <button
-                className="route-optimizer__btn route-optimizer__btn--secondary"
-                onClick={() => setStep(2)}
-              >
-                <ChevronLeft size={16} /> 戻る
-              </button>
+              {isOptimizing ? (
+                <button
+                  className="route-optimizer__btn route-optimizer__btn--secondary"
+                  onClick={handleCancelOptimize}
+                >
+                  <X size={16} /> キャンセル
+                </button>
+              ) : (
+                <button
+                  className="route-optimizer__btn route-optimizer__btn--secondary"
+                  onClick={() => setStep(2)}
+                >
+                  <ChevronLeft size={16} /> 戻る
+                </button>
+              )}
               <button
                 className="route-optimizer__btn route-optimizer__btn--primary"
                 onClick={handleOptimize}
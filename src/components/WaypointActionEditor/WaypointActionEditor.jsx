@@ -0,0 +1,151 @@
+import { useState } from 'react'
+import { X, Zap, ChevronUp, ChevronDown, Trash2 } from 'lucide-react'
+import { WAYPOINT_ACTION_TYPES, createWaypointAction } from '../../services/waypointActions'
+import styles from './WaypointActionEditor.module.scss'
+
+const WaypointActionEditor = ({ targets, onConfirm, onCancel }) => {
+  const isBulk = targets.length > 1
+  // 単体編集は現在のアクションから、一括編集は空から開始
+  const [actions, setActions] = useState(() => (isBulk ? [] : (targets[0]?.actions || []).map(a => ({ ...a }))))
+  const [mode, setMode] = useState(isBulk ? 'append' : 'replace')
+
+  const addAction = (type) => {
+    const action = createWaypointAction(type)
+    if (action) setActions(prev => [...prev, action])
+  }
+
+  const updateParam = (index, key, value) => {
+    setActions(prev => prev.map((action, i) => (
+      i === index ? createWaypointAction(action.type, { ...action, [key]: value }) : action
+    )))
+  }
+
+  const moveAction = (index, delta) => {
+    setActions(prev => {
+      const next = [...prev]
+      const target = index + delta
+      if (target < 0 || target >= next.length) return prev
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  const removeAction = (index) => {
+    setActions(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const title = isBulk
+    ? `${targets.length} Waypointに一括設定`
+    : `WP #${targets[0]?.index} のアクション`
+
+  return (
+    <div className={styles.dialog}>
+      <div className={styles.header}>
+        <div className={styles.titleRow}>
+          <Zap size={20} />
+          <h3>{title}</h3>
+        </div>
+        <button className={styles.closeButton} onClick={onCancel}>
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className={styles.content}>
+        {/* Add buttons */}
+        <div className={styles.addButtons}>
+          {Object.entries(WAYPOINT_ACTION_TYPES).map(([type, definition]) => (
+            <button
+              key={type}
+              className={styles.addButton}
+              onClick={() => addAction(type)}
+            >
+              <span>{definition.icon}</span>
+              {definition.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Action list (executed in order) */}
+        {actions.length === 0 ? (
+          <p className={styles.empty}>アクションなし（上のボタンで追加）</p>
+        ) : (
+          <ol className={styles.actionList}>
+            {actions.map((action, index) => {
+              const definition = WAYPOINT_ACTION_TYPES[action.type]
+              return (
+                <li key={index} className={styles.actionItem}>
+                  <span className={styles.actionLabel}>
+                    {definition.icon} {definition.label}
+                  </span>
+                  {Object.entries(definition.params).map(([key, spec]) => (
+                    <label key={key} className={styles.param}>
+                      <input
+                        type="number"
+                        min={spec.min}
+                        max={spec.max}
+                        value={action[key]}
+                        onChange={(e) => updateParam(index, key, e.target.value)}
+                        className={styles.numberInput}
+                        title={spec.label}
+                      />
+                      <span className={styles.unit}>{spec.unit}</span>
+                    </label>
+                  ))}
+                  <div className={styles.itemButtons}>
+                    <button onClick={() => moveAction(index, -1)} disabled={index === 0} title="上へ">
+                      <ChevronUp size={14} />
+                    </button>
+                    <button onClick={() => moveAction(index, 1)} disabled={index === actions.length - 1} title="下へ">
+                      <ChevronDown size={14} />
+                    </button>
+                    <button onClick={() => removeAction(index)} title="削除">
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </li>
+              )
+            })}
+          </ol>
+        )}
+
+        {isBulk && (
+          <div className={styles.modeSelector}>
+            <label>
+              <input
+                type="radio"
+                name="actionMode"
+                checked={mode === 'append'}
+                onChange={() => setMode('append')}
+              />
+              既存のアクションに追加
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="actionMode"
+                checked={mode === 'replace'}
+                onChange={() => setMode('replace')}
+              />
+              既存のアクションを置き換え
+            </label>
+          </div>
+        )}
+      </div>
+
+      <div className={styles.actions}>
+        <button className={styles.cancelButton} onClick={onCancel}>
+          キャンセル
+        </button>
+        <button
+          className={styles.confirmButton}
+          onClick={() => onConfirm(actions, mode)}
+        >
+          <Zap size={16} />
+          {isBulk ? `${targets.length} Waypointに適用` : '保存'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default WaypointActionEditor
@@ -1,6 +1,8 @@
 import { useState, useRef, useEffect } from 'react'
-import { Trash2, Mountain, Pencil, Check, Route } from 'lucide-react'
+import { Trash2, Mountain, MountainSnow, Pencil, Check, Route, Zap, PlaneTakeoff } from 'lucide-react'
 import { formatElevation } from '../../services/elevation'
+import { formatCeiling, formatCeilingMargin } from '../../services/airspaceCeiling'
+import { WAYPOINT_ACTION_TYPES, formatWaypointActions } from '../../services/waypointActions'
 import { getWaypointNumberingMode } from '../../services/settingsService'
 import ConfirmDialog from '../ConfirmDialog/ConfirmDialog'
 import { useConfirmDialog } from '../../hooks/useConfirmDialog'
@@ -13,13 +15,19 @@ const WaypointList = ({
   onClear,
   onUpdate,
   onFetchElevation,
+  onTerrainFollow,
+  onEditActions,
   isLoadingElevation = false,
   elevationProgress = null,
+  airspaceCeilings = null,
   onOpenRouteOptimizer,
+  onRecommendTakeoff,
+  isRecommendingTakeoff = false,
 }) => {
   const [editingId, setEditingId] = useState(null)
   const [editingField, setEditingField] = useState(null) // 'name' | 'lat' | 'lng' | 'index'
   const [editValue, setEditValue] = useState('')
+  const [selectedIds, setSelectedIds] = useState(() => new Set()) // bulk action targets
   const inputRef = useRef(null)
   const { dialogState, showConfirm, handleConfirm, handleCancel } = useConfirmDialog()
 
@@ -89,6 +97,14 @@ const WaypointList = ({
     cancelEdit()
   }
 
+  const toggleSelected = (ids, checked) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      ids.forEach(id => (checked ? next.add(id) : next.delete(id)))
+      return next
+    })
+  }
+
   const handleKeyDown = (e) => {
     // IME変換中は無視（日本語入力の確定Enterでsubmitしないように）
     if (e.nativeEvent.isComposing || e.keyCode === 229) {
@@ -133,11 +149,28 @@ const WaypointList = ({
     return wp.index
   }
 
+  // Ignore selections for waypoints that no longer exist
+  const selectedWaypointIds = waypoints.filter(wp => selectedIds.has(wp.id)).map(wp => wp.id)
+
   return (
     <div className={styles.waypointList}>
       <div className={styles.header}>
         <span className={styles.count}>{waypoints.length} Waypoints</span>
         <div className={styles.headerActions}>
+          {onEditActions && selectedWaypointIds.length > 0 && (
+            <button
+              className={styles.bulkActionButton}
+              onClick={() => {
+                onEditActions(selectedWaypointIds)
+                setSelectedIds(new Set())
+              }}
+              data-tooltip="選択中のWaypointにアクションを一括設定"
+              data-tooltip-pos="bottom"
+            >
+              <Zap size={14} />
+              {selectedWaypointIds.length}
+            </button>
+          )}
           <button
             className={`${styles.iconButton} ${styles.routeButton}`}
             onClick={onOpenRouteOptimizer}
@@ -147,6 +180,15 @@ const WaypointList = ({
           >
             <Route size={16} />
           </button>
+          <button
+            className={styles.iconButton}
+            onClick={onRecommendTakeoff}
+            disabled={isRecommendingTakeoff || waypoints.length === 0}
+            data-tooltip="離発着地点の候補を地図に表示"
+            data-tooltip-pos="bottom"
+          >
+            <PlaneTakeoff size={16} />
+          </button>
           <button
             className={styles.iconButton}
             onClick={onFetchElevation}
@@ -156,6 +198,15 @@ const WaypointList = ({
           >
             <Mountain size={16} />
           </button>
+          <button
+            className={styles.iconButton}
+            onClick={onTerrainFollow}
+            disabled={isLoadingElevation || waypoints.length === 0}
+            data-tooltip="地形追従（一定の対地高度で海抜高度を設定）"
+            data-tooltip-pos="bottom"
+          >
+            <MountainSnow size={16} />
+          </button>
           <button
             className={styles.clearButton}
             onClick={async () => {
@@ -197,6 +248,15 @@ const WaypointList = ({
         {Object.entries(groupedWaypoints).map(([groupName, groupWaypoints]) => (
           <div key={groupName} className={styles.group}>
             <div className={styles.groupHeader}>
+              {onEditActions && (
+                <input
+                  type="checkbox"
+                  className={styles.selectCheckbox}
+                  checked={groupWaypoints.every(wp => selectedIds.has(wp.id))}
+                  onChange={(e) => toggleSelected(groupWaypoints.map(wp => wp.id), e.target.checked)}
+                  title="グループを選択"
+                />
+              )}
               <span className={styles.groupName}>{groupName}</span>
               <span className={styles.groupCount}>{groupWaypoints.length}</span>
             </div>
@@ -204,6 +264,7 @@ const WaypointList = ({
             <ul className={styles.list}>
               {groupWaypoints.map((wp) => {
                 const isEditing = editingId === wp.id
+                const ceiling = airspaceCeilings?.waypoints.get(wp.id)
 
                 return (
                   <li
@@ -211,6 +272,17 @@ const WaypointList = ({
                     className={`${styles.item} ${isEditing ? styles.editing : ''}`}
                     onClick={() => !isEditing && onSelect?.(wp)}
                   >
+                    {onEditActions && (
+                      <input
+                        type="checkbox"
+                        className={styles.selectCheckbox}
+                        checked={selectedIds.has(wp.id)}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={(e) => toggleSelected([wp.id], e.target.checked)}
+                        title="選択"
+                      />
+                    )}
+
                     {/* Index marker - editable */}
                     {isEditing && editingField === 'index' ? (
                       <input
@@ -226,7 +298,7 @@ const WaypointList = ({
                       />
                     ) : (
                       <span
-                        className={`${styles.marker} ${wp.type === 'grid' ? styles.gridMarker : ''}`}
+                        className={`${styles.marker} ${wp.type === 'grid' || wp.type === 'survey' ? styles.gridMarker : ''}`}
                         onDoubleClick={(e) => {
                           e.stopPropagation()
                           startEdit(wp, 'index')
@@ -292,10 +364,33 @@ const WaypointList = ({
                           {formatElevation(wp.elevation)}
                         </span>
                       )}
+
+                      {Number.isFinite(wp.altitudeASL) && (
+                        <span className={styles.altitudeASL} title={`対地 ${wp.altitude}m`}>
+                          ASL {wp.altitudeASL.toFixed(1)}m
+                        </span>
+                      )}
+
+                      {ceiling && (
+                        <span
+                          className={`${styles.ceiling} ${ceiling.exceeds ? styles.ceilingExceeded : ''}`}
+                          title={`制限表面の上限: ${formatCeiling(ceiling)} / ${formatCeilingMargin(ceiling.margin)}`}
+                        >
+                          上限 {Math.floor(ceiling.ceilingASL)}m{ceiling.exceeds && ' 超過'}
+                        </span>
+                      )}
+
+                      {wp.actions?.length > 0 && (
+                        <span className={styles.actionIcons} title={formatWaypointActions(wp.actions)}>
+                          {wp.actions.map((action, i) => (
+                            <span key={i}>{WAYPOINT_ACTION_TYPES[action.type]?.icon}</span>
+                          ))}
+                        </span>
+                      )}
                     </div>
 
                     <span className={styles.type}>
-                      {wp.type === 'grid' ? 'グリッド' : wp.type === 'manual' ? '手動' : wp.type === 'perimeter' ? '外周' : '頂点'}
+                      {wp.type === 'grid' ? 'グリッド' : wp.type === 'survey' ? '測量' : wp.type === 'orbit' ? '周回' : wp.type === 'facade' ? '壁面' : wp.type === 'corridor' ? '回廊' : wp.type === 'terrain' ? '地形' : wp.type === 'manual' ? '手動' : wp.type === 'perimeter' ? '外周' : '頂点'}
                     </span>
 
                     {/* Edit button */}
@@ -310,6 +405,19 @@ const WaypointList = ({
                       <Pencil size={12} />
                     </button>
 
+                    {onEditActions && (
+                      <button
+                        className={styles.editButton}
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          onEditActions([wp.id])
+                        }}
+                        title="アクションを編集"
+                      >
+                        <Zap size={12} />
+                      </button>
+                    )}
+
                     <button
                       className={styles.deleteButton}
                       onClick={(e) => {
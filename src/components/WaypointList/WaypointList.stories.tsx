@@ -93,7 +93,10 @@ export const Default: Story = {
     onClear: () => console.log('Clear all'),
     onUpdate: (id, data) => console.log('Update:', id, data),
     onFetchElevation: () => console.log('Fetch elevation'),
+    onTerrainFollow: () => console.log('Terrain follow'),
+    onEditActions: (ids: string[]) => console.log('Edit actions:', ids),
     onOpenRouteOptimizer: () => console.log('Open route optimizer'),
+    onRecommendTakeoff: () => console.log('Recommend takeoff sites'),
     isLoadingElevation: false,
   },
 }
@@ -106,7 +109,10 @@ export const Empty: Story = {
     onClear: () => {},
     onUpdate: () => {},
     onFetchElevation: () => {},
+    onTerrainFollow: () => {},
+    onEditActions: () => {},
     onOpenRouteOptimizer: () => {},
+    onRecommendTakeoff: () => {},
   },
 }
 
@@ -118,7 +124,10 @@ export const LoadingElevation: Story = {
     onClear: () => {},
     onUpdate: () => {},
     onFetchElevation: () => {},
+    onTerrainFollow: () => {},
+    onEditActions: () => {},
     onOpenRouteOptimizer: () => {},
+    onRecommendTakeoff: () => {},
     isLoadingElevation: true,
     elevationProgress: {
       current: 3,
@@ -174,7 +183,10 @@ export const SinglePolygon: Story = {
     onClear: () => {},
     onUpdate: () => {},
     onFetchElevation: () => {},
+    onTerrainFollow: () => {},
+    onEditActions: () => {},
     onOpenRouteOptimizer: () => {},
+    onRecommendTakeoff: () => {},
   },
 }
 
@@ -196,7 +208,10 @@ export const LargeDataset: Story = {
     onClear: () => {},
     onUpdate: () => {},
     onFetchElevation: () => {},
+    onTerrainFollow: () => {},
+    onEditActions: () => {},
     onOpenRouteOptimizer: () => {},
+    onRecommendTakeoff: () => {},
   },
 }
 
@@ -225,7 +240,10 @@ const InteractiveDemo = () => {
       onClear={handleClear}
       onUpdate={handleUpdate}
       onFetchElevation={() => alert('標高取得機能')}
+      onTerrainFollow={() => alert('地形追従機能')}
+      onEditActions={() => alert('アクション編集')}
       onOpenRouteOptimizer={() => alert('ルート最適化')}
+      onRecommendTakeoff={() => alert('離発着地点の推薦')}
     />
   )
 }
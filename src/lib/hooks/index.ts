@@ -25,6 +25,9 @@ export {
   type WindLevel
 } from './useWeatherMesh'
 
+// Active Rule Pack (適用中のルールパック)
+export { useActiveRulePack } from './useActiveRulePack'
+
 // Operation Safety (運用安全性統合)
 export {
   useOperationSafety,
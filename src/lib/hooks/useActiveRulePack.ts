@@ -0,0 +1,35 @@
+/**
+ * 適用中のルールパックフック
+ * ルールパックの取り込み・削除（storage イベント）に追従する
+ */
+
+import { useState, useEffect } from 'react'
+import { getActiveRulePack } from '../services/rulePacks'
+import type { ActiveRulePack } from '../services/rulePacks'
+
+/**
+ * 適用中のルールパック（既定のパック + 取り込んだパック）を返すフック
+ * 他の設定の保存でも storage イベントが届くため、内容が変わったときだけ新しいパックに置き換える
+ *
+ * @returns 適用中のルールパック
+ *
+ * @example
+ * ```tsx
+ * const rulePack = useActiveRulePack()
+ * const result = useMemo(() => evaluateRules('safety.wind', facts, rulePack), [facts, rulePack])
+ * ```
+ */
+export function useActiveRulePack(): ActiveRulePack {
+  const [rulePack, setRulePack] = useState<ActiveRulePack>(() => getActiveRulePack())
+
+  useEffect(() => {
+    const handleStorageChange = () => {
+      const next = getActiveRulePack()
+      setRulePack(prev => JSON.stringify(prev) === JSON.stringify(next) ? prev : next)
+    }
+    window.addEventListener('storage', handleStorageChange)
+    return () => window.removeEventListener('storage', handleStorageChange)
+  }, [])
+
+  return rulePack
+}
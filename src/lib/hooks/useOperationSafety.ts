@@ -1,12 +1,16 @@
 /**
  * 運用安全性統合フック
  * 気象・通信・昼光条件を統合した安全性評価
+ * しきい値・メッセージはルールパック（safety.* のルール）で判定する
  */
 
 import { useMemo, useCallback } from 'react'
 import { useWeatherMesh } from './useWeatherMesh'
 import { useNetworkCoverage } from './useNetworkCoverage'
 import { useFlightWindow } from './useFlightWindow'
+import { useActiveRulePack } from './useActiveRulePack'
+import { evaluateRules, getActiveRulePack } from '../services/rulePacks'
+import type { RulePack, RuleFacts, RuleSeverity } from '../services/rulePacks'
 
 export type SafetyLevel = 'safe' | 'caution' | 'warning' | 'danger' | 'prohibited'
 
@@ -17,6 +21,9 @@ export interface SafetyReason {
   value?: number
   unit?: string
   threshold?: number
+  /** 判定したルール */
+  ruleId?: string
+  rulePackId?: string
 }
 
 export interface OperationSafetyResult {
@@ -53,10 +60,70 @@ export interface OperationSafetyResult {
   }
 }
 
+const SAFETY_LEVEL_ORDER: SafetyLevel[] = ['safe', 'caution', 'warning', 'danger', 'prohibited']
+
+const REASON_SEVERITY: Record<RuleSeverity, SafetyReason['severity']> = {
+  info: 'info',
+  warning: 'warning',
+  error: 'critical'
+}
+
+/**
+ * 判定項目ごとの、ルールの重大度に対応する安全レベル
+ * 通信・昼光の error は改善を待てないため飛行禁止、気象の error は危険
+ */
+const SAFETY_CHECKS: Array<{
+  check: string
+  category: SafetyReason['category']
+  levels: Record<RuleSeverity, SafetyLevel>
+  value?: string
+  unit?: string
+}> = [
+  { check: 'safety.wind', category: 'wind', levels: { error: 'danger', warning: 'warning', info: 'caution' }, value: 'windSpeed', unit: 'm/s' },
+  { check: 'safety.precipitation', category: 'precipitation', levels: { error: 'danger', warning: 'caution', info: 'caution' }, value: 'precipitationProbability', unit: '%' },
+  { check: 'safety.network', category: 'network', levels: { error: 'prohibited', warning: 'caution', info: 'caution' } },
+  { check: 'safety.daylight', category: 'daylight', levels: { error: 'prohibited', warning: 'caution', info: 'caution' } }
+]
+
+/**
+ * 事実をルールパックで評価して、安全性の理由と安全レベルを求める
+ * @param facts - windSpeed, precipitationProbability, hasLTE, signalStrength, flightAllowedNow, minutesRemaining
+ * @param rulePack - 評価するルールパック
+ */
+export function evaluateSafetyRules(
+  facts: RuleFacts,
+  rulePack: RulePack = getActiveRulePack()
+): { canFly: boolean; reasons: SafetyReason[]; safetyLevel: SafetyLevel } {
+  const reasons: SafetyReason[] = []
+  let safetyLevel: SafetyLevel = 'safe'
+
+  for (const { check, category, levels, value, unit } of SAFETY_CHECKS) {
+    const match = evaluateRules(check, facts, rulePack)
+    if (!match) continue
+    const level = levels[match.severity]
+    if (SAFETY_LEVEL_ORDER.indexOf(level) > SAFETY_LEVEL_ORDER.indexOf(safetyLevel)) safetyLevel = level
+    reasons.push({
+      category,
+      severity: REASON_SEVERITY[match.severity],
+      message: match.message,
+      ...(value && { value: facts[value] as number, unit }),
+      ...(typeof match.threshold === 'number' && { threshold: match.threshold }),
+      ruleId: match.ruleId,
+      rulePackId: match.packId
+    })
+  }
+
+  return {
+    canFly: !reasons.some(reason => reason.severity === 'critical'),
+    reasons,
+    safetyLevel
+  }
+}
+
 /**
  * ドローン運用の総合的な安全性を評価するフック
  *
- * 安全ルール:
+ * 安全ルール（既定のルールパック。組織のパックで上書き可能）:
  * - 風速 >= 10 m/s → 飛行不可
  * - LTE圏外 → 飛行不可
  * - 市民薄明終了後 → 飛行不可
@@ -65,6 +132,7 @@ export interface OperationSafetyResult {
  * @param lat - 緯度
  * @param lng - 経度
  * @param meshCode - JMAメッシュコード（8桁）
+ * @param rulePack - 評価するルールパック（省略時は有効なパック）
  * @returns 総合的な安全性評価結果
  *
  * @example
@@ -90,12 +158,14 @@ export interface OperationSafetyResult {
 export function useOperationSafety(
   lat: number,
   lng: number,
-  meshCode: string | null
+  meshCode: string | null,
+  rulePack?: RulePack
 ): OperationSafetyResult {
   // 各安全データを取得
   const weather = useWeatherMesh(meshCode)
   const network = useNetworkCoverage(lat, lng)
   const flightWindow = useFlightWindow(lat, lng)
+  const activeRulePack = useActiveRulePack()
 
   // ローディング状態を統合
   const loading = weather.loading || network.loading || flightWindow.loading
@@ -105,9 +175,7 @@ export function useOperationSafety(
 
   // 安全性評価
   const safetyEvaluation = useMemo(() => {
-    const reasons: SafetyReason[] = []
-    let canFly = true
-    let safetyLevel: SafetyLevel = 'safe'
+    const pack = rulePack ?? activeRulePack
 
     // データが利用可能かチェック
     if (!weather.data || !flightWindow.civilTwilightEnd) {
@@ -125,99 +193,15 @@ export function useOperationSafety(
 
     const currentForecast = weather.data.forecasts[0]
 
-    // 風速チェック（critical: >= 10 m/s）
-    if (currentForecast.windSpeed >= 10) {
-      canFly = false
-      safetyLevel = 'danger'
-      reasons.push({
-        category: 'wind',
-        severity: 'critical',
-        message: `風速が高すぎます: ${currentForecast.windSpeed.toFixed(1)} m/s（上限: 10 m/s）`,
-        value: currentForecast.windSpeed,
-        unit: 'm/s',
-        threshold: 10
-      })
-    } else if (currentForecast.windSpeed >= 5) {
-      safetyLevel = 'warning'
-      reasons.push({
-        category: 'wind',
-        severity: 'warning',
-        message: `中程度の風速: ${currentForecast.windSpeed.toFixed(1)} m/s（注意が必要）`,
-        value: currentForecast.windSpeed,
-        unit: 'm/s',
-        threshold: 5
-      })
-    } else if (currentForecast.windSpeed >= 2) {
-      if (safetyLevel === 'safe') safetyLevel = 'caution'
-      reasons.push({
-        category: 'wind',
-        severity: 'info',
-        message: `微風: ${currentForecast.windSpeed.toFixed(1)} m/s`,
-        value: currentForecast.windSpeed,
-        unit: 'm/s',
-        threshold: 2
-      })
-    }
-
-    // 降水確率チェック（critical: > 50%）
-    if (currentForecast.precipitationProbability > 50) {
-      canFly = false
-      if (safetyLevel !== 'danger') safetyLevel = 'danger'
-      reasons.push({
-        category: 'precipitation',
-        severity: 'critical',
-        message: `降水確率が高すぎます: ${currentForecast.precipitationProbability}%（上限: 50%）`,
-        value: currentForecast.precipitationProbability,
-        unit: '%',
-        threshold: 50
-      })
-    } else if (currentForecast.precipitationProbability > 30) {
-      if (safetyLevel === 'safe') safetyLevel = 'caution'
-      reasons.push({
-        category: 'precipitation',
-        severity: 'warning',
-        message: `中程度の降水確率: ${currentForecast.precipitationProbability}%`,
-        value: currentForecast.precipitationProbability,
-        unit: '%',
-        threshold: 30
-      })
-    }
-
-    // LTE利用可能性チェック（critical）
-    if (!network.hasLTE) {
-      canFly = false
-      safetyLevel = 'prohibited'
-      reasons.push({
-        category: 'network',
-        severity: 'critical',
-        message: 'この地点ではLTE通信が利用できません'
-      })
-    } else if (network.signalStrength === 'poor') {
-      if (safetyLevel === 'safe') safetyLevel = 'caution'
-      reasons.push({
-        category: 'network',
-        severity: 'warning',
-        message: 'ネットワーク信号が弱いです'
-      })
-    }
-
-    // 昼光/市民薄明チェック（critical）
-    if (!flightWindow.flightAllowedNow) {
-      canFly = false
-      safetyLevel = 'prohibited'
-      reasons.push({
-        category: 'daylight',
-        severity: 'critical',
-        message: '市民薄明終了後のため飛行禁止です'
-      })
-    } else if (flightWindow.minutesRemaining < 30 && flightWindow.minutesRemaining > 0) {
-      if (safetyLevel === 'safe') safetyLevel = 'caution'
-      reasons.push({
-        category: 'daylight',
-        severity: 'warning',
-        message: `薄明終了まで残り${flightWindow.minutesRemaining}分です`
-      })
-    }
+    // 風速・降水確率・通信・昼光をルールで判定
+    const { canFly, reasons, safetyLevel } = evaluateSafetyRules({
+      windSpeed: currentForecast.windSpeed,
+      precipitationProbability: currentForecast.precipitationProbability,
+      hasLTE: network.hasLTE,
+      signalStrength: network.signalStrength,
+      flightAllowedNow: flightWindow.flightAllowedNow,
+      minutesRemaining: flightWindow.minutesRemaining
+    }, pack)
 
     // 次の安全な飛行可能時間帯を計算
     let nextSafeWindow: Date | null = null
@@ -232,9 +216,12 @@ export function useOperationSafety(
         tomorrow.setHours(6, 0, 0, 0)
         nextSafeWindow = tomorrow
       } else {
-        // 気象条件が改善する時間を探す
+        // 気象条件が改善する時間を探す（風速・降水確率のルールで飛行不可にならない予報）
         const safeForecast = weather.data.forecasts.find(f => {
-          const isWeatherSafe = f.windSpeed < 10 && f.precipitationProbability <= 50
+          const isWeatherSafe = ['safety.wind', 'safety.precipitation'].every(check =>
+            evaluateRules(check, { windSpeed: f.windSpeed, precipitationProbability: f.precipitationProbability }, pack)
+              ?.severity !== 'error'
+          )
           const forecastTime = new Date(f.timestamp)
           const isDaylightSafe = flightWindow.civilTwilightEnd
             ? forecastTime < flightWindow.civilTwilightEnd
@@ -275,7 +262,9 @@ export function useOperationSafety(
     network.signalStrength,
     flightWindow.flightAllowedNow,
     flightWindow.minutesRemaining,
-    flightWindow.civilTwilightEnd
+    flightWindow.civilTwilightEnd,
+    rulePack,
+    activeRulePack
   ])
 
   const { refetch: refetchWeather } = weather
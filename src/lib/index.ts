@@ -218,6 +218,33 @@ export type { SunriseSunsetData, SunTimesRequest } from './services/sunriseSunse
 // ============================================
 export { CustomLayerService } from './services/customLayers'
 
+// ============================================
+// Services - Compliance Rule Packs
+// ============================================
+export {
+  DEFAULT_RULE_PACK,
+  validateRulePack,
+  mergeRulePacks,
+  getImportedRulePacks,
+  saveImportedRulePacks,
+  importRulePack,
+  removeRulePack,
+  getActiveRulePack,
+  matchesCondition,
+  formatRuleMessage,
+  evaluateRules,
+  RulePackService
+} from './services/rulePacks'
+export type {
+  Rule,
+  RulePack,
+  ActiveRulePack,
+  RuleMatch,
+  RuleFacts,
+  RuleCondition,
+  RuleSeverity
+} from './services/rulePacks'
+
 // ============================================
 // Utils - Geo
 // ============================================
@@ -315,6 +342,7 @@ export {
   useWeatherMesh,
   useCurrentWeatherForecast,
   classifyWindLevel,
+  useActiveRulePack,
   useOperationSafety,
   getSafetyLevelColor,
   getSafetyLevelText
@@ -0,0 +1,206 @@
+/**
+ * rulePacks テスト
+ *
+ * ルールパックの検証・重ね合わせ・取り込みと、安全性評価・衝突判定への反映のテスト
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import {
+  DEFAULT_RULE_PACK,
+  validateRulePack,
+  mergeRulePacks,
+  importRulePack,
+  removeRulePack,
+  getActiveRulePack,
+  evaluateRules,
+  formatRuleMessage,
+} from './rulePacks';
+import type { RulePack } from './rulePacks';
+import { evaluateSafetyRules } from '../hooks/useOperationSafety';
+import { useActiveRulePack } from '../hooks/useActiveRulePack';
+import { createSpatialIndex, checkWaypointCollision } from '../utils/collision';
+
+// 社内基準: 風速8m/s以上は飛行中止、DIDは禁止区域と同等、微風の表示は不要
+const companyPack: RulePack = {
+  id: 'acme',
+  name: 'ACME社内基準',
+  version: 2,
+  rules: [
+    {
+      id: 'acme.wind.limit',
+      check: 'safety.wind',
+      when: { fact: 'windSpeed', op: '>=', value: 8 },
+      severity: 'error',
+      message: '社内基準の風速上限 {threshold} m/s を超えています（{windSpeed:1} m/s）',
+    },
+    {
+      id: 'zone.did',
+      check: 'zone',
+      when: { fact: 'zoneType', op: '==', value: 'DID' },
+      severity: 'error',
+      message: '{areaName}（DID・社内基準で飛行禁止）内です',
+    },
+    { id: 'safety.wind.breeze', enabled: false } as RulePack['rules'][number],
+  ],
+};
+
+// localStorage はテスト全体でモックされているため、メモリ上の保存先をつなぐ
+const storage = new Map<string, string>();
+
+describe('rulePacks', () => {
+  beforeEach(() => {
+    storage.clear();
+    vi.mocked(localStorage.getItem).mockImplementation(key => storage.get(key) ?? null);
+    vi.mocked(localStorage.setItem).mockImplementation((key, value) => {
+      storage.set(key, value);
+    });
+  });
+
+  it('既定のパックは形式が正しく、ルールの id が重複しない', () => {
+    const ids = DEFAULT_RULE_PACK.rules.map(rule => rule.id);
+
+    expect(validateRulePack(DEFAULT_RULE_PACK)).toEqual([]);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('形式の誤りをルールの位置とともに返す', () => {
+    const errors = validateRulePack({
+      id: 'broken',
+      name: '壊れたパック',
+      rules: [
+        { id: 'a', check: 'safety.wind', when: { fact: 'windSpeed', op: '≧', value: 8 }, severity: 'error', message: 'x' },
+        { id: 'b', check: 'zone', when: { all: [] }, severity: 'fatal', message: '' },
+      ],
+    });
+
+    expect(errors).toEqual([
+      'rules[0].when: 未対応の演算子です（≧）',
+      'rules[1]: severity は info / warning / error のいずれかです',
+      'rules[1]: message がありません',
+      'rules[1].when: all / any が空です',
+    ]);
+    expect(validateRulePack([])).toEqual(['ルールパックはオブジェクトで指定してください']);
+  });
+
+  it('後のパックで同じ id のルールを置き換え、新しいルールを追加し、無効化したルールを除く', () => {
+    const merged = mergeRulePacks([DEFAULT_RULE_PACK, companyPack]);
+    const zoneDid = merged.rules.find(rule => rule.id === 'zone.did');
+
+    expect(merged.name).toBe('標準ルール + ACME社内基準');
+    expect(merged.packs.map(pack => pack.id)).toEqual(['default', 'acme']);
+    expect(zoneDid).toMatchObject({ severity: 'error', packId: 'acme' });
+    // 置き換えたルールは元の位置に残る
+    expect(merged.rules[merged.rules.indexOf(zoneDid) + 1].id).toBe('zone.yellow_zone');
+    expect(merged.rules.some(rule => rule.id === 'safety.wind.breeze')).toBe(false);
+    expect(merged.rules[merged.rules.length - 1]).toMatchObject({ id: 'acme.wind.limit', packId: 'acme' });
+  });
+
+  it('条件を満たす最も重大なルールを採用し、メッセージの事実としきい値を埋める', () => {
+    const merged = mergeRulePacks([DEFAULT_RULE_PACK, companyPack]);
+
+    expect(evaluateRules('safety.wind', { windSpeed: 8.46 }, merged)).toEqual({
+      ruleId: 'acme.wind.limit',
+      packId: 'acme',
+      severity: 'error',
+      label: null,
+      message: '社内基準の風速上限 8 m/s を超えています（8.5 m/s）',
+      threshold: 8,
+    });
+    expect(evaluateRules('safety.wind', { windSpeed: 8.46 }, DEFAULT_RULE_PACK)?.ruleId).toBe('safety.wind.moderate');
+    expect(evaluateRules('safety.wind', { windSpeed: 1 }, merged)).toBeNull();
+    expect(evaluateRules('safety.wind', { windSpeed: null }, merged)).toBeNull();
+    expect(formatRuleMessage('{unknown}と{windSpeed:2}', { windSpeed: 3 })).toBe('{unknown}と3.00');
+  });
+
+  it('社内の風速上限を超えると飛行不可になり、適用したルールを記録する', () => {
+    const facts = {
+      windSpeed: 8.2,
+      precipitationProbability: 10,
+      hasLTE: true,
+      signalStrength: 'good',
+      flightAllowedNow: true,
+      minutesRemaining: 120,
+    };
+    const byDefault = evaluateSafetyRules(facts, DEFAULT_RULE_PACK);
+    const byCompany = evaluateSafetyRules(facts, mergeRulePacks([DEFAULT_RULE_PACK, companyPack]));
+
+    expect(byDefault).toMatchObject({ canFly: true, safetyLevel: 'warning' });
+    expect(byCompany.canFly).toBe(false);
+    expect(byCompany.safetyLevel).toBe('danger');
+    expect(byCompany.reasons).toEqual([{
+      category: 'wind',
+      severity: 'critical',
+      message: '社内基準の風速上限 8 m/s を超えています（8.2 m/s）',
+      value: 8.2,
+      unit: 'm/s',
+      threshold: 8,
+      ruleId: 'acme.wind.limit',
+      rulePackId: 'acme',
+    }]);
+  });
+
+  it('衝突判定の重大度とメッセージを区域の種類のルールで決め、ルールを記録する', () => {
+    const index = createSpatialIndex({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: { zoneType: 'DID', name: '東京都千代田区' },
+        geometry: { type: 'Polygon', coordinates: [[[139.7, 35.6], [139.8, 35.6], [139.8, 35.7], [139.7, 35.7], [139.7, 35.6]]] },
+      }],
+    });
+
+    expect(checkWaypointCollision([139.75, 35.65], index, DEFAULT_RULE_PACK)).toMatchObject({
+      severity: 'WARNING',
+      message: '東京都千代田区（人口集中地区）内です',
+      ruleId: 'zone.did',
+      rulePackId: 'default',
+    });
+    expect(checkWaypointCollision([139.75, 35.65], index, mergeRulePacks([DEFAULT_RULE_PACK, companyPack]))).toMatchObject({
+      severity: 'DANGER',
+      message: '東京都千代田区（DID・社内基準で飛行禁止）内です',
+      ruleId: 'zone.did',
+      rulePackId: 'acme',
+    });
+  });
+
+  it('取り込んだパックを保存して既定のパックに重ね、削除すると既定に戻る', () => {
+    expect(importRulePack('{')).toEqual({ success: false, error: 'JSONとして読み込めません' });
+    expect(importRulePack(JSON.stringify({ ...DEFAULT_RULE_PACK })).success).toBe(false);
+    expect(importRulePack(JSON.stringify(companyPack))).toMatchObject({ success: true, pack: { id: 'acme' } });
+    // 同じ id のパックは置き換える
+    importRulePack(JSON.stringify({ ...companyPack, version: 3 }));
+
+    const active = getActiveRulePack();
+    expect(active.packs).toEqual([
+      { id: 'default', name: '標準ルール', version: 1 },
+      { id: 'acme', name: 'ACME社内基準', version: 3 },
+    ]);
+    expect(evaluateRules('safety.wind', { windSpeed: 9 })?.ruleId).toBe('acme.wind.limit');
+
+    expect(removeRulePack('acme')).toBe(true);
+    expect(removeRulePack('acme')).toBe(false);
+    expect(getActiveRulePack().packs.map(pack => pack.id)).toEqual(['default']);
+  });
+
+  it('取り込み・削除を適用中のパックに反映し、他の設定の保存では同じパックのままにする', () => {
+    const { result } = renderHook(() => useActiveRulePack());
+    expect(result.current.packs.map(pack => pack.id)).toEqual(['default']);
+
+    act(() => {
+      importRulePack(JSON.stringify(companyPack));
+    });
+    const imported = result.current;
+    expect(imported.packs.map(pack => pack.id)).toEqual(['default', 'acme']);
+
+    act(() => {
+      window.dispatchEvent(new Event('storage'));
+    });
+    expect(result.current).toBe(imported);
+
+    act(() => {
+      removeRulePack('acme');
+    });
+    expect(result.current.packs.map(pack => pack.id)).toEqual(['default']);
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * Compliance Rule Packs
+ * 判定のしきい値・重大度・メッセージを JSON のルールパックで定義し、組織ごとのパックで追加・上書きする
+ *
+ * - 既定のパック（data/default_rule_pack.json）: 航空法・小型無人機等飛行禁止法とアプリ既定の運用基準
+ * - 取り込んだパックはローカルストレージに保存し、既定のパックに順に重ねる
+ *   - 同じ id のルールは置き換え、新しい id のルールは追加、"enabled": false のルールは無効化
+ * - ルールは check（判定の種類）ごとに評価し、条件を満たすもののうち最も重大なものを採用する
+ *
+ * ルールの例（社内基準: 風速8m/s以上は飛行中止）:
+ * { "id": "safety.wind.limit", "check": "safety.wind",
+ *   "when": { "fact": "windSpeed", "op": ">=", "value": 8 },
+ *   "severity": "error", "message": "社内基準の風速上限 {threshold} m/s を超えています（{windSpeed:1} m/s）" }
+ */
+
+import defaultRulePackData from '../data/default_rule_pack.json'
+
+// ============================================
+// Type Definitions
+// ============================================
+
+export type RuleSeverity = 'info' | 'warning' | 'error'
+
+export type RuleOperator = '==' | '!=' | '>' | '>=' | '<' | '<=' | 'in'
+
+export type RuleFactValue = string | number | boolean | null | undefined
+
+export type RuleCondition =
+  | { fact: string; op: RuleOperator; value: RuleFactValue | RuleFactValue[] }
+  | { all: RuleCondition[] }
+  | { any: RuleCondition[] }
+
+export interface Rule {
+  id: string
+  check: string
+  when: RuleCondition
+  severity: RuleSeverity
+  message: string
+  /** 短い状態表示（法的要件の一覧などで使用） */
+  label?: string
+  enabled?: boolean
+  /** 定義したパック（マージ後に付与） */
+  packId?: string
+}
+
+export interface RulePack {
+  id: string
+  name: string
+  version?: number
+  description?: string
+  rules: Rule[]
+}
+
+export interface ActiveRulePack extends RulePack {
+  /** 重ねたパック（既定のパックが先頭） */
+  packs: Array<{ id: string; name: string; version?: number }>
+}
+
+/** 判定結果に記録する、適用されたルール */
+export interface RuleMatch {
+  ruleId: string
+  packId: string
+  severity: RuleSeverity
+  label: string | null
+  message: string
+  /** 条件の最初のしきい値（メッセージの {threshold}） */
+  threshold: RuleFactValue | RuleFactValue[]
+}
+
+export type RuleFacts = Record<string, RuleFactValue>
+
+const STORAGE_KEY = 'map-auto-waypoint-rule-packs'
+
+const SEVERITY_RANK: Record<RuleSeverity, number> = { info: 1, warning: 2, error: 3 }
+
+const SEVERITIES = Object.keys(SEVERITY_RANK) as RuleSeverity[]
+
+const OPERATORS: RuleOperator[] = ['==', '!=', '>', '>=', '<', '<=', 'in']
+
+export const DEFAULT_RULE_PACK = defaultRulePackData as RulePack
+
+// ============================================
+// Validation
+// ============================================
+
+const validateCondition = (condition: unknown, path: string, errors: string[]): void => {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${path}: 条件がありません`)
+    return
+  }
+  const c = condition as Record<string, unknown>
+  if (Array.isArray(c.all) || Array.isArray(c.any)) {
+    const list = (c.all ?? c.any) as unknown[]
+    if (list.length === 0) errors.push(`${path}: all / any が空です`)
+    list.forEach((child, i) => validateCondition(child, `${path}.${c.all ? 'all' : 'any'}[${i}]`, errors))
+    return
+  }
+  if (typeof c.fact !== 'string' || c.fact === '') {
+    errors.push(`${path}: fact がありません`)
+  }
+  if (!OPERATORS.includes(c.op as RuleOperator)) {
+    errors.push(`${path}: 未対応の演算子です（${String(c.op)}）`)
+  }
+  if (c.op === 'in' && !Array.isArray(c.value)) {
+    errors.push(`${path}: in の value は配列で指定してください`)
+  }
+}
+
+/**
+ * ルールパックの形式を検証
+ * @returns エラーメッセージの配列（空なら有効）
+ */
+export function validateRulePack(pack: unknown): string[] {
+  const errors: string[] = []
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return ['ルールパックはオブジェクトで指定してください']
+  }
+  const p = pack as Record<string, unknown>
+  if (typeof p.id !== 'string' || p.id === '') errors.push('id がありません')
+  if (typeof p.name !== 'string' || p.name === '') errors.push('name がありません')
+  if (!Array.isArray(p.rules)) {
+    errors.push('rules が配列ではありません')
+    return errors
+  }
+
+  p.rules.forEach((rule, i) => {
+    const path = `rules[${i}]`
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${path}: ルールがオブジェクトではありません`)
+      return
+    }
+    const r = rule as Record<string, unknown>
+    if (typeof r.id !== 'string' || r.id === '') errors.push(`${path}: id がありません`)
+    // 無効化するだけのルールは id のみでよい
+    if (r.enabled === false) return
+    if (typeof r.check !== 'string' || r.check === '') errors.push(`${path}: check がありません`)
+    if (!SEVERITIES.includes(r.severity as RuleSeverity)) {
+      errors.push(`${path}: severity は info / warning / error のいずれかです`)
+    }
+    if (typeof r.message !== 'string' || r.message === '') errors.push(`${path}: message がありません`)
+    validateCondition(r.when, `${path}.when`, errors)
+  })
+  return errors
+}
+
+// ============================================
+// Merge
+// ============================================
+
+/**
+ * パックを順に重ねる（後のパックが優先）
+ */
+export function mergeRulePacks(packs: RulePack[]): ActiveRulePack {
+  const rules = new Map<string, Rule>()
+  for (const pack of packs) {
+    for (const rule of pack.rules) {
+      if (rule.enabled === false) {
+        rules.delete(rule.id)
+      } else {
+        // 置き換えたルールは元の位置に残す（Map は既存キーの順序を保つ）
+        rules.set(rule.id, { ...rule, packId: pack.id })
+      }
+    }
+  }
+  const top = packs[packs.length - 1]
+  return {
+    id: packs.map(p => p.id).join('+'),
+    name: packs.map(p => p.name).join(' + '),
+    version: top.version,
+    rules: [...rules.values()],
+    packs: packs.map(({ id, name, version }) => ({ id, name, version }))
+  }
+}
+
+// ============================================
+// Local Storage Operations
+// ============================================
+
+/**
+ * 取り込んだルールパック（適用順）
+ */
+export function getImportedRulePacks(): RulePack[] {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY)
+    if (!data) return []
+    const packs = JSON.parse(data)
+    return Array.isArray(packs) ? packs.filter(pack => validateRulePack(pack).length === 0) : []
+  } catch (error) {
+    console.error('Failed to load rule packs:', error)
+    return []
+  }
+}
+
+/**
+ * 取り込んだルールパックを保存
+ */
+export function saveImportedRulePacks(packs: RulePack[]): boolean {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(packs))
+    // storage イベントを発火して適用中のパックを使う画面に通知
+    window.dispatchEvent(new Event('storage'))
+    return true
+  } catch (error) {
+    console.error('Failed to save rule packs:', error)
+    return false
+  }
+}
+
+/**
+ * ルールパックを取り込む（同じ id のパックは置き換え）
+ */
+export function importRulePack(jsonString: string): { success: boolean; pack?: RulePack; error?: string } {
+  let pack: RulePack
+  try {
+    pack = JSON.parse(jsonString)
+  } catch {
+    return { success: false, error: 'JSONとして読み込めません' }
+  }
+
+  const errors = validateRulePack(pack)
+  if (errors.length > 0) {
+    return { success: false, error: errors.join(' / ') }
+  }
+  if (pack.id === DEFAULT_RULE_PACK.id) {
+    return { success: false, error: `id "${DEFAULT_RULE_PACK.id}" は既定のパックで使用しています` }
+  }
+
+  const packs = getImportedRulePacks().filter(p => p.id !== pack.id)
+  if (!saveImportedRulePacks([...packs, pack])) {
+    return { success: false, error: 'ルールパックを保存できませんでした' }
+  }
+  return { success: true, pack }
+}
+
+/**
+ * 取り込んだルールパックを削除
+ */
+export function removeRulePack(id: string): boolean {
+  const packs = getImportedRulePacks()
+  const remaining = packs.filter(p => p.id !== id)
+  if (remaining.length === packs.length) return false
+  return saveImportedRulePacks(remaining)
+}
+
+/**
+ * 既定のパックに取り込んだパックを重ねた、現在有効なルール
+ * Web Worker など localStorage のない環境では既定のパックのみ（呼び出し側で解決して渡すこと）
+ */
+export function getActiveRulePack(): ActiveRulePack {
+  const imported = typeof localStorage === 'undefined' ? [] : getImportedRulePacks()
+  return mergeRulePacks([DEFAULT_RULE_PACK, ...imported])
+}
+
+// ============================================
+// Evaluation
+// ============================================
+
+const compare = (actual: RuleFactValue, op: RuleOperator, expected: RuleFactValue | RuleFactValue[]): boolean => {
+  // 値のない事実は条件を満たさない（判定できないものを違反にしない）
+  if (actual === undefined || actual === null) return false
+  switch (op) {
+    case '==': return actual === expected
+    case '!=': return actual !== expected
+    case '>': return typeof actual === 'number' && actual > (expected as number)
+    case '>=': return typeof actual === 'number' && actual >= (expected as number)
+    case '<': return typeof actual === 'number' && actual < (expected as number)
+    case '<=': return typeof actual === 'number' && actual <= (expected as number)
+    case 'in': return Array.isArray(expected) && expected.includes(actual)
+    default: return false
+  }
+}
+
+/**
+ * 条件を評価
+ */
+export function matchesCondition(condition: RuleCondition, facts: RuleFacts): boolean {
+  if ('all' in condition) return condition.all.every(c => matchesCondition(c, facts))
+  if ('any' in condition) return condition.any.some(c => matchesCondition(c, facts))
+  return compare(facts[condition.fact], condition.op, condition.value)
+}
+
+const firstThreshold = (condition: RuleCondition): RuleFactValue | RuleFactValue[] => {
+  if ('all' in condition) return firstThreshold(condition.all[0])
+  if ('any' in condition) return firstThreshold(condition.any[0])
+  return condition.value
+}
+
+/**
+ * メッセージの {fact} を事実の値で置き換える（{fact:1} は小数1桁、{threshold} は条件のしきい値）
+ */
+export function formatRuleMessage(template: string, facts: RuleFacts): string {
+  return template.replace(/\{(\w+)(?::(\d))?\}/g, (match, name: string, digits?: string) => {
+    const value = facts[name]
+    if (value === undefined || value === null) return match
+    if (digits !== undefined && typeof value === 'number') return value.toFixed(Number(digits))
+    return String(value)
+  })
+}
+
+/**
+ * check に該当するルールのうち、条件を満たす最も重大なルールを返す
+ * 同じ重大度なら後に並ぶルール（後から重ねたパックで追加したルール）を優先する
+ * @param check - 判定の種類（例: 'safety.wind', 'zone', 'aviation.airport'）
+ * @param facts - 判定に使う事実（数値・真偽値・文字列）
+ * @param pack - 評価するパック（省略時は getActiveRulePack()）
+ * @returns 適用されたルール。該当しなければ null
+ */
+export function evaluateRules(
+  check: string,
+  facts: RuleFacts,
+  pack: RulePack = getActiveRulePack()
+): RuleMatch | null {
+  let best: Rule | null = null
+  for (const rule of [...pack.rules].reverse()) {
+    if (rule.check !== check || rule.enabled === false) continue
+    if (best && SEVERITY_RANK[rule.severity] <= SEVERITY_RANK[best.severity]) continue
+    if (matchesCondition(rule.when, facts)) best = rule
+  }
+  if (!best) return null
+
+  const threshold = firstThreshold(best.when)
+  const values = { ...facts, threshold: Array.isArray(threshold) ? threshold.join('・') : threshold }
+  return {
+    ruleId: best.id,
+    packId: best.packId ?? pack.id,
+    severity: best.severity,
+    label: best.label ? formatRuleMessage(best.label, values) : null,
+    message: formatRuleMessage(best.message, values),
+    threshold
+  }
+}
+
+export const RulePackService = {
+  getActive: getActiveRulePack,
+  getImported: getImportedRulePacks,
+  import: importRulePack,
+  remove: removeRulePack,
+  validate: validateRulePack,
+  merge: mergeRulePacks,
+  evaluate: evaluateRules
+}
@@ -0,0 +1,96 @@
+/**
+ * weatherApi テスト
+ *
+ * Open-Meteo から取得した風速が m/s で各判定（10/7 m/s・ルールパックのしきい値）に渡ることのテスト
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { fetchWeather, fetchPrefectureWeather, isDroneFlightSafe } from './weatherApi';
+import { evaluateSafetyRules } from '../hooks/useOperationSafety';
+import { DEFAULT_RULE_PACK } from './rulePacks';
+
+// wind_speed_unit=ms 指定時の応答（風速 10.5 m/s、km/h なら 37.8）
+const current = {
+  temperature_2m: 18.2,
+  weather_code: 1,
+  wind_speed_10m: 10.5,
+  relative_humidity_2m: 60,
+  precipitation: 0,
+};
+
+const respond = (body: unknown) => {
+  vi.mocked(fetch).mockResolvedValue({ ok: true, status: 200, json: async () => body } as Response);
+};
+
+const requestedUrl = () => new URL(String(vi.mocked(fetch).mock.calls[0][0]));
+
+describe('weatherApi', () => {
+  beforeEach(() => {
+    vi.mocked(fetch).mockReset();
+  });
+
+  it('現在の天気は風速を m/s で要求し、そのまま返す', async () => {
+    respond({ current });
+
+    const weather = await fetchWeather(35.68, 139.76);
+
+    expect(requestedUrl().searchParams.get('wind_speed_unit')).toBe('ms');
+    expect(weather.windSpeed).toBe(10.5);
+  });
+
+  it('時間別・日別予報も風速を m/s で返す', async () => {
+    respond({
+      current,
+      hourly: {
+        time: ['2026-10-18T09:00'],
+        temperature_2m: [18],
+        weather_code: [1],
+        wind_speed_10m: [4.2],
+        wind_direction_10m: [270],
+        relative_humidity_2m: [60],
+        precipitation: [0],
+        visibility: [20000],
+        cloud_cover: [30],
+      },
+      daily: {
+        time: ['2026-10-18'],
+        weather_code: [1],
+        temperature_2m_max: [22],
+        temperature_2m_min: [14],
+        precipitation_sum: [0],
+        wind_speed_10m_max: [8.1],
+        sunrise: ['2026-10-18T05:50'],
+        sunset: ['2026-10-18T17:10'],
+      },
+    });
+
+    const weather = await fetchPrefectureWeather(35.68, 139.76);
+
+    expect(requestedUrl().searchParams.get('wind_speed_unit')).toBe('ms');
+    expect(weather.hourly[0].windSpeed).toBe(4.2);
+    expect(weather.daily[0].windSpeedMax).toBe(8.1);
+  });
+
+  it('取得した風速を m/s のしきい値で判定する', async () => {
+    respond({ current });
+    const weather = await fetchWeather(35.68, 139.76);
+
+    expect(isDroneFlightSafe(weather)).toEqual({ safe: false, reasons: ['強風: 10.5 m/s'] });
+    expect(isDroneFlightSafe({ ...weather, windSpeed: 5 }).safe).toBe(true);
+
+    const facts = {
+      windSpeed: weather.windSpeed,
+      precipitationProbability: 0,
+      hasLTE: true,
+      signalStrength: 'good',
+      flightAllowedNow: true,
+      minutesRemaining: 120,
+    };
+    expect(evaluateSafetyRules(facts, DEFAULT_RULE_PACK).reasons[0]).toMatchObject({
+      category: 'wind',
+      value: 10.5,
+      unit: 'm/s',
+      threshold: 10,
+    });
+  });
+});
@@ -202,7 +202,7 @@ export async function fetchWeather(lat: number, lng: number): Promise<WeatherDat
   const url =
     `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}` +
     `&current=temperature_2m,weather_code,wind_speed_10m,relative_humidity_2m,precipitation` +
-    `&timezone=Asia/Tokyo`
+    `&wind_speed_unit=ms&timezone=Asia/Tokyo`
 
   const response = await fetch(url)
   if (!response.ok) {
@@ -229,7 +229,7 @@ export async function fetchPrefectureWeather(lat: number, lng: number): Promise<
     `&current=temperature_2m,weather_code,wind_speed_10m,relative_humidity_2m,precipitation` +
     `&hourly=temperature_2m,weather_code,wind_speed_10m,wind_direction_10m,relative_humidity_2m,precipitation,visibility,cloud_cover` +
     `&daily=weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,wind_speed_10m_max,sunrise,sunset` +
-    `&timezone=Asia/Tokyo&forecast_days=7&forecast_hours=72`
+    `&wind_speed_unit=ms&timezone=Asia/Tokyo&forecast_days=7&forecast_hours=72`
 
   const response = await fetch(url)
   if (!response.ok) {
@@ -390,9 +390,32 @@ export interface PolygonData {
   geometry: GeoJSON.Polygon | GeoJSON.MultiPolygon
   createdAt: number
   color: string
+  /** Drawn centerline (corridor areas only; geometry is its buffer) */
+  centerline?: GeoJSON.LineString
+  /** Total corridor width in meters (corridor areas only) */
+  corridorWidth?: number
+  /** Parent polygon ID (keep-out areas only; excluded from the parent's waypoints and route) */
+  keepOutOf?: string
+  /** Extra clearance around the keep-out area in meters */
+  keepOutBuffer?: number
 }
 
-export type WaypointType = 'vertex' | 'perimeter' | 'grid'
+/** Shape drawn in draw mode */
+export type DrawType = 'polygon' | 'line'
+
+/** Action the aircraft performs at a waypoint */
+export type WaypointAction =
+  | { type: 'takePhoto' }
+  | { type: 'intervalShooting'; /** seconds */ interval: number }
+  | { type: 'hover'; /** seconds */ duration: number }
+  | { type: 'gimbalPitch'; /** degrees, -90 = straight down */ pitch: number }
+  | { type: 'yaw'; /** degrees clockwise from north */ heading: number }
+  | { type: 'startRecord' }
+  | { type: 'stopRecord' }
+
+export type WaypointActionType = WaypointAction['type']
+
+export type WaypointType = 'vertex' | 'perimeter' | 'grid' | 'survey' | 'orbit' | 'facade' | 'corridor' | 'terrain'
 
 export interface Waypoint {
   id: string
@@ -404,12 +427,44 @@ export interface Waypoint {
   elevation?: number
   /** Flight altitude in meters AGL */
   altitude?: number
+  /** Explicit flight altitude in meters above sea level (terrain following) */
+  altitudeASL?: number
+  /** Altitude was set by terrain following (constant AGL) */
+  terrainFollow?: boolean
   /** Associated polygon ID */
   polygonId?: string
   /** Associated polygon name */
   polygonName?: string
   /** Waypoint generation type */
   type?: WaypointType
+  /** Vertex index within its ring, 0-based (vertex only) */
+  vertexIndex?: number
+  /** Ring index within the polygon part: 0 = outer ring, 1+ = holes */
+  ringIndex?: number
+  /** MultiPolygon part index, 0-based */
+  partIndex?: number
+  /** Actions executed at this waypoint, in order */
+  actions?: WaypointAction[]
+  /** Survey line number (1-based, survey pattern only) */
+  surveyLine?: number
+  /** Survey line heading in degrees (survey pattern only) */
+  surveyHeading?: number
+  /** Photo trigger distance in meters along the survey line (photogrammetry only) */
+  photoTriggerDistance?: number
+  /** Aircraft heading in degrees clockwise from north */
+  heading?: number
+  /** Point of interest the aircraft faces (orbit only) */
+  poi?: MapCenter
+  /** Orbit radius in meters (orbit only) */
+  orbitRadius?: number
+  /** Altitude tier number, 1-based (orbit only) */
+  orbitTier?: number
+  /** Polygon edge index the column belongs to, 0-based (facade only) */
+  facadeEdge?: number
+  /** Vertical column number, 1-based (facade only) */
+  facadeColumn?: number
+  /** Parallel pass number, 1-based (corridor only) */
+  corridorPass?: number
 }
 
 // ============================================
@@ -548,12 +603,16 @@ export interface MapProps {
   onWaypointDelete?: (id: string) => void
   onWaypointMove?: (id: string, lat: number, lng: number) => void
   onWaypointsBulkDelete?: (ids: string[]) => void
+  onOrbitRequest?: (center: MapCenter, polygon?: PolygonData | null) => void
+  onWaypointActionsApply?: (ids: string[], actions: WaypointAction[], mode: 'append' | 'replace') => void
+  onEditWaypointActions?: (ids: string[]) => void
   onCustomLayerAdded?: (layer: CustomLayer) => void
   onCustomLayerRemoved?: (id: string) => void
   onCustomLayerToggle?: (id: string, visible: boolean) => void
   selectedPolygonId?: string | null
   editingPolygon?: PolygonData | null
   drawMode?: boolean
+  drawType?: DrawType
 }
 
 export interface DrawControlProps {
@@ -563,6 +622,7 @@ export interface DrawControlProps {
   onDelete: (features: GeoJSON.Feature[]) => void
   onEditComplete?: () => void
   active: boolean
+  drawType?: DrawType
   editingPolygon: PolygonData | null
 }
 
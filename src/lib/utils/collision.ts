@@ -8,11 +8,14 @@
  * - RBush空間インデックスによるO(log n)検索
  * - Waypoint/Path/Polygon衝突検出
  * - ゾーン優先度システム
+ * - ゾーンごとの重大度はルールパックの zone ルールで判定（組織のパックで上書き可能）
  */
 
 import * as turf from '@turf/turf'
 import RBush from 'rbush'
 import type { Feature, Polygon, MultiPolygon, FeatureCollection, Position } from 'geojson'
+import { DEFAULT_RULE_PACK, evaluateRules, getActiveRulePack } from '../services/rulePacks'
+import type { RulePack, RuleSeverity } from '../services/rulePacks'
 
 // ============================================
 // Type Definitions
@@ -29,6 +32,9 @@ export interface WaypointCollisionResult {
   severity: CollisionSeverity
   uiColor: string
   message: string
+  /** 重大度を決めたルール（該当するルールがなければ null） */
+  ruleId?: string | null
+  rulePackId?: string | null
 }
 
 export interface PathCollisionResult {
@@ -76,17 +82,26 @@ export const ZONE_COLORS: Record<string, string> = {
 }
 
 /**
- * Zone severity levels
+ * Rule severity → collision severity (info is still inside the zone, so treat it as a warning)
  */
-export const ZONE_SEVERITY: Record<string, CollisionSeverity> = {
-  DID: 'WARNING',
-  AIRPORT: 'DANGER',
-  RED_ZONE: 'DANGER',
-  YELLOW_ZONE: 'WARNING',
-  MILITARY: 'DANGER',
-  EMERGENCY: 'DANGER',
-  REMOTE_ID: 'WARNING',
-  MANNED_AIRCRAFT: 'WARNING'
+const RULE_SEVERITY_TO_COLLISION: Record<RuleSeverity, CollisionSeverity> = {
+  error: 'DANGER',
+  warning: 'WARNING',
+  info: 'WARNING'
+}
+
+/**
+ * Resolve severity and message for a zone from the rule pack's `zone` rules
+ * Zones without a matching rule are treated as DANGER
+ */
+function resolveZoneRule(zoneType: CollisionType, areaName: string, rulePack: RulePack) {
+  const match = evaluateRules('zone', { zoneType, areaName }, rulePack)
+  return {
+    severity: match ? RULE_SEVERITY_TO_COLLISION[match.severity] : 'DANGER' as CollisionSeverity,
+    message: match?.message ?? null,
+    ruleId: match?.ruleId ?? null,
+    rulePackId: match?.packId ?? null
+  }
 }
 
 /**
@@ -105,6 +120,15 @@ export const ZONE_PRIORITY: Record<string, number> = {
   DEFAULT: 99
 }
 
+/**
+ * Zone severity levels (from the default rule pack)
+ */
+export const ZONE_SEVERITY: Record<string, CollisionSeverity> = Object.fromEntries(
+  Object.keys(ZONE_PRIORITY)
+    .filter(zoneType => zoneType !== 'DEFAULT')
+    .map(zoneType => [zoneType, resolveZoneRule(zoneType, '', DEFAULT_RULE_PACK).severity])
+)
+
 // ============================================
 // Spatial Index Functions
 // ============================================
@@ -142,7 +166,8 @@ export function createSpatialIndex(prohibitedAreas: FeatureCollection): RBush<RB
  */
 export function checkWaypointCollisionUnoptimized(
   waypointCoords: [number, number],
-  prohibitedAreas: FeatureCollection
+  prohibitedAreas: FeatureCollection,
+  rulePack: RulePack = getActiveRulePack()
 ): WaypointCollisionResult {
   const point = turf.point(waypointCoords)
 
@@ -175,7 +200,7 @@ export function checkWaypointCollisionUnoptimized(
     collisions.sort((a, b) => a.priority - b.priority)
     const highest = collisions[0]
     const uiColor = ZONE_COLORS[highest.zoneType] ?? ZONE_COLORS.DEFAULT
-    const severity = ZONE_SEVERITY[highest.zoneType] ?? 'DANGER'
+    const { severity, message, ruleId, rulePackId } = resolveZoneRule(highest.zoneType, highest.areaName, rulePack)
 
     return {
       isColliding: true,
@@ -183,7 +208,9 @@ export function checkWaypointCollisionUnoptimized(
       areaName: highest.areaName,
       severity,
       uiColor,
-      message: `このWaypointは${highest.areaName}内にあります`
+      message: message ?? `このWaypointは${highest.areaName}内にあります`,
+      ruleId,
+      rulePackId
     }
   }
 
@@ -202,7 +229,8 @@ export function checkWaypointCollisionUnoptimized(
  */
 export function checkWaypointCollision(
   waypointCoords: [number, number],
-  spatialIndex: RBush<RBushItem>
+  spatialIndex: RBush<RBushItem>,
+  rulePack: RulePack = getActiveRulePack()
 ): WaypointCollisionResult {
   const [lon, lat] = waypointCoords
   const point = turf.point(waypointCoords)
@@ -235,7 +263,7 @@ export function checkWaypointCollision(
     collisions.sort((a, b) => a.priority - b.priority)
     const highest = collisions[0]
     const uiColor = ZONE_COLORS[highest.zoneType] ?? ZONE_COLORS.DEFAULT
-    const severity = ZONE_SEVERITY[highest.zoneType] ?? 'DANGER'
+    const { severity, message, ruleId, rulePackId } = resolveZoneRule(highest.zoneType, highest.areaName, rulePack)
 
     return {
       isColliding: true,
@@ -243,7 +271,9 @@ export function checkWaypointCollision(
       areaName: highest.areaName,
       severity,
       uiColor,
-      message: '禁止エリア内です'
+      message: message ?? '禁止エリア内です',
+      ruleId,
+      rulePackId
     }
   }
 
@@ -412,15 +442,17 @@ export function checkPolygonCollision(
 
 /**
  * Check multiple waypoints at once (batch processing)
+ * The rule pack is resolved once for the whole batch (pass it explicitly inside Web Workers)
  */
 export function checkWaypointsCollisionBatch(
   waypoints: Array<{ id: string; coordinates: [number, number] }>,
-  spatialIndex: RBush<RBushItem>
+  spatialIndex: RBush<RBushItem>,
+  rulePack: RulePack = getActiveRulePack()
 ): Map<string, WaypointCollisionResult> {
   const results = new Map<string, WaypointCollisionResult>()
 
   for (const waypoint of waypoints) {
-    const result = checkWaypointCollision(waypoint.coordinates, spatialIndex)
+    const result = checkWaypointCollision(waypoint.coordinates, spatialIndex, rulePack)
     results.set(waypoint.id, result)
   }
 
@@ -432,10 +464,11 @@ export function checkWaypointsCollisionBatch(
  */
 export function hasAnyCollision(
   waypoints: Array<{ coordinates: [number, number] }>,
-  spatialIndex: RBush<RBushItem>
+  spatialIndex: RBush<RBushItem>,
+  rulePack: RulePack = getActiveRulePack()
 ): boolean {
   for (const waypoint of waypoints) {
-    const result = checkWaypointCollision(waypoint.coordinates, spatialIndex)
+    const result = checkWaypointCollision(waypoint.coordinates, spatialIndex, rulePack)
     if (result.isColliding) {
       return true
     }
@@ -448,7 +481,8 @@ export function hasAnyCollision(
  */
 export function getCollisionSummary(
   waypoints: Array<{ id: string; coordinates: [number, number] }>,
-  spatialIndex: RBush<RBushItem>
+  spatialIndex: RBush<RBushItem>,
+  rulePack: RulePack = getActiveRulePack()
 ): {
   totalWaypoints: number
   collidingCount: number
@@ -464,7 +498,7 @@ export function getCollisionSummary(
   const collisionsByType = new Map<CollisionType, number>()
 
   for (const waypoint of waypoints) {
-    const result = checkWaypointCollision(waypoint.coordinates, spatialIndex)
+    const result = checkWaypointCollision(waypoint.coordinates, spatialIndex, rulePack)
 
     if (result.isColliding) {
       collidingCount++
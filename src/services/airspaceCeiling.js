@@ -0,0 +1,484 @@
+/**
+ * 制限表面による飛行可能高度（上限）の算出
+ * 国土地理院 kokuarea の制限表面ポリゴンは形状と名称のみのため、表面の種類ごとの高さ・勾配から
+ * 各地点の表面高（海抜）を求め、Waypoint・ポリゴン頂点と区間の飛行高度がその下に収まっているかを判定する。
+ *
+ * - 水平表面: 空港標点 + 45m
+ * - 円錐表面: 水平表面の外縁から 1/50 で上昇（最大 + 295m）
+ * - 外側水平表面: 空港標点 + 295m
+ * - 進入表面・延長進入表面: 空港側の辺から 1/50 で上昇
+ * - 転移表面: 空港側の辺から 1/7 で上昇（水平表面の高さまで）
+ * - その他（空港等の敷地など）: 上限 0m（飛行不可として扱う）
+ *
+ * 空港標点の標高は国土地理院の標高APIで取得する。延長進入表面は起点の高さを0mとみなすため保守側になる。
+ */
+
+import * as turf from '@turf/turf';
+import { getAllAirports, fetchRestrictionSurfaceTiles, classifyRestrictionSurface, getDistanceMeters } from '../lib';
+import { getElevations } from './elevation';
+import { getPolygonParts } from './waypointGenerator';
+
+// 表面の高さ（空港標点からの高さ, m）
+const HORIZONTAL_HEIGHT = 45;
+const OUTER_HORIZONTAL_HEIGHT = 295;
+
+// 勾配（水平距離あたりの上昇）
+const APPROACH_SLOPE = 1 / 50;
+const CONICAL_SLOPE = 1 / 50;
+const TRANSITIONAL_SLOPE = 1 / 7;
+
+// 高度が未設定の場合の対地高度（m）
+const DEFAULT_ALTITUDE = 50;
+
+// 区間上のサンプリング間隔（m）と上限数
+const LEG_SAMPLE_INTERVAL = 100;
+const MAX_SAMPLES_PER_LEG = 20;
+
+// 制限表面タイルを取得する範囲の余白（度）
+const SURFACE_BOUNDS_PADDING = 0.01;
+
+// 標高APIへのリクエスト間隔（ms）
+const ELEVATION_REQUEST_INTERVAL = 100;
+
+// 標高を問い合わせるポリゴン頂点の上限（頂点の地表標高は対地の上限表示にだけ使う）
+const MAX_VERTEX_ELEVATION_QUERIES = 100;
+
+// 標高のキャッシュ（自動チェックのたびに同じ地点を問い合わせない）
+const elevationCache = new Map();
+
+const toPosition = (point) => [point.lng, point.lat];
+
+/**
+ * 表面の種類と名称（分類済みでないフィーチャーは classifyRestrictionSurface で分類する）
+ */
+const getSurfaceInfo = (feature) => {
+  const props = feature.properties || {};
+  if (props.__surface_kind) {
+    return { kind: props.__surface_kind, label: props.__surface_label || '制限表面' };
+  }
+  const { kind, label } = classifyRestrictionSurface(props);
+  return { kind, label };
+};
+
+// 1地点取得するごとにキャッシュするので、途中で中断しても取得済みの地点は次回に使い回せる
+const cachedElevations = async (points, { signal } = {}) => {
+  const keyOf = (p) => `${p.lat.toFixed(5)},${p.lng.toFixed(5)}`;
+  const missing = [...new Map(
+    points.filter(p => !elevationCache.has(keyOf(p))).map(p => [keyOf(p), p])
+  ).values()];
+  if (missing.length > 0) {
+    await getElevations(missing, ELEVATION_REQUEST_INTERVAL, undefined, {
+      signal,
+      onResult: (point, elevation) => elevationCache.set(keyOf(point), elevation),
+    });
+  }
+  return points.map(p => elevationCache.get(keyOf(p)) ?? null);
+};
+
+/**
+ * 表面ポリゴンの中で点を含む部分（MultiPolygon対応）
+ */
+const getContainingRings = (feature, point) => {
+  const geometry = feature.geometry;
+  if (geometry.type === 'Polygon') return geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.find(rings => turf.booleanPointInPolygon(point, turf.polygon(rings)))
+      || geometry.coordinates[0];
+  }
+  return null;
+};
+
+/**
+ * 勾配の起点となる辺（空港側）からの水平距離（m）
+ * 穴のある表面（円錐表面など）は空港に最も近い内周、それ以外は空港に最も近い外周の辺を起点とする
+ */
+const distanceFromInnerEdge = (feature, point, airport) => {
+  const rings = getContainingRings(feature, point);
+  if (!rings) return 0;
+  const airportPoint = turf.point(toPosition(airport));
+  const pt = turf.point(point);
+
+  if (rings.length > 1) {
+    const inner = rings.slice(1)
+      .map(ring => turf.lineString(ring))
+      .reduce((best, line) => {
+        const d = turf.pointToLineDistance(airportPoint, line, { units: 'meters' });
+        return !best || d < best.d ? { line, d } : best;
+      }, null);
+    return turf.pointToLineDistance(pt, inner.line, { units: 'meters' });
+  }
+
+  const outer = rings[0];
+  let nearestEdge = null;
+  for (let i = 0; i < outer.length - 1; i++) {
+    const edge = turf.lineString([outer[i], outer[i + 1]]);
+    const d = turf.pointToLineDistance(airportPoint, edge, { units: 'meters' });
+    if (!nearestEdge || d < nearestEdge.d) nearestEdge = { edge, d };
+  }
+  return nearestEdge ? turf.pointToLineDistance(pt, nearestEdge.edge, { units: 'meters' }) : 0;
+};
+
+/**
+ * 制限表面の空港標点からの高さ（m）
+ * @param {Object} feature - 制限表面フィーチャー（properties.__surface_kind がなければ名称から分類）
+ * @param {Object} point - { lat, lng }
+ * @param {Object} airport - 空港標点 { lat, lng }
+ * @returns {number} 高さ（m）
+ */
+export const getSurfaceHeight = (feature, point, airport) => {
+  const { kind } = getSurfaceInfo(feature);
+  const distance = () => distanceFromInnerEdge(feature, toPosition(point), airport);
+
+  switch (kind) {
+    case 'horizontal':
+      return HORIZONTAL_HEIGHT;
+    case 'outer_horizontal':
+      return OUTER_HORIZONTAL_HEIGHT;
+    case 'conical':
+      return Math.min(OUTER_HORIZONTAL_HEIGHT, HORIZONTAL_HEIGHT + distance() * CONICAL_SLOPE);
+    case 'approach':
+    case 'extended_approach':
+      return distance() * APPROACH_SLOPE;
+    case 'transitional':
+      return Math.min(HORIZONTAL_HEIGHT, distance() * TRANSITIONAL_SLOPE);
+    default:
+      return 0;
+  }
+};
+
+/**
+ * 表面に対応する空港（表面の中心に最も近い空港標点）
+ */
+const findSurfaceAirport = (feature, airports) => {
+  const [minX, minY, maxX, maxY] = turf.bbox(feature);
+  const center = { lat: (minY + maxY) / 2, lng: (minX + maxX) / 2 };
+  return airports.reduce((best, airport) => {
+    const d = getDistanceMeters(center.lat, center.lng, airport.coordinates[1], airport.coordinates[0]);
+    return !best || d < best.d ? { airport, d } : best;
+  }, null)?.airport || null;
+};
+
+/**
+ * Waypointの飛行高度（海抜, m）
+ * altitudeASL があればそれを、なければ altitude を対地高度として地表標高に加える
+ */
+const getFlightAltitudeASL = (waypoint, ground) => {
+  if (Number.isFinite(waypoint.altitudeASL)) return waypoint.altitudeASL;
+  if (!Number.isFinite(ground)) return null;
+  return ground + (Number.isFinite(waypoint.altitude) ? waypoint.altitude : DEFAULT_ALTITUDE);
+};
+
+/**
+ * ポリゴンの頂点（各パートの外周、閉じる点を除く）
+ * MultiPolygon では全パートの頂点を通し番号にする
+ */
+const getPolygonVertices = (polygon) =>
+  getPolygonParts(polygon)
+    .flatMap(rings => (rings[0] || []).slice(0, -1))
+    .map(([lng, lat], index) => ({ index, lat, lng }));
+
+/**
+ * 地点の範囲にかかる制限表面（kokuarea タイル）を取得し、Polygon / MultiPolygon のフィーチャーだけを返す
+ */
+const fetchSurfaceFeatures = async (points, surfaces) => {
+  let collection = surfaces;
+  if (!collection) {
+    const lats = points.map(p => p.lat);
+    const lngs = points.map(p => p.lng);
+    collection = await fetchRestrictionSurfaceTiles({
+      west: Math.min(...lngs) - SURFACE_BOUNDS_PADDING,
+      east: Math.max(...lngs) + SURFACE_BOUNDS_PADDING,
+      south: Math.min(...lats) - SURFACE_BOUNDS_PADDING,
+      north: Math.max(...lats) + SURFACE_BOUNDS_PADDING,
+    });
+  }
+  return (collection?.features || []).filter(f =>
+    f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+  );
+};
+
+/**
+ * 表面ごとの矩形と対応する空港標点（空港が見つからない表面は除く）
+ */
+const buildSurfaceList = (features) => {
+  const allAirports = getAllAirports();
+  return features.map(feature => {
+    const airport = findSurfaceAirport(feature, allAirports);
+    return {
+      feature,
+      bbox: turf.bbox(feature),
+      airport: airport && { lat: airport.coordinates[1], lng: airport.coordinates[0], name: airport.name },
+    };
+  }).filter(s => s.airport);
+};
+
+const elevationKey = (point) => `${point.lat},${point.lng}`;
+
+/**
+ * Worker での判定に渡す制限表面と標高をメインスレッドで取得
+ * Worker は標高のキャッシュを共有できず、APIにも問い合わせないため、飛行順が決まる前に区間の端点になりうる地点
+ * （制限表面の矩形内のWaypoint）と空港標点の標高をそろえておく。矩形外のWaypointを端点とする区間は高さ不明として判定される
+ *
+ * @param {Array} waypoints - Waypoint配列
+ * @param {Object} [options]
+ * @param {Object} [options.surfaces] - 制限表面の FeatureCollection（省略時は kokuarea タイルを取得）
+ * @param {Function} [options.fetchElevations] - (points, { signal }) => 標高配列（省略時は国土地理院APIをキャッシュ付きで使用）
+ * @param {AbortSignal} [options.signal] - 中断用シグナル
+ * @returns {Promise<Object>} { surfaces, elevations: { 'lat,lng': 標高 } }（computeAirspaceCeilings の options.airspaceData）
+ */
+export const prepareAirspaceData = async (waypoints, options = {}) => {
+  const { fetchElevations = cachedElevations, signal } = options;
+  const features = waypoints.length > 0 ? await fetchSurfaceFeatures(waypoints, options.surfaces) : [];
+  signal?.throwIfAborted();
+  const surfaces = { type: 'FeatureCollection', features };
+  if (features.length === 0) return { surfaces, elevations: {} };
+
+  const surfaceList = buildSurfaceList(features);
+  const queries = new Map();
+  surfaceList.forEach(surface => queries.set(elevationKey(surface.airport), surface.airport));
+  waypoints.forEach(wp => {
+    if (Number.isFinite(wp.elevation)) return;
+    const inBbox = surfaceList.some(({ bbox: [minX, minY, maxX, maxY] }) =>
+      wp.lng >= minX && wp.lng <= maxX && wp.lat >= minY && wp.lat <= maxY
+    );
+    if (inBbox) queries.set(elevationKey(wp), { lat: wp.lat, lng: wp.lng });
+  });
+
+  const points = [...queries.values()];
+  const values = await fetchElevations(points, { signal });
+  return {
+    surfaces,
+    elevations: Object.fromEntries(points.map((p, i) => [elevationKey(p), values[i] ?? null])),
+  };
+};
+
+/**
+ * 区間上のサンプル点（両端を含む）
+ */
+const sampleLeg = (from, to) => {
+  const length = getDistanceMeters(from.lat, from.lng, to.lat, to.lng);
+  const count = Math.min(MAX_SAMPLES_PER_LEG, Math.max(1, Math.ceil(length / LEG_SAMPLE_INTERVAL)));
+  return Array.from({ length: count + 1 }, (_, k) => {
+    const t = k / count;
+    return { t, lat: from.lat + (to.lat - from.lat) * t, lng: from.lng + (to.lng - from.lng) * t };
+  });
+};
+
+/**
+ * Waypoint・ポリゴン頂点と区間の制限表面による飛行可能高度を算出
+ *
+ * @param {Array} waypoints - 飛行順のWaypoint配列
+ * @param {Object} options
+ * @param {Array} [options.legs] - 判定する区間 [[from, to]]（省略時は配列順の隣接区間）
+ * @param {Array} [options.polygons] - 頂点ごとに判定するポリゴン。頂点の飛行高度はそのポリゴンのWaypointの最高高度
+ * @param {Object} [options.surfaces] - 制限表面の FeatureCollection（省略時は kokuarea タイルを取得）
+ * @param {Function} [options.fetchElevations] - (points, { signal }) => 標高配列（省略時は国土地理院APIをキャッシュ付きで使用）
+ * @param {AbortSignal} [options.signal] - 中断用シグナル（中断時は AbortError で reject）
+ * @param {Object} [options.airspaceData] - prepareAirspaceData の結果（指定時は表面も標高も取得せずこれを使う。Worker 用）
+ * @returns {Promise<Object>} {
+ *   waypoints: Map<id, 判定>, vertices: Map<polygonId, [頂点の判定]>, legs: [区間判定], hasViolation, surfacesLoaded
+ * }
+ *   判定の ceilingASL は飛行できる上限の海抜高度（m）、margin は表面高 − 飛行高度（m、負なら表面を超過して exceeds: true）。
+ *   標高が取得できない場合は null。頂点の地表標高は MAX_VERTEX_ELEVATION_QUERIES 点までしか問い合わせず、
+ *   それを超えた頂点の ceilingAGL は null になる（海抜での判定には影響しない）
+ */
+export const computeAirspaceCeilings = async (waypoints, options = {}) => {
+  const {
+    legs = waypoints.slice(1).map((wp, i) => [waypoints[i], wp]),
+    polygons = [],
+    airspaceData = null,
+    signal,
+  } = options;
+  const fetchElevations = airspaceData
+    ? async (points) => points.map(p => airspaceData.elevations[elevationKey(p)] ?? null)
+    : options.fetchElevations || cachedElevations;
+  const empty = { waypoints: new Map(), vertices: new Map(), legs: [], hasViolation: false, surfacesLoaded: false };
+  const polygonVertices = polygons.map(polygon => ({ polygon, vertices: getPolygonVertices(polygon) }));
+  const allPoints = [...(waypoints || []), ...polygonVertices.flatMap(p => p.vertices)];
+  if (allPoints.length === 0) return empty;
+
+  const features = await fetchSurfaceFeatures(allPoints, airspaceData?.surfaces || options.surfaces);
+  signal?.throwIfAborted();
+  if (features.length === 0) return empty;
+
+  const surfaceList = buildSurfaceList(features);
+
+  // 点を含む表面のうち最も低いもの（空港標点からの高さと空港）
+  const lowestSurfaceAt = (point) => {
+    let lowest = null;
+    for (const surface of surfaceList) {
+      const [minX, minY, maxX, maxY] = surface.bbox;
+      if (point.lng < minX || point.lng > maxX || point.lat < minY || point.lat > maxY) continue;
+      if (!turf.booleanPointInPolygon(toPosition(point), surface.feature)) continue;
+      const height = getSurfaceHeight(surface.feature, point, surface.airport);
+      if (!lowest || height < lowest.height) lowest = { ...surface, height };
+    }
+    return lowest;
+  };
+
+  // 表面にかかる地点と区間を先に洗い出し、必要な地点だけ標高を取得する
+  const waypointSurfaces = waypoints.map(wp => lowestSurfaceAt(wp));
+  const vertexSurfaces = polygonVertices.map(({ vertices }) => vertices.map(v => lowestSurfaceAt(v)));
+  const legSamples = legs.map(([from, to]) => sampleLeg(from, to)
+    .map(sample => ({ ...sample, surface: lowestSurfaceAt(sample) }))
+    .filter(sample => sample.surface));
+
+  const queryPoints = new Map();
+  const addQuery = (point) => queryPoints.set(elevationKey(point), point);
+  waypoints.forEach((wp, i) => {
+    if (waypointSurfaces[i] && !Number.isFinite(wp.elevation)) addQuery(wp);
+    if (waypointSurfaces[i]) addQuery(waypointSurfaces[i].airport);
+  });
+  let vertexQueryCount = 0;
+  polygonVertices.forEach(({ vertices }, i) => {
+    vertices.forEach((vertex, j) => {
+      const surface = vertexSurfaces[i][j];
+      if (!surface) return;
+      if (vertexQueryCount < MAX_VERTEX_ELEVATION_QUERIES) {
+        addQuery(vertex);
+        vertexQueryCount++;
+      }
+      addQuery(surface.airport);
+    });
+  });
+  legs.forEach(([from, to], i) => {
+    if (legSamples[i].length === 0) return;
+    [from, to].forEach(wp => { if (!Number.isFinite(wp.elevation)) addQuery(wp); });
+    legSamples[i].forEach(sample => addQuery(sample.surface.airport));
+  });
+
+  const queries = [...queryPoints.values()];
+  const elevations = queries.length > 0 ? await fetchElevations(queries, { signal }) : [];
+  const elevationAt = new Map(queries.map((p, i) => [elevationKey(p), elevations[i]]));
+  const groundOf = (point) => (Number.isFinite(point.elevation)
+    ? point.elevation
+    : elevationAt.get(elevationKey(point)) ?? null);
+  // 空港標点の標高が取れない場合（海上空港など）は海抜0mとする
+  const ceilingASLOf = (surface) => (groundOf(surface.airport) ?? 0) + surface.height;
+
+  // 地点の判定（altitudeASL が null なら高さの比較なし）
+  const judge = (surface, ground, altitudeASL) => {
+    const ceilingASL = ceilingASLOf(surface);
+    const margin = altitudeASL === null ? null : ceilingASL - altitudeASL;
+    const { kind, label } = getSurfaceInfo(surface.feature);
+    return {
+      ceilingASL,
+      ceilingAGL: Number.isFinite(ground) ? ceilingASL - ground : null,
+      ground,
+      altitudeASL,
+      margin,
+      exceeds: margin !== null && margin < 0,
+      surfaceKind: kind,
+      surfaceLabel: label,
+      airportName: surface.airport.name,
+    };
+  };
+
+  const waypointResults = new Map();
+  waypoints.forEach((wp, i) => {
+    const surface = waypointSurfaces[i];
+    if (!surface) return;
+    const ground = groundOf(wp);
+    waypointResults.set(wp.id, judge(surface, ground, getFlightAltitudeASL(wp, ground)));
+  });
+
+  const vertexResults = new Map();
+  polygonVertices.forEach(({ polygon, vertices }, i) => {
+    if (vertexSurfaces[i].every(surface => !surface)) return;
+    const altitudes = waypoints
+      .filter(wp => wp.polygonId === polygon.id)
+      .map(wp => getFlightAltitudeASL(wp, groundOf(wp)))
+      .filter(Number.isFinite);
+    const plannedASL = altitudes.length > 0 ? Math.max(...altitudes) : null;
+    vertexResults.set(polygon.id, vertices.flatMap((vertex, j) => {
+      const surface = vertexSurfaces[i][j];
+      return surface ? [{ ...vertex, ...judge(surface, groundOf(vertex), plannedASL) }] : [];
+    }));
+  });
+
+  const legResults = [];
+  legs.forEach(([from, to], i) => {
+    const samples = legSamples[i];
+    if (samples.length === 0) return;
+    const fromASL = getFlightAltitudeASL(from, groundOf(from));
+    const toASL = getFlightAltitudeASL(to, groundOf(to));
+
+    let worst = null;
+    for (const sample of samples) {
+      const ceilingASL = ceilingASLOf(sample.surface);
+      const altitudeASL = fromASL === null || toASL === null ? null : fromASL + (toASL - fromASL) * sample.t;
+      const margin = altitudeASL === null ? null : ceilingASL - altitudeASL;
+      if (!worst || (margin !== null && (worst.margin === null || margin < worst.margin))) {
+        worst = { sample, ceilingASL, margin };
+      }
+    }
+
+    legResults.push({
+      from,
+      to,
+      margin: worst.margin,
+      point: { lat: worst.sample.lat, lng: worst.sample.lng },
+      ceilingASL: worst.ceilingASL,
+      surfaceLabel: getSurfaceInfo(worst.sample.surface.feature).label,
+      airportName: worst.sample.surface.airport.name,
+      violates: worst.margin !== null && worst.margin < 0,
+    });
+  });
+
+  return {
+    waypoints: waypointResults,
+    vertices: vertexResults,
+    legs: legResults,
+    hasViolation: legResults.some(leg => leg.violates)
+      || [...waypointResults.values()].some(r => r.exceeds)
+      || [...vertexResults.values()].some(list => list.some(r => r.exceeds)),
+    surfacesLoaded: true,
+  };
+};
+
+/**
+ * ポリゴンごとの最も低い飛行可能高度（頂点とそのポリゴンのWaypointのうち最小の上限）
+ * DMSテキストの飛行高度の上限と照合するために使う
+ *
+ * @param {Object} ceilings - computeAirspaceCeilings の結果
+ * @param {Array} waypoints - Waypoint配列（polygonId でポリゴンに対応付ける）
+ * @returns {Object} { [polygonId]: 判定 }
+ */
+export const getLowestCeilingByPolygon = (ceilings, waypoints = []) => {
+  const result = {};
+  if (!ceilings) return result;
+  const consider = (polygonId, ceiling) => {
+    if (!result[polygonId] || ceiling.ceilingASL < result[polygonId].ceilingASL) {
+      result[polygonId] = ceiling;
+    }
+  };
+  for (const [polygonId, vertices] of ceilings.vertices?.entries() || []) {
+    vertices.forEach(vertex => consider(polygonId, vertex));
+  }
+  waypoints.forEach(wp => {
+    const ceiling = ceilings.waypoints?.get(wp.id);
+    if (ceiling) consider(wp.polygonId || 'unknown', ceiling);
+  });
+  return result;
+};
+
+/**
+ * 飛行可能高度を表示用に整形
+ * 例: 「海抜86m（成田国際空港 水平表面）」
+ * @param {Object} ceiling - 判定（ceilingASL, airportName, surfaceLabel）
+ * @returns {string}
+ */
+export const formatCeiling = (ceiling) =>
+  `海抜${Math.floor(ceiling.ceilingASL)}m（${ceiling.airportName} ${ceiling.surfaceLabel}）`;
+
+/**
+ * 高さの余裕を表示用に整形
+ * @param {number|null} margin - 表面高 − 飛行高度（m）
+ * @returns {string}
+ */
+export const formatCeilingMargin = (margin) => {
+  if (margin === null || margin === undefined) return '高さ不明';
+  return margin >= 0
+    ? `表面まで${Math.round(margin)}m`
+    : `${Math.round(-margin)}m超過`;
+};
@@ -0,0 +1,296 @@
+/**
+ * airspaceCeiling テスト
+ *
+ * 制限表面の高さ（水平・円錐・進入表面）とWaypoint・ポリゴン頂点・区間の高さの余裕のテスト
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as turf from '@turf/turf';
+import {
+  computeAirspaceCeilings,
+  prepareAirspaceData,
+  getSurfaceHeight,
+  getLowestCeilingByPolygon,
+  formatCeiling,
+  formatCeilingMargin,
+} from './airspaceCeiling';
+import { getDetailedCollisionResultsWithRestrictionSurfaces } from './riskService';
+import { DEFAULT_RULE_PACK, mergeRulePacks } from '../lib';
+
+// 成田国際空港の空港標点
+const AIRPORT = { lat: 35.772, lng: 140.3929 };
+const M_PER_DEG_LAT = 111320;
+
+const surface = (geometry, kind, label) => ({
+  type: 'Feature',
+  geometry,
+  properties: { __surface_kind: kind, __surface_label: label }
+});
+
+const circleRing = (radius) =>
+  turf.circle([AIRPORT.lng, AIRPORT.lat], radius, { units: 'meters', steps: 128 }).geometry.coordinates[0];
+
+const horizontal = surface({ type: 'Polygon', coordinates: [circleRing(4000)] }, 'horizontal', '水平表面');
+const conical = surface(
+  { type: 'Polygon', coordinates: [circleRing(16500), [...circleRing(4000)].reverse()] },
+  'conical',
+  '円錐表面'
+);
+
+// 空港標点から南へ meters の地点
+const south = (meters, extra = {}) => ({ lat: AIRPORT.lat - meters / M_PER_DEG_LAT, lng: AIRPORT.lng, ...extra });
+
+// 地表・空港標点とも標高10m
+const flatTerrain = () => vi.fn(async (points) => points.map(() => 10));
+
+describe('airspaceCeiling', () => {
+
+  describe('getSurfaceHeight', () => {
+    it('水平表面は45m、円錐表面は外縁から1/50で上昇する', () => {
+      expect(getSurfaceHeight(horizontal, south(2000), AIRPORT)).toBe(45);
+      expect(getSurfaceHeight(conical, south(9000), AIRPORT)).toBeCloseTo(145, 0);
+    });
+
+    it('進入表面は空港側の辺から1/50で上昇する', () => {
+      // 空港標点の南1kmから始まる台形
+      const inner = AIRPORT.lat - 1000 / M_PER_DEG_LAT;
+      const outer = AIRPORT.lat - 4000 / M_PER_DEG_LAT;
+      const approach = surface({
+        type: 'Polygon',
+        coordinates: [[
+          [AIRPORT.lng - 0.002, inner], [AIRPORT.lng + 0.002, inner],
+          [AIRPORT.lng + 0.01, outer], [AIRPORT.lng - 0.01, outer],
+          [AIRPORT.lng - 0.002, inner]
+        ]]
+      }, 'approach', '進入表面');
+
+      expect(getSurfaceHeight(approach, south(2000), AIRPORT)).toBeCloseTo(20, 0);
+    });
+  });
+
+  describe('computeAirspaceCeilings', () => {
+    const surfaces = { type: 'FeatureCollection', features: [horizontal, conical] };
+
+    it('表面より下のWaypointは余裕が正、上は負になる', async () => {
+      const low = south(2000, { id: 'low', altitude: 30 });
+      const high = south(2500, { id: 'high', altitude: 60 });
+      const result = await computeAirspaceCeilings([low, high], {
+        surfaces, legs: [], fetchElevations: flatTerrain()
+      });
+
+      const lowCeiling = result.waypoints.get('low');
+      expect(lowCeiling.ceilingASL).toBe(55);
+      expect(lowCeiling.ceilingAGL).toBe(45);
+      expect(lowCeiling.margin).toBe(15);
+      expect(result.waypoints.get('high').margin).toBe(-15);
+      expect(result.hasViolation).toBe(true);
+    });
+
+    it('区間の最も余裕の少ない地点で判定する', async () => {
+      const from = south(1000, { id: 'a', index: 1, altitude: 30 });
+      const to = south(3000, { id: 'b', index: 2, altitude: 80 });
+      const result = await computeAirspaceCeilings([from, to], { surfaces, fetchElevations: flatTerrain() });
+
+      expect(result.legs).toHaveLength(1);
+      expect(result.legs[0].violates).toBe(true);
+      expect(result.legs[0].margin).toBeCloseTo(-35, 6);
+      expect(result.legs[0].surfaceLabel).toBe('水平表面');
+    });
+
+    it('水平表面の範囲内でも表面より下を飛ぶ区間は違反にならない', async () => {
+      const from = south(1000, { id: 'a', altitude: 30 });
+      const to = south(6000, { id: 'b', altitude: 40 });
+      const result = await computeAirspaceCeilings([from, to], { surfaces, fetchElevations: flatTerrain() });
+
+      expect(result.legs[0].violates).toBe(false);
+      expect(result.hasViolation).toBe(false);
+    });
+
+    it('altitudeASL があればそれを飛行高度として使い、標高を問い合わせない', async () => {
+      const fetchElevations = flatTerrain();
+      const wp = south(2000, { id: 'asl', elevation: 5, altitudeASL: 50 });
+      const result = await computeAirspaceCeilings([wp], { surfaces, fetchElevations });
+
+      expect(result.waypoints.get('asl').margin).toBe(5);
+      // 問い合わせは空港標点のみ
+      expect(fetchElevations.mock.calls[0][0]).toHaveLength(1);
+    });
+
+    it('事前に取得した表面と標高（Worker 用）で区間を判定し、標高を問い合わせない', async () => {
+      const from = south(1000, { id: 'a', index: 1, altitude: 30 });
+      const to = south(3000, { id: 'b', index: 2, altitude: 80 });
+      const airspaceData = await prepareAirspaceData([to, from], { surfaces, fetchElevations: flatTerrain() });
+      const fetchElevations = flatTerrain();
+      const result = await computeAirspaceCeilings([from, to], { airspaceData, fetchElevations });
+
+      expect(fetchElevations).not.toHaveBeenCalled();
+      expect(result.legs[0].margin).toBeCloseTo(-35, 6);
+    });
+
+    it('ポリゴンの頂点ごとに上限を求め、範囲内のWaypointの最高高度と比べる', async () => {
+      // 南 3500m〜4500m の四角形（北側の2頂点は水平表面、南側の2頂点は円錐表面）
+      const north = AIRPORT.lat - 3500 / M_PER_DEG_LAT;
+      const southEdge = AIRPORT.lat - 4500 / M_PER_DEG_LAT;
+      const polygon = {
+        id: 'p1',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [AIRPORT.lng - 0.001, north], [AIRPORT.lng + 0.001, north],
+            [AIRPORT.lng + 0.001, southEdge], [AIRPORT.lng - 0.001, southEdge],
+            [AIRPORT.lng - 0.001, north]
+          ]]
+        }
+      };
+      const wp = south(4000, { id: 'w1', polygonId: 'p1', altitude: 50 });
+      const result = await computeAirspaceCeilings([wp], {
+        surfaces, legs: [], polygons: [polygon], fetchElevations: flatTerrain()
+      });
+
+      const vertices = result.vertices.get('p1');
+      expect(vertices.map(v => v.index)).toEqual([0, 1, 2, 3]);
+      expect(vertices[0]).toMatchObject({ ceilingASL: 55, surfaceLabel: '水平表面', exceeds: true });
+      expect(vertices[2].surfaceLabel).toBe('円錐表面');
+      expect(vertices[2].ceilingASL).toBeGreaterThan(55);
+      // 頂点の飛行高度は範囲内のWaypointの最高高度（地表10m + 50m）
+      expect(vertices[0].margin).toBe(-5);
+
+      const lowest = getLowestCeilingByPolygon(result, [wp]);
+      expect(lowest.p1.ceilingASL).toBe(55);
+      expect(formatCeiling(lowest.p1)).toBe('海抜55m（成田国際空港 水平表面）');
+    });
+
+    it('MultiPolygon は各パートの外周の頂点を通し番号で判定する', async () => {
+      // 南 3500m の三角形（水平表面）と南 5000m の三角形（円錐表面）
+      const triangle = (meters) => {
+        const lat = AIRPORT.lat - meters / M_PER_DEG_LAT;
+        return [[AIRPORT.lng - 0.001, lat], [AIRPORT.lng + 0.001, lat], [AIRPORT.lng, lat - 0.001], [AIRPORT.lng - 0.001, lat]];
+      };
+      const polygon = {
+        id: 'm1',
+        geometry: { type: 'MultiPolygon', coordinates: [[triangle(3500)], [triangle(5000)]] }
+      };
+      const result = await computeAirspaceCeilings([], {
+        surfaces, legs: [], polygons: [polygon], fetchElevations: flatTerrain()
+      });
+
+      const vertices = result.vertices.get('m1');
+      expect(vertices.map(v => v.index)).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(vertices[0]).toMatchObject({ ceilingASL: 55, surfaceLabel: '水平表面' });
+      expect(vertices[3].surfaceLabel).toBe('円錐表面');
+    });
+
+    it('穴のある MultiPolygon でも穴を除いた外周の頂点だけを判定する', async () => {
+      const north = AIRPORT.lat - 3500 / M_PER_DEG_LAT;
+      const southEdge = AIRPORT.lat - 4500 / M_PER_DEG_LAT;
+      const outer = [
+        [AIRPORT.lng - 0.002, north], [AIRPORT.lng + 0.002, north],
+        [AIRPORT.lng + 0.002, southEdge], [AIRPORT.lng - 0.002, southEdge],
+        [AIRPORT.lng - 0.002, north]
+      ];
+      const hole = [
+        [AIRPORT.lng - 0.001, north - 0.002], [AIRPORT.lng - 0.001, southEdge + 0.002],
+        [AIRPORT.lng + 0.001, southEdge + 0.002], [AIRPORT.lng + 0.001, north - 0.002],
+        [AIRPORT.lng - 0.001, north - 0.002]
+      ];
+      const polygon = {
+        id: 'm2',
+        geometry: { type: 'MultiPolygon', coordinates: [[outer, hole]] }
+      };
+      const result = await computeAirspaceCeilings([], {
+        surfaces, legs: [], polygons: [polygon], fetchElevations: flatTerrain()
+      });
+
+      const vertices = result.vertices.get('m2');
+      expect(vertices).toHaveLength(4);
+      vertices.forEach(vertex => {
+        expect(Number.isFinite(vertex.lat)).toBe(true);
+        expect(Number.isFinite(vertex.ceilingASL)).toBe(true);
+      });
+      expect(vertices[0]).toMatchObject({ lng: AIRPORT.lng - 0.002, lat: north, surfaceLabel: '水平表面' });
+    });
+
+    it('分類情報のない表面は名称から種類を判定する', async () => {
+      const raw = { ...horizontal, properties: { name: '成田 水平表面' } };
+      const result = await computeAirspaceCeilings([south(2000, { id: 'w', altitude: 30 })], {
+        surfaces: { type: 'FeatureCollection', features: [raw] }, legs: [], fetchElevations: flatTerrain()
+      });
+
+      expect(result.waypoints.get('w')).toMatchObject({ surfaceKind: 'horizontal', ceilingASL: 55, exceeds: false });
+    });
+
+    it('制限表面がなければ判定なしを返す', async () => {
+      const result = await computeAirspaceCeilings([south(2000, { id: 'x' })], {
+        surfaces: { type: 'FeatureCollection', features: [] }
+      });
+      expect(result.surfacesLoaded).toBe(false);
+      expect(result.waypoints.size).toBe(0);
+    });
+  });
+
+  describe('getDetailedCollisionResultsWithRestrictionSurfaces', () => {
+    it('制限表面内でも表面より下のWaypointは空港判定しない', () => {
+      const wp = south(2000, { id: 'wp1' });
+      const restrictionSurfaceResults = new Map([
+        ['wp1', { isInRestrictionSurface: true, surfaceLabel: '水平表面', heightMargin: 15, belowSurface: true }]
+      ]);
+      const { results } = getDetailedCollisionResultsWithRestrictionSurfaces([wp], { restrictionSurfaceResults });
+      expect(results.get('wp1').isColliding).toBe(false);
+
+      restrictionSurfaceResults.set('wp1', { isInRestrictionSurface: true, surfaceLabel: '水平表面', heightMargin: -5, belowSurface: false });
+      const exceeded = getDetailedCollisionResultsWithRestrictionSurfaces([wp], { restrictionSurfaceResults });
+      expect(exceeded.results.get('wp1')).toMatchObject({ isColliding: true, collisionType: 'AIRPORT', heightMargin: -5 });
+    });
+
+    it('高さ未判定の制限表面内の空港判定には、表面より下を飛ぶ場合の判定を添える', () => {
+      const wp = south(2000, { id: 'wp1' });
+      const restrictionSurfaceResults = new Map([
+        ['wp1', { isInRestrictionSurface: true, surfaceLabel: '水平表面' }]
+      ]);
+      const { results } = getDetailedCollisionResultsWithRestrictionSurfaces([wp], { restrictionSurfaceResults });
+      expect(results.get('wp1')).toMatchObject({ isColliding: true, collisionType: 'AIRPORT' });
+      expect(results.get('wp1').belowSurfaceResult.collisionType).not.toBe('AIRPORT');
+    });
+
+    it('制限表面内の空港判定はルールパックの aviation.airport ルールで重大度を決め、適用したルールを記録する', () => {
+      const wp = south(2000, { id: 'wp1' });
+      const restrictionSurfaceResults = new Map([
+        ['wp1', { isInRestrictionSurface: true, surfaceLabel: '水平表面', heightMargin: -5, belowSurface: false }]
+      ]);
+      const byDefault = getDetailedCollisionResultsWithRestrictionSurfaces([wp], {
+        restrictionSurfaceResults, rulePack: DEFAULT_RULE_PACK
+      });
+      expect(byDefault.results.get('wp1')).toMatchObject({
+        severity: 'DANGER', ruleId: 'aviation.airport.inside', rulePackId: 'default'
+      });
+
+      // 社内ルールで制限区域内を要注意に下げる
+      const relaxed = mergeRulePacks([DEFAULT_RULE_PACK, {
+        id: 'acme',
+        name: 'ACME',
+        rules: [{
+          id: 'aviation.airport.inside',
+          check: 'aviation.airport',
+          when: { fact: 'airportAreaInside', op: '==', value: true },
+          severity: 'warning',
+          message: '許可取得済みの空港周辺'
+        }]
+      }]);
+      const { results, byType } = getDetailedCollisionResultsWithRestrictionSurfaces([wp], {
+        restrictionSurfaceResults, rulePack: relaxed
+      });
+      expect(results.get('wp1')).toMatchObject({
+        severity: 'WARNING', ruleId: 'aviation.airport.inside', rulePackId: 'acme', message: '許可取得済みの空港周辺'
+      });
+      expect(byType.AIRPORT.severity).toBe('WARNING');
+    });
+  });
+
+  describe('formatCeilingMargin', () => {
+    it('余裕と超過を表示用に整形する', () => {
+      expect(formatCeilingMargin(12.4)).toBe('表面まで12m');
+      expect(formatCeilingMargin(-7.6)).toBe('8m超過');
+      expect(formatCeilingMargin(null)).toBe('高さ不明');
+    });
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * 飛行エリア全体の法規制判定
+ * 中心1点ではなく、全ポリゴン（形状の交差）と全飛行区間（Waypoint間の線分）を判定する。
+ * 項目ごとに該当するポリゴン・区間と、地図で強調表示する該当部分（交差部分・区間の該当部分）を返す。
+ *
+ * 判定項目（legalRequirements の項目IDと対応）
+ * - did: DID（人口集中地区）
+ * - airport / airport_near: 空港等周辺（制限半径内 / 制限区域の外側でルールパックの aviation.airport に該当）
+ * - heliport: ヘリポート周辺
+ * - altitude: 150m超の Waypoint
+ * - red_zone / yellow_zone / near_zone: 小型無人機等飛行禁止法の対象施設（区域内 / 周辺500m）
+ *
+ * 強調表示の状態（status）は legalRequirements と同じルールパックの判定で決める（context.rulePack、省略時は有効なパック）
+ */
+
+import * as turf from '@turf/turf';
+import { getDistanceMeters, AIRPORT_ZONES, NO_FLY_ZONES, HELIPORTS, evaluateRules, getActiveRulePack } from '../lib';
+import { getCachedDIDFeatures, preloadDIDDataForCoordinates } from './didService';
+
+// 禁止区域の外側で「近接」とする距離（m）
+export const NO_FLY_ZONE_BUFFER_METERS = 500;
+
+// 航空法の高度上限（m）
+const ALTITUDE_LIMIT = 150;
+
+// 円形区域を多角形にする際の分割数
+const CIRCLE_STEPS = 64;
+
+// 項目ごとに状態を判定するルールパックの check と、該当箇所が1件ある場合の事実（legalRequirements と同じ）
+const ITEM_RULES = {
+  did: { check: 'aviation.did', facts: { did: true } },
+  airport: { check: 'aviation.airport', facts: { airportAreaInside: true } },
+  airport_near: { check: 'aviation.airport', facts: {} },
+  heliport: { check: 'aviation.heliport', facts: { heliportTriggerCount: 1 } },
+  altitude: { check: 'aviation.altitude', facts: { altitudeTriggerCount: 1 } },
+  red_zone: { check: 'prohibition.red_zone', facts: { redZoneCount: 1, yellowZoneCount: 0, nearZoneCount: 0 } },
+  yellow_zone: { check: 'prohibition.yellow_zone', facts: { redZoneCount: 0, yellowZoneCount: 1, nearZoneCount: 0 } },
+  near_zone: { check: 'prohibition.near_zone', facts: { redZoneCount: 0, yellowZoneCount: 0, nearZoneCount: 1 } },
+};
+
+/**
+ * 空港の中心からの距離（m）を aviation.airport の事実にする
+ * @param {Object} airport - { radius }
+ * @param {number} distance - 空港の中心からの距離（m）
+ * @returns {Object} { airportEdgeDistance: 制限区域の外縁までの距離（内側は負）, airportRadiusRatio: 制限半径に対する倍率 }
+ */
+export const getAirportFacts = (airport, distance) => ({
+  airportEdgeDistance: distance - airport.radius,
+  airportRadiusRatio: distance / airport.radius,
+});
+
+/**
+ * Waypoint を配列順につないだ飛行区間
+ * @param {Array} waypoints - ウェイポイント配列
+ * @returns {Array} [{ id, label, from, to }]
+ */
+export const getFlightLegs = (waypoints = []) => {
+  return waypoints.slice(1).map((to, i) => {
+    const from = waypoints[i];
+    return {
+      id: `${from.id}-${to.id}`,
+      label: `WP${from.index ?? i + 1}→WP${to.index ?? i + 2}`,
+      from,
+      to,
+    };
+  });
+};
+
+/**
+ * 円形の区域（空港・ヘリポート・禁止施設）を { name, lat, lng, radius（m） } に揃える
+ * HELIPORTS は { coordinates: [lng, lat], radiusKm } 形式
+ */
+const toCircleZone = (zone) => ({
+  ...zone,
+  lat: zone.lat ?? zone.coordinates?.[1],
+  lng: zone.lng ?? zone.coordinates?.[0],
+  radius: zone.radius ?? (zone.radiusKm ?? 0) * 1000,
+});
+
+/**
+ * 点から範囲（bbox）までの距離（m）。範囲内なら 0
+ */
+const distanceToBounds = (point, [minLng, minLat, maxLng, maxLat]) => {
+  const lat = Math.min(Math.max(point.lat, minLat), maxLat);
+  const lng = Math.min(Math.max(point.lng, minLng), maxLng);
+  return getDistanceMeters(point.lat, point.lng, lat, lng);
+};
+
+/**
+ * 点からポリゴン・区間までの距離（m）。ポリゴン内なら 0
+ */
+const distanceToEntry = (point, entry) => {
+  const target = turf.point([point.lng, point.lat]);
+  if (entry.line) return turf.pointToLineDistance(target, entry.line, { units: 'meters' });
+  if (turf.booleanPointInPolygon(target, entry.feature)) return 0;
+  const { type, coordinates } = entry.feature.geometry;
+  const rings = type === 'Polygon' ? coordinates : coordinates.flat();
+  return Math.min(...rings.map(ring => turf.pointToLineDistance(target, turf.lineString(ring), { units: 'meters' })));
+};
+
+const boundsOverlap = (a, b) => !(a[2] < b[0] || a[0] > b[2] || a[3] < b[1] || a[1] > b[3]);
+
+/**
+ * 2つの面の交差部分（交差しない・計算できない場合は null）
+ */
+const intersectAreas = (a, b) => {
+  try {
+    const intersection = turf.intersect(turf.featureCollection([a, b]));
+    const type = intersection?.geometry?.type;
+    return type === 'Polygon' || type === 'MultiPolygon' ? intersection : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 線分のうち区域内にある部分（計算できない場合は線分全体）
+ */
+const clipLegToArea = (line, area) => {
+  try {
+    const pieces = turf.lineSplit(line, area).features;
+    if (pieces.length === 0) return [line];
+    return pieces.filter(piece => turf.booleanPointInPolygon(turf.along(piece, turf.length(piece) / 2), area));
+  } catch {
+    return [line];
+  }
+};
+
+/**
+ * 飛行エリア全体を判定
+ * @param {Object} context - { polygons, waypoints, altitude（既定の飛行高度 m）, rulePack（省略時は有効なパック） }
+ * @param {Object} [options]
+ * @param {Function} [options.getDIDFeatures] - (bounds) => DID の GeoJSON Feature 配列（既定はキャッシュから取得）
+ * @param {Function} [options.preloadDID] - (coordinates) => Promise（既定は都道府県単位のDIDデータ読み込み）
+ * @returns {Promise<Object>} { items: { 項目ID: [該当箇所] }, features: 強調表示用 FeatureCollection, polygonCount, legCount,
+ *   nearestAirport: 全ポリゴン・全区間のうち制限区域の外縁に最も近い空港 { ...空港, distance, airportEdgeDistance, airportRadiusRatio }（なければ null） }
+ *   該当箇所: { kind: 'polygon' | 'leg' | 'waypoint', id, label, zoneName, overlapArea?, overlapRatio?, edgeDistance? }
+ */
+export const assessFlightArea = async (context, options = {}) => {
+  const { polygons = [], waypoints = [], altitude = 50 } = context;
+  const rulePack = context.rulePack ?? getActiveRulePack();
+  const {
+    getDIDFeatures = getCachedDIDFeatures,
+    preloadDID = preloadDIDDataForCoordinates,
+  } = options;
+
+  const areas = polygons
+    .filter(polygon => polygon?.geometry?.type === 'Polygon' || polygon?.geometry?.type === 'MultiPolygon')
+    .map(polygon => {
+      const feature = turf.feature(polygon.geometry);
+      return { polygon, feature, bbox: turf.bbox(feature), area: turf.area(feature) };
+    });
+  const legs = getFlightLegs(waypoints).map(leg => {
+    const line = turf.lineString([[leg.from.lng, leg.from.lat], [leg.to.lng, leg.to.lat]]);
+    return { ...leg, line, bbox: turf.bbox(line) };
+  });
+
+  const items = Object.fromEntries(Object.keys(ITEM_RULES).map(id => [id, []]));
+  const features = [];
+
+  /**
+   * 強調表示を追加（状態は該当箇所の事実で判定したルールの重大度。ルールに該当しなければ info）
+   */
+  const addHighlight = (itemId, geometry, label, facts = {}) => {
+    const { check, facts: baseFacts } = ITEM_RULES[itemId];
+    const match = evaluateRules(check, { ...baseFacts, ...facts }, rulePack);
+    features.push(turf.feature(geometry, { itemId, status: match?.severity ?? 'info', ruleId: match?.ruleId ?? null, label }));
+  };
+
+  /**
+   * 区域（面）と全ポリゴン・全区間を判定して itemId に記録
+   */
+  const checkZone = (itemId, zoneName, zoneFeature) => {
+    const zoneBounds = turf.bbox(zoneFeature);
+
+    for (const { polygon, feature, bbox, area } of areas) {
+      if (!boundsOverlap(bbox, zoneBounds)) continue;
+      const overlap = intersectAreas(feature, zoneFeature);
+      if (!overlap) continue;
+      const overlapArea = turf.area(overlap);
+      items[itemId].push({
+        kind: 'polygon',
+        id: polygon.id,
+        label: polygon.name || 'ポリゴン',
+        zoneName,
+        overlapArea,
+        overlapRatio: area > 0 ? overlapArea / area : 0,
+      });
+      addHighlight(itemId, overlap.geometry, `${polygon.name || 'ポリゴン'} / ${zoneName}`);
+    }
+
+    for (const leg of legs) {
+      if (!boundsOverlap(leg.bbox, zoneBounds)) continue;
+      if (!turf.booleanIntersects(leg.line, zoneFeature)) continue;
+      items[itemId].push({ kind: 'leg', id: leg.id, label: leg.label, zoneName });
+      for (const piece of clipLegToArea(leg.line, zoneFeature)) {
+        addHighlight(itemId, piece.geometry, `${leg.label} / ${zoneName}`);
+      }
+    }
+  };
+
+  // 対象範囲（ポリゴン・区間すべて）
+  const allBounds = [...areas, ...legs].map(entry => entry.bbox);
+  if (allBounds.length === 0) {
+    return { items, features: turf.featureCollection([]), polygonCount: 0, legCount: 0, nearestAirport: null };
+  }
+  const extent = [
+    Math.min(...allBounds.map(b => b[0])),
+    Math.min(...allBounds.map(b => b[1])),
+    Math.max(...allBounds.map(b => b[2])),
+    Math.max(...allBounds.map(b => b[3])),
+  ];
+
+  /**
+   * 円形区域: 範囲から離れすぎている区域は多角形化せずに除外する
+   */
+  const checkCircleZone = (itemId, zone, radius) => {
+    if (!Number.isFinite(zone.lat) || !Number.isFinite(zone.lng) || radius <= 0) return;
+    if (distanceToBounds(zone, extent) >= radius) return;
+    const circle = turf.circle([zone.lng, zone.lat], radius / 1000, { steps: CIRCLE_STEPS, units: 'kilometers' });
+    checkZone(itemId, zone.name, circle);
+  };
+
+  // 1. DID（都道府県単位のデータを読み込んでから、範囲にかかる DID ポリゴンと交差判定）
+  const coordinates = [
+    ...waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng })),
+    ...areas.flatMap(({ feature }) => turf.coordAll(feature).map(([lng, lat]) => ({ lat, lng }))),
+  ];
+  await preloadDID(coordinates);
+  const didFeatures = getDIDFeatures({ minLng: extent[0], minLat: extent[1], maxLng: extent[2], maxLat: extent[3] });
+  for (const didFeature of didFeatures) {
+    checkZone('did', didFeature.properties?.name || '人口集中地区', didFeature);
+  }
+
+  // 2. 空港等周辺（制限半径内は airport、その外側はポリゴン・区間ごとの距離をルールパックで判定して airport_near）
+  const entries = [
+    ...areas.map(({ polygon, feature, bbox }) => ({ kind: 'polygon', id: polygon.id, label: polygon.name || 'ポリゴン', feature, bbox })),
+    ...legs.map(leg => ({ kind: 'leg', id: leg.id, label: leg.label, feature: leg.line, line: leg.line, bbox: leg.bbox })),
+  ];
+  // 範囲に近い順（外縁までの距離の下限順）に判定し、最寄りの空港を早く確定させる
+  const airports = AIRPORT_ZONES.map(toCircleZone)
+    .filter(airport => Number.isFinite(airport.lat) && Number.isFinite(airport.lng) && airport.radius > 0)
+    .map(airport => ({ airport, lowerBound: distanceToBounds(airport, extent) }))
+    .sort((a, b) => (a.lowerBound - a.airport.radius) - (b.lowerBound - b.airport.radius));
+  let nearestAirport = null;
+  for (const { airport, lowerBound } of airports) {
+    checkCircleZone('airport', airport, airport.radius);
+
+    // 範囲に最も近い場合でも、最寄りの候補より遠くルールにも該当しない空港は距離を計算しない
+    const isCloser = !nearestAirport || lowerBound - airport.radius < nearestAirport.airportEdgeDistance;
+    if (!isCloser && !evaluateRules('aviation.airport', getAirportFacts(airport, lowerBound), rulePack)) continue;
+
+    for (const entry of entries) {
+      const distance = distanceToEntry(airport, entry);
+      const facts = getAirportFacts(airport, distance);
+      if (!nearestAirport || facts.airportEdgeDistance < nearestAirport.airportEdgeDistance) {
+        nearestAirport = { ...airport, distance, ...facts };
+      }
+      // 制限半径内は airport で判定済み
+      if (distance < airport.radius || !evaluateRules('aviation.airport', facts, rulePack)) continue;
+      items.airport_near.push({ kind: entry.kind, id: entry.id, label: entry.label, zoneName: airport.name, edgeDistance: facts.airportEdgeDistance });
+      addHighlight('airport_near', entry.feature.geometry, `${entry.label} / ${airport.name}`, facts);
+    }
+  }
+
+  // 3. ヘリポート
+  for (const heliport of HELIPORTS.map(toCircleZone)) {
+    checkCircleZone('heliport', heliport, heliport.radius);
+  }
+
+  // 4. 小型無人機等飛行禁止法の対象施設（区域内、または周辺500m）
+  for (const zone of NO_FLY_ZONES.map(toCircleZone)) {
+    const itemId = zone.type === 'red' ? 'red_zone' : 'yellow_zone';
+    const before = items[itemId].length;
+    checkCircleZone(itemId, zone, zone.radius);
+    if (items[itemId].length === before) {
+      checkCircleZone('near_zone', zone, zone.radius + NO_FLY_ZONE_BUFFER_METERS);
+    }
+  }
+
+  // 5. 高度（Waypoint ごとの高度、未設定は既定の飛行高度）
+  for (const wp of waypoints) {
+    const wpAltitude = wp.altitude ?? altitude;
+    if (wpAltitude <= ALTITUDE_LIMIT) continue;
+    const label = `WP${wp.index ?? ''}`;
+    items.altitude.push({ kind: 'waypoint', id: wp.id, label, zoneName: `${wpAltitude}m` });
+    addHighlight('altitude', turf.point([wp.lng, wp.lat]).geometry, `${label} ${wpAltitude}m`, { altitude: wpAltitude });
+  }
+
+  return {
+    items,
+    features: turf.featureCollection(features),
+    polygonCount: areas.length,
+    legCount: legs.length,
+    nearestAirport,
+  };
+};
+
+/**
+ * 該当箇所の一覧を説明文にする
+ * 例: 「エリアA（新宿区 約1.2ha・35%）、WP3→WP4（新宿区）」
+ * @param {Array} triggers - assessFlightArea の items の要素
+ * @param {number} [maxCount] - 列挙する最大数（超えた分は「ほかN件」）
+ * @returns {string}
+ */
+export const formatAssessmentTriggers = (triggers, maxCount = 5) => {
+  const formatArea = (m2) => (m2 >= 10000 ? `約${(m2 / 10000).toFixed(1)}ha` : `約${Math.round(m2)}m²`);
+  const texts = triggers.map(trigger => {
+    let detail = trigger.zoneName;
+    if (trigger.edgeDistance !== undefined) {
+      detail = `${trigger.zoneName} 制限区域まで${Math.round(trigger.edgeDistance)}m`;
+    } else if (trigger.kind === 'polygon') {
+      detail = `${trigger.zoneName} ${formatArea(trigger.overlapArea)}・${Math.round(trigger.overlapRatio * 100)}%`;
+    }
+    return `${trigger.label}（${detail}）`;
+  });
+  const rest = texts.length - maxCount;
+  return texts.slice(0, maxCount).join('、') + (rest > 0 ? ` ほか${rest}件` : '');
+};
@@ -0,0 +1,118 @@
+/**
+ * areaAssessment テスト
+ *
+ * 中心点では検出できない、ポリゴンの一部・飛行区間だけが規制区域にかかるケースの判定と、
+ * legalRequirements の各項目への反映のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as turf from '@turf/turf';
+import { assessFlightArea, getFlightLegs, formatAssessmentTriggers } from './areaAssessment';
+import { checkAllLegalRequirements } from './legalRequirements';
+
+const metersToLat = (m) => m / 111320;
+const metersToLng = (m, lat) => m / (111320 * Math.cos((lat * Math.PI) / 180));
+
+// 中心 (lat, lng) から東西南北に half m の正方形ポリゴン
+const square = (id, name, lat, lng, half) => {
+  const dLat = metersToLat(half);
+  const dLng = metersToLng(half, lat);
+  return {
+    id,
+    name,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [lng - dLng, lat - dLat],
+        [lng + dLng, lat - dLat],
+        [lng + dLng, lat + dLat],
+        [lng - dLng, lat + dLat],
+        [lng - dLng, lat - dLat],
+      ]],
+    },
+  };
+};
+
+// 国会議事堂（レッドゾーン 半径200m）: 35.6759, 139.745
+const DIET = { lat: 35.6759, lng: 139.745 };
+
+// DIDを持たない地域（判定をDIDから切り離す）
+const noDID = { getDIDFeatures: () => [], preloadDID: async () => {} };
+
+describe('areaAssessment', () => {
+
+  it('Waypointを配列順につないだ区間を作る', () => {
+    const legs = getFlightLegs([
+      { id: 'a', index: 1, lat: 35, lng: 139 },
+      { id: 'b', index: 2, lat: 35.001, lng: 139 },
+      { id: 'c', index: 3, lat: 35.002, lng: 139 },
+    ]);
+    expect(legs.map(leg => leg.label)).toEqual(['WP1→WP2', 'WP2→WP3']);
+  });
+
+  it('中心が区域外でも、角がレッドゾーンにかかるポリゴンを検出し交差部分を返す', async () => {
+    // 中心は議事堂から東へ約550m（区域外）、一辺700mで西端が区域にかかる
+    const center = { lat: DIET.lat, lng: DIET.lng + metersToLng(550, DIET.lat) };
+    const polygon = square('p1', 'エリアA', center.lat, center.lng, 350);
+    const { items, features } = await assessFlightArea({ polygons: [polygon] }, noDID);
+
+    const trigger = items.red_zone.find(t => t.zoneName === '国会議事堂');
+    expect(trigger).toMatchObject({ kind: 'polygon', id: 'p1', label: 'エリアA' });
+    expect(trigger.overlapArea).toBeGreaterThan(0);
+    expect(trigger.overlapRatio).toBeLessThan(0.2);
+
+    const highlight = features.features.find(f => f.properties.itemId === 'red_zone');
+    expect(highlight.properties.status).toBe('error');
+    expect(turf.area(highlight)).toBeCloseTo(trigger.overlapArea, 0);
+  });
+
+  it('両端が区域外でも、区域を横切る区間を検出し区域内の部分だけを強調する', async () => {
+    const from = { id: 'w1', index: 1, lat: DIET.lat, lng: DIET.lng - metersToLng(400, DIET.lat) };
+    const to = { id: 'w2', index: 2, lat: DIET.lat, lng: DIET.lng + metersToLng(400, DIET.lat) };
+    const { items, features } = await assessFlightArea({ waypoints: [from, to] }, noDID);
+
+    expect(items.red_zone.map(t => t.label)).toContain('WP1→WP2');
+    const pieces = features.features.filter(f => f.properties.label === 'WP1→WP2 / 国会議事堂');
+    const length = pieces.reduce((sum, f) => sum + turf.length(f, { units: 'meters' }), 0);
+    expect(length).toBeGreaterThan(300);
+    expect(length).toBeLessThan(450);
+  });
+
+  it('DIDの境界をまたぐポリゴンを検出する', async () => {
+    const polygon = square('p1', 'エリアB', 36.5, 138.5, 200);
+    const did = turf.feature(square('d', '', 36.5, 138.5 + metersToLng(300, 36.5), 200).geometry, { name: '○○市' });
+    const { items } = await assessFlightArea({ polygons: [polygon] }, {
+      getDIDFeatures: () => [did],
+      preloadDID: async () => {},
+    });
+
+    expect(items.did).toHaveLength(1);
+    expect(items.did[0].overlapRatio).toBeCloseTo(0.25, 1);
+    expect(formatAssessmentTriggers(items.did)).toBe('エリアB（○○市 約4.0ha・25%）');
+  });
+
+  it('150mを超えるWaypointを高度の項目に記録する', async () => {
+    const waypoints = [
+      { id: 'w1', index: 1, lat: 36.5, lng: 138.5, altitude: 120 },
+      { id: 'w2', index: 2, lat: 36.501, lng: 138.5, altitude: 180 },
+    ];
+    const { items } = await assessFlightArea({ waypoints }, noDID);
+
+    expect(items.altitude).toEqual([{ kind: 'waypoint', id: 'w2', label: 'WP2', zoneName: '180m' }]);
+  });
+
+  it('checkAllLegalRequirements はエリア全体の判定を各項目に反映する', async () => {
+    const center = { lat: DIET.lat, lng: DIET.lng + metersToLng(550, DIET.lat) };
+    const polygon = square('p1', 'エリアA', center.lat, center.lng, 350);
+    const areaAssessment = await assessFlightArea({ polygons: [polygon] }, noDID);
+    const results = await checkAllLegalRequirements({ ...center, altitude: 50, polygons: [polygon], areaAssessment });
+
+    const prohibition = results.categories.find(c => c.category === 'small_uas_prohibition');
+    const redZone = prohibition.items.find(item => item.id === 'red_zone');
+    expect(redZone.status).toBe('error');
+    expect(redZone.triggers[0].label).toBe('エリアA');
+    expect(redZone.zones.map(z => z.name)).toContain('国会議事堂');
+    expect(results.areaAssessment).toBe(areaAssessment);
+    expect(results.overallStatus).toBe('error');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * 制限区域回避の経路計画
+ * 禁止区域（空港・レッド／イエローゾーン・DIDなど）を離隔分だけ膨らませ、
+ * その外周頂点の可視グラフ（visibilityGraph.js）を A* で探索して区域を通らない最短経路を求める
+ *
+ * - 障害物は collision.ts の RBush 空間インデックスから経路周辺だけを取り出す
+ * - 迂回経路が探索範囲の外の区域にかかった場合は、その区域を加えて再探索する
+ * - 得られた経路は checkPathCollision で、再探索で見つかった区域も含めて交差しないことを確認する
+ * - 始点・終点が区域内にある場合、その区域は回避できないものとして除外し unavoidable で返す
+ */
+
+import * as turf from '@turf/turf';
+import { checkPathCollision } from '../lib';
+import { findVisibilityPath, pathLength } from './visibilityGraph';
+
+// 既定の離隔（m）
+const DEFAULT_MARGIN = 300;
+
+// 初回に障害物を探す範囲（始点・終点を囲む矩形の外側、m）
+const SEARCH_PADDING = 2000;
+
+// 迂回先で新たな区域に当たったときの再探索回数
+const MAX_REPLANS = 5;
+
+// 可視判定に使う膨張幅（離隔に対する比）。頂点は離隔いっぱいに置くため、判定側を少し小さくして外周沿いの辺を通す
+const CLEARANCE_RATIO = 0.5;
+
+// 外周を簡略化する許容誤差（離隔に対する比）
+const SIMPLIFY_RATIO = 0.2;
+
+const METERS_PER_DEGREE = 111320;
+
+const toPosition = (point) => [point.lng, point.lat];
+
+/**
+ * 点列を囲む矩形（度）を meters だけ広げる
+ */
+const paddedBounds = (points, meters) => {
+  const lats = points.map(p => p.lat);
+  const lngs = points.map(p => p.lng);
+  const latPad = meters / METERS_PER_DEGREE;
+  const lngPad = meters / (METERS_PER_DEGREE * Math.cos((lats[0] * Math.PI) / 180));
+  return {
+    minX: Math.min(...lngs) - lngPad,
+    minY: Math.min(...lats) - latPad,
+    maxX: Math.max(...lngs) + lngPad,
+    maxY: Math.max(...lats) + latPad,
+  };
+};
+
+const getFeatureName = (feature) => feature.properties?.name || '制限区域';
+
+/**
+ * 区域を膨らませて簡略化した形状
+ */
+const inflate = (feature, meters) => {
+  try {
+    const buffered = turf.buffer(feature, meters, { units: 'meters', steps: 4 });
+    if (!buffered) return null;
+    return turf.simplify(buffered, { tolerance: (meters * SIMPLIFY_RATIO) / METERS_PER_DEGREE });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 障害物リストを作成
+ * @returns {{ obstacles: Array, unavoidable: Array<string> }}
+ */
+const buildObstacles = (features, start, end, margin) => {
+  const obstacles = [];
+  const unavoidable = [];
+  for (const feature of features) {
+    const clearance = inflate(feature, margin * CLEARANCE_RATIO);
+    if (!clearance) continue;
+
+    // 始点・終点が区域（または離隔内）にある場合は回避しようがない
+    if (turf.booleanPointInPolygon(toPosition(start), clearance)
+      || turf.booleanPointInPolygon(toPosition(end), clearance)) {
+      unavoidable.push(getFeatureName(feature));
+      continue;
+    }
+
+    const outline = inflate(feature, margin);
+    obstacles.push({
+      feature,
+      clearance,
+      bbox: turf.bbox(clearance),
+      vertices: outline ? turf.coordAll(outline).map(([lng, lat]) => ({ lat, lng })) : [],
+    });
+  }
+  return { obstacles, unavoidable };
+};
+
+/**
+ * 制限区域を回避する経路を計画
+ *
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @param {Object} options
+ * @param {Object} options.spatialIndex - createSpatialIndex で作成した RBush インデックス
+ * @param {Array} [options.extraFeatures] - インデックス外の追加障害物（DIDポリゴンなど）
+ * @param {number} [options.margin] - 区域からの離隔（m）
+ * @param {Function} [options.filter] - (feature) => 回避対象とするか
+ * @param {number} [options.maxReplans] - 迂回先で新たな区域に当たったときの再探索回数
+ * @returns {Object} { path, distance, avoided, unavoidable, clear, collision }
+ *   path は始点・終点を含む点列、clear は回避対象の区域と交差しないことを確認できたか
+ */
+export const planAvoidancePath = (start, end, options = {}) => {
+  const {
+    spatialIndex = null,
+    extraFeatures = [],
+    margin = DEFAULT_MARGIN,
+    filter = () => true,
+    maxReplans = MAX_REPLANS,
+  } = options;
+
+  const queryFeatures = (bounds) => {
+    const indexed = spatialIndex ? spatialIndex.search(bounds).map(item => item.feature) : [];
+    const extra = extraFeatures.filter(feature => {
+      const [minX, minY, maxX, maxY] = turf.bbox(feature);
+      return !(maxX < bounds.minX || minX > bounds.maxX || maxY < bounds.minY || minY > bounds.maxY);
+    });
+    return [...indexed, ...extra].filter(filter);
+  };
+
+  const features = new Set(queryFeatures(paddedBounds([start, end], margin + SEARCH_PADDING)));
+  let path = [start, end];
+  let obstacles = [];
+  let unavoidable = [];
+
+  let settled = false;
+  for (let attempt = 0; attempt <= maxReplans; attempt++) {
+    ({ obstacles, unavoidable } = buildObstacles([...features], start, end, margin));
+    path = findVisibilityPath(start, end, obstacles) || [start, end];
+
+    // 迂回経路の周辺に未考慮の区域があれば加えて再探索
+    const added = queryFeatures(paddedBounds(path, margin)).filter(feature => !features.has(feature));
+    if (added.length === 0) {
+      settled = true;
+      break;
+    }
+    added.forEach(feature => features.add(feature));
+  }
+
+  // 再探索の上限に達した場合は、最後に見つかった区域も含めて交差を確認する
+  if (!settled) {
+    ({ obstacles, unavoidable } = buildObstacles([...features], start, end, margin));
+  }
+
+  const collision = checkPathCollision(path.map(toPosition), {
+    type: 'FeatureCollection',
+    features: obstacles.map(o => o.feature),
+  });
+  const straight = turf.lineString([toPosition(start), toPosition(end)]);
+
+  return {
+    path,
+    distance: pathLength(path),
+    avoided: [...new Set(obstacles
+      .filter(o => turf.booleanIntersects(straight, o.clearance))
+      .map(o => getFeatureName(o.feature)))],
+    unavoidable: [...new Set(unavoidable)],
+    clear: !collision.isColliding,
+    collision,
+  };
+};
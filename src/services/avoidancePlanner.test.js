@@ -0,0 +1,125 @@
+/**
+ * avoidancePlanner テスト
+ *
+ * 制限区域を膨らませた可視グラフと A* による回避経路のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as turf from '@turf/turf';
+import { planAvoidancePath } from './avoidancePlanner';
+import { createSpatialIndex, checkPathCollision, getDistanceMeters } from '../lib';
+
+const zone = (lng, lat, radiusMeters, name, zoneType = 'RED_ZONE') =>
+  turf.circle([lng, lat], radiusMeters, { units: 'meters', steps: 32, properties: { name, zoneType } });
+
+const indexOf = (...features) => createSpatialIndex({ type: 'FeatureCollection', features });
+
+// 東西約9kmの2点
+const START = { lat: 35.5, lng: 139.5 };
+const END = { lat: 35.5, lng: 139.6 };
+const straight = getDistanceMeters(START.lat, START.lng, END.lat, END.lng);
+
+// 経路と区域の最短距離（m）
+const clearanceFrom = (path, feature) => {
+  const line = turf.lineString(path.map(p => [p.lng, p.lat]));
+  return Math.min(...turf.coordAll(feature).map(c =>
+    turf.pointToLineDistance(turf.point(c), line, { units: 'meters' })
+  ));
+};
+
+describe('avoidancePlanner', () => {
+
+  describe('planAvoidancePath', () => {
+    it('区域がなければ直線を返す', () => {
+      const result = planAvoidancePath(START, END, { spatialIndex: indexOf() });
+
+      expect(result.path).toEqual([START, END]);
+      expect(result.distance).toBeCloseTo(straight, 3);
+      expect(result.clear).toBe(true);
+    });
+
+    it('直線上の区域を離隔を保って迂回し、checkPathCollisionでも交差しない', () => {
+      const blocker = zone(139.55, 35.5, 1500, '中央区域');
+      const result = planAvoidancePath(START, END, { spatialIndex: indexOf(blocker), margin: 300 });
+      const coords = result.path.map(p => [p.lng, p.lat]);
+
+      expect(result.path.length).toBeGreaterThan(2);
+      expect(result.avoided).toEqual(['中央区域']);
+      expect(result.clear).toBe(true);
+      expect(checkPathCollision(coords, { type: 'FeatureCollection', features: [blocker] }).isColliding).toBe(false);
+      expect(clearanceFrom(result.path, blocker)).toBeGreaterThan(100);
+      expect(result.distance).toBeGreaterThan(straight);
+      // 外周に沿った迂回なので、半円より短い
+      expect(result.distance).toBeLessThan(straight + Math.PI * 1800);
+    });
+
+    it('重なり合う複数の区域もまとめて迂回する', () => {
+      const zones = [
+        zone(139.53, 35.5, 1200, '区域A'),
+        zone(139.55, 35.505, 1200, '区域B', 'YELLOW_ZONE'),
+        zone(139.57, 35.497, 1200, '区域C', 'AIRPORT')
+      ];
+      const result = planAvoidancePath(START, END, { spatialIndex: indexOf(...zones), margin: 200 });
+      const coords = result.path.map(p => [p.lng, p.lat]);
+
+      expect(result.clear).toBe(true);
+      expect(checkPathCollision(coords, { type: 'FeatureCollection', features: zones }).isColliding).toBe(false);
+    });
+
+    it('迂回先で探索範囲外の区域に当たった場合は再探索する', () => {
+      // 南北に長い壁（北端は探索範囲の外）と、その北側を塞ぐ区域
+      const wall = turf.polygon([[[139.549, 35.47], [139.551, 35.47], [139.551, 35.53], [139.549, 35.53], [139.549, 35.47]]], {
+        name: '壁', zoneType: 'RED_ZONE'
+      });
+      const north = zone(139.55, 35.535, 800, '北側区域');
+      const result = planAvoidancePath(START, END, { spatialIndex: indexOf(wall, north), margin: 200 });
+      const coords = result.path.map(p => [p.lng, p.lat]);
+
+      expect(result.clear).toBe(true);
+      expect(checkPathCollision(coords, { type: 'FeatureCollection', features: [wall, north] }).isColliding).toBe(false);
+    });
+
+    it('再探索の上限までに迂回先の区域を回避できなければ clear にしない', () => {
+      // 北側区域は初回の探索範囲外にあり、壁の北端を回る迂回経路で初めて見つかる
+      const wall = turf.polygon([[[139.549, 35.47], [139.551, 35.47], [139.551, 35.53], [139.549, 35.53], [139.549, 35.47]]], {
+        name: '壁', zoneType: 'RED_ZONE'
+      });
+      const north = zone(139.55, 35.535, 800, '北側区域');
+      const options = { spatialIndex: indexOf(wall, north), margin: 200 };
+      const exhausted = planAvoidancePath(START, END, { ...options, maxReplans: 0 });
+      const coords = exhausted.path.map(p => [p.lng, p.lat]);
+
+      expect(checkPathCollision(coords, { type: 'FeatureCollection', features: [north] }).isColliding).toBe(true);
+      expect(exhausted.clear).toBe(false);
+      expect(planAvoidancePath(START, END, { ...options, maxReplans: 1 }).clear).toBe(true);
+    });
+
+    it('始点を含む区域は回避不可として除外する', () => {
+      const home = zone(139.5, 35.5, 500, '出発地の区域');
+      const blocker = zone(139.55, 35.5, 1500, '中央区域');
+      const result = planAvoidancePath(START, END, { spatialIndex: indexOf(home, blocker) });
+
+      expect(result.unavoidable).toEqual(['出発地の区域']);
+      expect(result.avoided).toEqual(['中央区域']);
+      expect(result.clear).toBe(true);
+    });
+
+    it('filterで対象外とした区域は回避しない', () => {
+      const airport = zone(139.55, 35.5, 1500, '空港', 'AIRPORT');
+      const result = planAvoidancePath(START, END, {
+        spatialIndex: indexOf(airport),
+        filter: (feature) => feature.properties.zoneType !== 'AIRPORT'
+      });
+
+      expect(result.path).toEqual([START, END]);
+    });
+
+    it('追加の障害物（DIDポリゴンなど）も回避する', () => {
+      const did = zone(139.55, 35.5, 1000, '人口集中地区', 'DID');
+      const result = planAvoidancePath(START, END, { spatialIndex: indexOf(), extraFeatures: [did] });
+
+      expect(result.avoided).toEqual(['人口集中地区']);
+      expect(result.clear).toBe(true);
+    });
+  });
+});
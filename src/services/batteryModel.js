@@ -0,0 +1,237 @@
+/**
+ * バッテリー（エネルギー）モデル
+ * 機体スペック・風・上昇・ホバリング・ペイロードから各区間の消費電力量を推定し、
+ * ルート分割とフライトごとのバッテリー使用率（信頼幅付き）を算出する
+ *
+ * 電力は「巡航速度・無風で maxFlightTime 飛べる」ように機体ごとに較正する。
+ * 機体は対地速度を巡航速度に保って飛ぶものとし、向かい風・横風で対気速度が上がるほど電力が増える。
+ */
+
+import { estimateFlightTime, estimateLegSeconds, getWaypointHoverSeconds } from './flightTimeModel';
+
+const GRAVITY = 9.81;
+
+// 巡航速度で飛行中の有害抗力による電力増分（ホバリング電力比）
+const PARASITE_POWER_RATIO = 0.15;
+
+// 上昇時の位置エネルギーへの変換効率
+const CLIMB_EFFICIENCY = 0.6;
+
+// 離陸上昇・着陸降下の速度（m/s）
+const TAKEOFF_CLIMB_SPEED = 5;
+const LANDING_DESCENT_SPEED = 3;
+
+// 高度不明時の飛行高度（m）
+const DEFAULT_ALTITUDE = 50;
+
+// 信頼幅: 予報風速の誤差・突風と、モデル自体の誤差
+const WIND_UNCERTAINTY = 0.3;
+const MODEL_UNCERTAINTY = 0.1;
+
+// 風予報がない場合に保守側で見込む風速（m/s、全区間向かい風）
+const UNKNOWN_WIND_SPEED = 3;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * 2点間の方位（度、北=0・時計回り）
+ */
+const getBearing = (from, to) => {
+  const dLng = toRad(to.lng - from.lng) * Math.cos(toRad((from.lat + to.lat) / 2));
+  const dLat = toRad(to.lat - from.lat);
+  return (Math.atan2(dLng, dLat) * 180) / Math.PI;
+};
+
+/**
+ * 10m高の風速を飛行高度の風速に換算（べき法則 1/7）
+ */
+const windAtAltitude = (speed10m, altitude) => {
+  return speed10m * Math.pow(Math.max(altitude, 10) / 10, 1 / 7);
+};
+
+/**
+ * Open-Meteo の予報（fetchPrefectureWeather の結果）から指定時刻の風を取り出す
+ * @param {Object} weather - { current, hourly }
+ * @param {Date} [time] - 飛行予定時刻
+ * @returns {Object|null} { speed: m/s, direction: 度（風が吹いてくる方位）, time }
+ */
+export const getForecastWind = (weather, time = new Date()) => {
+  const hourly = weather?.hourly || [];
+  if (hourly.length === 0) {
+    return weather?.current ? { speed: weather.current.windSpeed, direction: null, time: null } : null;
+  }
+
+  const target = time.getTime();
+  const nearest = hourly.reduce((best, entry) => {
+    const diff = Math.abs(new Date(entry.time).getTime() - target);
+    return diff < best.diff ? { entry, diff } : best;
+  }, { entry: hourly[0], diff: Infinity }).entry;
+
+  return { speed: nearest.windSpeed, direction: nearest.windDirection, time: nearest.time };
+};
+
+/**
+ * 単一条件のエネルギーモデルを作成
+ * @param {Object} droneSpec - ドローンスペック（batteryCapacity, takeoffWeight, maxFlightTime, cruiseSpeed）
+ * @param {Object} options - { wind: { speed, direction }, payload: g, powerScale }
+ * @returns {Object} 各区間の消費電力量（Wh）を返す関数群
+ */
+const createEnergyModel = (droneSpec, options = {}) => {
+  const { wind = null, payload = 0, powerScale = 1 } = options;
+  const cruiseSpeed = droneSpec.cruiseSpeed;
+  const mass = droneSpec.takeoffWeight + payload / 1000;
+
+  // 無風・巡航で maxFlightTime 分飛べる電力から、ホバリング電力を逆算
+  const cruisePower = (droneSpec.batteryCapacity * 60) / droneSpec.maxFlightTime;
+  const payloadFactor = Math.pow(mass / droneSpec.takeoffWeight, 1.5);
+  const hoverPower = (cruisePower / (1 + PARASITE_POWER_RATIO)) * payloadFactor * powerScale;
+
+  const powerAt = (airspeed) => {
+    return hoverPower * (1 + PARASITE_POWER_RATIO * Math.pow(airspeed / cruiseSpeed, 3));
+  };
+  const windSpeedAt = (altitude) => (wind ? windAtAltitude(wind.speed, altitude) : 0);
+  const altitudeOf = (point) => point.altitude ?? DEFAULT_ALTITUDE;
+  const climbEnergy = (height) => (height > 0 ? (mass * GRAVITY * height) / CLIMB_EFFICIENCY / 3600 : 0);
+
+  // 対地速度を巡航速度に保つときの対気速度
+  const airspeedOnLeg = (from, to, altitude) => {
+    const w = windSpeedAt(altitude);
+    if (w === 0) return cruiseSpeed;
+    if (wind.direction === null || wind.direction === undefined) return cruiseSpeed + w;
+
+    const bearing = toRad(getBearing(from, to));
+    const windTo = toRad(wind.direction + 180);
+    const airEast = cruiseSpeed * Math.sin(bearing) - w * Math.sin(windTo);
+    const airNorth = cruiseSpeed * Math.cos(bearing) - w * Math.cos(windTo);
+    return Math.hypot(airEast, airNorth);
+  };
+
+  return {
+    // 離陸（ホームポイントから最初の高度まで垂直上昇）
+    takeoff: (waypoint) => {
+      const height = altitudeOf(waypoint);
+      const seconds = height / TAKEOFF_CLIMB_SPEED;
+      return (powerAt(windSpeedAt(height / 2)) * seconds) / 3600 + climbEnergy(height);
+    },
+    // 水平移動（高度差があれば上昇分を加算、降下は回収しない）。所要時間は flightTimeModel で求める
+    leg: (from, to, distance, seconds) => {
+      if (distance <= 0) return 0;
+      const hasAltitudes = from.altitude !== undefined && to.altitude !== undefined;
+      // ホームポイントは高度を持たないため、相手側のWaypoint高度で飛ぶものとする
+      const altitude = hasAltitudes
+        ? (from.altitude + to.altitude) / 2
+        : altitudeOf(from.altitude === undefined ? to : from);
+      const climb = hasAltitudes ? climbEnergy(to.altitude - from.altitude) : 0;
+      return (powerAt(airspeedOnLeg(from, to, altitude)) * seconds) / 3600 + climb;
+    },
+    // Waypointでのホバリング・撮影停止
+    hover: (waypoint) => {
+      const seconds = getWaypointHoverSeconds(waypoint);
+      return (powerAt(windSpeedAt(altitudeOf(waypoint))) * seconds) / 3600;
+    },
+    // 着陸（最後の高度から垂直降下）
+    landing: (waypoint) => {
+      const height = altitudeOf(waypoint);
+      return (powerAt(windSpeedAt(height / 2)) * (height / LANDING_DESCENT_SPEED)) / 3600;
+    },
+  };
+};
+
+/**
+ * バッテリーモデルを作成
+ * 予報どおりの条件（nominal）と、風速・モデル誤差を見込んだ保守条件（high）を並行して計算する。
+ * ルート分割は保守条件が使用可能量（安全マージンを除く）に収まるように行う。
+ *
+ * @param {Object} droneSpec - ドローンスペック
+ * @param {Object} options - { wind: { speed, direction } | null, payload: g, safetyMargin }
+ * @returns {Object} バッテリーモデル
+ */
+export const createBatteryModel = (droneSpec, options = {}) => {
+  const { wind = null, payload = 0, safetyMargin = droneSpec.safetyMargin } = options;
+  const capacityWh = droneSpec.batteryCapacity;
+  const usableWh = capacityWh * (1 - safetyMargin);
+
+  const nominal = createEnergyModel(droneSpec, { wind, payload });
+  const conservative = createEnergyModel(droneSpec, {
+    wind: wind
+      ? { ...wind, speed: wind.speed * (1 + WIND_UNCERTAINTY) }
+      : { speed: UNKNOWN_WIND_SPEED, direction: null },
+    payload,
+    powerScale: 1 + MODEL_UNCERTAINTY,
+  });
+
+  const both = (fn) => ({ nominal: fn(nominal), high: fn(conservative) });
+  const add = (a, b) => ({ nominal: a.nominal + b.nominal, high: a.high + b.high });
+  const ZERO = { nominal: 0, high: 0 };
+
+  // 分割でWaypointを積み上げる段階では次の区間が未確定のため、各区間の前後で停止するものとして見積もる
+  const legEnergy = (from, to, distance) => {
+    const seconds = estimateLegSeconds(from, to, distance, droneSpec);
+    return both(m => m.leg(from, to, distance, seconds));
+  };
+
+  // Waypointに向かって訪問するまで（Homeから出発する場合は離陸を含む）
+  const visit = (from, waypoint, distance, fromHome) => {
+    const energy = add(legEnergy(from, waypoint, distance), both(m => m.hover(waypoint)));
+    return fromHome ? add(energy, both(m => m.takeoff(waypoint))) : energy;
+  };
+
+  // Waypointから帰還して着陸するまで
+  const returnHome = (waypoint, homePoint, distance) => {
+    return add(legEnergy(waypoint, homePoint, distance), both(m => m.landing(waypoint)));
+  };
+
+  /**
+   * フライト全体（離陸→各WP→帰還→着陸）の消費電力量
+   * @param {Object} homePoint - { lat, lng }
+   * @param {Array} waypoints - 訪問順のウェイポイント
+   * @param {Function} legDistance - 区間距離の計算関数
+   * @returns {Object} { nominal, high }（Wh）
+   */
+  const estimateFlight = (homePoint, waypoints, legDistance) => {
+    if (waypoints.length === 0) return ZERO;
+    // 各区間の所要時間は加減速・旋回減速・上昇下降を含めてフライト全体で求める
+    const points = [homePoint, ...waypoints, homePoint];
+    const distances = points.slice(1).map((point, i) => legDistance(points[i], point));
+    const { legs } = estimateFlightTime(points, droneSpec, { legDistances: distances });
+
+    let energy = both(m => m.takeoff(waypoints[0]) + m.landing(waypoints[waypoints.length - 1]));
+    legs.forEach((leg, i) => {
+      const seconds = leg.totalSeconds - leg.hoverSeconds;
+      energy = add(energy, both(m => m.leg(points[i], points[i + 1], distances[i], seconds)));
+    });
+    waypoints.forEach(wp => {
+      energy = add(energy, both(m => m.hover(wp)));
+    });
+    return energy;
+  };
+
+  /**
+   * 消費電力量をバッテリー使用率に変換
+   * @param {Object} energy - { nominal, high }（Wh）
+   * @returns {Object} { usage, usageHigh, margin, exceedsLimit }（%）
+   */
+  const toBatteryUsage = (energy) => {
+    const usage = (energy.nominal / capacityWh) * 100;
+    const usageHigh = (energy.high / capacityWh) * 100;
+    return {
+      usage,
+      usageHigh,
+      margin: usageHigh - usage,
+      exceedsLimit: energy.high > usableWh,
+    };
+  };
+
+  return {
+    capacityWh,
+    usableWh,
+    wind,
+    payload,
+    zero: ZERO,
+    add,
+    visit,
+    returnHome,
+    estimateFlight,
+    toBatteryUsage,
+  };
+};
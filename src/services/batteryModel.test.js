@@ -0,0 +1,121 @@
+/**
+ * batteryModel テスト
+ *
+ * 風・上昇・ホバリング・ペイロードを考慮した消費電力量とルート分割のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createBatteryModel, getForecastWind } from './batteryModel';
+import { splitRouteByBattery } from './routeOptimizer';
+import { getDroneSpecs } from './droneSpecsService';
+import { estimateFlightTime, estimateLegSeconds } from './flightTimeModel';
+import { getDistanceMeters } from '../lib';
+
+const MAVIC = getDroneSpecs('mavic-3-enterprise');
+const M300 = getDroneSpecs('matrice-300-rtk');
+const HOME = { lat: 35.68, lng: 139.7 };
+const distance = (a, b) => getDistanceMeters(a.lat, a.lng, b.lat, b.lng);
+
+// ホームから真北へ約4.5km
+const NORTH = { id: 'n', lat: 35.68 + 4500 / 111320, lng: 139.7, altitude: 0 };
+
+describe('batteryModel', () => {
+
+  describe('createBatteryModel', () => {
+    it('無風では加減速を含む飛行時間（flightTimeModel）の割合がそのまま使用率になる', () => {
+      const model = createBatteryModel(MAVIC, { wind: { speed: 0, direction: 0 } });
+      const energy = model.estimateFlight(HOME, [NORTH], distance);
+      const { legs } = estimateFlightTime([HOME, NORTH, HOME], MAVIC);
+      const minutes = legs.reduce((sum, leg) => sum + leg.totalSeconds, 0) / 60;
+
+      expect(minutes).toBeGreaterThan((distance(HOME, NORTH) * 2) / MAVIC.cruiseSpeed / 60);
+      expect(model.toBatteryUsage(energy).usage).toBeCloseTo((minutes / MAVIC.maxFlightTime) * 100, 1);
+    });
+
+    it('分割時の区間は前後で停止するものとして所要時間を見積もる', () => {
+      const model = createBatteryModel(MAVIC, { wind: { speed: 0, direction: 0 } });
+      const d = distance(HOME, NORTH);
+      const seconds = estimateLegSeconds(HOME, NORTH, d, MAVIC);
+
+      expect(model.visit(HOME, NORTH, d, false).nominal)
+        .toBeCloseTo((seconds / (MAVIC.maxFlightTime * 60)) * MAVIC.batteryCapacity, 6);
+    });
+
+    it('向かい風の区間は追い風の区間より消費が大きい', () => {
+      const headwind = createBatteryModel(MAVIC, { wind: { speed: 8, direction: 0 } });
+      const tailwind = createBatteryModel(MAVIC, { wind: { speed: 8, direction: 180 } });
+      const d = distance(HOME, NORTH);
+
+      expect(headwind.visit(HOME, NORTH, d, false).nominal)
+        .toBeGreaterThan(tailwind.visit(HOME, NORTH, d, false).nominal);
+    });
+
+    it('上昇・ホバリング・ペイロードで消費が増える', () => {
+      const calm = { wind: { speed: 0, direction: 0 } };
+      const model = createBatteryModel(M300, calm);
+      const d = distance(HOME, NORTH);
+      const base = model.visit(HOME, NORTH, d, false).nominal;
+
+      const high = { ...NORTH, altitude: 100 };
+      expect(model.visit({ ...HOME, altitude: 0 }, high, d, false).nominal).toBeGreaterThan(base);
+
+      const hovering = { ...NORTH, actions: [{ type: 'hover', duration: 30 }] };
+      expect(model.visit(HOME, hovering, d, false).nominal).toBeGreaterThan(base);
+
+      const loaded = createBatteryModel(M300, { ...calm, payload: 2000 });
+      expect(loaded.visit(HOME, NORTH, d, false).nominal).toBeGreaterThan(base);
+    });
+
+    it('保守側の見積りは予報値より大きく、その差を信頼幅として返す', () => {
+      const model = createBatteryModel(MAVIC, { wind: { speed: 5, direction: 90 } });
+      const usage = model.toBatteryUsage(model.estimateFlight(HOME, [NORTH], distance));
+
+      expect(usage.usageHigh).toBeGreaterThan(usage.usage);
+      expect(usage.margin).toBeCloseTo(usage.usageHigh - usage.usage, 6);
+      expect(usage.exceedsLimit).toBe(false);
+    });
+  });
+
+  describe('getForecastWind', () => {
+    it('指定時刻に最も近い時間別予報を返す', () => {
+      const weather = {
+        current: { windSpeed: 1 },
+        hourly: [
+          { time: '2026-10-18T09:00', windSpeed: 2, windDirection: 90 },
+          { time: '2026-10-18T10:00', windSpeed: 6, windDirection: 180 }
+        ]
+      };
+      const wind = getForecastWind(weather, new Date('2026-10-18T09:50'));
+      expect(wind).toEqual({ speed: 6, direction: 180, time: '2026-10-18T10:00' });
+    });
+
+    it('時間別予報がない場合は現在の風速（方向不明）を返す', () => {
+      expect(getForecastWind({ current: { windSpeed: 3 } })).toEqual({ speed: 3, direction: null, time: null });
+      expect(getForecastWind(null)).toBeNull();
+    });
+  });
+
+  describe('splitRouteByBattery（エネルギーモデル）', () => {
+    // 東西約1.8kmを往復しながら北へ200mずつ進む20点（総距離 約37km）
+    const waypoints = Array.from({ length: 20 }, (_, i) => ({
+      id: `wp${i}`,
+      lat: 35.68 + ((i + 1) * 200) / 111320,
+      lng: 139.7 + (i % 2) * 0.02,
+      altitude: 50
+    }));
+
+    it('強風時は無風時より多くのフライトに分割する', () => {
+      const calm = createBatteryModel(MAVIC, { wind: { speed: 0, direction: 0 } });
+      const windy = createBatteryModel(MAVIC, { wind: { speed: 10, direction: 90 } });
+
+      const calmFlights = splitRouteByBattery(waypoints, MAVIC, HOME, distance, calm);
+      const windyFlights = splitRouteByBattery(waypoints, MAVIC, HOME, distance, windy);
+
+      expect(windyFlights.length).toBeGreaterThan(calmFlights.length);
+      for (const flight of windyFlights) {
+        const energy = windy.estimateFlight(HOME, flight.waypoints, distance);
+        expect(energy.high).toBeLessThanOrEqual(windy.usableWh);
+      }
+    });
+  });
+});
@@ -203,8 +203,10 @@ const checkPointInDIDGeoJSON = (geojson, lat, lng) => {
 /**
  * メイン: DID判定
  * 複数の都道府県にまたがるDIDに対応するため、候補となる複数の都道府県を検証
+ * options.didData（getDIDDataForCoordinates の結果）を渡すと、取得せずにそのデータで判定する
  */
-export const checkDIDArea = async (lat, lng) => {
+export const checkDIDArea = async (lat, lng, options = {}) => {
+  const { didData = null } = options;
   try {
     // Get all matching prefectures (may overlap at borders)
     const prefectures = PREFECTURE_DATA.filter(pref => {
@@ -226,7 +228,9 @@ export const checkDIDArea = async (lat, lng) => {
 
     // Check all matching prefectures' GeoJSON data
     for (const prefecture of prefectures) {
-      const geojson = await fetchDIDGeoJSON(prefecture.code, prefecture.name);
+      const geojson = didData
+        ? didData[`pref_${prefecture.code}`] ?? null
+        : await fetchDIDGeoJSON(prefecture.code, prefecture.name);
       if (geojson) {
         const result = checkPointInDIDGeoJSON(geojson, lat, lng);
         if (result) {
@@ -371,3 +375,72 @@ export const isAllDIDCacheReady = (coordinates) => {
   if (!coordinates || coordinates.length === 0) return true;
   return coordinates.every(coord => isDIDCacheReady(coord.lat, coord.lng));
 };
+
+/**
+ * Worker での一括判定に渡すDIDデータを取得
+ * Worker とはキャッシュを共有できないため、メインスレッドで都道府県データを読み込み（キャッシュ済みなら再取得しない）、
+ * 座標の範囲にかかるポリゴンだけを都道府県ごとに返す
+ * @param {Array<{lat: number, lng: number}>} coordinates - 座標リスト
+ * @returns {Promise<Object>} - { pref_XX: GeoJSON FeatureCollection | null }（checkDIDArea の options.didData）
+ */
+export const getDIDDataForCoordinates = async (coordinates) => {
+  if (!coordinates || coordinates.length === 0) return {};
+
+  const prefectures = new Map();
+  for (const { lat, lng } of coordinates) {
+    for (const pref of PREFECTURE_DATA) {
+      const b = pref.bounds;
+      if (lat >= b.minLat && lat <= b.maxLat && lng >= b.minLng && lng <= b.maxLng) {
+        prefectures.set(pref.code, pref);
+      }
+    }
+  }
+
+  const lats = coordinates.map(c => c.lat);
+  const lngs = coordinates.map(c => c.lng);
+  const bounds = {
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+    minLng: Math.min(...lngs),
+    maxLng: Math.max(...lngs),
+  };
+
+  const entries = await Promise.all(Array.from(prefectures.values()).map(async (pref) => {
+    const geojson = await fetchDIDGeoJSON(pref.code, pref.name);
+    if (!geojson) return [`pref_${pref.code}`, null];
+    const features = (geojson.features || []).filter(feature => {
+      const [minLng, minLat, maxLng, maxLat] = turf.bbox(feature);
+      return !(maxLng < bounds.minLng || minLng > bounds.maxLng || maxLat < bounds.minLat || minLat > bounds.maxLat);
+    });
+    return [`pref_${pref.code}`, { type: 'FeatureCollection', features }];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+/**
+ * 指定範囲にかかるDIDポリゴンをキャッシュから取得
+ * 事前に preloadDIDDataForCoordinates でロードしておくこと
+ * @param {{minLat: number, maxLat: number, minLng: number, maxLng: number}} bounds - 範囲
+ * @returns {Array} - GeoJSON Feature配列（properties.zoneType = 'DID'）
+ */
+export const getCachedDIDFeatures = (bounds) => {
+  const features = [];
+  for (const geojson of didPrefectureCache.values()) {
+    for (const feature of geojson?.features || []) {
+      const [minLng, minLat, maxLng, maxLat] = turf.bbox(feature);
+      if (maxLng < bounds.minLng || minLng > bounds.maxLng || maxLat < bounds.minLat || minLat > bounds.maxLat) {
+        continue;
+      }
+      features.push({
+        ...feature,
+        properties: {
+          ...feature.properties,
+          zoneType: 'DID',
+          name: feature.properties?.CITYNAME || feature.properties?.CITY_NAME || '人口集中地区'
+        }
+      });
+    }
+  }
+  return features;
+};
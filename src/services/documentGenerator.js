@@ -7,6 +7,8 @@
  * - チェックリスト
  */
 
+import { FLIGHT_TIME_COMPONENTS, formatSeconds } from './flightTimeModel';
+
 // ===== ユーティリティ関数 =====
 
 /**
@@ -53,6 +55,29 @@ const formatDate = (date, format = 'japanese') => {
   return `${year}/${month.toString().padStart(2, '0')}/${day.toString().padStart(2, '0')}`;
 };
 
+/**
+ * 特定飛行の判定結果（specifiedFlight.js）を [項目, 内容] の行にする
+ * flightPlan.specifiedFlight、なければルート評価の判定を使う
+ */
+const getSpecifiedFlightRows = (flightPlan) => {
+  const specifiedFlight = flightPlan.specifiedFlight || flightPlan.evaluation?.specifiedFlight;
+  if (!specifiedFlight) return [];
+
+  const limitations = specifiedFlight.limitations.length > 0
+    ? `（${specifiedFlight.limitations.join('・')}）`
+    : '';
+  return [
+    ['特定飛行', specifiedFlight.isSpecified
+      ? specifiedFlight.items.map(item => `${item.name}（${item.reason}）`).join('、')
+      : '該当なし'],
+    ['飛行カテゴリー', specifiedFlight.categoryLabel],
+    ['飛行レベル', specifiedFlight.levelLabel],
+    ['必要な技能証明', `${specifiedFlight.license.label}${limitations}`],
+    ['必要な機体認証', specifiedFlight.typeCertificate.label],
+    ['許可・承認', specifiedFlight.permission.label],
+  ];
+};
+
 // ===== CSV生成 =====
 
 /**
@@ -78,6 +103,7 @@ export const generateDIPSCSV = (flightPlan) => {
     ['操縦者', flightPlan.pilot?.name || '-'],
     ['操縦者の資格', flightPlan.pilot?.license || '-'],
     ['連絡先', flightPlan.pilot?.phone || '-'],
+    ...getSpecifiedFlightRows(flightPlan),
     ['', ''],
     ['=== 飛行エリア座標 ===', ''],
   ];
@@ -138,6 +164,16 @@ export const generateFlightPlanTSV = (flightPlan) => {
   lines.push(`飛行カテゴリ\t${evaluation?.category || '-'}`);
   lines.push('');
 
+  // 特定飛行
+  const specifiedFlightRows = getSpecifiedFlightRows(flightPlan);
+  if (specifiedFlightRows.length > 0) {
+    lines.push('【特定飛行】');
+    specifiedFlightRows.forEach(([label, value]) => {
+      lines.push(`${label}\t${value}`);
+    });
+    lines.push('');
+  }
+
   // ルート情報
   if (route) {
     lines.push('【飛行ルート】');
@@ -148,6 +184,22 @@ export const generateFlightPlanTSV = (flightPlan) => {
     lines.push('');
   }
 
+  // 飛行時間の内訳
+  const timeBreakdown = evaluation?.timeBreakdown;
+  if (timeBreakdown) {
+    lines.push('【飛行時間内訳】');
+    FLIGHT_TIME_COMPONENTS.forEach(({ key, label }) => {
+      lines.push(`${label}\t${formatSeconds(timeBreakdown[key])}`);
+    });
+    lines.push(`合計\t${formatSeconds(timeBreakdown.totalSeconds)}`);
+    lines.push('');
+    lines.push('区間\t距離(m)\t所要時間');
+    timeBreakdown.legs.forEach((leg) => {
+      lines.push(`${leg.from} → ${leg.to}\t${Math.round(leg.distance)}\t${formatSeconds(leg.totalSeconds)}`);
+    });
+    lines.push('');
+  }
+
   // 必要な許可・申請
   if (evaluation?.permits && evaluation.permits.length > 0) {
     lines.push('【必要な許可・申請】');
@@ -246,6 +298,7 @@ export const generateFlightPlanTSV = (flightPlan) => {
  */
 export const generateFlightPlanHTML = (flightPlan) => {
   const { waypoints, polygons, route, useCase, evaluation } = flightPlan;
+  const specifiedFlightRows = getSpecifiedFlightRows(flightPlan);
 
   const html = `
 <!DOCTYPE html>
@@ -287,6 +340,13 @@ export const generateFlightPlanHTML = (flightPlan) => {
     <tr><td>飛行カテゴリ</td><td>${evaluation?.category || '-'}</td></tr>
   </table>
 
+  ${specifiedFlightRows.length > 0 ? `
+  <h2>特定飛行</h2>
+  <table class="info-table">
+    ${specifiedFlightRows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+  </table>
+  ` : ''}
+
   ${route ? `
   <h2>飛行ルート</h2>
   <table class="info-table">
@@ -297,6 +357,22 @@ export const generateFlightPlanHTML = (flightPlan) => {
   </table>
   ` : ''}
 
+  ${evaluation?.timeBreakdown ? `
+  <h2>飛行時間内訳</h2>
+  <table class="info-table">
+    ${FLIGHT_TIME_COMPONENTS.map(({ key, label }) => `<tr><td>${label}</td><td>${formatSeconds(evaluation.timeBreakdown[key])}</td></tr>`).join('')}
+    <tr><td>合計</td><td>${formatSeconds(evaluation.timeBreakdown.totalSeconds)}</td></tr>
+  </table>
+  <table class="coord-table">
+    <tr><th>区間</th><th>距離</th><th>所要時間</th></tr>
+    ${evaluation.timeBreakdown.legs.map(leg => `<tr>
+      <td>${leg.from} → ${leg.to}</td>
+      <td>${Math.round(leg.distance)}m</td>
+      <td>${formatSeconds(leg.totalSeconds)}</td>
+    </tr>`).join('')}
+  </table>
+  ` : ''}
+
   ${evaluation?.permits && evaluation.permits.length > 0 ? `
   <h2>必要な許可・申請</h2>
   <ul>
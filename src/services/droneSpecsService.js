@@ -14,15 +14,30 @@ const DRONE_SPECS = {
     maxFlightTime: 55,        // 分
     cruiseSpeed: 15,          // m/s（巡航速度）
     maxSpeed: 23,             // m/s
+    acceleration: 3,          // m/s²（水平加減速）
+    climbSpeed: 6,            // m/s（最大上昇速度）
+    descentSpeed: 5,          // m/s（最大下降速度）
     // バッテリー・航続距離
     safetyMargin: 0.2,        // 20%残して帰還
     get effectiveFlightTime() { return this.maxFlightTime * (1 - this.safetyMargin); },
     get maxRange() { return this.effectiveFlightTime * 60 * this.cruiseSpeed; }, // meters
+    // エネルギーモデル用
+    takeoffWeight: 6.3,       // kg（ペイロードなし）
+    batteryCapacity: 548,     // Wh（TB60 × 2）
     // その他スペック
     maxPayload: 2700,         // g
     windResistance: 15,       // m/s
     rtk: true,
     thermalCamera: true,
+    // カメラ（写真測量用）
+    camera: {
+      name: 'Zenmuse P1 (35mm)',
+      sensorWidth: 35.9,      // mm
+      sensorHeight: 24.0,     // mm
+      focalLength: 35,        // mm
+      imageWidth: 8192,       // px
+      imageHeight: 5460,      // px
+    },
     // 表示用
     description: '長時間飛行・高精度RTK対応のフラッグシップ機',
     icon: 'Plane',
@@ -35,13 +50,26 @@ const DRONE_SPECS = {
     maxFlightTime: 45,
     cruiseSpeed: 15,
     maxSpeed: 21,
+    acceleration: 4,
+    climbSpeed: 6,
+    descentSpeed: 6,
     safetyMargin: 0.2,
     get effectiveFlightTime() { return this.maxFlightTime * (1 - this.safetyMargin); },
     get maxRange() { return this.effectiveFlightTime * 60 * this.cruiseSpeed; },
+    takeoffWeight: 0.915,
+    batteryCapacity: 77,
     maxPayload: 0,
     windResistance: 12,
     rtk: true,
     thermalCamera: true,
+    camera: {
+      name: '4/3 CMOS 広角',
+      sensorWidth: 17.3,
+      sensorHeight: 13.0,
+      focalLength: 12.29,
+      imageWidth: 5280,
+      imageHeight: 3956,
+    },
     description: 'コンパクトで持ち運び容易、バランス型',
     icon: 'Navigation',
   },
@@ -53,13 +81,26 @@ const DRONE_SPECS = {
     maxFlightTime: 30,
     cruiseSpeed: 12,
     maxSpeed: 16,
+    acceleration: 3,
+    climbSpeed: 5,
+    descentSpeed: 3,
     safetyMargin: 0.2,
     get effectiveFlightTime() { return this.maxFlightTime * (1 - this.safetyMargin); },
     get maxRange() { return this.effectiveFlightTime * 60 * this.cruiseSpeed; },
+    takeoffWeight: 1.391,
+    batteryCapacity: 89.2,
     maxPayload: 0,
     windResistance: 10,
     rtk: true,
     thermalCamera: false,
+    camera: {
+      name: '1インチ CMOS',
+      sensorWidth: 13.2,
+      sensorHeight: 8.8,
+      focalLength: 8.8,
+      imageWidth: 5472,
+      imageHeight: 3648,
+    },
     description: '測量・マッピング特化の高精度機',
     icon: 'MapPin',
   },
@@ -71,13 +112,26 @@ const DRONE_SPECS = {
     maxFlightTime: 41,
     cruiseSpeed: 15,
     maxSpeed: 23,
+    acceleration: 3,
+    climbSpeed: 6,
+    descentSpeed: 5,
     safetyMargin: 0.2,
     get effectiveFlightTime() { return this.maxFlightTime * (1 - this.safetyMargin); },
     get maxRange() { return this.effectiveFlightTime * 60 * this.cruiseSpeed; },
+    takeoffWeight: 3.77,
+    batteryCapacity: 263.2,
     maxPayload: 0,
     windResistance: 15,
     rtk: true,
     thermalCamera: true,
+    camera: {
+      name: '1/2インチ 広角',
+      sensorWidth: 6.4,
+      sensorHeight: 4.8,
+      focalLength: 4.5,
+      imageWidth: 4000,
+      imageHeight: 3000,
+    },
     description: '全天候対応・熱画像内蔵の堅牢機',
     icon: 'Flame',
   },
@@ -89,25 +143,50 @@ const DRONE_SPECS = {
     maxFlightTime: 45,
     cruiseSpeed: 15,
     maxSpeed: 21,
+    acceleration: 4,
+    climbSpeed: 6,
+    descentSpeed: 6,
     safetyMargin: 0.2,
     get effectiveFlightTime() { return this.maxFlightTime * (1 - this.safetyMargin); },
     get maxRange() { return this.effectiveFlightTime * 60 * this.cruiseSpeed; },
+    takeoffWeight: 0.92,
+    batteryCapacity: 77,
     maxPayload: 0,
     windResistance: 12,
     rtk: false,
     thermalCamera: true,
+    camera: {
+      name: '1/2インチ 広角',
+      sensorWidth: 6.4,
+      sensorHeight: 4.8,
+      focalLength: 4.4,
+      imageWidth: 8000,
+      imageHeight: 6000,
+    },
     description: '熱画像特化・コストパフォーマンス良好',
     icon: 'Thermometer',
   },
 };
 
+// 厳密解（動的計画法）で解く最大地点数（計算量が 2^n で増えるため）
+export const EXACT_SOLVER_MAX_POINTS = 13;
+
+// ルート順序の最適化アルゴリズム（optimizationAlgorithm の選択肢）
+export const OPTIMIZATION_ALGORITHMS = [
+  { id: 'nearest-neighbor', name: '最近傍法', description: '最も近い地点を順にたどる高速な方法' },
+  { id: '2-opt', name: '2-opt', description: '交差する区間を入れ替えて改善' },
+  { id: 'or-opt', name: 'Or-opt', description: '1〜3点の区間を別の位置へ移動して改善（大規模グリッド向け）' },
+  { id: 'simulated-annealing', name: '焼きなまし法', description: '時間制限内で局所解から抜け出して探索' },
+  { id: 'exact', name: '厳密解', description: `${EXACT_SOLVER_MAX_POINTS}地点以下で最短順序を保証（動的計画法）` },
+];
+
 // デフォルトのルート最適化設定
 const DEFAULT_ROUTE_SETTINGS = {
   selectedDroneId: 'mavic-3-enterprise',
   safetyMargin: 0.2,              // 20%残して帰還
   autoSplitEnabled: true,         // バッテリー自動分割
   checkRegulationsEnabled: true,  // 規制チェック
-  optimizationAlgorithm: 'nearest-neighbor', // 'nearest-neighbor' or '2-opt'
+  optimizationAlgorithm: 'nearest-neighbor', // OPTIMIZATION_ALGORITHMS の id
   defaultHomePoint: null,         // { lat, lng } or null for auto
 };
 
@@ -3,15 +3,27 @@
  * https://maps.gsi.go.jp/development/elevation_s.html
  */
 
+import * as turf from '@turf/turf'
+
 const GSI_ELEVATION_URL = 'https://cyberjapandata2.gsi.go.jp/general/dem/scripts/getelevation.php'
 
+// 地形追従のデフォルト設定
+export const TERRAIN_FOLLOW_DEFAULTS = {
+  agl: 50,              // 対地高度(m)
+  tolerance: 5,         // 直線補間からの地形の許容ずれ(m)
+  sampleInterval: 25,   // レグ上の標高サンプリング間隔(m)
+  maxSamplesPerLeg: 40  // 1レグあたりの最大サンプル数（API負荷対策）
+}
+
 /**
  * 単一地点の標高を取得
  * @param {number} lat - 緯度
  * @param {number} lng - 経度
+ * @param {Object} [options] - { signal: 中断用シグナル（中断時は AbortError を投げる） }
  * @returns {Promise<number|null>} 標高(m) or null
  */
-export const getElevation = async (lat, lng) => {
+export const getElevation = async (lat, lng, options = {}) => {
+  const { signal } = options
   try {
     const params = new URLSearchParams({
       lon: lng.toString(),
@@ -19,7 +31,7 @@ export const getElevation = async (lat, lng) => {
       outtype: 'JSON'
     })
 
-    const response = await fetch(`${GSI_ELEVATION_URL}?${params}`)
+    const response = await fetch(`${GSI_ELEVATION_URL}?${params}`, { signal })
 
     if (!response.ok) {
       throw new Error(`Elevation API error: ${response.status}`)
@@ -34,6 +46,7 @@ export const getElevation = async (lat, lng) => {
 
     return parseFloat(data.elevation)
   } catch (error) {
+    if (error?.name === 'AbortError') throw error
     console.error('Elevation fetch error:', error)
     return null
   }
@@ -43,15 +56,21 @@ export const getElevation = async (lat, lng) => {
  * 複数地点の標高を一括取得
  * @param {Array<{lat: number, lng: number}>} points - 座標配列
  * @param {number} delay - リクエスト間隔(ms)
- * @returns {Promise<Array<number|null>>} 標高配列
+ * @param {Function} onProgress - 進捗コールバック (current, total)
+ * @param {Object} [options] - { signal: 中断用シグナル, onResult: 1地点取得するごとの (point, elevation) => void }
+ * @returns {Promise<Array<number|null>>} 標高配列（中断時は AbortError で reject）
  */
-export const getElevations = async (points, delay = 100) => {
+export const getElevations = async (points, delay = 100, onProgress, options = {}) => {
+  const { signal, onResult } = options
   const results = []
 
   for (let i = 0; i < points.length; i++) {
+    signal?.throwIfAborted()
     const point = points[i]
-    const elevation = await getElevation(point.lat, point.lng)
+    const elevation = await getElevation(point.lat, point.lng, { signal })
     results.push(elevation)
+    onResult?.(point, elevation)
+    onProgress?.(i + 1, points.length)
 
     // レート制限対策
     if (i < points.length - 1 && delay > 0) {
@@ -92,6 +111,136 @@ export const addElevationToWaypoints = async (waypoints, onProgress) => {
   return results
 }
 
+/**
+ * 標高プロファイルから中間Waypointが必要な地点を抽出（Douglas-Peucker法）
+ * 両端を結ぶ直線からのずれが許容値を超える点を再帰的に採用する
+ * @param {Array<{t: number, ground: number}>} profile - 距離比率tと地表標高の配列（両端を含む）
+ * @param {number} tolerance - 許容ずれ(m)
+ * @returns {number[]} 採用するプロファイル点のインデックス（両端を除く、昇順）
+ */
+const selectTerrainBreakpoints = (profile, tolerance) => {
+  const selected = []
+
+  const visit = (first, last) => {
+    const a = profile[first]
+    const b = profile[last]
+    let maxDeviation = 0
+    let maxIndex = -1
+
+    for (let i = first + 1; i < last; i++) {
+      const p = profile[i]
+      const ratio = (p.t - a.t) / (b.t - a.t)
+      const expected = a.ground + (b.ground - a.ground) * ratio
+      const deviation = Math.abs(p.ground - expected)
+      if (deviation > maxDeviation) {
+        maxDeviation = deviation
+        maxIndex = i
+      }
+    }
+
+    if (maxIndex !== -1 && maxDeviation > tolerance) {
+      visit(first, maxIndex)
+      selected.push(maxIndex)
+      visit(maxIndex, last)
+    }
+  }
+
+  visit(0, profile.length - 1)
+  return selected
+}
+
+/**
+ * 地形追従モード: 全Waypointを一定の対地高度(AGL)で飛行するよう海抜高度(ASL)を設定
+ * ポリゴンのWaypoint間のレグ（エリア内・ポリゴン間の移動とも）の地形をサンプリングし、直線補間から許容値以上外れる地点に中間Waypointを挿入する
+ * 手動Waypointを含むレグには挿入しない（利用者が置いた経路を変えないため。両端の海抜高度のみ設定）
+ * 標高を取得できない地点（海上・API失敗）は高度を変えずに elevationMissing を付け、その地点を補間の基準にしない
+ * @param {Array} waypoints - 飛行順のWaypoint配列
+ * @param {Object} options - { agl, tolerance, sampleInterval, maxSamplesPerLeg, onProgress, fetchElevations }
+ * @returns {Promise<Array>} altitude(AGL)・altitudeASL・elevation付きのWaypoint配列（挿入分を含む）
+ */
+export const applyTerrainFollowing = async (waypoints, options = {}) => {
+  const {
+    agl,
+    tolerance,
+    sampleInterval,
+    maxSamplesPerLeg
+  } = { ...TERRAIN_FOLLOW_DEFAULTS, ...options }
+  const { onProgress, fetchElevations = getElevations } = options
+
+  if (waypoints.length === 0) return []
+
+  // レグごとのサンプル地点（距離比率付き）を先に算出して総リクエスト数を確定
+  const legSamples = []
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const a = waypoints[i]
+    const b = waypoints[i + 1]
+    const isPolygonLeg = a.polygonId != null && b.polygonId != null
+    const line = turf.lineString([[a.lng, a.lat], [b.lng, b.lat]])
+    const length = turf.length(line, { units: 'meters' })
+    const count = isPolygonLeg ? Math.min(maxSamplesPerLeg, Math.floor(length / sampleInterval)) : 0
+    const samples = []
+    for (let k = 1; k <= count; k++) {
+      const t = k / (count + 1)
+      const [lng, lat] = turf.along(line, length * t, { units: 'meters' }).geometry.coordinates
+      samples.push({ t, lat, lng })
+    }
+    legSamples.push(samples)
+  }
+
+  // 未取得の地点のみ標高APIに問い合わせる
+  const waypointQueries = waypoints.filter(wp => !Number.isFinite(wp.elevation))
+  const sampleQueries = legSamples.flat()
+  const elevations = await fetchElevations([...waypointQueries, ...sampleQueries], 100, onProgress)
+
+  const fetched = new Map(waypointQueries.map((wp, i) => [wp.id, elevations[i]]))
+  sampleQueries.forEach((sample, i) => {
+    sample.elevation = elevations[waypointQueries.length + i]
+  })
+
+  const withAltitude = (point, elevation) => ({
+    ...point,
+    elevation,
+    altitude: agl,
+    altitudeASL: Math.round((elevation + agl) * 10) / 10,
+    terrainFollow: true,
+    elevationMissing: false
+  })
+  const elevationOf = (wp) => (Number.isFinite(wp.elevation) ? wp.elevation : fetched.get(wp.id) ?? null)
+
+  const results = []
+  waypoints.forEach((wp, i) => {
+    const elevation = elevationOf(wp)
+    // 海上など標高が取れない地点は海抜0mと仮定せず、高度を変えずに印を付ける
+    results.push(Number.isFinite(elevation) ? withAltitude(wp, elevation) : { ...wp, elevationMissing: true })
+
+    if (i === waypoints.length - 1) return
+
+    // 両端の標高がなければ補間の基準がないため挿入しない。標高のないサンプル点は除く
+    const nextElevation = elevationOf(waypoints[i + 1])
+    if (!Number.isFinite(elevation) || !Number.isFinite(nextElevation)) return
+    const samples = legSamples[i].filter(sample => Number.isFinite(sample.elevation))
+    const profile = [
+      { t: 0, ground: elevation },
+      ...samples.map(sample => ({ t: sample.t, ground: sample.elevation })),
+      { t: 1, ground: nextElevation }
+    ]
+
+    selectTerrainBreakpoints(profile, tolerance).forEach(profileIndex => {
+      const sample = samples[profileIndex - 1]
+      results.push(withAltitude({
+        id: crypto.randomUUID(),
+        lat: sample.lat,
+        lng: sample.lng,
+        polygonId: wp.polygonId,
+        polygonName: wp.polygonName,
+        type: 'terrain'
+      }, sample.elevation))
+    })
+  })
+
+  return results
+}
+
 /**
  * 標高をフォーマット
  * @param {number|null} elevation
@@ -0,0 +1,126 @@
+/**
+ * elevation テスト
+ *
+ * 地形追従（一定対地高度・中間Waypoint挿入）のテスト
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { applyTerrainFollowing, getElevations } from './elevation';
+
+// 東西約900mの1レグ
+const createLeg = (startElevation, endElevation) => [
+  { id: 'wp-1', lat: 35.6, lng: 139.70, index: 1, polygonId: 'p1', polygonName: 'エリア', type: 'vertex', elevation: startElevation },
+  { id: 'wp-2', lat: 35.6, lng: 139.71, index: 2, polygonId: 'p1', polygonName: 'エリア', type: 'vertex', elevation: endElevation }
+];
+
+// 経度から地表標高を返すモック（API呼び出しなし）
+const mockTerrain = (groundAt) => vi.fn(async (points) => points.map(p => groundAt(p.lng)));
+
+describe('elevation', () => {
+
+  describe('getElevations', () => {
+    it('1地点ごとに結果を通知し、中断後は問い合わせない', async () => {
+      const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ elevation: '12.5' }) }));
+      vi.stubGlobal('fetch', fetchMock);
+      const controller = new AbortController();
+      const onResult = vi.fn(() => controller.abort());
+      const points = [{ lat: 35.6, lng: 139.7 }, { lat: 35.61, lng: 139.71 }];
+
+      try {
+        await expect(getElevations(points, 0, undefined, { signal: controller.signal, onResult }))
+          .rejects.toMatchObject({ name: 'AbortError' });
+      } finally {
+        vi.unstubAllGlobals();
+      }
+      expect(onResult).toHaveBeenCalledWith(points[0], 12.5);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('applyTerrainFollowing', () => {
+    it('平坦な地形では中間Waypointを挿入しない', async () => {
+      const fetchElevations = mockTerrain(() => 10);
+      const result = await applyTerrainFollowing(createLeg(10, 10), { agl: 50, fetchElevations });
+
+      expect(result.length).toBe(2);
+      expect(result.every(wp => wp.altitude === 50 && wp.altitudeASL === 60 && wp.terrainFollow)).toBe(true);
+    });
+
+    it('一様な斜面（直線補間で表せる地形）では挿入しない', async () => {
+      // 0m → 90m の一様勾配
+      const fetchElevations = mockTerrain(lng => (lng - 139.70) * 9000);
+      const result = await applyTerrainFollowing(createLeg(0, 90), { agl: 30, tolerance: 2, fetchElevations });
+
+      expect(result.length).toBe(2);
+      expect(result[0].altitudeASL).toBe(30);
+      expect(result[1].altitudeASL).toBe(120);
+    });
+
+    it('尾根では許容値を超える地点に中間Waypointを挿入する', async () => {
+      // 中央に高さ40mの尾根
+      const fetchElevations = mockTerrain(lng => Math.max(0, 40 - Math.abs(lng - 139.705) * 12000));
+      const result = await applyTerrainFollowing(createLeg(0, 0), { agl: 50, tolerance: 5, fetchElevations });
+
+      expect(result.length).toBeGreaterThan(2);
+      const inserted = result.filter(wp => wp.type === 'terrain');
+      expect(inserted.length).toBe(result.length - 2);
+      // 尾根付近の中間点は地表+対地高度の海抜高度を持つ
+      const highest = Math.max(...inserted.map(wp => wp.altitudeASL));
+      expect(highest).toBeGreaterThan(85);
+      expect(inserted[0].polygonId).toBe('p1');
+      // 元のWaypoint順を維持し、中間点はその間に入る
+      expect(result[0].id).toBe('wp-1');
+      expect(result[result.length - 1].id).toBe('wp-2');
+    });
+
+    it('別のポリゴンへの移動レグにも挿入し、手動Waypointのレグには挿入せず標高も問い合わせない', async () => {
+      const fetchElevations = mockTerrain(lng => Math.max(0, 40 - Math.abs(lng - 139.705) * 12000));
+      const [start, end] = createLeg(0, 0);
+      const transit = [start, { ...end, polygonId: 'p2', polygonName: '別エリア' }];
+      const manual = [{ ...start, polygonId: null, type: 'manual' }, { ...end, polygonId: null, type: 'manual' }];
+
+      const transitResult = await applyTerrainFollowing(transit, { agl: 50, tolerance: 5, fetchElevations });
+      expect(transitResult.length).toBeGreaterThan(2);
+      expect(transitResult.filter(wp => wp.type === 'terrain').every(wp => wp.polygonId === 'p1')).toBe(true);
+
+      fetchElevations.mockClear();
+      expect((await applyTerrainFollowing(manual, { agl: 50, tolerance: 5, fetchElevations })).length).toBe(2);
+      expect(fetchElevations.mock.calls.every(([points]) => points.length === 0)).toBe(true);
+    });
+
+    it('標高未取得のWaypointは問い合わせ、取得済みは再取得しない', async () => {
+      const fetchElevations = mockTerrain(() => 20);
+      const leg = createLeg(undefined, 20);
+      await applyTerrainFollowing(leg, { sampleInterval: 1000, fetchElevations });
+
+      // サンプル点なし（レグ長 < 間隔）、未取得の1点のみ
+      const queried = fetchElevations.mock.calls[0][0];
+      expect(queried.length).toBe(1);
+      expect(queried[0].id).toBe('wp-1');
+    });
+
+    it('標高が取れない地点（海上）は高度を変えずに印を付け、補間の基準にしない', async () => {
+      const fetchElevations = mockTerrain(lng => (lng > 139.709 ? null : 30));
+      const [start, end] = createLeg(undefined, undefined);
+      const result = await applyTerrainFollowing([start, { ...end, altitude: 80 }], { agl: 40, tolerance: 5, fetchElevations });
+
+      expect(result.length).toBe(2);
+      expect(result[0]).toMatchObject({ elevation: 30, altitudeASL: 70, elevationMissing: false });
+      expect(result[1]).toMatchObject({ altitude: 80, elevationMissing: true });
+      expect(result[1].altitudeASL).toBeUndefined();
+      expect(result[1].terrainFollow).toBeUndefined();
+    });
+
+    it('標高が取れないサンプル点には中間Waypointを挿入しない', async () => {
+      // 尾根の頂上付近だけ標高が取れない
+      const fetchElevations = mockTerrain(lng => (Math.abs(lng - 139.705) < 0.002 ? null : Math.max(0, 40 - Math.abs(lng - 139.705) * 12000)));
+      const result = await applyTerrainFollowing(createLeg(0, 0), { agl: 50, tolerance: 5, fetchElevations });
+
+      expect(result.filter(wp => wp.type === 'terrain').every(wp => Number.isFinite(wp.elevation))).toBe(true);
+    });
+
+    it('空配列では空配列を返す', async () => {
+      expect(await applyTerrainFollowing([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * 複数機（フリート）同時運航のWaypoint分担
+ * 機体ごとに重ならない担当エリアへWaypointを分け、全機の作業が終わるまでの時間（ミッション時間）を最小化する
+ *
+ * 1. 重心まわりの方位順にWaypointを並べ、機体の巡航速度に比例した連続区間（扇形）に切り分ける
+ * 2. 切り分けの開始方位と区間→機体の割り当てを総当たりし、ミッション時間が最短のものを選ぶ
+ * 3. 最も時間のかかる機体から、隣の担当エリアとの境界にあるWaypointを移して均す
+ *
+ * 所要時間は担当区間ごとの巡回順（最近傍法）で見積もり、境界調整ではその巡回順から1点抜く・
+ * 最も距離の増えない位置へ1点挿すだけで更新する。境界のWaypointは RBush で探す。
+ */
+
+import RBush from 'rbush';
+
+// 機体ごとの表示色
+export const FLEET_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#9333ea'];
+
+// 同時に運用できる最大機数
+export const MAX_FLEET_SIZE = FLEET_COLORS.length;
+
+// 扇形の開始方位を試す数
+const SWEEP_ROTATIONS = 8;
+
+// 境界調整で移すWaypointの最大数
+const MAX_BOUNDARY_MOVES = 200;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * 配列の全順列
+ */
+const permutations = (items) => {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])
+  );
+};
+
+/**
+ * 重みに比例した区間サイズ（合計 total）
+ */
+const proportionalSizes = (weights, total) => {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const sizes = weights.map(w => Math.floor((w / sum) * total));
+  let remaining = total - sizes.reduce((a, b) => a + b, 0);
+  for (let i = 0; remaining > 0; i = (i + 1) % sizes.length, remaining--) {
+    sizes[i]++;
+  }
+  return sizes;
+};
+
+/**
+ * 最近傍法の巡回順
+ * @param {Array<number>} indices - 巡回するWaypointのインデックス
+ * @param {number} first - 最初に訪れるWaypoint
+ * @param {Function} dist - (i, j) => Waypoint間距離
+ */
+const nearestNeighborOrder = (indices, first, dist) => {
+  const remaining = new Set(indices);
+  remaining.delete(first);
+  const order = [first];
+  let current = first;
+  while (remaining.size > 0) {
+    let next = -1;
+    for (const i of remaining) {
+      if (next === -1 || dist(current, i) < dist(current, next)) next = i;
+    }
+    order.push(next);
+    remaining.delete(next);
+    current = next;
+  }
+  return order;
+};
+
+/**
+ * 巡回順の、距離の増加が最も小さい位置にWaypointを挿入した新しい巡回順
+ */
+const insertCheapest = (order, index, dist) => {
+  if (order.length === 0) return [index];
+  let position = 0;
+  let cost = dist(index, order[0]);
+  if (dist(order[order.length - 1], index) < cost) {
+    position = order.length;
+    cost = dist(order[order.length - 1], index);
+  }
+  for (let k = 1; k < order.length; k++) {
+    const added = dist(order[k - 1], index) + dist(index, order[k]) - dist(order[k - 1], order[k]);
+    if (added < cost) {
+      position = k;
+      cost = added;
+    }
+  }
+  return [...order.slice(0, position), index, ...order.slice(position)];
+};
+
+/**
+ * Waypointを機体ごとに分担
+ * @param {Array} waypoints - ウェイポイント配列
+ * @param {Array} drones - [{ spec, homePoint }]（spec は getDroneSpecs の戻り値）
+ * @param {Function} estimateSeconds - (order, droneIndex) => 担当分の所要時間（秒）。
+ *   order は waypoints のインデックスの巡回順（離発着地点に最も近い点から最近傍法、境界調整では挿入で更新）
+ * @param {Object} [options] - { distance: (i, j) => Waypoint間距離, maxMoves: 境界調整の最大回数 }
+ * @returns {{ assignments: Array<Array<number>>, seconds: Array<number> }} 機体ごとの担当インデックス（巡回順）と所要時間
+ */
+export const partitionWaypointsForFleet = (waypoints, drones, estimateSeconds, options = {}) => {
+  const n = waypoints.length;
+  const { distance, maxMoves = MAX_BOUNDARY_MOVES } = options;
+  const empty = { assignments: drones.map(() => []), seconds: drones.map(() => 0) };
+  if (n === 0 || drones.length === 0) return empty;
+
+  // 重心を原点とした平面座標（経度は cos(緯度) で縮める）
+  const center = {
+    lat: waypoints.reduce((sum, wp) => sum + wp.lat, 0) / n,
+    lng: waypoints.reduce((sum, wp) => sum + wp.lng, 0) / n,
+  };
+  const cosLat = Math.cos(toRad(center.lat));
+  const toPlane = (point) => ({ x: (point.lng - center.lng) * cosLat, y: point.lat - center.lat });
+  const planar = waypoints.map(toPlane);
+  const dist = distance || ((i, j) => Math.hypot(planar[i].x - planar[j].x, planar[i].y - planar[j].y));
+
+  // 担当区間の巡回順: 離発着地点に最も近いWaypointから最近傍法
+  const tourOf = (indices, droneIndex) => {
+    if (indices.length === 0) return [];
+    const { homePoint } = drones[droneIndex];
+    if (!homePoint) return nearestNeighborOrder(indices, indices[0], dist);
+    const home = toPlane(homePoint);
+    const first = indices.reduce((best, i) =>
+      Math.hypot(planar[i].x - home.x, planar[i].y - home.y) < Math.hypot(planar[best].x - home.x, planar[best].y - home.y) ? i : best
+    );
+    return nearestNeighborOrder(indices, first, dist);
+  };
+
+  if (drones.length === 1) {
+    const tour = tourOf(waypoints.map((_, i) => i), 0);
+    return { assignments: [tour], seconds: [estimateSeconds(tour, 0)] };
+  }
+
+  // 重心まわりの方位順
+  const sorted = planar
+    .map(({ x, y }, i) => ({ i, angle: Math.atan2(x, y) }))
+    .sort((a, b) => a.angle - b.angle)
+    .map(item => item.i);
+
+  const weights = drones.map(d => d.spec.cruiseSpeed);
+  const droneOrders = permutations(drones.map((_, i) => i));
+
+  // 同じ区間・同じ機体の見積りは開始方位・割り当てが変わっても使い回す
+  const sectorCache = new Map();
+  const estimateSector = (start, size, droneIndex) => {
+    const key = `${droneIndex}:${start}:${size}`;
+    if (!sectorCache.has(key)) {
+      const indices = Array.from({ length: size }, (_, k) => sorted[(start + k) % n]);
+      const tour = tourOf(indices, droneIndex);
+      sectorCache.set(key, { tour, seconds: estimateSeconds(tour, droneIndex) });
+    }
+    return sectorCache.get(key);
+  };
+
+  let best = null;
+  for (let rotation = 0; rotation < SWEEP_ROTATIONS; rotation++) {
+    const offset = Math.floor((rotation * n) / SWEEP_ROTATIONS);
+
+    for (const order of droneOrders) {
+      const sizes = proportionalSizes(order.map(d => weights[d]), n);
+      const sectors = drones.map(() => null);
+      let start = offset;
+      order.forEach((droneIndex, k) => {
+        sectors[droneIndex] = estimateSector(start % n, sizes[k], droneIndex);
+        start += sizes[k];
+      });
+
+      const makespan = Math.max(...sectors.map(sector => sector.seconds));
+      if (!best || makespan < best.makespan) {
+        best = { sectors, makespan };
+      }
+    }
+  }
+
+  // 境界調整: 最も遅い機体の、他機の担当エリアに最も近いWaypointを移す
+  const assignments = best.sectors.map(sector => sector.tour);
+  const seconds = best.sectors.map(sector => sector.seconds);
+  const sectorOf = new Array(n);
+  assignments.forEach((tour, d) => tour.forEach(i => { sectorOf[i] = d; }));
+
+  const tree = new RBush();
+  tree.load(planar.map(({ x, y }, index) => ({ minX: x, minY: y, maxX: x, maxY: y, index })));
+  const xs = planar.map(point => point.x);
+  const ys = planar.map(point => point.y);
+  const extent = Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  const initialRadius = extent / Math.sqrt(n);
+
+  // Waypoint i に最も近い、別の機体が担当するWaypoint（見つかるまで探索範囲を広げる）
+  const nearestForeign = (i) => {
+    const { x, y } = planar[i];
+    let r = initialRadius;
+    for (;;) {
+      let nearest = null;
+      for (const item of tree.search({ minX: x - r, minY: y - r, maxX: x + r, maxY: y + r })) {
+        if (sectorOf[item.index] === sectorOf[i]) continue;
+        const d = Math.hypot(planar[item.index].x - x, planar[item.index].y - y);
+        if (!nearest || d < nearest.d) nearest = { index: item.index, d };
+      }
+      // 範囲内で見つかった点より近い点は、半径 d の範囲を探せば必ず見つかる
+      if (nearest && nearest.d <= r) return nearest;
+      if (!nearest && r >= extent) return null;
+      r = nearest ? nearest.d : r * 2;
+    }
+  };
+
+  for (let move = 0; move < maxMoves; move++) {
+    const slowest = seconds.indexOf(Math.max(...seconds));
+    if (assignments[slowest].length <= 1) break;
+
+    // 隣接する機体ごとに、境界に最も近いWaypoint
+    const nearestByTarget = new Map();
+    for (const i of assignments[slowest]) {
+      const foreign = nearestForeign(i);
+      if (!foreign) continue;
+      const target = sectorOf[foreign.index];
+      if (!nearestByTarget.has(target) || foreign.d < nearestByTarget.get(target).d) {
+        nearestByTarget.set(target, { target, index: i, d: foreign.d });
+      }
+    }
+    const candidates = [...nearestByTarget.values()].sort((a, b) => a.d - b.d);
+
+    let improved = false;
+    for (const { target, index } of candidates) {
+      const from = assignments[slowest].filter(i => i !== index);
+      const to = insertCheapest(assignments[target], index, dist);
+      const fromSeconds = estimateSeconds(from, slowest);
+      const toSeconds = estimateSeconds(to, target);
+      const makespan = Math.max(...seconds.map((s, d) =>
+        d === slowest ? fromSeconds : d === target ? toSeconds : s
+      ));
+
+      if (makespan < Math.max(...seconds) - 1e-6) {
+        assignments[slowest] = from;
+        assignments[target] = to;
+        seconds[slowest] = fromSeconds;
+        seconds[target] = toSeconds;
+        sectorOf[index] = target;
+        improved = true;
+        break;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return { assignments, seconds };
+};
@@ -0,0 +1,74 @@
+/**
+ * fleetPlanner テスト
+ *
+ * 複数機へのWaypoint分担（重複なし・ミッション時間の均等化）のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import { partitionWaypointsForFleet } from './fleetPlanner';
+import { getDroneSpecs } from './droneSpecsService';
+
+// 10 × 10 の格子（約1km四方）
+const grid = Array.from({ length: 100 }, (_, i) => ({
+  id: `wp${i}`,
+  lat: 35.68 + Math.floor(i / 10) * 0.001,
+  lng: 139.7 + (i % 10) * 0.001
+}));
+
+// 担当点数を巡航速度で割った簡易な所要時間
+const perPointSeconds = (drones) => (indices, d) => indices.length / drones[d].spec.cruiseSpeed;
+
+describe('fleetPlanner', () => {
+
+  describe('partitionWaypointsForFleet', () => {
+    it('全Waypointを重複なく各機に割り当てる', () => {
+      const drones = [0, 1, 2].map(() => ({ spec: getDroneSpecs('mavic-3-enterprise'), homePoint: null }));
+      const { assignments } = partitionWaypointsForFleet(grid, drones, perPointSeconds(drones));
+      const all = assignments.flat().sort((a, b) => a - b);
+
+      expect(assignments).toHaveLength(3);
+      expect(all).toEqual(grid.map((_, i) => i));
+    });
+
+    it('同じ機体なら担当量がほぼ均等になる', () => {
+      const drones = [0, 1].map(() => ({ spec: getDroneSpecs('mavic-3-enterprise'), homePoint: null }));
+      const { assignments } = partitionWaypointsForFleet(grid, drones, perPointSeconds(drones));
+
+      expect(Math.abs(assignments[0].length - assignments[1].length)).toBeLessThanOrEqual(1);
+    });
+
+    it('速い機体ほど多くのWaypointを担当する', () => {
+      const drones = [
+        { spec: getDroneSpecs('phantom-4-rtk'), homePoint: null },      // 12 m/s
+        { spec: getDroneSpecs('matrice-300-rtk'), homePoint: null }     // 15 m/s
+      ];
+      const { assignments, seconds } = partitionWaypointsForFleet(grid, drones, perPointSeconds(drones));
+
+      expect(assignments[1].length).toBeGreaterThan(assignments[0].length);
+      expect(Math.abs(seconds[0] - seconds[1])).toBeLessThan(1);
+    });
+
+    it('偏った初期分割は境界のWaypointを移して均す', () => {
+      const drones = [0, 1].map(() => ({ spec: getDroneSpecs('mavic-3-enterprise'), homePoint: null }));
+      // 機体0だけ1点あたりの時間が3倍かかる
+      const estimate = (indices, d) => indices.length * (d === 0 ? 3 : 1);
+      const { seconds } = partitionWaypointsForFleet(grid, drones, estimate);
+
+      expect(Math.max(...seconds)).toBeLessThanOrEqual(76);
+    });
+
+    it('境界調整は maxMoves 回で打ち切る', () => {
+      const drones = [0, 1].map(() => ({ spec: getDroneSpecs('mavic-3-enterprise'), homePoint: null }));
+      const estimate = (indices, d) => indices.length * (d === 0 ? 3 : 1);
+      const { assignments } = partitionWaypointsForFleet(grid, drones, estimate, { maxMoves: 5 });
+
+      expect(assignments[0]).toHaveLength(45);
+    });
+
+    it('1機の場合はすべてを担当する', () => {
+      const drones = [{ spec: getDroneSpecs('mavic-3-enterprise'), homePoint: null }];
+      const { assignments } = partitionWaypointsForFleet(grid, drones, perPointSeconds(drones));
+      expect(assignments[0]).toHaveLength(100);
+    });
+  });
+});
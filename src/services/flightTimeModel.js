@@ -0,0 +1,245 @@
+/**
+ * 飛行時間モデル
+ * 距離÷巡航速度ではなく、加減速・旋回時の減速・上昇／下降・Waypointでの停止・離着陸を含めて
+ * 区間ごとの所要時間を推定する
+ *
+ * - 各区間は台形の速度プロファイル（加速 → 巡航 → 減速）で飛ぶ。短い区間では巡航速度に達しない
+ * - Waypointの通過速度は旋回角で制限する（直進は巡航速度、90°で半分、折り返しで停止）
+ * - ホバリング・撮影アクションのあるWaypoint、離着陸地点では停止する
+ * - 高度差は水平移動と同時に上昇・下降し、上昇／下降の方が長ければその分だけ時間が延びる
+ */
+
+import { getDistanceMeters } from '../lib';
+import { getActionHoverSeconds } from './waypointActions';
+
+// スペックに値がない場合の既定値
+const DEFAULT_ACCELERATION = 3; // m/s²
+const DEFAULT_CLIMB_SPEED = 5; // m/s
+const DEFAULT_DESCENT_SPEED = 3; // m/s
+
+// 高度不明時の飛行高度（m）
+const DEFAULT_ALTITUDE = 50;
+
+// 写真撮影アクション1回あたりの停止時間（秒）
+const PHOTO_STOP_SECONDS = 2;
+
+// 離陸前（モーター始動・安定化）と着陸後（接地・停止）の所要時間（秒）
+const TAKEOFF_OVERHEAD_SECONDS = 5;
+const LANDING_OVERHEAD_SECONDS = 5;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Waypointでの停止時間（秒）: ホバリングアクション + 写真撮影
+ * @param {Object} waypoint - ウェイポイント
+ * @returns {number} 秒
+ */
+export const getWaypointHoverSeconds = (waypoint) => {
+  const actions = waypoint?.actions || [];
+  const photos = actions.filter(action => action.type === 'takePhoto').length;
+  return getActionHoverSeconds(actions) + photos * PHOTO_STOP_SECONDS;
+};
+
+/**
+ * 2点間の方位（ラジアン、北=0・時計回り）
+ */
+const getBearing = (from, to) => {
+  const dLng = toRad(to.lng - from.lng) * Math.cos(toRad((from.lat + to.lat) / 2));
+  const dLat = toRad(to.lat - from.lat);
+  return Math.atan2(dLng, dLat);
+};
+
+/**
+ * 旋回角（0=直進、π=折り返し）から通過速度の上限を求める
+ * @param {number} turnAngle - ラジアン
+ * @param {number} cruiseSpeed - m/s
+ * @returns {number} m/s
+ */
+export const getTurnSpeedLimit = (turnAngle, cruiseSpeed) => {
+  return cruiseSpeed * (1 + Math.cos(turnAngle)) / 2;
+};
+
+/**
+ * 入口速度 v0・出口速度 v1 で距離 d を飛ぶ時間（台形／三角形の速度プロファイル）
+ * v0, v1 は加速度 a で到達可能な値であること（resolveNodeSpeeds で調整済み）
+ * @returns {number} 秒
+ */
+const profileSeconds = (distance, v0, v1, cruise, acceleration) => {
+  if (distance <= 0) return 0;
+  const accelDistance = (cruise * cruise - v0 * v0) / (2 * acceleration);
+  const decelDistance = (cruise * cruise - v1 * v1) / (2 * acceleration);
+  if (accelDistance + decelDistance <= distance) {
+    return (cruise - v0) / acceleration + (cruise - v1) / acceleration
+      + (distance - accelDistance - decelDistance) / cruise;
+  }
+  // 巡航速度に達しない: 中間で最高速度 peak に達して減速する
+  const peak = Math.sqrt(acceleration * distance + (v0 * v0 + v1 * v1) / 2);
+  if (peak <= Math.max(v0, v1)) return (2 * distance) / (v0 + v1);
+  return (peak - v0) / acceleration + (peak - v1) / acceleration;
+};
+
+/**
+ * 各地点の通過速度を、上限と前後の区間で加減速できる範囲に収める
+ * @param {Array<number>} limits - 地点ごとの速度上限
+ * @param {Array<number>} distances - 区間距離（limits.length - 1 個）
+ * @returns {Array<number>} 地点ごとの通過速度
+ */
+const resolveNodeSpeeds = (limits, distances, acceleration) => {
+  const speeds = [...limits];
+  for (let i = 1; i < speeds.length; i++) {
+    speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[i - 1] ** 2 + 2 * acceleration * distances[i - 1]));
+  }
+  for (let i = speeds.length - 2; i >= 0; i--) {
+    speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[i + 1] ** 2 + 2 * acceleration * distances[i]));
+  }
+  return speeds;
+};
+
+const defaultLabel = (point, i, last) => {
+  if (i === 0) return '離陸地点';
+  if (i === last) return '着陸地点';
+  return point.name || `WP${point.optimizedOrder ?? point.index ?? i}`;
+};
+
+/**
+ * 離陸から着陸までの飛行時間を推定
+ *
+ * 先頭の地点で垂直に離陸して2点目の高度まで上昇し、末尾の地点へはその手前の高度で戻って垂直に着陸する。
+ *
+ * @param {Array} points - 離陸地点・Waypoint・着陸地点の順の点列 { lat, lng, altitude?, actions? }
+ * @param {Object} droneSpec - ドローンスペック（cruiseSpeed, acceleration, climbSpeed, descentSpeed）
+ * @param {Object} [options]
+ * @param {Array<number>} [options.legDistances] - 区間ごとの水平距離（m、迂回を含む場合など。省略時は直線距離）
+ * @param {number} [options.altitude] - 高度のない地点の飛行高度（m）
+ * @param {Function} [options.labelOf] - (point, index, lastIndex) => 区間表示用の地点名
+ * @returns {Object} {
+ *   legs: [{ from, to, distance, cruiseSeconds, accelSeconds, turnSeconds, climbSeconds, hoverSeconds, totalSeconds }],
+ *   takeoffSeconds, landingSeconds, cruiseSeconds, accelSeconds, turnSeconds, climbSeconds, hoverSeconds, totalSeconds
+ * }
+ */
+export const estimateFlightTime = (points, droneSpec, options = {}) => {
+  const { legDistances = null, altitude = DEFAULT_ALTITUDE, labelOf = defaultLabel } = options;
+  const cruise = droneSpec.cruiseSpeed;
+  const acceleration = droneSpec.acceleration || DEFAULT_ACCELERATION;
+  const climbSpeed = droneSpec.climbSpeed || DEFAULT_CLIMB_SPEED;
+  const descentSpeed = droneSpec.descentSpeed || DEFAULT_DESCENT_SPEED;
+
+  const empty = {
+    legs: [],
+    takeoffSeconds: 0,
+    landingSeconds: 0,
+    cruiseSeconds: 0,
+    accelSeconds: 0,
+    turnSeconds: 0,
+    climbSeconds: 0,
+    hoverSeconds: 0,
+    totalSeconds: 0,
+  };
+  if (!points || points.length < 2) return empty;
+
+  const last = points.length - 1;
+  const altitudeOf = (point) => point.altitude ?? altitude;
+  // 離着陸地点は隣の地点の高度で水平移動する
+  const altitudes = points.map((point, i) => {
+    if (i === 0) return altitudeOf(points[1]);
+    if (i === last) return altitudeOf(points[last - 1]);
+    return altitudeOf(point);
+  });
+  const distances = points.slice(1).map((point, i) =>
+    legDistances?.[i] ?? getDistanceMeters(points[i].lat, points[i].lng, point.lat, point.lng)
+  );
+  const hovers = points.map((point, i) => (i === 0 || i === last ? 0 : getWaypointHoverSeconds(point)));
+
+  // 停止だけを考慮した速度上限と、旋回角による上限
+  const stopLimits = points.map((_, i) => (i === 0 || i === last || hovers[i] > 0 ? 0 : cruise));
+  const turnLimits = stopLimits.map((limit, i) => {
+    if (limit === 0) return 0;
+    const turn = Math.abs(getBearing(points[i], points[i + 1]) - getBearing(points[i - 1], points[i]));
+    return Math.min(limit, getTurnSpeedLimit(Math.min(turn, 2 * Math.PI - turn), cruise));
+  });
+  const stopSpeeds = resolveNodeSpeeds(stopLimits, distances, acceleration);
+  const turnSpeeds = resolveNodeSpeeds(turnLimits, distances, acceleration);
+
+  const legs = distances.map((distance, i) => {
+    const cruiseSeconds = distance / cruise;
+    const stopSeconds = profileSeconds(distance, stopSpeeds[i], stopSpeeds[i + 1], cruise, acceleration);
+    const horizontalSeconds = profileSeconds(distance, turnSpeeds[i], turnSpeeds[i + 1], cruise, acceleration);
+    const rise = altitudes[i + 1] - altitudes[i];
+    const verticalSeconds = rise >= 0 ? rise / climbSpeed : -rise / descentSpeed;
+    const climbSeconds = Math.max(0, verticalSeconds - horizontalSeconds);
+    const hoverSeconds = hovers[i + 1];
+
+    return {
+      from: labelOf(points[i], i, last),
+      to: labelOf(points[i + 1], i + 1, last),
+      distance,
+      cruiseSeconds,
+      accelSeconds: stopSeconds - cruiseSeconds,
+      turnSeconds: horizontalSeconds - stopSeconds,
+      climbSeconds,
+      hoverSeconds,
+      totalSeconds: horizontalSeconds + climbSeconds + hoverSeconds,
+    };
+  });
+
+  const sum = (key) => legs.reduce((total, leg) => total + leg[key], 0);
+  const takeoffSeconds = TAKEOFF_OVERHEAD_SECONDS + altitudes[0] / climbSpeed;
+  const landingSeconds = LANDING_OVERHEAD_SECONDS + altitudes[last] / descentSpeed;
+
+  return {
+    legs,
+    takeoffSeconds,
+    landingSeconds,
+    cruiseSeconds: sum('cruiseSeconds'),
+    accelSeconds: sum('accelSeconds'),
+    turnSeconds: sum('turnSeconds'),
+    climbSeconds: sum('climbSeconds'),
+    hoverSeconds: sum('hoverSeconds'),
+    totalSeconds: takeoffSeconds + sum('totalSeconds') + landingSeconds,
+  };
+};
+
+/**
+ * 前後の地点で停止する1区間の飛行時間（ホバリングを除く）
+ * 前後の区間が決まっていない段階（バッテリー分割でWaypointを積み上げるときなど）の保守側の見積りに使う。
+ * 高度のない地点（ホームポイントなど）との区間は、相手側の高度での水平移動とする。
+ *
+ * @param {Object} from - { altitude? }
+ * @param {Object} to - { altitude? }
+ * @param {number} distance - 水平距離（m）
+ * @param {Object} droneSpec - ドローンスペック（cruiseSpeed, acceleration, climbSpeed, descentSpeed）
+ * @returns {number} 秒
+ */
+export const estimateLegSeconds = (from, to, distance, droneSpec) => {
+  const acceleration = droneSpec.acceleration || DEFAULT_ACCELERATION;
+  const horizontalSeconds = profileSeconds(distance, 0, 0, droneSpec.cruiseSpeed, acceleration);
+  const rise = from.altitude !== undefined && to.altitude !== undefined ? to.altitude - from.altitude : 0;
+  const verticalSeconds = rise >= 0
+    ? rise / (droneSpec.climbSpeed || DEFAULT_CLIMB_SPEED)
+    : -rise / (droneSpec.descentSpeed || DEFAULT_DESCENT_SPEED);
+  return Math.max(horizontalSeconds, verticalSeconds);
+};
+
+// 内訳の表示順とラベル
+export const FLIGHT_TIME_COMPONENTS = [
+  { key: 'takeoffSeconds', label: '離陸' },
+  { key: 'cruiseSeconds', label: '巡航' },
+  { key: 'accelSeconds', label: '加減速' },
+  { key: 'turnSeconds', label: '旋回減速' },
+  { key: 'climbSeconds', label: '上昇・下降' },
+  { key: 'hoverSeconds', label: 'ホバリング・撮影' },
+  { key: 'landingSeconds', label: '着陸' },
+];
+
+/**
+ * 秒を「N分M秒」に整形
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatSeconds = (seconds) => {
+  const total = Math.round(seconds);
+  if (total < 60) return `${total}秒`;
+  const mins = Math.floor(total / 60);
+  const secs = total % 60;
+  return secs === 0 ? `${mins}分` : `${mins}分${secs}秒`;
+};
@@ -0,0 +1,153 @@
+/**
+ * flightTimeModel テスト
+ *
+ * 加減速・旋回減速・上昇下降・ホバリング・離着陸を含む飛行時間推定のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  estimateFlightTime,
+  estimateLegSeconds,
+  getTurnSpeedLimit,
+  getWaypointHoverSeconds,
+  formatSeconds
+} from './flightTimeModel';
+
+const M_PER_DEG_LAT = 111320;
+const ORIGIN = { lat: 35.5, lng: 139.5 };
+
+// 原点から北へ north m・東へ east m の地点
+const at = (north, east, extra = {}) => ({
+  lat: ORIGIN.lat + north / M_PER_DEG_LAT,
+  lng: ORIGIN.lng + east / (M_PER_DEG_LAT * Math.cos((ORIGIN.lat * Math.PI) / 180)),
+  ...extra
+});
+
+const spec = { cruiseSpeed: 10, acceleration: 2, climbSpeed: 5, descentSpeed: 4 };
+
+describe('flightTimeModel', () => {
+
+  describe('estimateFlightTime', () => {
+    it('停止から停止までの長い区間は加減速の分だけ距離÷速度より長い', () => {
+      const result = estimateFlightTime([at(0, 0), at(1000, 0)], spec, { altitude: 0 });
+      const leg = result.legs[0];
+
+      expect(leg.distance).toBeCloseTo(1000, -1);
+      expect(leg.cruiseSeconds).toBeCloseTo(leg.distance / 10, 6);
+      // 加速・減速それぞれ v/(2a) = 2.5秒の損失
+      expect(leg.accelSeconds).toBeCloseTo(5, 1);
+      expect(leg.turnSeconds).toBeCloseTo(0, 6);
+    });
+
+    it('巡航速度に達しない短い区間は三角形の速度プロファイルになる', () => {
+      const result = estimateFlightTime([at(0, 0), at(0, 0), at(16, 0)], spec, {
+        altitude: 0, legDistances: [0, 16]
+      });
+
+      // 8m加速して8m減速: 最高速度 √32 ≒ 5.7m/s、所要も約5.7秒
+      expect(result.legs[1].totalSeconds).toBeCloseTo(Math.sqrt(32), 3);
+    });
+
+    it('直進で通過するWaypointは減速せず、折り返しでは停止する', () => {
+      const straight = estimateFlightTime([at(0, 0), at(500, 0), at(1000, 0)], spec, { altitude: 0 });
+      const reverse = estimateFlightTime([at(0, 0), at(500, 0), at(0, 0)], spec, { altitude: 0 });
+
+      expect(straight.turnSeconds).toBeCloseTo(0, 6);
+      expect(straight.accelSeconds).toBeCloseTo(5, 1);
+      expect(reverse.turnSeconds).toBeCloseTo(5, 1);
+    });
+
+    it('短い区間の多いグリッドは距離÷巡航速度より大幅に長くなる', () => {
+      const grid = [at(0, 0)];
+      for (let row = 0; row < 10; row++) {
+        const east = row % 2 === 0 ? [0, 100] : [100, 0];
+        grid.push(at(row * 30, east[0]), at(row * 30, east[1]));
+      }
+      grid.push(at(0, 0));
+      const result = estimateFlightTime(grid, spec, { altitude: 0 });
+
+      expect(result.totalSeconds).toBeGreaterThan(result.cruiseSeconds * 1.2);
+      expect(result.turnSeconds).toBeGreaterThan(0);
+    });
+
+    it('ホバリング・撮影アクションのあるWaypointで停止して待機する', () => {
+      const actions = [{ type: 'hover', duration: 10 }, { type: 'takePhoto' }];
+      const plain = estimateFlightTime([at(0, 0), at(500, 0), at(1000, 0)], spec, { altitude: 0 });
+      const hover = estimateFlightTime([at(0, 0), at(500, 0, { actions }), at(1000, 0)], spec, { altitude: 0 });
+
+      expect(hover.hoverSeconds).toBe(12);
+      expect(hover.legs[0].hoverSeconds).toBe(12);
+      // 停止のための加減速も加わる
+      expect(hover.accelSeconds).toBeGreaterThan(plain.accelSeconds);
+      expect(hover.totalSeconds).toBeGreaterThan(plain.totalSeconds + 12);
+    });
+
+    it('水平移動より上昇・下降が長い区間はその差を加え、離着陸は高度から算出する', () => {
+      const result = estimateFlightTime([
+        at(0, 0), at(0, 0, { altitude: 50 }), at(20, 0, { altitude: 150 }), at(20, 0)
+      ], spec, { legDistances: [0, 20, 0] });
+
+      // 100m上昇に20秒、20mの水平移動は約6.3秒
+      expect(result.legs[1].climbSeconds).toBeGreaterThan(13);
+      expect(result.legs[1].totalSeconds).toBeCloseTo(20, 6);
+      // 離陸: 5秒 + 50m / 5m/s、着陸: 5秒 + 150m / 4m/s
+      expect(result.takeoffSeconds).toBeCloseTo(15, 6);
+      expect(result.landingSeconds).toBeCloseTo(42.5, 6);
+    });
+
+    it('内訳の合計が総時間と一致し、区間に地点名が付く', () => {
+      const points = [at(0, 0), at(300, 0, { index: 1 }), at(300, 300, { index: 2 }), at(0, 0)];
+      const result = estimateFlightTime(points, spec);
+      const parts = result.takeoffSeconds + result.cruiseSeconds + result.accelSeconds + result.turnSeconds
+        + result.climbSeconds + result.hoverSeconds + result.landingSeconds;
+
+      expect(parts).toBeCloseTo(result.totalSeconds, 6);
+      expect(result.legs.map(leg => `${leg.from}-${leg.to}`)).toEqual([
+        '離陸地点-WP1', 'WP1-WP2', 'WP2-着陸地点'
+      ]);
+    });
+
+    it('スペックに加速度・上昇速度がなくても既定値で推定する', () => {
+      const result = estimateFlightTime([at(0, 0), at(1000, 0)], { cruiseSpeed: 10 });
+      expect(result.totalSeconds).toBeGreaterThan(100);
+    });
+  });
+
+  describe('estimateLegSeconds', () => {
+    it('前後で停止する区間として、estimateFlightTime の停止区間と同じ時間を返す', () => {
+      const [leg] = estimateFlightTime([at(0, 0), at(1000, 0)], spec, { altitude: 0 }).legs;
+      expect(estimateLegSeconds(at(0, 0), at(1000, 0), leg.distance, spec)).toBeCloseTo(leg.totalSeconds, 6);
+    });
+
+    it('上昇が水平移動より長ければ上昇時間、高度のない地点との区間は水平移動のみ', () => {
+      // 100m を巡航しつつ 200m 上昇: 上昇 40秒 > 水平 15秒
+      expect(estimateLegSeconds({ altitude: 0 }, { altitude: 200 }, 100, spec)).toBeCloseTo(40, 6);
+      expect(estimateLegSeconds({}, { altitude: 200 }, 100, spec)).toBeCloseTo(15, 6);
+    });
+  });
+
+  describe('getWaypointHoverSeconds', () => {
+    it('ホバリング時間と撮影停止時間を合算する', () => {
+      expect(getWaypointHoverSeconds({
+        actions: [{ type: 'hover', duration: 10 }, { type: 'takePhoto' }]
+      })).toBe(12);
+      expect(getWaypointHoverSeconds({})).toBe(0);
+    });
+  });
+
+  describe('getTurnSpeedLimit', () => {
+    it('直進は巡航速度、90°で半分、折り返しで0', () => {
+      expect(getTurnSpeedLimit(0, 10)).toBe(10);
+      expect(getTurnSpeedLimit(Math.PI / 2, 10)).toBeCloseTo(5, 6);
+      expect(getTurnSpeedLimit(Math.PI, 10)).toBeCloseTo(0, 6);
+    });
+  });
+
+  describe('formatSeconds', () => {
+    it('秒を分・秒に整形する', () => {
+      expect(formatSeconds(42.4)).toBe('42秒');
+      expect(formatSeconds(125)).toBe('2分5秒');
+      expect(formatSeconds(180)).toBe('3分');
+    });
+  });
+});
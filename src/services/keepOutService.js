@@ -0,0 +1,156 @@
+/**
+ * 除外エリア（キープアウト）サービス
+ * 点検ポリゴン内の立入禁止区域（変電所・校庭など）をWaypoint生成とルートから除外する
+ */
+
+import * as turf from '@turf/turf';
+import RBush from 'rbush';
+import { createVisibilityGraph, findCrossedObstacles, pathLength } from './visibilityGraph';
+
+// 迂回ルートの頂点を除外エリアからどれだけ離すか（m）
+const DETOUR_MARGIN = 5;
+
+/**
+ * 除外エリアかどうか
+ * @param {Object} polygon - ポリゴン
+ * @returns {boolean}
+ */
+export const isKeepOutPolygon = (polygon) => Boolean(polygon?.keepOutOf);
+
+/**
+ * 除外エリアを取得
+ * @param {Array} polygons - 全ポリゴン
+ * @param {string} [parentId] - 親ポリゴンID（省略時は全除外エリア）
+ * @returns {Array} 除外エリアのポリゴン
+ */
+export const getKeepOutAreas = (polygons = [], parentId = null) => {
+  return polygons.filter(p =>
+    isKeepOutPolygon(p) && (parentId === null || p.keepOutOf === parentId)
+  );
+};
+
+/**
+ * バッファを適用した除外エリアの形状
+ * @param {Object} keepOut - 除外エリアのポリゴン（keepOutBuffer: バッファ幅m）
+ * @returns {Object|null} GeoJSON Polygon / MultiPolygon ジオメトリ
+ */
+export const getKeepOutGeometry = (keepOut) => {
+  const geometry = keepOut?.geometry;
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) return null;
+
+  const buffer = Number(keepOut.keepOutBuffer) || 0;
+  if (buffer <= 0) return geometry;
+
+  try {
+    return turf.buffer(turf.feature(geometry), buffer, { units: 'meters' })?.geometry || geometry;
+  } catch (error) {
+    console.error('Keep-out buffer error:', error);
+    return geometry;
+  }
+};
+
+/**
+ * 親ポリゴンから除外エリアを差し引いたポリゴンを返す
+ * 除外エリアは穴（MultiPolygonの場合は各パート）として残るため、
+ * グリッド・外周・測量ラインの各生成処理でそのまま除外される。
+ *
+ * @param {Object} polygon - 親ポリゴン
+ * @param {Array} polygons - 全ポリゴン（polygonに紐づく除外エリアを抽出）
+ * @returns {Object} 除外後のポリゴン（全域が除外された場合はgeometry: null）
+ */
+export const subtractKeepOutAreas = (polygon, polygons = []) => {
+  const geometries = getKeepOutAreas(polygons, polygon?.id)
+    .map(getKeepOutGeometry)
+    .filter(Boolean);
+  if (!polygon?.geometry || geometries.length === 0) return polygon;
+
+  try {
+    let remaining = turf.feature(polygon.geometry);
+    for (const geometry of geometries) {
+      remaining = turf.difference(turf.featureCollection([remaining, turf.feature(geometry)]));
+      if (!remaining) break;
+    }
+    return { ...polygon, geometry: remaining ? remaining.geometry : null };
+  } catch (error) {
+    console.error('Keep-out subtraction error:', error);
+    return polygon;
+  }
+};
+
+/**
+ * 2点間の直線が横切る除外エリアを返す
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @param {Array} keepOutAreas - 除外エリアのポリゴン
+ * @returns {Array} 横切る除外エリア
+ */
+export const findKeepOutCrossings = (from, to, keepOutAreas = []) => {
+  if (keepOutAreas.length === 0) return [];
+  const leg = turf.lineString([[from.lng, from.lat], [to.lng, to.lat]]);
+
+  return keepOutAreas.filter(area => {
+    const geometry = getKeepOutGeometry(area);
+    return geometry && turf.booleanIntersects(leg, turf.feature(geometry));
+  });
+};
+
+/**
+ * 除外エリアを迂回するルーターを作成
+ * 除外エリアを少し膨らませた外周の頂点で可視グラフを組み、最短経路（visibilityGraph.js の A*）で迂回する。
+ * 区間の矩形にかかる除外エリアを RBush で絞り込み、直線の区間が除外エリアを横切るときだけ経路を探索する。
+ * 距離行列のように全組を問い合わせても、除外エリアから離れた組は矩形の検索だけで直線距離を返す。
+ *
+ * @param {Array} keepOutAreas - 除外エリアのポリゴン
+ * @param {Object} options - { margin: 迂回時の離隔（m） }
+ * @returns {{ route: Function }} route(from, to) => { path, distance, crossed, rerouted }
+ */
+export const createKeepOutRouter = (keepOutAreas = [], options = {}) => {
+  const { margin = DETOUR_MARGIN } = options;
+
+  // 迂回候補の頂点（各除外エリアを margin だけ膨らませた外周）
+  const detourVertices = (clearance) => {
+    try {
+      const inflated = turf.buffer(clearance, margin, { units: 'meters', steps: 4 });
+      return turf.coordAll(inflated).map(([lng, lat]) => ({ lat, lng }));
+    } catch {
+      return [];
+    }
+  };
+
+  const obstacles = keepOutAreas
+    .map(area => ({ area, geometry: getKeepOutGeometry(area) }))
+    .filter(o => o.geometry)
+    .map(({ area, geometry }) => {
+      const clearance = turf.feature(geometry);
+      return { area, clearance, bbox: turf.bbox(clearance), vertices: detourVertices(clearance) };
+    });
+  const index = new RBush();
+  index.load(obstacles.map(obstacle => {
+    const [minX, minY, maxX, maxY] = obstacle.bbox;
+    return { minX, minY, maxX, maxY, obstacle };
+  }));
+
+  // 除外エリアの頂点どうしの可視性は全区間で共通なので、グラフは最初に迂回するときに1つ作って使い回す
+  let graph = null;
+
+  const route = (from, to) => {
+    const candidates = index.search({
+      minX: Math.min(from.lng, to.lng),
+      minY: Math.min(from.lat, to.lat),
+      maxX: Math.max(from.lng, to.lng),
+      maxY: Math.max(from.lat, to.lat),
+    }).map(item => item.obstacle);
+    const crossed = candidates.length > 0 ? findCrossedObstacles(from, to, candidates).map(o => o.area) : [];
+    const straight = { path: [], distance: pathLength([from, to]), crossed, rerouted: false };
+    if (crossed.length === 0) return straight;
+
+    // 迂回経路が見つからない場合（始点・終点が除外エリア内など）は直線のまま警告扱い
+    graph = graph || createVisibilityGraph(obstacles);
+    const found = graph.findPath(from, to);
+    if (!found) return straight;
+
+    return { path: found.slice(1, -1), distance: pathLength(found), crossed, rerouted: true };
+  };
+
+  return { route };
+};
@@ -0,0 +1,206 @@
+/**
+ * keepOutService テスト
+ *
+ * 除外エリアの差し引き・横断判定・迂回ルートのテスト
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as turf from '@turf/turf';
+import {
+  getKeepOutAreas,
+  subtractKeepOutAreas,
+  findKeepOutCrossings,
+  createKeepOutRouter
+} from './keepOutService';
+import { generateGridWaypoints, calculatePolygonArea } from './waypointGenerator';
+import { optimizeRoute } from './routeOptimizer';
+import { createVisibilityGraph } from './visibilityGraph';
+
+vi.mock('./visibilityGraph', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, createVisibilityGraph: vi.fn(actual.createVisibilityGraph) };
+});
+
+// 約900m四方の点検エリア
+const SITE = {
+  id: 'site',
+  name: '点検エリア',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[139.70, 35.60], [139.71, 35.60], [139.71, 35.61], [139.70, 35.61], [139.70, 35.60]]]
+  }
+};
+
+// 中央の約180m四方の除外エリア（変電所）
+const SUBSTATION = {
+  id: 'substation',
+  name: '変電所',
+  keepOutOf: 'site',
+  keepOutBuffer: 0,
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[139.704, 35.604], [139.706, 35.604], [139.706, 35.606], [139.704, 35.606], [139.704, 35.604]]]
+  }
+};
+
+const WEST = { lat: 35.605, lng: 139.701 };
+const EAST = { lat: 35.605, lng: 139.709 };
+
+describe('keepOutService', () => {
+
+  describe('getKeepOutAreas', () => {
+    it('親ポリゴンに紐づく除外エリアのみ返す', () => {
+      const other = { ...SUBSTATION, id: 'other', keepOutOf: 'another-site' };
+      expect(getKeepOutAreas([SITE, SUBSTATION, other], 'site')).toEqual([SUBSTATION]);
+      expect(getKeepOutAreas([SITE, SUBSTATION, other]).length).toBe(2);
+    });
+  });
+
+  describe('subtractKeepOutAreas', () => {
+    it('除外エリアを穴として差し引く', () => {
+      const coverage = subtractKeepOutAreas(SITE, [SITE, SUBSTATION]);
+      expect(coverage.geometry.coordinates.length).toBe(2);
+      expect(calculatePolygonArea(coverage)).toBeCloseTo(
+        calculatePolygonArea(SITE) - calculatePolygonArea(SUBSTATION), -1
+      );
+    });
+
+    it('バッファを含めてグリッドWaypointを除外する', () => {
+      const buffered = { ...SUBSTATION, keepOutBuffer: 30 };
+      const coverage = subtractKeepOutAreas(SITE, [SITE, buffered]);
+      const zone = turf.buffer(turf.feature(SUBSTATION.geometry), 29, { units: 'meters' });
+
+      const waypoints = generateGridWaypoints(coverage, 40);
+      expect(waypoints.length).toBeGreaterThan(0);
+      waypoints.forEach(wp => {
+        expect(turf.booleanPointInPolygon([wp.lng, wp.lat], zone)).toBe(false);
+      });
+    });
+
+    it('除外エリアがなければ元のポリゴンを返す', () => {
+      expect(subtractKeepOutAreas(SITE, [SITE])).toBe(SITE);
+    });
+  });
+
+  describe('findKeepOutCrossings', () => {
+    it('除外エリアを横切る区間を検出する', () => {
+      expect(findKeepOutCrossings(WEST, EAST, [SUBSTATION])).toEqual([SUBSTATION]);
+      expect(findKeepOutCrossings(WEST, { lat: 35.601, lng: 139.709 }, [SUBSTATION])).toEqual([]);
+    });
+  });
+
+  describe('createKeepOutRouter', () => {
+    it('除外エリアを避ける迂回経路を返す', () => {
+      const router = createKeepOutRouter([SUBSTATION]);
+      const result = router.route(WEST, EAST);
+      const straight = turf.distance([WEST.lng, WEST.lat], [EAST.lng, EAST.lat], { units: 'meters' });
+
+      expect(result.rerouted).toBe(true);
+      expect(result.path.length).toBeGreaterThan(0);
+      expect(result.distance).toBeGreaterThan(straight);
+
+      // 迂回経路の各区間は除外エリアを横切らない
+      const points = [WEST, ...result.path, EAST];
+      for (let i = 0; i < points.length - 1; i++) {
+        expect(findKeepOutCrossings(points[i], points[i + 1], [SUBSTATION])).toEqual([]);
+      }
+    });
+
+    it('横切らない区間はそのまま返す', () => {
+      const result = createKeepOutRouter([SUBSTATION]).route(WEST, { lat: 35.601, lng: 139.709 });
+      expect(result.rerouted).toBe(false);
+      expect(result.path).toEqual([]);
+    });
+
+    it('区間の矩形が除外エリアにかからない組では可視グラフを作らず、迂回時に1つだけ作る', () => {
+      createVisibilityGraph.mockClear();
+      const router = createKeepOutRouter([SUBSTATION]);
+      const south = [139.701, 139.703, 139.705, 139.707, 139.709].map(lng => ({ lat: 35.601, lng }));
+      for (const from of south) {
+        for (const to of south) {
+          if (from !== to) expect(router.route(from, to).rerouted).toBe(false);
+        }
+      }
+      expect(createVisibilityGraph).not.toHaveBeenCalled();
+
+      expect(router.route(WEST, EAST).rerouted).toBe(true);
+      expect(router.route(EAST, WEST).rerouted).toBe(true);
+      expect(createVisibilityGraph).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('optimizeRoute', () => {
+    const waypoints = [
+      { id: 'w1', index: 1, ...WEST },
+      { id: 'w2', index: 2, ...EAST }
+    ];
+
+    it('flagモードでは横断区間を警告する', async () => {
+      const result = await optimizeRoute(waypoints, {
+        droneId: 'phantom-4-rtk',
+        homePoint: WEST,
+        checkRegulations: false,
+        autoSplit: false,
+        keepOutAreas: [SUBSTATION],
+        keepOutMode: 'flag'
+      });
+
+      expect(result.summary.keepOutCrossings).toBeGreaterThan(0);
+      expect(result.flights[0].restrictions.some(r => r.type === 'keepout' && r.severity === 'high')).toBe(true);
+    });
+
+    it('rerouteモードでは迂回経路と距離を反映する', async () => {
+      const options = {
+        droneId: 'phantom-4-rtk',
+        homePoint: WEST,
+        checkRegulations: false,
+        autoSplit: false
+      };
+      const direct = await optimizeRoute(waypoints, options);
+      const rerouted = await optimizeRoute(waypoints, { ...options, keepOutAreas: [SUBSTATION], keepOutMode: 'reroute' });
+
+      expect(rerouted.summary.keepOutCrossings).toBe(0);
+      expect(rerouted.summary.keepOutDetours).toBeGreaterThan(0);
+      expect(rerouted.totalDistance).toBeGreaterThan(direct.totalDistance);
+      expect(rerouted.flights[0].waypoints.some(wp => wp.detourPath?.length > 0)).toBe(true);
+    });
+
+    it('rerouteモードでは迂回後の距離で訪問順序を決める', async () => {
+      // 南へ長く延びる塀: 南側の東西区間は北端まで回り込む必要がある
+      const wall = {
+        id: 'wall',
+        name: '塀',
+        keepOutOf: 'site',
+        keepOutBuffer: 0,
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[139.7045, 35.590], [139.7055, 35.590], [139.7055, 35.606], [139.7045, 35.606], [139.7045, 35.590]]]
+        }
+      };
+      const points = [
+        { id: 'sw', index: 1, lat: 35.601, lng: 139.703 },
+        { id: 'se', index: 2, lat: 35.601, lng: 139.707 },
+        { id: 'ne', index: 3, lat: 35.608, lng: 139.708 },
+        { id: 'nw', index: 4, lat: 35.608, lng: 139.702 }
+      ];
+      const options = {
+        droneId: 'phantom-4-rtk',
+        homePoint: { lat: 35.601, lng: 139.703 },
+        checkRegulations: false,
+        autoSplit: false,
+        keepOutAreas: [wall]
+      };
+      const crossingLegs = (result) => {
+        const ordered = result.flights[0].waypoints;
+        return ordered.slice(1).filter((wp, i) => findKeepOutCrossings(ordered[i], wp, [wall]).length > 0).length;
+      };
+
+      // 直線距離では南側の東西区間を通る順序が最短
+      const flagged = await optimizeRoute(points, { ...options, keepOutMode: 'flag' });
+      const rerouted = await optimizeRoute(points, { ...options, keepOutMode: 'reroute' });
+
+      expect(crossingLegs(flagged)).toBeGreaterThan(0);
+      expect(crossingLegs(rerouted)).toBe(0);
+    });
+  });
+});
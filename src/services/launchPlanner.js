@@ -0,0 +1,120 @@
+/**
+ * 複数の離発着地点（移動しながらバッテリー交換する現場）
+ * 線状の長い現場では、車で離発着地点を移りながらフライトを重ねる。
+ * 離発着地点の候補（地点リスト、または車で走れるルートに沿った点）を作り、
+ * フライトの割り当て結果から現場の行程（L1へ移動 → F1/F2 → L2へ移動 → …）を作成する。
+ */
+
+import { getDistanceMeters } from '../lib';
+
+// 走行ルート上に候補を置く間隔（m）
+export const LAUNCH_PATH_SPACING = 100;
+
+// 現場内の車の移動速度（km/h）
+export const DRIVE_SPEED_KMH = 20;
+
+/**
+ * 走行ルート（折れ線）に沿って一定間隔で離発着地点の候補を作成
+ * 始点・終点は必ず含める。pathDistance は始点からのルート沿いの距離
+ * @param {Array} path - [{ lat, lng }]
+ * @param {number} [spacing] - 候補の間隔（m）
+ * @returns {Array} [{ lat, lng, pathDistance, name }]
+ */
+export const sampleLaunchPath = (path, spacing = LAUNCH_PATH_SPACING) => {
+  if (!path || path.length === 0) return [];
+
+  const candidates = [{ lat: path[0].lat, lng: path[0].lng, pathDistance: 0 }];
+  let travelled = 0;
+  let nextAt = spacing;
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    const length = getDistanceMeters(from.lat, from.lng, to.lat, to.lng);
+    while (nextAt < travelled + length) {
+      const t = (nextAt - travelled) / length;
+      candidates.push({
+        lat: from.lat + (to.lat - from.lat) * t,
+        lng: from.lng + (to.lng - from.lng) * t,
+        pathDistance: nextAt,
+      });
+      nextAt += spacing;
+    }
+    travelled += length;
+  }
+  const end = path[path.length - 1];
+  if (travelled > candidates[candidates.length - 1].pathDistance) {
+    candidates.push({ lat: end.lat, lng: end.lng, pathDistance: travelled });
+  }
+
+  return candidates.map(candidate => ({
+    ...candidate,
+    name: `ルート${(candidate.pathDistance / 1000).toFixed(1)}km地点`,
+  }));
+};
+
+/**
+ * 離発着地点間の走行距離
+ * 同じ走行ルート上の候補どうしはルート沿いの距離、それ以外は直線距離
+ * @param {Object} from - { lat, lng, pathDistance? }
+ * @param {Object} to - { lat, lng, pathDistance? }
+ * @returns {number} 距離（m）
+ */
+export const getDriveDistance = (from, to) => {
+  if (Number.isFinite(from.pathDistance) && Number.isFinite(to.pathDistance)) {
+    return Math.abs(to.pathDistance - from.pathDistance);
+  }
+  return getDistanceMeters(from.lat, from.lng, to.lat, to.lng);
+};
+
+/**
+ * 現場の行程を作成
+ * 連続して同じ離発着地点を使うフライトは1か所にまとめ、地点が変わるところに移動を挟む
+ * @param {Array} flights - [{ flightNumber, launchIndex, estimatedTime（分） }]
+ * @param {Array} launchPoints - 離発着地点の候補
+ * @param {Object} [options]
+ * @param {number} [options.driveSpeedKmh] - 車の移動速度
+ * @param {number} [options.swapSeconds] - 同じ地点でのバッテリー交換時間（秒）
+ * @returns {Array} 行程 [{ type: 'move', launchNumber, launch, distance, minutes } | { type: 'fly', launchNumber, flightNumbers, minutes }]
+ */
+export const buildFieldItinerary = (flights, launchPoints, options = {}) => {
+  const { driveSpeedKmh = DRIVE_SPEED_KMH, swapSeconds = 0 } = options;
+
+  // 使う順に L1, L2, … と番号を振る（同じ地点に戻る場合は同じ番号）
+  const launchNumbers = new Map();
+  const itinerary = [];
+  let previous = null;
+
+  for (const flight of flights) {
+    const launch = launchPoints[flight.launchIndex];
+    const last = itinerary[itinerary.length - 1];
+
+    if (last?.type === 'fly' && flight.launchIndex === previous) {
+      last.flightNumbers.push(flight.flightNumber);
+      last.minutes += flight.estimatedTime + swapSeconds / 60;
+      continue;
+    }
+
+    if (!launchNumbers.has(flight.launchIndex)) {
+      launchNumbers.set(flight.launchIndex, launchNumbers.size + 1);
+    }
+    const launchNumber = launchNumbers.get(flight.launchIndex);
+    // 最初の地点までの移動は現場到着として距離を持たない
+    const distance = previous === null ? null : getDriveDistance(launchPoints[previous], launch);
+    itinerary.push({
+      type: 'move',
+      launchNumber,
+      launch: { lat: launch.lat, lng: launch.lng, name: launch.name || null },
+      distance,
+      minutes: distance === null ? 0 : distance / 1000 / driveSpeedKmh * 60,
+    });
+    itinerary.push({
+      type: 'fly',
+      launchNumber,
+      flightNumbers: [flight.flightNumber],
+      minutes: flight.estimatedTime,
+    });
+    previous = flight.launchIndex;
+  }
+
+  return itinerary;
+};
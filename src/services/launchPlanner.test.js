@@ -0,0 +1,102 @@
+/**
+ * launchPlanner テスト
+ *
+ * 走行ルート上の離発着地点候補、フライトごとの離発着地点の割り当てと現場の行程のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import { sampleLaunchPath, getDriveDistance, buildFieldItinerary } from './launchPlanner';
+import { splitRouteByLaunchPoints, optimizeRoute } from './routeOptimizer';
+import { getDroneSpecs } from './droneSpecsService';
+import { createBatteryModel } from './batteryModel';
+import { getDistanceMeters } from '../lib';
+
+const MAVIC = getDroneSpecs('mavic-3-enterprise');
+const distance = (a, b) => getDistanceMeters(a.lat, a.lng, b.lat, b.lng);
+const lngPerMeter = 1 / (111320 * Math.cos((35.68 * Math.PI) / 180));
+
+// 東へ約9.6kmの線状の現場（400m間隔、各点で3分ホバリング）
+const corridor = Array.from({ length: 25 }, (_, i) => ({
+  id: `wp${i + 1}`,
+  index: i + 1,
+  lat: 35.68,
+  lng: 139.7 + i * 400 * lngPerMeter,
+  actions: [{ type: 'hover', duration: 180 }],
+}));
+
+// 現場の南50mを並走する道路
+const road = [
+  { lat: 35.68 - 50 / 111320, lng: 139.7 },
+  { lat: 35.68 - 50 / 111320, lng: 139.7 + 9600 * lngPerMeter },
+];
+
+const optimizeOptions = { droneId: 'mavic-3-enterprise', algorithm: '2-opt', checkRegulations: false, autoSplit: true };
+
+describe('launchPlanner', () => {
+
+  it('走行ルートに沿って一定間隔で候補を作り、始点・終点を含める', () => {
+    const candidates = sampleLaunchPath(road, 1000);
+
+    expect(candidates).toHaveLength(11);
+    expect(candidates[0].pathDistance).toBe(0);
+    expect(candidates[10].pathDistance).toBeCloseTo(9600, -2);
+    expect(distance(candidates[0], candidates[1])).toBeCloseTo(1000, -1);
+    expect(candidates[3].name).toBe('ルート3.0km地点');
+  });
+
+  it('同じルート上の候補どうしはルート沿いの距離で移動する', () => {
+    const bend = [{ lat: 35.68, lng: 139.7 }, { lat: 35.69, lng: 139.7 }, { lat: 35.69, lng: 139.71 }];
+    const candidates = sampleLaunchPath(bend, 500);
+    const first = candidates[0];
+    const last = candidates[candidates.length - 1];
+
+    expect(getDriveDistance(first, last)).toBeCloseTo(distance(bend[0], bend[1]) + distance(bend[1], bend[2]), 3);
+    expect(getDriveDistance({ lat: 35.68, lng: 139.7 }, { lat: 35.69, lng: 139.7 })).toBeCloseTo(1113, -1);
+  });
+
+  it('各フライトを最も多くのWaypointを回れる離発着地点に割り当てる', () => {
+    const launchPoints = [
+      { lat: 35.68, lng: 139.7 },
+      { lat: 35.68, lng: corridor[12].lng },
+      { lat: 35.68, lng: corridor[24].lng },
+    ];
+    const model = createBatteryModel(MAVIC);
+    const single = splitRouteByLaunchPoints(corridor, MAVIC, [launchPoints[0]], distance, model);
+    const multiple = splitRouteByLaunchPoints(corridor, MAVIC, launchPoints, distance, model);
+
+    expect(multiple.length).toBeLessThanOrEqual(single.length);
+    expect(multiple.flatMap(f => f.waypoints.map(wp => wp.id))).toEqual(corridor.map(wp => wp.id));
+    expect(new Set(multiple.map(f => f.launchIndex)).size).toBeGreaterThan(1);
+    expect(multiple[0].clusterHomePoint).toEqual(launchPoints[multiple[0].launchIndex]);
+  });
+
+  it('同じ地点で続くフライトをまとめ、地点が変わるところに移動を挟む', () => {
+    const launchPoints = [
+      { lat: 35.68, lng: 139.7, pathDistance: 0 },
+      { lat: 35.68, lng: 139.71, pathDistance: 1000, name: '駐車場' },
+    ];
+    const itinerary = buildFieldItinerary([
+      { flightNumber: 1, launchIndex: 0, estimatedTime: 20 },
+      { flightNumber: 2, launchIndex: 0, estimatedTime: 15 },
+      { flightNumber: 3, launchIndex: 1, estimatedTime: 10 },
+    ], launchPoints, { driveSpeedKmh: 30, swapSeconds: 300 });
+
+    expect(itinerary.map(entry => entry.type)).toEqual(['move', 'fly', 'move', 'fly']);
+    expect(itinerary[0].distance).toBeNull();
+    expect(itinerary[1]).toMatchObject({ launchNumber: 1, flightNumbers: [1, 2], minutes: 40 });
+    expect(itinerary[2]).toMatchObject({ launchNumber: 2, distance: 1000, minutes: 2 });
+    expect(itinerary[2].launch.name).toBe('駐車場');
+  });
+
+  it('optimizeRoute は走行ルートを指定すると移動を含む行程を返す', async () => {
+    const fixed = await optimizeRoute(corridor, { ...optimizeOptions, homePoint: road[0] });
+    const mobile = await optimizeRoute(corridor, { ...optimizeOptions, launchPath: road });
+
+    expect(fixed.itinerary).toBeNull();
+    expect(mobile.itinerary.filter(entry => entry.type === 'move').length).toBeGreaterThan(1);
+    expect(mobile.itinerary.filter(entry => entry.type === 'fly').flatMap(entry => entry.flightNumbers))
+      .toEqual(mobile.flights.map(flight => flight.flightNumber));
+    expect(mobile.totalDistance).toBeLessThan(fixed.totalDistance);
+    expect(mobile.flights.every(flight => flight.homePoint)).toBe(true);
+  });
+});
@@ -6,13 +6,57 @@
  * 2. 小型無人機等飛行禁止法（重要施設、原発、米軍基地等）
  * 3. 土地・施設管理者ルール（公園、私有地等）
  *
+ * context に polygons / waypoints がある場合は中心1点ではなく、全ポリゴン・全飛行区間で判定し、
+ * 各項目に該当したポリゴン・区間（triggers）を付ける（areaAssessment.js）
+ * context.flightConditions（日時・目視外・第三者上空等）と合わせて特定飛行・飛行カテゴリーを判定する（specifiedFlight.js）
+ * Waypoint がある場合は建物・道路との距離30mを全Waypoint・全飛行区間で確認する（separationCheck.js）
+ *
+ * 各項目の重大度・表示・対応はルールパック（context.rulePack、省略時は有効なパック）の aviation.* / prohibition.* で判定し、
+ * 適用したルールを ruleId・rulePackId に記録する。許可の要否と特定飛行は法令どおり判定し、ルールパックでは変えない
+ *
  * 参考: https://naka4.com/drone/flightflow/
  */
 
-import { getDistanceMeters, AIRPORT_ZONES, NO_FLY_ZONES, HELIPORTS } from '../lib';
+import { getDistanceMeters, fetchSunriseSunset, AIRPORT_ZONES, NO_FLY_ZONES, HELIPORTS, evaluateRules, getActiveRulePack } from '../lib';
 import { checkDIDArea } from './flightAnalyzer';
+import { assessFlightArea, formatAssessmentTriggers, getAirportFacts, NO_FLY_ZONE_BUFFER_METERS } from './areaAssessment';
+import { classifySpecifiedFlight } from './specifiedFlight';
+import { assessSeparation, getSeparationTriggers, SEPARATION_DISTANCE_METERS, SEPARATION_SEARCH_METERS } from './separationCheck';
 
-const NO_FLY_ZONE_BUFFER_METERS = 500;
+/**
+ * エリア全体の判定結果を取得
+ * 事前に計算済み（context.areaAssessment）ならそれを使い、ポリゴン・Waypoint がなければ null
+ * @param {Object} context - チェック対象の情報
+ * @returns {Promise<Object|null>} assessFlightArea の結果
+ */
+const getAreaAssessment = async (context) => {
+  if (context.areaAssessment !== undefined) return context.areaAssessment;
+  const hasGeometry = (context.polygons?.length || 0) > 0 || (context.waypoints?.length || 0) > 1;
+  return hasGeometry ? assessFlightArea(context) : null;
+};
+
+/**
+ * 建物・道路との距離（30m）の判定結果を取得
+ * 事前に計算済み（context.separation）ならそれを使い、Waypoint がなければ null
+ * @param {Object} context - チェック対象の情報
+ * @returns {Promise<Object|null>} assessSeparation の結果
+ */
+const getSeparation = async (context) => {
+  if (context.separation !== undefined) return context.separation;
+  return (context.waypoints?.length || 0) > 0 ? assessSeparation(context) : null;
+};
+
+/**
+ * ルールパックの判定結果から項目を作る
+ * 該当したルールの重大度・表示（label）・対応（message）を使い、該当しなければ対応不要（ok）とする
+ * @param {Object|null} match - evaluateRules の結果
+ * @param {Object} item - 項目（statusText はルールに label がない場合の表示）
+ * @param {string} okStatusText - ルールに該当しない場合の表示
+ * @returns {Object} 項目（ruleId・rulePackId: 適用されたルール）
+ */
+const toRuleItem = (match, item, okStatusText = item.statusText) => (match
+  ? { ...item, status: match.severity, statusText: match.label ?? item.statusText, action: match.message, ruleId: match.ruleId, rulePackId: match.packId }
+  : { ...item, status: 'ok', statusText: okStatusText, action: null, ruleId: null, rulePackId: null });
 
 // ===== 1. 航空法関連チェック =====
 
@@ -21,14 +65,16 @@ const NO_FLY_ZONE_BUFFER_METERS = 500;
  * - DID（人口集中地区）
  * - 空港等周辺
  * - 150m以上の高度
- * - 夜間飛行
- * - 目視外飛行
+ * - 人・物件との距離30m（建物・道路との水平距離）
+ * - 夜間飛行・目視外飛行・30m未満・催し場所上空・危険物輸送・物件投下（context.flightConditions）
  *
  * @param {Object} context - チェック対象の情報
- * @returns {Object} 航空法チェック結果
+ * @returns {Object} 航空法チェック結果（specifiedFlight: 特定飛行・飛行カテゴリーの判定、separation: 30m判定）
  */
 export const checkAviationLaw = async (context) => {
-  const { lat, lng, altitude = 50 } = context;
+  const { lat, lng, altitude = 50, flightConditions = {} } = context;
+  const rulePack = context.rulePack ?? getActiveRulePack();
+  const assessment = await getAreaAssessment({ ...context, rulePack });
   const results = {
     category: 'aviation_law',
     categoryName: '航空法',
@@ -38,113 +84,99 @@ export const checkAviationLaw = async (context) => {
     permissionType: 'DIPS', // DIPS 2.0での申請
   };
 
-  // 1. DIDチェック
+  // 1. DIDチェック（エリア全体の判定がある場合は、一部でもDIDにかかるポリゴン・区間があれば該当）
   const didResult = await checkDIDArea(lat, lng);
-  if (didResult.isDID) {
-    results.items.push({
-      id: 'did',
-      name: 'DID（人口集中地区）',
-      status: 'warning',
-      statusText: 'DID区域内',
-      description: didResult.description,
+  const didTriggers = assessment?.items.did || [];
+  const isDID = didResult.isDID || didTriggers.length > 0;
+  results.items.push(toRuleItem(evaluateRules('aviation.did', { did: isDID }, rulePack), {
+    id: 'did',
+    name: 'DID（人口集中地区）',
+    statusText: 'DID区域内',
+    description: didTriggers.length > 0
+      ? `${formatAssessmentTriggers(didTriggers)}がDIDにかかります`
+      : didResult.description,
+    ...(isDID && {
       area: didResult.area,
-      action: '特定飛行に該当 - DIPS通報または許可申請',
+      triggers: didTriggers,
       link: 'https://www.ossportal.dips.mlit.go.jp/portal/top/',
       linkText: 'DIPS 2.0',
-    });
-    results.requiresPermission = true;
-  } else {
-    results.items.push({
-      id: 'did',
-      name: 'DID（人口集中地区）',
-      status: 'ok',
-      statusText: 'DID区域外',
-      description: didResult.description,
-      action: null,
-    });
-  }
+    }),
+  }, isDID ? 'DID区域内' : 'DID区域外'));
+  if (isDID) results.requiresPermission = true;
 
-  // 2. 空港周辺チェック
+  // 2. 空港周辺チェック（中心点と全ポリゴン・全区間のうち、制限区域の外縁に最も近い空港で判定）
   let nearestAirport = null;
-  let minAirportDistance = Infinity;
 
   for (const airport of AIRPORT_ZONES) {
     const distance = getDistanceMeters(lat, lng, airport.lat, airport.lng);
-    if (distance < minAirportDistance) {
-      minAirportDistance = distance;
-      nearestAirport = { ...airport, distance };
+    const facts = getAirportFacts(airport, distance);
+    if (!nearestAirport || facts.airportEdgeDistance < nearestAirport.airportEdgeDistance) {
+      nearestAirport = { ...airport, distance, ...facts };
     }
   }
+  if (assessment?.nearestAirport && (!nearestAirport || assessment.nearestAirport.airportEdgeDistance < nearestAirport.airportEdgeDistance)) {
+    nearestAirport = assessment.nearestAirport;
+  }
+
+  const airportTriggers = assessment?.items.airport || [];
+  const airportNearTriggers = assessment?.items.airport_near || [];
+  // 制限区域内（航空法上の判定。特定飛行・許可の要否はルールパックによらずこれで決める）
+  const isInAirportZone = airportTriggers.length > 0
+    || (nearestAirport !== null && nearestAirport.airportEdgeDistance < 0);
 
   if (nearestAirport) {
-    const isInZone = minAirportDistance < nearestAirport.radius;
-    const isNearZone = minAirportDistance < nearestAirport.radius * 1.5;
-
-    if (isInZone) {
-      results.items.push({
-        id: 'airport',
-        name: '空港等周辺',
-        status: 'error',
-        statusText: '制限区域内',
-        description: `${nearestAirport.name}から${(minAirportDistance / 1000).toFixed(1)}km（制限半径${(nearestAirport.radius / 1000).toFixed(1)}km）`,
-        action: '空港事務所への事前連絡 + 許可申請必須',
-        link: null,
-        airport: nearestAirport,
-      });
-      results.requiresPermission = true;
-    } else if (isNearZone) {
-      results.items.push({
-        id: 'airport',
-        name: '空港等周辺',
-        status: 'warning',
-        statusText: '要注意',
-        description: `${nearestAirport.name}から${(minAirportDistance / 1000).toFixed(1)}km（制限半径${(nearestAirport.radius / 1000).toFixed(1)}km）`,
-        action: '制限区域に近接 - 飛行経路に注意',
-        airport: nearestAirport,
-      });
-    } else {
-      results.items.push({
-        id: 'airport',
-        name: '空港等周辺',
-        status: 'ok',
-        statusText: '制限外',
-        description: `最寄り: ${nearestAirport.name}（${(minAirportDistance / 1000).toFixed(1)}km）`,
-        action: null,
-        airport: nearestAirport,
-      });
+    const { distance, airportEdgeDistance, airportRadiusRatio } = nearestAirport;
+    const airportMatch = evaluateRules('aviation.airport', {
+      airportEdgeDistance,
+      airportRadiusRatio,
+      airportAreaInside: airportTriggers.length > 0,
+      airportAreaNear: airportNearTriggers.length > 0,
+    }, rulePack);
+    const distanceText = `${nearestAirport.name}から${(distance / 1000).toFixed(1)}km（制限半径${(nearestAirport.radius / 1000).toFixed(1)}km）`;
+
+    let description = airportMatch ? distanceText : `最寄り: ${nearestAirport.name}（${(distance / 1000).toFixed(1)}km）`;
+    let triggers = [];
+    if (airportTriggers.length > 0) {
+      description = `${formatAssessmentTriggers(airportTriggers)}が空港等の制限区域にかかります`;
+      triggers = airportTriggers;
+    } else if (airportNearTriggers.length > 0) {
+      description = `${formatAssessmentTriggers(airportNearTriggers)}が空港等の制限区域に近接しています`;
+      triggers = airportNearTriggers;
     }
-  }
 
-  // 3. 高度チェック
-  if (altitude > 150) {
-    results.items.push({
-      id: 'altitude',
-      name: '飛行高度',
-      status: 'error',
-      statusText: '150m超過',
-      description: `設定高度: ${altitude}m（上限150m）`,
-      action: '航空局への許可申請必須',
-    });
-    results.requiresPermission = true;
-  } else if (altitude > 100) {
-    results.items.push({
-      id: 'altitude',
-      name: '飛行高度',
-      status: 'warning',
-      statusText: `${altitude}m`,
-      description: '150m未満だが高高度飛行',
-      action: '周辺の建物・障害物に注意',
-    });
-  } else {
-    results.items.push({
-      id: 'altitude',
-      name: '飛行高度',
-      status: 'ok',
-      statusText: `${altitude}m`,
-      description: '150m未満（標準飛行高度）',
-      action: null,
-    });
+    results.items.push(toRuleItem(airportMatch, {
+      id: 'airport',
+      name: '空港等周辺',
+      statusText: isInAirportZone ? '制限区域内' : '要注意',
+      description,
+      airport: nearestAirport,
+      ...(triggers.length > 0 && { triggers }),
+    }, '制限外'));
+  }
+  if (isInAirportZone) results.requiresPermission = true;
+
+  // 3. 高度チェック（Waypoint ごとの高度を含む）
+  const altitudeTriggers = assessment?.items.altitude || [];
+  const isAbove150m = altitudeTriggers.length > 0 || altitude > 150;
+  const altitudeMatch = evaluateRules('aviation.altitude', {
+    altitude,
+    altitudeTriggerCount: altitudeTriggers.length,
+  }, rulePack);
+
+  let altitudeDescription = altitudeMatch ? '150m未満だが高高度飛行' : '150m未満（標準飛行高度）';
+  if (altitudeTriggers.length > 0) {
+    altitudeDescription = `${formatAssessmentTriggers(altitudeTriggers)}が上限150mを超えています`;
+  } else if (altitude > 150) {
+    altitudeDescription = `設定高度: ${altitude}m（上限150m）`;
   }
+  results.items.push(toRuleItem(altitudeMatch, {
+    id: 'altitude',
+    name: '飛行高度',
+    statusText: `${altitude}m`,
+    description: altitudeDescription,
+    ...(altitudeTriggers.length > 0 && { triggers: altitudeTriggers }),
+  }));
+  if (isAbove150m) results.requiresPermission = true;
 
   // 4. ヘリポート確認
   let nearestHeliport = null;
@@ -158,17 +190,88 @@ export const checkAviationLaw = async (context) => {
     }
   }
 
-  if (nearestHeliport && minHeliportDistance < nearestHeliport.radius) {
-    results.items.push({
+  const heliportTriggers = assessment?.items.heliport || [];
+  const heliportMatch = evaluateRules('aviation.heliport', {
+    heliportEdgeDistance: nearestHeliport ? minHeliportDistance - nearestHeliport.radius : null,
+    heliportTriggerCount: heliportTriggers.length,
+  }, rulePack);
+  if (heliportMatch) {
+    results.items.push(toRuleItem(heliportMatch, {
       id: 'heliport',
       name: 'ヘリポート',
-      status: 'warning',
       statusText: '近接',
-      description: `${nearestHeliport.name}から${Math.round(minHeliportDistance)}m`,
-      action: 'ドクターヘリ等の離発着に注意',
-    });
+      description: heliportTriggers.length > 0
+        ? `${formatAssessmentTriggers(heliportTriggers)}がヘリポート周辺にかかります`
+        : `${nearestHeliport.name}から${Math.round(minHeliportDistance)}m`,
+      ...(heliportTriggers.length > 0 && { triggers: heliportTriggers }),
+    }));
   }
 
+  // 5. 人・物件との距離30m（全Waypoint・全飛行区間と建物・道路の水平距離）
+  const separation = await getSeparation(context);
+  const separationTriggers = separation ? getSeparationTriggers(separation) : [];
+  if (separation) {
+    const nearestText = separation.minDistance !== null
+      ? `最小距離 ${Math.round(separation.minDistance)}m（${separation.nearest.name || (separation.nearest.kind === 'road' ? '道路' : '建物')}）`
+      : `周辺${SEPARATION_SEARCH_METERS}m以内に建物・道路なし`;
+    const isIncomplete = separation.failedTiles > 0 || separation.truncated;
+
+    let description = nearestText;
+    if (separationTriggers.length > 0) {
+      description = `${formatAssessmentTriggers(separationTriggers)}が建物・道路から${SEPARATION_DISTANCE_METERS}m未満です`;
+    } else if (isIncomplete) {
+      description = `${nearestText} / 建物・道路データの一部を取得できませんでした`;
+    }
+
+    results.items.push(toRuleItem(evaluateRules('aviation.separation', {
+      separationTriggerCount: separationTriggers.length,
+      separationIncomplete: Boolean(isIncomplete),
+    }, rulePack), {
+      id: 'separation',
+      name: '人・物件との距離（30m）',
+      statusText: separationTriggers.length > 0 ? `${SEPARATION_DISTANCE_METERS}m未満` : '要確認',
+      description,
+      ...(separationTriggers.length > 0 && { triggers: separationTriggers }),
+      notes: ['人・車両の位置は飛行当日に現地で確認'],
+    }, `${SEPARATION_DISTANCE_METERS}m以上`));
+    if (separationTriggers.length > 0) results.requiresPermission = true;
+  }
+  results.separation = separation;
+
+  // 6. 特定飛行の判定（飛行空域は上記の結果、夜間は飛行予定日時の日出・日没から判定）
+  const statusOf = (id) => results.items.find(item => item.id === id)?.status;
+  const sunTimes = flightConditions.plannedAt
+    ? await fetchSunriseSunset({ lat, lng, date: new Date(flightConditions.plannedAt) })
+    : null;
+  const specifiedFlight = classifySpecifiedFlight({
+    ...flightConditions,
+    sunTimes,
+    altitude,
+    nearPeople: flightConditions.nearPeople || separationTriggers.length > 0,
+    did: isDID,
+    airport: isInAirportZone,
+    above150m: isAbove150m,
+  });
+
+  // 飛行方法に該当する特定飛行
+  for (const item of specifiedFlight.items.filter(i => i.kind === 'method')) {
+    // 30m未満は建物・道路との距離の項目で表示済み
+    if (item.id === 'near_people' && separationTriggers.length > 0 && statusOf('separation') !== 'ok' && !flightConditions.overPeople) continue;
+    results.items.push(toRuleItem(evaluateRules('aviation.specified_flight', {
+      specifiedFlight: true,
+      specifiedFlightMethod: item.id,
+      categoryLabel: specifiedFlight.categoryLabel,
+      permissionLabel: specifiedFlight.permission.label,
+    }, rulePack), {
+      id: item.id,
+      name: item.name,
+      statusText: '特定飛行',
+      description: item.reason,
+    }));
+    results.requiresPermission = true;
+  }
+  results.specifiedFlight = specifiedFlight;
+
   return results;
 };
 
@@ -182,11 +285,12 @@ export const checkAviationLaw = async (context) => {
  * - 外国公館
  * - 政党本部
  *
- * @param {Object} context - チェック対象の情報
+ * @param {Object} context - チェック対象の情報（areaAssessment があればエリア全体で判定）
  * @returns {Object} 禁止法チェック結果
  */
 export const checkSmallUASProhibitionLaw = (context) => {
-  const { lat, lng } = context;
+  const { lat, lng, areaAssessment = null } = context;
+  const rulePack = context.rulePack ?? getActiveRulePack();
   const results = {
     category: 'small_uas_prohibition',
     categoryName: '小型無人機等飛行禁止法',
@@ -229,61 +333,83 @@ export const checkSmallUASProhibitionLaw = (context) => {
     }
   }
 
-  // レッドゾーン（完全禁止）チェック
+  // エリア全体の判定: 一部でも区域にかかるポリゴン・区間があれば、その施設を該当に加える
+  const zoneTriggers = {
+    red: areaAssessment?.items.red_zone || [],
+    yellow: areaAssessment?.items.yellow_zone || [],
+    near: areaAssessment?.items.near_zone || [],
+  };
+  const addTriggeredZones = (triggers, target, isInZone) => {
+    for (const trigger of triggers) {
+      if (inZones.some(z => z.name === trigger.zoneName) || target.some(z => z.name === trigger.zoneName)) continue;
+      const zone = NO_FLY_ZONES.find(z => z.name === trigger.zoneName);
+      if (!zone) continue;
+      target.push({ ...zone, distance: getDistanceMeters(lat, lng, zone.lat, zone.lng), isInZone });
+    }
+  };
+  addTriggeredZones([...zoneTriggers.red, ...zoneTriggers.yellow], inZones, true);
+  addTriggeredZones(zoneTriggers.near, nearbyZones, false);
+  const withTriggers = (description, triggers) =>
+    triggers.length > 0 ? `${description} / 該当: ${formatAssessmentTriggers(triggers)}` : description;
+
   const redZonesIn = inZones.filter(z => z.type === 'red');
+  const yellowZonesIn = inZones.filter(z => z.type === 'yellow');
+  const zoneFacts = {
+    redZoneCount: redZonesIn.length,
+    yellowZoneCount: yellowZonesIn.length,
+    nearZoneCount: nearbyZones.length,
+    nearestZoneEdgeDistance: nearbyZones.length > 0 ? Math.round(nearbyZones[0].distance - nearbyZones[0].radius) : null,
+  };
+
+  // レッドゾーン（完全禁止）チェック
   if (redZonesIn.length > 0) {
-    results.items.push({
+    results.items.push(toRuleItem(evaluateRules('prohibition.red_zone', zoneFacts, rulePack), {
       id: 'red_zone',
       name: 'レッドゾーン（飛行禁止）',
-      status: 'error',
       statusText: '禁止区域内',
-      description: redZonesIn.map(z => `${z.name}（${Math.round(z.distance)}m）`).join('、'),
-      action: '原則飛行禁止 - 管理者・警察への事前申請必須',
+      description: withTriggers(redZonesIn.map(z => `${z.name}（${Math.round(z.distance)}m）`).join('、'), zoneTriggers.red),
       link: 'https://www.npa.go.jp/bureau/security/kogatamujinki/',
       linkText: '警察庁（小型無人機）',
       zones: redZonesIn,
-    });
+      triggers: zoneTriggers.red,
+    }));
     results.requiresPermission = true;
   }
 
   // イエローゾーン（事前通報）チェック
-  const yellowZonesIn = inZones.filter(z => z.type === 'yellow');
   if (yellowZonesIn.length > 0) {
-    results.items.push({
+    results.items.push(toRuleItem(evaluateRules('prohibition.yellow_zone', zoneFacts, rulePack), {
       id: 'yellow_zone',
       name: 'イエローゾーン（要通報）',
-      status: 'warning',
       statusText: '通報区域内',
-      description: yellowZonesIn.map(z => `${z.name}（${Math.round(z.distance)}m）`).join('、'),
-      action: '飛行48時間前までに関係機関へ通報',
+      description: withTriggers(yellowZonesIn.map(z => `${z.name}（${Math.round(z.distance)}m）`).join('、'), zoneTriggers.yellow),
       zones: yellowZonesIn,
-    });
+      triggers: zoneTriggers.yellow,
+    }));
     results.requiresPermission = true;
   }
 
   // 近接ゾーン（警告）
-  if (nearbyZones.length > 0 && redZonesIn.length === 0 && yellowZonesIn.length === 0) {
-    results.items.push({
+  const nearZoneMatch = evaluateRules('prohibition.near_zone', zoneFacts, rulePack);
+  if (nearZoneMatch && nearbyZones.length > 0) {
+    results.items.push(toRuleItem(nearZoneMatch, {
       id: 'near_zone',
       name: '禁止区域近接',
-      status: 'warning',
       statusText: '要注意',
-      description: `${nearbyZones[0].name}まで${Math.round(nearbyZones[0].distance)}m`,
-      action: '飛行経路が禁止区域に入らないよう注意',
+      description: withTriggers(`${nearbyZones[0].name}まで${Math.round(nearbyZones[0].distance)}m`, zoneTriggers.near),
       zones: nearbyZones,
-    });
+      triggers: zoneTriggers.near,
+    }));
   }
 
   // 問題なしの場合
   if (results.items.length === 0) {
-    results.items.push({
+    results.items.push(toRuleItem(null, {
       id: 'prohibition_clear',
       name: '禁止区域',
-      status: 'ok',
       statusText: '対象施設なし',
       description: '小型無人機等飛行禁止法の対象施設は周辺にありません',
-      action: null,
-    });
+    }));
   }
 
   return results;
@@ -436,15 +562,19 @@ export const checkLandManagerRules = (context) => {
 
 /**
  * 3カテゴリすべての法的要件をチェック
+ * ポリゴン・Waypoint がある場合はエリア全体を1回だけ判定し、各カテゴリで共有する
  *
- * @param {Object} context - チェック対象の情報
- * @returns {Promise<Object>} 統合チェック結果
+ * @param {Object} context - チェック対象の情報 { lat, lng, altitude, searchResult, polygons, waypoints, flightConditions }
+ * @returns {Promise<Object>} 統合チェック結果（areaAssessment・separation: 地図の強調表示用の判定結果、specifiedFlight: 飛行カテゴリーの判定）
  */
 export const checkAllLegalRequirements = async (context) => {
+  const rulePack = context.rulePack ?? getActiveRulePack();
+  const areaAssessment = await getAreaAssessment({ ...context, rulePack });
+  const areaContext = { ...context, areaAssessment, rulePack };
   const [aviationLaw, prohibitionLaw, landManager] = await Promise.all([
-    checkAviationLaw(context),
-    Promise.resolve(checkSmallUASProhibitionLaw(context)),
-    Promise.resolve(checkLandManagerRules(context)),
+    checkAviationLaw(areaContext),
+    Promise.resolve(checkSmallUASProhibitionLaw(areaContext)),
+    Promise.resolve(checkLandManagerRules(areaContext)),
   ]);
 
   // 全体のステータスを判定
@@ -480,6 +610,9 @@ export const checkAllLegalRequirements = async (context) => {
     overallStatusText,
     categories: [aviationLaw, prohibitionLaw, landManager],
     procedures,
+    areaAssessment,
+    specifiedFlight: aviationLaw.specifiedFlight,
+    separation: aviationLaw.separation,
     checkedAt: new Date().toISOString(),
     context,
   };
@@ -497,35 +630,35 @@ const generateRequiredProcedures = (results) => {
   const procedures = [];
   const { aviationLaw, prohibitionLaw, landManager } = results;
 
-  // 1. DIPS申請（航空法関連）
-  const didItem = aviationLaw.items.find(i => i.id === 'did');
+  // 1. DIPS申請（航空法関連、特定飛行に該当する場合）
   const airportItem = aviationLaw.items.find(i => i.id === 'airport');
-  const altitudeItem = aviationLaw.items.find(i => i.id === 'altitude');
+  const { specifiedFlight } = aviationLaw;
 
-  if (didItem?.status === 'warning' || airportItem?.status === 'error' || altitudeItem?.status === 'error') {
+  if (specifiedFlight?.isSpecified) {
     procedures.push({
       id: 'dips',
       name: 'DIPS 2.0 飛行許可申請',
       category: 'aviation_law',
       priority: 'high',
-      estimatedDays: airportItem?.status === 'error' ? 14 : 10,
-      description: '国土交通省への飛行許可・承認申請',
+      estimatedDays: airportItem?.status === 'error' || specifiedFlight.category === 'III' ? 14 : 10,
+      description: `国土交通省への飛行許可・承認申請（${specifiedFlight.categoryLabel}: ${specifiedFlight.items.map(i => i.name).join('、')}）`,
       steps: [
         'DIPS 2.0にログイン/新規登録',
         '機体情報・操縦者情報を登録',
         '飛行計画を作成・申請',
         '審査結果を待つ（10-14日）',
+        '飛行前に飛行計画を通報',
       ],
       documents: [
-        '機体認証書または機体情報',
-        '操縦者技能証明または経験実績',
+        `機体認証書（${specifiedFlight.typeCertificate.label}）または機体情報`,
+        `操縦者技能証明（${specifiedFlight.license.label}）または経験実績`,
         '保険証書',
         '飛行マニュアル',
       ],
       link: 'https://www.ossportal.dips.mlit.go.jp/portal/top/',
       linkText: 'DIPS 2.0',
-      notes: didItem?.status === 'warning'
-        ? '包括申請済みの場合は通報のみで可'
+      notes: specifiedFlight.permission.waivable
+        ? `${specifiedFlight.permission.label}。包括申請済みの場合は通報のみで可`
         : null,
     });
   }
@@ -558,7 +691,8 @@ const generateRequiredProcedures = (results) => {
   const redZoneItem = prohibitionLaw.items.find(i => i.id === 'red_zone');
   const yellowZoneItem = prohibitionLaw.items.find(i => i.id === 'yellow_zone');
 
-  if (redZoneItem?.status === 'error') {
+  // 重大度はルールパックで変わりうるため、区域内の項目があるかで判定する
+  if (redZoneItem) {
     procedures.push({
       id: 'prohibition_permit',
       name: '飛行禁止区域の許可申請',
@@ -585,7 +719,7 @@ const generateRequiredProcedures = (results) => {
     });
   }
 
-  if (yellowZoneItem?.status === 'warning') {
+  if (yellowZoneItem) {
     procedures.push({
       id: 'yellow_zone_notice',
       name: 'イエローゾーン事前通報',
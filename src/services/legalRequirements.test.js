@@ -0,0 +1,137 @@
+/**
+ * legalRequirements テスト
+ *
+ * ルールパックによる項目の重大度・対応の判定と、法令どおりの許可・特定飛行の判定のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AIRPORT_ZONES, DEFAULT_RULE_PACK, mergeRulePacks } from '../lib';
+import { checkAviationLaw } from './legalRequirements';
+import { assessFlightArea } from './areaAssessment';
+
+// 岡山空港の制限区域（半径6km）の外側 約500m
+const airport = AIRPORT_ZONES.find(a => a.name === '岡山空港');
+const lat = airport.lat + (airport.radius + 500) / 111320;
+const lng = airport.lng;
+
+// 社内基準: 制限区域の外側1km以内も飛行禁止
+const companyPack = {
+  id: 'acme',
+  name: 'ACME社内基準',
+  rules: [
+    {
+      id: 'acme.airport.buffer',
+      check: 'aviation.airport',
+      when: { fact: 'airportEdgeDistance', op: '<', value: 1000 },
+      severity: 'error',
+      label: '社内基準で禁止',
+      message: '制限区域の外側{threshold}m以内は社内基準で飛行禁止',
+    },
+  ],
+};
+
+// 中心が制限区域の外側 約3.5km、南端が外側 約500m の一辺6kmのポリゴン
+const dLat = 3000 / 111320;
+const dLng = 3000 / (111320 * Math.cos((airport.lat * Math.PI) / 180));
+const farLat = airport.lat + (airport.radius + 3500) / 111320;
+const polygon = {
+  id: 'p1',
+  name: 'エリアA',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[
+      [lng - dLng, farLat - dLat],
+      [lng + dLng, farLat - dLat],
+      [lng + dLng, farLat + dLat],
+      [lng - dLng, farLat + dLat],
+      [lng - dLng, farLat - dLat],
+    ]],
+  },
+};
+
+// DIDを持たない地域（判定をDIDから切り離す）
+const noDID = { getDIDFeatures: () => [], preloadDID: async () => {} };
+
+describe('legalRequirements', () => {
+
+  it('既定のルールでは制限区域の近接は要注意で、適用したルールを記録する', async () => {
+    const results = await checkAviationLaw({ lat, lng, altitude: 50, areaAssessment: null, rulePack: DEFAULT_RULE_PACK });
+    const item = results.items.find(i => i.id === 'airport');
+
+    expect(item).toMatchObject({
+      status: 'warning',
+      statusText: '要注意',
+      action: '制限区域に近接 - 飛行経路に注意',
+      ruleId: 'aviation.airport.near',
+      rulePackId: 'default',
+    });
+    expect(item.description).toBe('岡山空港から6.5km（制限半径6.0km）');
+    expect(results.items.find(i => i.id === 'altitude')).toMatchObject({ status: 'ok', ruleId: null });
+  });
+
+  it('社内ルールで空港の外側1km以内をエラーにしても、許可の要否と特定飛行は変えない', async () => {
+    const rulePack = mergeRulePacks([DEFAULT_RULE_PACK, companyPack]);
+    const results = await checkAviationLaw({ lat, lng, altitude: 50, areaAssessment: null, rulePack });
+    const item = results.items.find(i => i.id === 'airport');
+
+    expect(item).toMatchObject({
+      status: 'error',
+      statusText: '社内基準で禁止',
+      action: '制限区域の外側1000m以内は社内基準で飛行禁止',
+      ruleId: 'acme.airport.buffer',
+      rulePackId: 'acme',
+    });
+    expect(results.requiresPermission).toBe(false);
+    expect(results.specifiedFlight.items.map(i => i.id)).not.toContain('airport');
+  });
+
+  it('空港の外縁までの距離は中心点ではなく全ポリゴン・全区間の最小値で判定する', async () => {
+    const rulePack = mergeRulePacks([DEFAULT_RULE_PACK, companyPack]);
+    const areaAssessment = await assessFlightArea({ polygons: [polygon], rulePack }, noDID);
+    const results = await checkAviationLaw({ lat: farLat, lng, altitude: 50, areaAssessment, rulePack });
+    const item = results.items.find(i => i.id === 'airport');
+
+    expect(item).toMatchObject({ status: 'error', ruleId: 'acme.airport.buffer', rulePackId: 'acme' });
+    expect(item.airport.airportEdgeDistance).toBeGreaterThan(450);
+    expect(item.airport.airportEdgeDistance).toBeLessThan(550);
+    expect(item.triggers).toEqual([expect.objectContaining({ kind: 'polygon', id: 'p1', zoneName: '岡山空港' })]);
+
+    // 強調表示の状態も同じルールで決める
+    const highlight = areaAssessment.features.features.find(f => f.properties.itemId === 'airport_near');
+    expect(highlight.properties).toMatchObject({ status: 'error', ruleId: 'acme.airport.buffer' });
+  });
+
+  it('近接の該当箇所はルールパックのしきい値で決める', async () => {
+    const strictPack = mergeRulePacks([DEFAULT_RULE_PACK, {
+      id: 'strict',
+      name: '近接を外側300mまでにする',
+      rules: [{
+        id: 'aviation.airport.near',
+        check: 'aviation.airport',
+        when: { fact: 'airportEdgeDistance', op: '<', value: 300 },
+        severity: 'warning',
+        message: '制限区域に近接',
+      }],
+    }]);
+    const defaultAssessment = await assessFlightArea({ polygons: [polygon], rulePack: DEFAULT_RULE_PACK }, noDID);
+    const strictAssessment = await assessFlightArea({ polygons: [polygon], rulePack: strictPack }, noDID);
+
+    expect(defaultAssessment.items.airport_near.map(t => t.id)).toEqual(['p1']);
+    expect(strictAssessment.items.airport_near).toEqual([]);
+  });
+
+  it('飛行方法の特定飛行の項目にも適用したルールを記録する', async () => {
+    const results = await checkAviationLaw({
+      lat, lng, altitude: 50, areaAssessment: null, rulePack: DEFAULT_RULE_PACK, flightConditions: { bvlos: true },
+    });
+    const item = results.items.find(i => i.id === 'bvlos');
+
+    expect(item).toMatchObject({
+      status: 'warning',
+      statusText: '特定飛行',
+      action: `${results.specifiedFlight.categoryLabel} - ${results.specifiedFlight.permission.label}`,
+      ruleId: 'aviation.specified_flight.method',
+      rulePackId: 'default',
+    });
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * 巡回順序の制約
+ * 「最初に飛ぶ」「最後に飛ぶ」Waypoint、先に飛ぶグループの順番（ポリゴンA → B など）、
+ * 連続して飛ぶWaypointを指定し、それを守る訪問順序を求める
+ *
+ * - 連続指定のWaypointは指定順に並んだ1つの単位（ユニット）にまとめて扱う
+ * - 各ユニットには順位の範囲 [lo, hi] を割り当てる。訪問順に順位が減らないように並べれば全制約を満たす
+ *     最初: 0, 1, … / グループ: F + g / 制約なし: F 〜 F + G / 最後: F + G + 1, …（F: 最初の数, G: グループ数）
+ * - 制約付き最近傍法で初期解を作り、制約を破らない 2-opt・ユニット移動で改善する
+ * - 離れた拠点（クラスタ）は制約に合う順番に並べ、バッテリー交換で連続指定を区切らないようにする
+ */
+
+// 局所探索の最大反復回数
+const MAX_IMPROVEMENT_PASSES = 50;
+
+const EPSILON = 1e-9;
+
+/**
+ * 制約が1つでも指定されているか
+ * @param {Object} constraints - { first, last, groups, adjacent }
+ * @returns {boolean}
+ */
+export const hasOrderConstraints = (constraints) => {
+  if (!constraints) return false;
+  const { first = [], last = [], groups = [], adjacent = [] } = constraints;
+  return first.length > 0 || last.length > 0 || groups.length > 1 || adjacent.length > 0;
+};
+
+/**
+ * 「3, 7」形式のWP番号リストを解析
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+export const parseWaypointNumbers = (text) => {
+  return (text || '')
+    .split(/[,、\s]+/)
+    .map(v => parseInt(v.replace(/^WP/i, ''), 10))
+    .filter(Number.isFinite);
+};
+
+/**
+ * 「4-5-6, 10-11」形式の連続指定を解析
+ * @param {string} text
+ * @returns {Array<Array<number>>} 2点以上のWP番号の並び
+ */
+export const parseAdjacencyChains = (text) => {
+  return (text || '')
+    .split(/[,、]+/)
+    .map(chain => parseWaypointNumbers(chain.replace(/[-→>]/g, ' ')))
+    .filter(chain => chain.length >= 2);
+};
+
+/**
+ * Waypointが属するポリゴンの一覧（初出順）
+ * @param {Array} waypoints
+ * @returns {Array} [{ key, name, count }]
+ */
+export const getWaypointPolygons = (waypoints) => {
+  const polygons = new Map();
+  for (const wp of waypoints || []) {
+    const key = wp.polygonId || wp.polygonName;
+    if (!key) continue;
+    if (!polygons.has(key)) polygons.set(key, { key, name: wp.polygonName || key, count: 0 });
+    polygons.get(key).count++;
+  }
+  return [...polygons.values()];
+};
+
+/**
+ * 入力欄の値から制約（Waypoint ID）を作成
+ * @param {Array} waypoints
+ * @param {Object} input - { first: 'WP番号', last: 'WP番号', adjacent: '4-5, 8-9', polygonOrder: [ポリゴンkey] | null }
+ * @returns {Object|null} { first, last, groups, adjacent }（制約がなければ null）
+ */
+export const buildOrderConstraints = (waypoints, input = {}) => {
+  const idByNumber = new Map(waypoints.map(wp => [wp.index, wp.id]));
+  const toIds = (numbers) => numbers.map(n => idByNumber.get(n)).filter(id => id !== undefined);
+
+  const constraints = {
+    first: toIds(parseWaypointNumbers(input.first)),
+    last: toIds(parseWaypointNumbers(input.last)),
+    groups: (input.polygonOrder || []).map(key =>
+      waypoints.filter(wp => (wp.polygonId || wp.polygonName) === key).map(wp => wp.id)
+    ),
+    adjacent: parseAdjacencyChains(input.adjacent).map(toIds).filter(chain => chain.length >= 2),
+  };
+  return hasOrderConstraints(constraints) ? constraints : null;
+};
+
+/**
+ * 制約をWaypoint配列のインデックスに対応付け、ユニットと順位範囲を作成
+ * 配列に含まれないIDは無視する（クラスタ・機体ごとに分けて解く場合）
+ * @param {Array} waypoints
+ * @param {Object} constraints - { first, last, groups, adjacent }（Waypoint ID）
+ * @returns {Object|null} { units: [{ indices, lo, hi }], warnings }（適用する制約がなければ null）
+ */
+export const resolveOrderConstraints = (waypoints, constraints) => {
+  if (!hasOrderConstraints(constraints)) return null;
+
+  const indexById = new Map(waypoints.map((wp, i) => [wp.id, i]));
+  const toIndices = (ids) => [...new Set((ids || []).map(id => indexById.get(id)).filter(i => i !== undefined))];
+  const label = (i) => `WP${waypoints[i].index ?? i + 1}`;
+  const warnings = [];
+
+  const first = toIndices(constraints.first);
+  const last = toIndices(constraints.last).filter(i => !first.includes(i));
+  const groups = (constraints.groups || []).map(toIndices).filter(group => group.length > 0);
+  const chains = (constraints.adjacent || []).map(toIndices).filter(chain => chain.length >= 2);
+  if (first.length === 0 && last.length === 0 && groups.length < 2 && chains.length === 0) return null;
+
+  const F = first.length;
+  const G = groups.length;
+  const ranges = waypoints.map(() => ({ lo: F, hi: F + G }));
+
+  const grouped = new Set();
+  groups.forEach((group, g) => {
+    for (const i of group) {
+      if (grouped.has(i)) {
+        warnings.push(`${label(i)}は複数のグループに含まれています（先のグループを優先）`);
+        continue;
+      }
+      grouped.add(i);
+      ranges[i] = { lo: F + g, hi: F + g };
+    }
+  });
+  first.forEach((i, k) => { ranges[i] = { lo: k, hi: k }; });
+  last.forEach((i, k) => { ranges[i] = { lo: F + G + 1 + k, hi: F + G + 1 + k }; });
+
+  const units = [];
+  const inChain = new Set();
+  for (const chain of chains) {
+    const names = chain.map(label).join('→');
+    if (chain.some(i => inChain.has(i))) {
+      warnings.push(`${names}の連続指定は他の連続指定と重なるため無視しました`);
+      continue;
+    }
+    const lo = Math.max(...chain.map(i => ranges[i].lo));
+    const hi = Math.min(...chain.map(i => ranges[i].hi));
+    if (lo > hi) {
+      warnings.push(`${names}の連続指定は先頭・末尾・グループの指定と両立しないため無視しました`);
+      continue;
+    }
+    chain.forEach(i => inChain.add(i));
+    units.push({ indices: chain, lo, hi });
+  }
+  waypoints.forEach((_, i) => {
+    if (!inChain.has(i)) units.push({ indices: [i], ...ranges[i] });
+  });
+
+  return { units, warnings };
+};
+
+/**
+ * 離れた拠点（クラスタ）を飛ぶ順番を制約に合わせて並べ替える
+ * クラスタは別々のフライトとして順に飛ぶため、最初/最後・グループの順番はクラスタの順番でも守る必要がある。
+ * 全Waypointで順位範囲を求め、各クラスタを「最大の lo・最小の hi」の順に並べる。
+ * 並べ替えても守れない指定と、クラスタをまたぐ連続指定は警告する。
+ *
+ * @param {Array<Array>} clusters - クラスタごとのWaypoint配列
+ * @param {Object} constraints - { first, last, groups, adjacent }（Waypoint ID）
+ * @returns {Object} { clusters: 並べ替えたクラスタ, warnings }
+ */
+export const orderClustersByConstraints = (clusters, constraints) => {
+  const all = clusters.flat();
+  const resolved = clusters.length > 1 ? resolveOrderConstraints(all, constraints) : null;
+  if (!resolved) return { clusters, warnings: [] };
+
+  const clusterOf = clusters.flatMap((cluster, c) => cluster.map(() => c));
+  const ranges = [];
+  const warnings = [];
+  for (const unit of resolved.units) {
+    unit.indices.forEach(i => { ranges[i] = unit; });
+    if (new Set(unit.indices.map(i => clusterOf[i])).size > 1) {
+      const names = unit.indices.map(i => `WP${all[i].index ?? i + 1}`).join('→');
+      warnings.push(`${names}の連続指定は離れた拠点にまたがるため守れません`);
+    }
+  }
+
+  const bounds = clusters.map((_, c) => {
+    const members = ranges.filter((_, i) => clusterOf[i] === c);
+    return {
+      c,
+      maxLo: Math.max(...members.map(r => r.lo)),
+      minHi: Math.min(...members.map(r => r.hi)),
+    };
+  });
+  bounds.sort((a, b) => a.maxLo - b.maxLo || a.minHi - b.minHi || a.c - b.c);
+
+  // 先に飛ぶ拠点の順位が、後の拠点で先に飛ぶべきWaypointの順位を超えないか
+  let rank = -Infinity;
+  for (const { maxLo, minHi } of bounds) {
+    if (rank > minHi) {
+      warnings.push('最初・最後・グループの順番の指定に、離れた拠点の飛行順では守れないものがあります');
+      break;
+    }
+    rank = Math.max(rank, maxLo);
+  }
+
+  return { clusters: bounds.map(({ c }) => clusters[c]), warnings };
+};
+
+/**
+ * 連続指定で続けて飛ぶ2点かを判定する関数を作成
+ * バッテリー分割でフライトを区切る位置を決めるときに使う
+ * @param {Object} constraints - { adjacent }（Waypoint ID）
+ * @returns {Function} (from, to) => boolean
+ */
+export const createAdjacencyTest = (constraints) => {
+  const links = new Set();
+  for (const chain of constraints?.adjacent || []) {
+    chain.slice(1).forEach((id, k) => links.add(`${chain[k]}|${id}`));
+  }
+  return (from, to) => links.has(`${from?.id}|${to?.id}`);
+};
+
+/**
+ * ユニットの並びが順位の制約を満たすか
+ * @param {Array<number>} order - ユニット番号の並び
+ * @param {Array} units
+ * @returns {boolean}
+ */
+export const isFeasibleOrder = (order, units) => {
+  let rank = -Infinity;
+  for (const u of order) {
+    rank = Math.max(rank, units[u].lo);
+    if (rank > units[u].hi) return false;
+  }
+  return true;
+};
+
+/**
+ * 制約付き最近傍法
+ * 追加すると残りのユニットが置けなくなる候補は選ばない
+ */
+const constrainedNearestNeighbor = (units, cost, startCost) => {
+  const n = units.length;
+  const visited = new Array(n).fill(false);
+  const order = [];
+  let rank = -Infinity;
+  let current = -1;
+
+  for (let step = 0; step < n; step++) {
+    // 未訪問ユニットの hi の最小値と2番目（候補自身を除いた最小値を求めるため）
+    let minHi = Infinity;
+    let minHiUnit = -1;
+    let secondHi = Infinity;
+    for (let u = 0; u < n; u++) {
+      if (visited[u]) continue;
+      if (units[u].hi < minHi) {
+        secondHi = minHi;
+        minHi = units[u].hi;
+        minHiUnit = u;
+      } else if (units[u].hi < secondHi) {
+        secondHi = units[u].hi;
+      }
+    }
+
+    let best = -1;
+    let bestCost = Infinity;
+    for (let u = 0; u < n; u++) {
+      if (visited[u]) continue;
+      const r = Math.max(rank, units[u].lo);
+      const othersHi = u === minHiUnit ? secondHi : minHi;
+      if (r > units[u].hi || r > othersHi) continue;
+      const c = current === -1 ? startCost(u) : cost(current, u);
+      if (c < bestCost) {
+        bestCost = c;
+        best = u;
+      }
+    }
+
+    visited[best] = true;
+    order.push(best);
+    rank = Math.max(rank, units[best].lo);
+    current = best;
+  }
+  return order;
+};
+
+/**
+ * 制約を破らない 2-opt（単独のWaypointだけからなる区間の反転）
+ * @returns {Array<number>|null} 改善した並び（なければ null）
+ */
+const improveByReversal = (order, units, cost) => {
+  const n = order.length;
+  const d = (a, b) => (a === undefined || b === undefined ? 0 : cost(a, b));
+
+  for (let i = 0; i < n - 2; i++) {
+    let fixedRank = null;
+    for (let j = i + 1; j < n; j++) {
+      const unit = units[order[j]];
+      // 連続指定のユニットは向きを変えられない
+      if (unit.indices.length > 1) break;
+      // 順位が固定のユニットが異なる順位で混在する区間は反転すると順序が崩れる
+      if (unit.lo === unit.hi) {
+        if (fixedRank !== null && fixedRank !== unit.lo) break;
+        fixedRank = unit.lo;
+      }
+      if (j < i + 2) continue;
+
+      const before = d(order[i], order[i + 1]) + d(order[j], order[j + 1]);
+      const after = d(order[i], order[j]) + d(order[i + 1], order[j + 1]);
+      if (after >= before - EPSILON) continue;
+
+      const candidate = [
+        ...order.slice(0, i + 1),
+        ...order.slice(i + 1, j + 1).reverse(),
+        ...order.slice(j + 1),
+      ];
+      if (isFeasibleOrder(candidate, units)) return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * 制約を破らないユニットの移動（Or-opt）
+ * 先頭のユニットは出発点として固定する
+ * @returns {Array<number>|null} 改善した並び（なければ null）
+ */
+const improveByRelocation = (order, units, cost) => {
+  const n = order.length;
+  const d = (a, b) => (a === undefined || b === undefined ? 0 : cost(a, b));
+
+  for (let k = 1; k < n; k++) {
+    const unit = order[k];
+    const prev = order[k - 1];
+    const next = order[k + 1];
+    const removeGain = d(prev, unit) + d(unit, next) - d(prev, next);
+
+    for (let p = 1; p <= n; p++) {
+      if (p === k || p === k + 1) continue;
+      const x = order[p - 1];
+      const y = order[p];
+      const insertCost = d(x, unit) + d(unit, y) - d(x, y);
+      if (insertCost >= removeGain - EPSILON) continue;
+
+      const rest = order.filter((_, i) => i !== k);
+      const at = p > k ? p - 1 : p;
+      const candidate = [...rest.slice(0, at), unit, ...rest.slice(at)];
+      if (isFeasibleOrder(candidate, units)) return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * 制約を守る訪問順序を求める
+ * @param {Array<Array<number>>} distanceMatrix - Waypoint間の距離行列
+ * @param {Object} resolved - resolveOrderConstraints の戻り値
+ * @param {number} [startIndex] - 出発点の目安（制約上可能なら最も近いユニットから始める）
+ * @returns {Array<number>} 訪問順序（Waypointインデックス配列）
+ */
+export const solveConstrainedOrder = (distanceMatrix, resolved, startIndex = 0) => {
+  const { units } = resolved;
+  if (units.length === 0) return [];
+
+  const entry = (u) => units[u].indices[0];
+  const exit = (u) => units[u].indices[units[u].indices.length - 1];
+  const cost = (a, b) => distanceMatrix[exit(a)][entry(b)];
+  const startCost = (u) => distanceMatrix[startIndex]?.[entry(u)] ?? 0;
+
+  let order = constrainedNearestNeighbor(units, cost, startCost);
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    const improved = improveByReversal(order, units, cost) || improveByRelocation(order, units, cost);
+    if (!improved) break;
+    order = improved;
+  }
+
+  return order.flatMap(u => units[u].indices);
+};
@@ -0,0 +1,173 @@
+/**
+ * orderConstraints テスト
+ *
+ * 最初/最後の固定、グループの順番、連続指定を守る訪問順序と、optimizeRoute での距離増加の報告のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  hasOrderConstraints,
+  parseWaypointNumbers,
+  parseAdjacencyChains,
+  buildOrderConstraints,
+  resolveOrderConstraints,
+  solveConstrainedOrder,
+} from './orderConstraints';
+import { optimizeRoute } from './routeOptimizer';
+
+// 東西に約100m間隔で並ぶ10点（WP1〜10）
+const line = Array.from({ length: 10 }, (_, i) => ({
+  id: `wp${i + 1}`,
+  index: i + 1,
+  lat: 35.68,
+  lng: 139.7 + i * 0.0011,
+}));
+
+// 2つのポリゴン（A: 西側 5点、B: 東側 5点）
+const twoAreas = line.map((wp, i) => ({
+  ...wp,
+  polygonId: i < 5 ? 'A' : 'B',
+  polygonName: i < 5 ? 'エリアA' : 'エリアB',
+}));
+
+const matrixOf = (waypoints) => waypoints.map(a =>
+  waypoints.map(b => Math.hypot(a.lat - b.lat, (a.lng - b.lng) * 0.81) * 111000)
+);
+
+const solve = (waypoints, constraints, startIndex = 0) => {
+  const resolved = resolveOrderConstraints(waypoints, constraints);
+  return solveConstrainedOrder(matrixOf(waypoints), resolved, startIndex).map(i => waypoints[i].id);
+};
+
+const optimizeOptions = { droneId: 'mavic-3-enterprise', algorithm: '2-opt', checkRegulations: false, autoSplit: true };
+
+describe('orderConstraints', () => {
+
+  it('入力欄のWP番号・連続指定を解析する', () => {
+    expect(parseWaypointNumbers('3, 7、WP9 x')).toEqual([3, 7, 9]);
+    expect(parseAdjacencyChains('4-5-6, 10-11, 2')).toEqual([[4, 5, 6], [10, 11]]);
+  });
+
+  it('WP番号をWaypoint IDに変換し、制約がなければ null を返す', () => {
+    expect(buildOrderConstraints(line, { first: '2', last: '', adjacent: '3-4' })).toEqual({
+      first: ['wp2'],
+      last: [],
+      groups: [],
+      adjacent: [['wp3', 'wp4']],
+    });
+    expect(buildOrderConstraints(line, { first: '99', last: '', adjacent: '' })).toBeNull();
+    expect(hasOrderConstraints({ groups: [['wp1']] })).toBe(false);
+  });
+
+  it('最初・最後に指定したWaypointを先頭・末尾に置く', () => {
+    const order = solve(line, { first: ['wp6'], last: ['wp5'] });
+
+    expect(order).toHaveLength(10);
+    expect(new Set(order).size).toBe(10);
+    expect(order[0]).toBe('wp6');
+    expect(order[9]).toBe('wp5');
+  });
+
+  it('複数の最初指定は指定した順に飛ぶ', () => {
+    const order = solve(line, { first: ['wp10', 'wp1'] });
+    expect(order.slice(0, 2)).toEqual(['wp10', 'wp1']);
+  });
+
+  it('グループの順番（ポリゴンB → A）を守る', () => {
+    const constraints = buildOrderConstraints(twoAreas, { polygonOrder: ['B', 'A'] });
+    const order = solve(twoAreas, constraints);
+    const polygonOf = (id) => twoAreas.find(wp => wp.id === id).polygonId;
+
+    expect(order.slice(0, 5).every(id => polygonOf(id) === 'B')).toBe(true);
+    expect(order.slice(5).every(id => polygonOf(id) === 'A')).toBe(true);
+  });
+
+  it('連続指定のWaypointは指定した順に続けて飛ぶ', () => {
+    const order = solve(line, { adjacent: [['wp9', 'wp2', 'wp5']] });
+    const at = order.indexOf('wp9');
+
+    expect(order.slice(at, at + 3)).toEqual(['wp9', 'wp2', 'wp5']);
+    expect(new Set(order).size).toBe(10);
+  });
+
+  it('両立しない連続指定は無視して警告する', () => {
+    const resolved = resolveOrderConstraints(line, { first: ['wp1'], last: ['wp2'], adjacent: [['wp1', 'wp2']] });
+
+    expect(resolved.warnings).toHaveLength(1);
+    expect(resolved.warnings[0]).toContain('WP1→WP2');
+    expect(resolved.units).toHaveLength(10);
+  });
+
+  it('含まれないIDの制約は適用しない', () => {
+    expect(resolveOrderConstraints(line.slice(0, 3), { first: ['wp9'] })).toBeNull();
+  });
+
+  it('optimizeRoute は制約を守り、制約による距離の増加を報告する', async () => {
+    const result = await optimizeRoute(line, {
+      ...optimizeOptions,
+      orderConstraints: { first: ['wp5'], last: ['wp6'] },
+    });
+    const ids = result.orderedWaypoints.map(wp => wp.id);
+    const constraintSummary = result.summary.orderConstraints;
+
+    expect(ids[0]).toBe('wp5');
+    expect(ids[9]).toBe('wp6');
+    expect(constraintSummary.extraDistance).toBeGreaterThan(300);
+    expect(constraintSummary.distance).toBeCloseTo(constraintSummary.unconstrainedDistance + constraintSummary.extraDistance, 6);
+    expect(constraintSummary.warnings).toEqual([]);
+  });
+
+  it('離れた拠点にまたがる最初・最後の指定は拠点の飛行順で守る', async () => {
+    // 約35km東に離れた2つ目の拠点（WP11〜20）
+    const far = line.map((wp, i) => ({ ...wp, id: `wp${i + 11}`, index: i + 11, lng: wp.lng + 0.4 }));
+    const result = await optimizeRoute([...line, ...far], {
+      ...optimizeOptions,
+      orderConstraints: { first: ['wp15'], last: ['wp3'] },
+    });
+    const ids = result.orderedWaypoints.map(wp => wp.id);
+
+    expect(result.summary.clusterCount).toBe(2);
+    expect(ids[0]).toBe('wp15');
+    expect(ids[19]).toBe('wp3');
+    expect(result.flights[0].waypoints[0].id).toBe('wp15');
+    expect(result.summary.orderConstraints.warnings).toEqual([]);
+  });
+
+  it('離れた拠点の順番で守れない指定・拠点をまたぐ連続指定は警告する', async () => {
+    const far = line.map((wp, i) => ({ ...wp, id: `wp${i + 11}`, index: i + 11, lng: wp.lng + 0.4 }));
+    const result = await optimizeRoute([...line, ...far], {
+      ...optimizeOptions,
+      orderConstraints: { first: ['wp1', 'wp12'], last: ['wp2'], adjacent: [['wp10', 'wp11']] },
+    });
+
+    expect(result.summary.orderConstraints.warnings).toEqual([
+      'WP10→WP11の連続指定は離れた拠点にまたがるため守れません',
+      '最初・最後・グループの順番の指定に、離れた拠点の飛行順では守れないものがあります',
+    ]);
+  });
+
+  it('バッテリー交換の区切りを連続指定の手前に移し、同じフライトで続けて飛ぶ', async () => {
+    // 各点で5分ホバリングする10点（1フライトに収まらない）
+    const long = line.map(wp => ({ ...wp, actions: [{ type: 'hover', duration: 300 }] }));
+    const options = { ...optimizeOptions, homePoint: line[0] };
+    const plain = await optimizeRoute(long, options);
+    const [first] = plain.flights;
+    const from = first.waypoints[first.waypoints.length - 1];
+    const to = plain.flights[1].waypoints[0];
+
+    const linked = await optimizeRoute(long, {
+      ...options,
+      orderConstraints: { adjacent: [[from.id, to.id]] },
+    });
+    const flightOf = (id) => linked.flights.findIndex(f => f.waypoints.some(wp => wp.id === id));
+
+    expect(plain.flights.length).toBeGreaterThan(1);
+    expect(flightOf(from.id)).toBe(flightOf(to.id));
+    expect(linked.summary.orderConstraints.warnings).toEqual([]);
+  });
+
+  it('制約なしの場合は summary.orderConstraints が null', async () => {
+    const result = await optimizeRoute(line, optimizeOptions);
+    expect(result.summary.orderConstraints).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * 写真測量プランニングサービス
+ * カメラ仕様と目標GSDから飛行高度・ライン間隔・撮影間隔を算出
+ */
+
+import { getDroneSpecs } from './droneSpecsService';
+
+// 航空法上の上限高度（地表から150m）
+const MAX_LEGAL_ALTITUDE = 150;
+
+// デフォルトの写真測量パラメータ
+const DEFAULT_PHOTO_PARAMS = {
+  targetGSD: 2.0,        // cm/px
+  frontOverlap: 0.8,     // 進行方向オーバーラップ
+  sideOverlap: 0.7,      // 横方向（ライン間）オーバーラップ
+  minTriggerInterval: 2, // 秒（カメラの最短連続撮影間隔）
+};
+
+/**
+ * 指定高度でのGSD（地上画素寸法）を計算
+ * @param {Object} camera - カメラ仕様 { sensorWidth, focalLength, imageWidth }
+ * @param {number} altitude - 対地高度（m）
+ * @returns {number} GSD（cm/px）
+ */
+export const calculateGSD = (camera, altitude) => {
+  if (!camera || !(altitude > 0)) return 0;
+  return (camera.sensorWidth * altitude * 100) / (camera.focalLength * camera.imageWidth);
+};
+
+/**
+ * 目標GSDを得るための対地高度を計算
+ * @param {Object} camera - カメラ仕様
+ * @param {number} gsd - 目標GSD（cm/px）
+ * @returns {number} 対地高度（m）
+ */
+export const calculateAltitudeForGSD = (camera, gsd) => {
+  if (!camera || !(gsd > 0)) return 0;
+  return (gsd * camera.focalLength * camera.imageWidth) / (camera.sensorWidth * 100);
+};
+
+/**
+ * 1枚の写真が地上でカバーする範囲を計算
+ * 画像の長辺を飛行方向と直交（ライン間方向）に向けた撮影を前提とする
+ * @param {Object} camera - カメラ仕様
+ * @param {number} gsd - GSD（cm/px）
+ * @returns {{width: number, height: number}} 横方向・進行方向の撮影範囲（m）
+ */
+export const calculateFootprint = (camera, gsd) => {
+  if (!camera || !(gsd > 0)) return { width: 0, height: 0 };
+  return {
+    width: (gsd / 100) * camera.imageWidth,
+    height: (gsd / 100) * camera.imageHeight,
+  };
+};
+
+/**
+ * 目標GSDとオーバーラップ率から撮影計画を算出
+ * 高度が法定上限を超える場合は上限高度に丸め、実際のGSDを再計算する
+ * @param {Object} camera - カメラ仕様
+ * @param {Object} params - { targetGSD, frontOverlap, sideOverlap, minTriggerInterval, maxAltitude }
+ * @returns {Object|null} 撮影計画
+ */
+export const planPhotogrammetry = (camera, params = {}) => {
+  if (!camera) return null;
+
+  const {
+    targetGSD,
+    frontOverlap,
+    sideOverlap,
+    minTriggerInterval,
+  } = { ...DEFAULT_PHOTO_PARAMS, ...params };
+  const maxAltitude = params.maxAltitude ?? MAX_LEGAL_ALTITUDE;
+
+  if (!(targetGSD > 0)) return null;
+
+  const clampOverlap = (value) => Math.min(0.95, Math.max(0, value));
+  const front = clampOverlap(frontOverlap);
+  const side = clampOverlap(sideOverlap);
+
+  const warnings = [];
+  let altitude = calculateAltitudeForGSD(camera, targetGSD);
+  if (altitude > maxAltitude) {
+    warnings.push(`目標GSDには${Math.round(altitude)}mの高度が必要なため、上限${maxAltitude}mに制限しました`);
+    altitude = maxAltitude;
+  }
+
+  const gsd = calculateGSD(camera, altitude);
+  const footprint = calculateFootprint(camera, gsd);
+  const lineSpacing = footprint.width * (1 - side);
+  const triggerDistance = footprint.height * (1 - front);
+
+  return {
+    cameraName: camera.name,
+    targetGSD,
+    gsd,
+    altitude,
+    footprint,
+    frontOverlap: front,
+    sideOverlap: side,
+    lineSpacing,
+    triggerDistance,
+    // ブレ・撮り逃しを防ぐための最大対地速度
+    maxGroundSpeed: minTriggerInterval > 0 ? triggerDistance / minTriggerInterval : null,
+    warnings,
+  };
+};
+
+/**
+ * ドローン機種の搭載カメラで撮影計画を算出
+ * @param {string} droneId - ドローンID
+ * @param {Object} params - planPhotogrammetry と同じ
+ * @returns {Object|null} 撮影計画（カメラ未登録の機種はnull）
+ */
+export const planPhotogrammetryForDrone = (droneId, params = {}) => {
+  const spec = getDroneSpecs(droneId);
+  if (!spec?.camera) return null;
+
+  const plan = planPhotogrammetry(spec.camera, params);
+  return plan ? { ...plan, droneId: spec.id, droneModel: spec.model } : null;
+};
+
+export { DEFAULT_PHOTO_PARAMS, MAX_LEGAL_ALTITUDE };
@@ -0,0 +1,86 @@
+/**
+ * photogrammetryService テスト
+ *
+ * GSD・撮影高度・ライン間隔計算のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateGSD,
+  calculateAltitudeForGSD,
+  calculateFootprint,
+  planPhotogrammetry,
+  planPhotogrammetryForDrone
+} from './photogrammetryService';
+import { getDroneSpecs } from './droneSpecsService';
+
+const PHANTOM_CAMERA = getDroneSpecs('phantom-4-rtk').camera;
+
+describe('photogrammetryService', () => {
+
+  describe('calculateGSD', () => {
+    it('Phantom 4 RTK の高度100mでのGSDは約2.74cm/px', () => {
+      // メーカー公称値: GSD = H / 36.5 (cm)
+      expect(calculateGSD(PHANTOM_CAMERA, 100)).toBeCloseTo(100 / 36.5, 1);
+    });
+
+    it('高度0以下では0を返す', () => {
+      expect(calculateGSD(PHANTOM_CAMERA, 0)).toBe(0);
+      expect(calculateGSD(null, 100)).toBe(0);
+    });
+  });
+
+  describe('calculateAltitudeForGSD', () => {
+    it('calculateGSD の逆算になる', () => {
+      const altitude = calculateAltitudeForGSD(PHANTOM_CAMERA, 2.0);
+      expect(calculateGSD(PHANTOM_CAMERA, altitude)).toBeCloseTo(2.0, 6);
+    });
+  });
+
+  describe('calculateFootprint', () => {
+    it('GSDと画素数から撮影範囲を計算する', () => {
+      const footprint = calculateFootprint(PHANTOM_CAMERA, 2.0);
+      expect(footprint.width).toBeCloseTo(0.02 * 5472, 6);
+      expect(footprint.height).toBeCloseTo(0.02 * 3648, 6);
+    });
+  });
+
+  describe('planPhotogrammetry', () => {
+    it('オーバーラップ率からライン間隔と撮影間隔を算出する', () => {
+      const plan = planPhotogrammetry(PHANTOM_CAMERA, {
+        targetGSD: 2.0,
+        frontOverlap: 0.8,
+        sideOverlap: 0.7
+      });
+
+      expect(plan.gsd).toBeCloseTo(2.0, 6);
+      expect(plan.lineSpacing).toBeCloseTo(0.02 * 5472 * 0.3, 6);
+      expect(plan.triggerDistance).toBeCloseTo(0.02 * 3648 * 0.2, 6);
+      expect(plan.warnings).toEqual([]);
+    });
+
+    it('法定上限を超える高度は150mに制限しGSDを再計算する', () => {
+      const plan = planPhotogrammetry(PHANTOM_CAMERA, { targetGSD: 10 });
+
+      expect(plan.altitude).toBe(150);
+      expect(plan.gsd).toBeLessThan(10);
+      expect(plan.warnings.length).toBe(1);
+    });
+
+    it('GSDが不正な場合はnullを返す', () => {
+      expect(planPhotogrammetry(PHANTOM_CAMERA, { targetGSD: 0 })).toBeNull();
+      expect(planPhotogrammetry(null)).toBeNull();
+    });
+  });
+
+  describe('planPhotogrammetryForDrone', () => {
+    it('全機種にカメラ仕様が登録されている', () => {
+      expect(planPhotogrammetryForDrone('matrice-300-rtk')).not.toBeNull();
+      expect(planPhotogrammetryForDrone('mavic-3-enterprise')).not.toBeNull();
+    });
+
+    it('存在しない機種はnullを返す', () => {
+      expect(planPhotogrammetryForDrone('unknown-drone')).toBeNull();
+    });
+  });
+});
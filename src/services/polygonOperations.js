@@ -0,0 +1,136 @@
+import * as turf from '@turf/turf'
+import { getPolygonParts } from './waypointGenerator'
+
+// Approximate meters per degree, used to express simplify tolerance in meters
+const METERS_PER_DEGREE = 111320
+
+// Width of the cut made by a split line (meters); small enough to be invisible on the map
+const SPLIT_CUT_WIDTH = 0.05
+
+// Build a new polygon object from an operation result, inheriting the source's color
+const createResultPolygon = (source, geometry, name) => ({
+  id: crypto.randomUUID(),
+  name,
+  geometry,
+  createdAt: Date.now(),
+  color: source.color || '#45B7D1'
+})
+
+const toFeature = (polygon) => turf.feature(polygon.geometry)
+
+const isArea = (polygon) => getPolygonParts(polygon).length > 0
+
+/**
+ * Grow (positive) or shrink (negative) a polygon by a fixed distance.
+ * @param {object} polygon - Polygon object
+ * @param {number} meters - Buffer distance; negative values inset the polygon
+ * @returns {object|null} New polygon, or null when an inset collapses the area
+ */
+export const bufferPolygon = (polygon, meters) => {
+  if (!isArea(polygon) || !Number.isFinite(meters) || meters === 0) return null
+
+  try {
+    const result = turf.buffer(toFeature(polygon), meters, { units: 'meters' })
+    if (!result?.geometry || turf.area(result) === 0) return null
+    const label = meters > 0 ? `外側+${meters}m` : `内側${meters}m`
+    return createResultPolygon(polygon, result.geometry, `${polygon.name} (${label})`)
+  } catch (error) {
+    console.error('Polygon buffer error:', error)
+    return null
+  }
+}
+
+/**
+ * Remove vertices that deviate less than the tolerance from the outline (Douglas-Peucker).
+ * Longitudes are scaled by cos(latitude) around the polygon's center first, so the tolerance
+ * is the same number of meters east-west as north-south.
+ * @param {object} polygon - Polygon object
+ * @param {number} toleranceMeters - Maximum allowed deviation in meters
+ * @returns {object|null} New polygon
+ */
+export const simplifyPolygon = (polygon, toleranceMeters) => {
+  if (!isArea(polygon) || !(toleranceMeters > 0)) return null
+
+  try {
+    const feature = turf.clone(toFeature(polygon))
+    const [, minLat, , maxLat] = turf.bbox(feature)
+    const lngScale = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180)
+    turf.coordEach(feature, (coord) => { coord[0] *= lngScale })
+
+    const result = turf.simplify(feature, {
+      tolerance: toleranceMeters / METERS_PER_DEGREE,
+      highQuality: true,
+      mutate: true
+    })
+    turf.coordEach(result, (coord) => { coord[0] /= lngScale })
+    return createResultPolygon(polygon, result.geometry, `${polygon.name} (簡略化)`)
+  } catch (error) {
+    console.error('Polygon simplify error:', error)
+    return null
+  }
+}
+
+/**
+ * Merge polygons into one (union). Disjoint inputs produce a MultiPolygon.
+ * @param {Array} polygons - Polygon objects (two or more)
+ * @returns {object|null} New polygon
+ */
+export const mergePolygons = (polygons) => {
+  const areas = polygons.filter(isArea)
+  if (areas.length < 2) return null
+
+  try {
+    const result = turf.union(turf.featureCollection(areas.map(toFeature)))
+    if (!result) return null
+    return createResultPolygon(areas[0], result.geometry, areas.map(p => p.name).join(' + '))
+  } catch (error) {
+    console.error('Polygon merge error:', error)
+    return null
+  }
+}
+
+/**
+ * Subtract one polygon from another.
+ * @param {object} polygon - Polygon to cut
+ * @param {object} cutter - Polygon to remove
+ * @returns {object|null} New polygon, or null when nothing remains
+ */
+export const subtractPolygon = (polygon, cutter) => {
+  if (!isArea(polygon) || !isArea(cutter)) return null
+
+  try {
+    const result = turf.difference(turf.featureCollection([toFeature(polygon), toFeature(cutter)]))
+    if (!result) return null
+    return createResultPolygon(polygon, result.geometry, `${polygon.name} − ${cutter.name}`)
+  } catch (error) {
+    console.error('Polygon subtract error:', error)
+    return null
+  }
+}
+
+/**
+ * Split a polygon along a drawn line.
+ * The line is widened to a hairline cut and subtracted, so every piece becomes its own polygon.
+ * @param {object} polygon - Polygon object
+ * @param {object} line - GeoJSON LineString geometry (must cross the polygon)
+ * @returns {Array} New polygons (empty when the line does not split the polygon)
+ */
+export const splitPolygonByLine = (polygon, line) => {
+  if (!isArea(polygon) || line?.type !== 'LineString' || line.coordinates.length < 2) return []
+
+  try {
+    const cut = turf.buffer(turf.lineString(line.coordinates), SPLIT_CUT_WIDTH / 2, { units: 'meters' })
+    const result = turf.difference(turf.featureCollection([toFeature(polygon), cut]))
+    const pieces = getPolygonParts(result)
+    if (pieces.length < 2) return []
+
+    return pieces.map((rings, i) => createResultPolygon(
+      polygon,
+      { type: 'Polygon', coordinates: rings },
+      `${polygon.name} (分割${i + 1})`
+    ))
+  } catch (error) {
+    console.error('Polygon split error:', error)
+    return []
+  }
+}
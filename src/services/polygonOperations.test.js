@@ -0,0 +1,153 @@
+/**
+ * polygonOperations テスト
+ *
+ * バッファ・簡略化・結合・差し引き・分割のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  bufferPolygon,
+  simplifyPolygon,
+  mergePolygons,
+  subtractPolygon,
+  splitPolygonByLine
+} from './polygonOperations';
+import { calculatePolygonArea, countPolygonVertices } from './waypointGenerator';
+
+// 約110m四方の正方形
+const square = (id, lng, lat, size = 0.001) => ({
+  id,
+  name: id,
+  color: '#FF6B6B',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[
+      [lng, lat],
+      [lng + size, lat],
+      [lng + size, lat + size],
+      [lng, lat + size],
+      [lng, lat]
+    ]]
+  }
+});
+
+const base = square('A', 139.7, 35.68);
+
+describe('polygonOperations', () => {
+
+  describe('bufferPolygon', () => {
+    it('正の値で外側に広がり、元のポリゴンは変更しない', () => {
+      const result = bufferPolygon(base, 10);
+
+      expect(result.id).not.toBe(base.id);
+      expect(result.color).toBe(base.color);
+      expect(calculatePolygonArea(result)).toBeGreaterThan(calculatePolygonArea(base));
+      expect(base.geometry.coordinates[0]).toHaveLength(5);
+    });
+
+    it('負の値で内側に縮む', () => {
+      const result = bufferPolygon(base, -10);
+      expect(calculatePolygonArea(result)).toBeLessThan(calculatePolygonArea(base));
+    });
+
+    it('内側バッファでエリアが消える場合はnullを返す', () => {
+      expect(bufferPolygon(base, -100)).toBeNull();
+      expect(bufferPolygon(base, 0)).toBeNull();
+    });
+  });
+
+  describe('simplifyPolygon', () => {
+    it('許容誤差以下のずれの頂点を削除する', () => {
+      const noisy = {
+        ...base,
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [139.7, 35.68],
+            [139.7005, 35.680005],
+            [139.701, 35.68],
+            [139.701, 35.681],
+            [139.7, 35.681],
+            [139.7, 35.68]
+          ]]
+        }
+      };
+      const result = simplifyPolygon(noisy, 2);
+      expect(countPolygonVertices(result)).toBe(4);
+    });
+
+    it('東西方向のずれも緯度に応じたメートルで判定する', () => {
+      // 北緯60度では経度1度が約55.7km。西辺の中点を東西に offset m ずらした長方形
+      const lat = 60;
+      const lngPerMeter = 1 / (111320 * Math.cos((lat * Math.PI) / 180));
+      const bulge = (offset) => ({
+        ...base,
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [10, lat],
+            [10.01, lat],
+            [10.01, lat + 0.001],
+            [10, lat + 0.001],
+            [10 - offset * lngPerMeter, lat + 0.0005],
+            [10, lat]
+          ]]
+        }
+      });
+
+      expect(countPolygonVertices(simplifyPolygon(bulge(3), 2))).toBe(5);
+      expect(countPolygonVertices(simplifyPolygon(bulge(1), 2))).toBe(4);
+    });
+  });
+
+  describe('mergePolygons', () => {
+    it('重なるポリゴンを1つのPolygonに結合する', () => {
+      const result = mergePolygons([base, square('B', 139.7005, 35.68)]);
+
+      expect(result.geometry.type).toBe('Polygon');
+      expect(result.name).toBe('A + B');
+      expect(calculatePolygonArea(result)).toBeCloseTo(calculatePolygonArea(base) * 1.5, -2);
+    });
+
+    it('離れたポリゴンはMultiPolygonになる', () => {
+      const result = mergePolygons([base, square('B', 139.71, 35.68)]);
+      expect(result.geometry.type).toBe('MultiPolygon');
+    });
+
+    it('1つだけではnullを返す', () => {
+      expect(mergePolygons([base])).toBeNull();
+    });
+  });
+
+  describe('subtractPolygon', () => {
+    it('重なる部分を差し引く', () => {
+      const result = subtractPolygon(base, square('B', 139.7005, 35.68));
+      expect(calculatePolygonArea(result)).toBeCloseTo(calculatePolygonArea(base) / 2, -2);
+    });
+
+    it('全体が覆われる場合はnullを返す', () => {
+      expect(subtractPolygon(base, square('B', 139.699, 35.679, 0.003))).toBeNull();
+    });
+  });
+
+  describe('splitPolygonByLine', () => {
+    it('横切る線で2つのポリゴンに分割する', () => {
+      const pieces = splitPolygonByLine(base, {
+        type: 'LineString',
+        coordinates: [[139.7005, 35.679], [139.7005, 35.682]]
+      });
+
+      expect(pieces).toHaveLength(2);
+      expect(pieces[0].name).toBe('A (分割1)');
+      const total = pieces.reduce((sum, p) => sum + calculatePolygonArea(p), 0);
+      expect(total).toBeCloseTo(calculatePolygonArea(base), -2);
+    });
+
+    it('横切らない線では空配列を返す', () => {
+      expect(splitPolygonByLine(base, {
+        type: 'LineString',
+        coordinates: [[139.71, 35.679], [139.71, 35.682]]
+      })).toEqual([]);
+    });
+  });
+});
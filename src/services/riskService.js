@@ -22,12 +22,18 @@ import {
   generateAllNoFlyGeoJSON,
   generateYellowZoneGeoJSON,
   // 制限表面による正確な空港判定
-  checkPointsInRestrictionSurfaces
+  checkPointsInRestrictionSurfaces,
+  // 判定ルール（ゾーンの重大度）
+  getActiveRulePack,
+  evaluateRules
 } from '../lib';
 import { checkDIDArea } from './didService';
 import { getPolygonCenter, calculatePolygonArea as getPolygonArea } from './waypointGenerator';
 import { checkUTMConflicts } from './supportServices';
 
+// ルールの重大度 → 衝突判定の重大度（info も区域内なので WARNING。lib/utils/collision.ts のゾーン判定と同じ対応）
+const RULE_SEVERITY_TO_COLLISION = { error: 'DANGER', warning: 'WARNING', info: 'WARNING' };
+
 // グローバル空間インデックス（初期化後に再利用）
 let globalSpatialIndex = null;
 
@@ -53,7 +59,7 @@ const generateAllProhibitedAreasGeoJSON = () => {
 /**
  * 空間インデックスを取得（遅延初期化）
  */
-const getSpatialIndex = () => {
+export const getSpatialIndex = () => {
   if (!globalSpatialIndex) {
     const prohibitedAreas = generateAllProhibitedAreasGeoJSON();
     globalSpatialIndex = createSpatialIndex(prohibitedAreas);
@@ -166,17 +172,24 @@ export const checkAllWaypointsRestrictions = (waypoints) => {
 
 /**
  * 全WaypointのDID判定を実行
+ * options.onProgress を渡すと ({ progress: 0〜1, message }) で進捗を通知する
+ * options.didData を渡すと DID データを取得せずにそれで判定する（Worker 用、getDIDDataForCoordinates の結果）
  */
-export const checkAllWaypointsDID = async (waypoints) => {
+export const checkAllWaypointsDID = async (waypoints, options = {}) => {
+  const { onProgress = () => {}, didData = null } = options;
   if (!waypoints || waypoints.length === 0) {
     return { hasDIDWaypoints: false, didWaypoints: [], summary: 'Waypointなし' };
   }
 
   const didWaypoints = [];
   const checkedAreas = new Map();
+  const reportEvery = Math.max(1, Math.floor(waypoints.length / 100));
 
-  for (const wp of waypoints) {
-    const didResult = await checkDIDArea(wp.lat, wp.lng);
+  for (const [i, wp] of waypoints.entries()) {
+    if (i % reportEvery === 0) {
+      onProgress({ progress: i / waypoints.length, message: 'DIDを確認中' });
+    }
+    const didResult = await checkDIDArea(wp.lat, wp.lng, { didData });
     if (didResult?.isDID) {
       didWaypoints.push({
         waypointId: wp.id,
@@ -539,9 +552,11 @@ export const calculateApplicationCosts = (analysisResult) => {
 /**
  * Waypoint毎の詳細な衝突検出結果を取得
  * @param {Array} waypoints - Waypointリスト
- * @returns {Object} 詳細な衝突検出結果
+ * @param {Object} options - { rulePack }（ゾーンの重大度を決めるルールパック。省略時は有効なパック）
+ * @returns {Object} 詳細な衝突検出結果（各結果の ruleId は重大度を決めたルール）
  */
-export const getDetailedCollisionResults = (waypoints) => {
+export const getDetailedCollisionResults = (waypoints, options = {}) => {
+  const { rulePack = getActiveRulePack() } = options;
   if (!waypoints || waypoints.length === 0) {
     return {
       results: new Map(),
@@ -556,8 +571,8 @@ export const getDetailedCollisionResults = (waypoints) => {
     coordinates: [wp.lng, wp.lat]
   }));
 
-  const batchResults = checkWaypointsCollisionBatch(waypointsForCheck, spatialIndex);
-  const summary = getCollisionSummary(waypointsForCheck, spatialIndex);
+  const batchResults = checkWaypointsCollisionBatch(waypointsForCheck, spatialIndex, rulePack);
+  const summary = getCollisionSummary(waypointsForCheck, spatialIndex, rulePack);
 
   // タイプ別に集計
   const byType = {};
@@ -592,10 +607,14 @@ export const refreshSpatialIndex = () => {
 /**
  * Waypoint毎の制限表面（kokuarea）ベースの空港判定を取得
  * 円形radiusではなく、実際の制限表面ポリゴンで判定
+ * ceilings（computeAirspaceCeilings の結果）を渡すと、表面の高さと飛行高度の余裕を判定結果に加える。
+ * 表面内でも表面より下を飛ぶWaypointは belowSurface: true となる
  * @param {Array} waypoints - Waypointリスト
+ * @param {Object} options - { ceilings }
  * @returns {Promise<Map>} 各Waypointの制限表面判定結果
  */
-export const checkWaypointsRestrictionSurfaces = async (waypoints) => {
+export const checkWaypointsRestrictionSurfaces = async (waypoints, options = {}) => {
+  const { ceilings = null } = options;
   if (!waypoints || waypoints.length === 0) {
     return new Map();
   }
@@ -608,6 +627,19 @@ export const checkWaypointsRestrictionSurfaces = async (waypoints) => {
 
   try {
     const results = await checkPointsInRestrictionSurfaces(points);
+    if (ceilings) {
+      for (const [waypointId, ceiling] of ceilings.waypoints.entries()) {
+        const result = results.get(waypointId);
+        if (!result?.isInRestrictionSurface) continue;
+        results.set(waypointId, {
+          ...result,
+          ceilingAGL: ceiling.ceilingAGL,
+          ceilingASL: ceiling.ceilingASL,
+          heightMargin: ceiling.margin,
+          belowSurface: ceiling.margin !== null && ceiling.margin >= 0
+        });
+      }
+    }
     return results;
   } catch (error) {
     console.warn('[RiskService] checkWaypointsRestrictionSurfaces error:', error);
@@ -615,6 +647,14 @@ export const checkWaypointsRestrictionSurfaces = async (waypoints) => {
   }
 };
 
+/**
+ * 制限表面外（または表面より下）のWaypointの判定: RBushの空港判定は取り消し、それ以外の衝突はそのまま
+ */
+const withoutAirportCollision = (rbushResult) =>
+  rbushResult.isColliding && (rbushResult.collisionType === 'AIRPORT' || rbushResult.collisionType === 'MILITARY')
+    ? { isColliding: false, collisionType: null, areaName: null, severity: 'SAFE' }
+    : rbushResult;
+
 /**
  * Waypoint毎の詳細な衝突検出結果を取得（制限表面対応版）
  * - 禁止区域（レッドゾーン、イエローゾーン等）: RBush空間インデックス
@@ -622,10 +662,11 @@ export const checkWaypointsRestrictionSurfaces = async (waypoints) => {
  * @param {Array} waypoints - Waypointリスト
  * @param {Object} options - オプション
  * @param {Map} options.restrictionSurfaceResults - 事前に取得した制限表面判定結果（省略時はスキップ）
+ * @param {Object} options.rulePack - ゾーンの重大度を決めるルールパック（省略時は有効なパック）
  * @returns {Object} 詳細な衝突検出結果
  */
 export const getDetailedCollisionResultsWithRestrictionSurfaces = (waypoints, options = {}) => {
-  const { restrictionSurfaceResults = null } = options;
+  const { restrictionSurfaceResults = null, rulePack = getActiveRulePack() } = options;
 
   if (!waypoints || waypoints.length === 0) {
     return {
@@ -642,7 +683,7 @@ export const getDetailedCollisionResultsWithRestrictionSurfaces = (waypoints, op
   }));
 
   // RBushによる禁止区域チェック（空港ゾーンを含む。空港の最終判定は制限表面結果で上書き）
-  const batchResults = checkWaypointsCollisionBatch(waypointsForCheck, spatialIndex);
+  const batchResults = checkWaypointsCollisionBatch(waypointsForCheck, spatialIndex, rulePack);
 
   // 結果をマージ：制限表面結果で空港判定を上書き
   const mergedResults = new Map();
@@ -651,41 +692,46 @@ export const getDetailedCollisionResultsWithRestrictionSurfaces = (waypoints, op
   for (const [waypointId, rbushResult] of batchResults.entries()) {
     const rsResult = restrictionSurfaceResults?.get(waypointId);
 
-    // 制限表面による空港判定があればそれを優先
-    if (rsResult?.isInRestrictionSurface) {
-      // 制限表面内 → 空港制限あり
+    // 制限表面による空港判定があればそれを優先（表面より下を飛ぶ場合は表面外と同じ扱い）
+    if (rsResult?.isInRestrictionSurface && !rsResult.belowSurface) {
+      // 制限表面内 → 空港制限あり（重大度は円形判定の zone ルールと同じくルールパックの aviation.airport ルールで決める）
+      const areaName = rsResult.surfaceLabel || '制限表面内';
+      const match = evaluateRules('aviation.airport', {
+        airportAreaInside: true,
+        areaName,
+        heightMargin: rsResult.heightMargin ?? null
+      }, rulePack);
+      const severity = match ? RULE_SEVERITY_TO_COLLISION[match.severity] : 'DANGER';
       mergedResults.set(waypointId, {
         isColliding: true,
         collisionType: 'AIRPORT',
-        areaName: rsResult.surfaceLabel || '制限表面内',
-        severity: 'WARNING'
+        areaName,
+        severity,
+        message: match?.message ?? `このWaypointは${areaName}内にあります`,
+        ruleId: match?.ruleId ?? null,
+        rulePackId: match?.packId ?? null,
+        heightMargin: rsResult.heightMargin ?? null,
+        // 飛行可能高度の算出後に表面より下を飛ぶと分かった場合の判定（表示側で差し替える）
+        belowSurfaceResult: withoutAirportCollision(rbushResult)
       });
       if (!byType['AIRPORT']) {
-        byType['AIRPORT'] = { count: 0, waypointIds: [], severity: 'WARNING' };
+        byType['AIRPORT'] = { count: 0, waypointIds: [], severity };
+      } else if (severity === 'DANGER') {
+        byType['AIRPORT'].severity = 'DANGER';
       }
       byType['AIRPORT'].count++;
       byType['AIRPORT'].waypointIds.push(waypointId);
-    } else if (rsResult && !rsResult.isInRestrictionSurface) {
-      // 制限表面外 → 空港判定を除外（RBushの結果から空港タイプを除去）
-      if (rbushResult.isColliding && (rbushResult.collisionType === 'AIRPORT' || rbushResult.collisionType === 'MILITARY')) {
-        // RBushは空港判定したが、制限表面では外 → 空港判定を取り消し
-        mergedResults.set(waypointId, {
-          isColliding: false,
-          collisionType: null,
-          areaName: null,
-          severity: 'SAFE'
-        });
-      } else {
-        // 空港以外の衝突（禁止区域等）はそのまま
-        mergedResults.set(waypointId, rbushResult);
-        if (rbushResult.isColliding && rbushResult.collisionType) {
-          const type = rbushResult.collisionType;
-          if (!byType[type]) {
-            byType[type] = { count: 0, waypointIds: [], severity: rbushResult.severity };
-          }
-          byType[type].count++;
-          byType[type].waypointIds.push(waypointId);
+    } else if (rsResult) {
+      // 制限表面外（または表面より下） → 空港判定を除外（RBushの結果から空港タイプを除去）
+      const result = withoutAirportCollision(rbushResult);
+      mergedResults.set(waypointId, result);
+      if (result.isColliding && result.collisionType) {
+        const type = result.collisionType;
+        if (!byType[type]) {
+          byType[type] = { count: 0, waypointIds: [], severity: result.severity };
         }
+        byType[type].count++;
+        byType[type].waypointIds.push(waypointId);
       }
     } else {
       // 制限表面データなし → RBush結果をそのまま使用（フォールバック）
@@ -3,9 +3,21 @@
  * TSPアルゴリズムとバッテリー制約を考慮した最適巡回ルート計算
  */
 
-import { getDroneSpecs, getRouteSettings } from './droneSpecsService';
+import { getDroneSpecs, getRouteSettings, EXACT_SOLVER_MAX_POINTS, OPTIMIZATION_ALGORITHMS } from './droneSpecsService';
 import { getDistanceMeters, checkAirspaceRestrictions } from '../lib';
 import { checkDIDArea } from './flightAnalyzer';
+import { createKeepOutRouter } from './keepOutService';
+import { createBatteryModel } from './batteryModel';
+import { partitionWaypointsForFleet, FLEET_COLORS, MAX_FLEET_SIZE } from './fleetPlanner';
+import { computeAirspaceCeilings, formatCeilingMargin } from './airspaceCeiling';
+import { estimateFlightTime } from './flightTimeModel';
+import {
+  resolveOrderConstraints,
+  solveConstrainedOrder,
+  orderClustersByConstraints,
+  createAdjacencyTest,
+} from './orderConstraints';
+import { sampleLaunchPath, buildFieldItinerary } from './launchPlanner';
 
 /**
  * 2点間の距離を計算（メートル）
@@ -17,6 +29,35 @@ const getDistance = (point1, point2) => {
   return getDistanceMeters(point1.lat, point1.lng, point2.lat, point2.lng);
 };
 
+// 20km以上離れたWaypoint群は別クラスタとして分離する
+const CLUSTER_THRESHOLD_METERS = 20000;
+
+// 焼きなまし法の探索時間（ミリ秒）
+const ANNEALING_TIME_LIMIT_MS = 500;
+
+// Or-opt の探索時間（ミリ秒）と、全区間を走査する回数の上限
+const OR_OPT_TIME_LIMIT_MS = 2000;
+const OR_OPT_MAX_PASSES = 50;
+
+// 最適出発点の候補数（各候補で最近傍法を解くため、地点数が多いときは等間隔に間引く）
+const MAX_START_CANDIDATES = 64;
+
+// バッテリー交換にかかる時間（秒）。フリート運用のミッション時間に加算する
+const BATTERY_SWAP_SECONDS = 300;
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * 進捗通知（progress: 0〜1）を全体の [from, to] の範囲に写す
+ * @param {Function} onProgress - ({ progress, message }) => void
+ * @returns {Function} 部分処理用の onProgress
+ */
+const scaleProgress = (onProgress, from, to) => ({ progress, message }) =>
+  onProgress({ progress: from + (to - from) * progress, message });
+
+// 要素ごとの進捗通知は約1%刻みに間引く
+const shouldReportProgress = (i, total) => i % Math.max(1, Math.floor(total / 100)) === 0;
+
 /**
  * 拠点クラスタリング（同一エリア内のWaypointをグループ化）
  * 距離が閾値以上離れたWaypoint群は別クラスタとして分離する。
@@ -69,15 +110,16 @@ export const clusterWaypointsByProximity = (waypoints, thresholdMeters = 20000)
 /**
  * 距離行列を構築
  * @param {Array} waypoints - ウェイポイント配列
+ * @param {Function} distance - 2点間の距離関数（省略時は直線距離）
  * @returns {Array<Array<number>>} 距離行列
  */
-export const buildDistanceMatrix = (waypoints) => {
+export const buildDistanceMatrix = (waypoints, distance = getDistance) => {
   const n = waypoints.length;
   const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
 
   for (let i = 0; i < n; i++) {
     for (let j = i + 1; j < n; j++) {
-      const dist = getDistance(waypoints[i], waypoints[j]);
+      const dist = distance(waypoints[i], waypoints[j]);
       matrix[i][j] = dist;
       matrix[j][i] = dist;
     }
@@ -88,7 +130,7 @@ export const buildDistanceMatrix = (waypoints) => {
 
 /**
  * 最適な出発点を見つける
- * 全WPを分析し、総ルート距離が最小となる出発点を提案
+ * 各WP（多い場合は MAX_START_CANDIDATES 個に間引いた候補）から最近傍法で巡回し、総ルート距離が最小となる出発点を提案
  * @param {Array} waypoints - ウェイポイント配列
  * @returns {Object} 最適出発点情報
  */
@@ -111,8 +153,10 @@ export const findOptimalStartPoint = (waypoints) => {
   let bestStartIndex = 0;
   let minTotalDistance = Infinity;
 
-  // 各WPを出発点として総距離を計算し、最小を選択
-  for (let startIdx = 0; startIdx < waypoints.length; startIdx++) {
+  // 各候補を出発点として総距離を計算し、最小を選択
+  const step = Math.max(1, waypoints.length / MAX_START_CANDIDATES);
+  for (let k = 0; k * step < waypoints.length; k++) {
+    const startIdx = Math.floor(k * step);
     const route = nearestNeighborTSP(waypoints, startIdx, distanceMatrix);
     const totalDist = calculateRouteDistance(route, distanceMatrix);
 
@@ -238,102 +282,625 @@ export const twoOptImprove = (route, distanceMatrix) => {
 };
 
 /**
- * バッテリー制約によるルート分割
+ * Or-opt改善アルゴリズム
+ * 1〜maxSegmentLength 点の連続区間を別の位置へ（必要なら逆向きで）移動して改善する。
+ * 出発点（route[0]）は固定。2-optでは解消できない「飛び地」の訪問順を直すのに有効。
+ * 距離の差はインデックスから計算し、改善した移動を適用したら最初からやり直さずに走査を続ける。
+ * 走査回数と探索時間に上限があり、上限に達した時点のルートを返す。
+ * @param {Array<number>} route - 現在のルート（インデックス配列）
+ * @param {Array<Array<number>>} distanceMatrix - 距離行列
+ * @param {number} [maxSegmentLength] - 移動する区間の最大点数
+ * @param {Object} [options] - { timeLimitMs, maxPasses }
+ * @returns {Array<number>} 改善後のルート
+ */
+export const orOptImprove = (route, distanceMatrix, maxSegmentLength = 3, options = {}) => {
+  const { timeLimitMs = OR_OPT_TIME_LIMIT_MS, maxPasses = OR_OPT_MAX_PASSES } = options;
+  const n = route.length;
+  if (n < 3) return [...route];
+
+  // 終点の先は存在しない（片道ルート）ため距離0
+  const d = (a, b) => (a === undefined || b === undefined ? 0 : distanceMatrix[a][b]);
+  const current = [...route];
+  const startTime = now();
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+
+    for (let len = 1; len <= maxSegmentLength; len++) {
+      for (let i = 1; i + len <= n; i++) {
+        if (now() - startTime > timeLimitMs) return current;
+
+        // current[i..i+len-1] を取り除いたときの短縮量
+        const first = current[i];
+        const last = current[i + len - 1];
+        const prev = current[i - 1];
+        const next = current[i + len];
+        const removeGain = d(prev, first) + d(last, next) - d(prev, next);
+        if (removeGain <= 1e-9) continue;
+
+        // current[j] と current[j + 1] の間に挿入（j = i - 1 は元の位置、区間内の j は対象外）
+        for (let j = 0; j < n; j++) {
+          if (j >= i - 1 && j < i + len) continue;
+          const a = current[j];
+          const b = current[j + 1];
+          const forward = d(a, first) + d(last, b) - d(a, b);
+          const backward = d(a, last) + d(first, b) - d(a, b);
+          if (Math.min(forward, backward) >= removeGain - 1e-9) continue;
+
+          const segment = current.splice(i, len);
+          if (backward < forward) segment.reverse();
+          current.splice(j < i ? j + 1 : j + 1 - len, 0, ...segment);
+          improved = true;
+          break;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return current;
+};
+
+/**
+ * 再現可能な疑似乱数（mulberry32）
+ * @param {number} seed - シード値
+ * @returns {Function} 0〜1 の乱数を返す関数
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 焼きなまし法（時間制限付き）
+ * 区間反転（2-opt近傍）をランダムに試し、悪化する手も温度に応じて受け入れて局所解から抜け出す。
+ * 出発点（route[0]）は固定。探索中の最良ルートを返す。
+ * @param {Array<number>} route - 初期ルート（インデックス配列）
+ * @param {Array<Array<number>>} distanceMatrix - 距離行列
+ * @param {Object} [options] - { timeLimitMs, maxIterations, seed }
+ * @returns {Array<number>} 最良ルート
+ */
+export const simulatedAnnealingTSP = (route, distanceMatrix, options = {}) => {
+  const { timeLimitMs = ANNEALING_TIME_LIMIT_MS, maxIterations = Infinity, seed = 1 } = options;
+  const n = route.length;
+  if (n < 4) return [...route];
+
+  const d = (a, b) => (b === undefined ? 0 : distanceMatrix[a][b]);
+  const random = createRandom(seed);
+  const current = [...route];
+  let currentDistance = calculateRouteDistance(current, distanceMatrix);
+  let best = [...current];
+  let bestDistance = currentDistance;
+
+  // 初期温度は平均区間長程度、終了時に1/1000まで下げる
+  const initialTemperature = currentDistance / n;
+  const startTime = now();
+  let progress = 0;
+  let temperature = initialTemperature;
+
+  for (let iteration = 0; iteration < maxIterations && progress < 1; iteration++) {
+    if (iteration % 100 === 0) {
+      progress = Math.max((now() - startTime) / timeLimitMs, iteration / maxIterations);
+      temperature = initialTemperature * Math.pow(0.001, progress);
+    }
+
+    const i = 1 + Math.floor(random() * (n - 1));
+    const j = 1 + Math.floor(random() * (n - 1));
+    if (i === j) continue;
+    const a = Math.min(i, j);
+    const b = Math.max(i, j);
+
+    // current[a..b] を反転したときの距離差
+    const delta = d(current[a - 1], current[b]) + d(current[a], current[b + 1])
+      - d(current[a - 1], current[a]) - d(current[b], current[b + 1]);
+
+    if (delta < 0 || random() < Math.exp(-delta / temperature)) {
+      for (let l = a, r = b; l < r; l++, r--) {
+        [current[l], current[r]] = [current[r], current[l]];
+      }
+      currentDistance += delta;
+      if (currentDistance < bestDistance - 1e-9) {
+        bestDistance = currentDistance;
+        best = [...current];
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * 厳密解（Held-Karp 動的計画法）
+ * 出発点を固定した片道ルートの最短訪問順を求める。計算量 O(2^n · n²) のため少数地点専用。
+ * @param {Array<Array<number>>} distanceMatrix - 距離行列
+ * @param {number} [startIndex] - 出発点インデックス
+ * @returns {Array<number>|null} 最短ルート（地点数が上限を超える場合はnull）
+ */
+export const exactTSP = (distanceMatrix, startIndex = 0) => {
+  const n = distanceMatrix.length;
+  if (n > EXACT_SOLVER_MAX_POINTS) return null;
+  if (n <= 2) return n === 2 ? [startIndex, 1 - startIndex] : [0];
+
+  const others = [...Array(n).keys()].filter(i => i !== startIndex);
+  const k = others.length;
+  const size = 1 << k;
+  // cost[mask * k + j]: 出発点から mask の地点をすべて訪れ others[j] で終わる最短距離
+  const cost = new Float64Array(size * k).fill(Infinity);
+  const parent = new Int8Array(size * k).fill(-1);
+
+  for (let j = 0; j < k; j++) {
+    cost[(1 << j) * k + j] = distanceMatrix[startIndex][others[j]];
+  }
+
+  for (let mask = 1; mask < size; mask++) {
+    for (let j = 0; j < k; j++) {
+      const current = cost[mask * k + j];
+      if (!(mask & (1 << j)) || current === Infinity) continue;
+
+      for (let t = 0; t < k; t++) {
+        if (mask & (1 << t)) continue;
+        const nextMask = mask | (1 << t);
+        const value = current + distanceMatrix[others[j]][others[t]];
+        if (value < cost[nextMask * k + t]) {
+          cost[nextMask * k + t] = value;
+          parent[nextMask * k + t] = j;
+        }
+      }
+    }
+  }
+
+  const full = size - 1;
+  let last = 0;
+  for (let j = 1; j < k; j++) {
+    if (cost[full * k + j] < cost[full * k + last]) last = j;
+  }
+
+  const order = [];
+  for (let mask = full, j = last; j !== -1;) {
+    order.unshift(others[j]);
+    const prev = parent[mask * k + j];
+    mask ^= 1 << j;
+    j = prev;
+  }
+
+  return [startIndex, ...order];
+};
+
+/**
+ * 指定アルゴリズムで訪問順序を求める
+ * 厳密解が地点数の上限を超える場合は Or-opt で代替する。
+ * @param {Array} waypoints - ウェイポイント配列
+ * @param {string} algorithm - OPTIMIZATION_ALGORITHMS の id
+ * @param {Array<Array<number>>} distanceMatrix - 距離行列
+ * @param {number} startIndex - 出発点インデックス
+ * @param {Object} [options] - simulatedAnnealingTSP のオプション + orOptTimeLimitMs（Or-opt の探索時間の上限）
+ * @returns {{ indices: Array<number>, algorithm: string }} 訪問順序と実際に使ったアルゴリズム
+ */
+export const solveRouteOrder = (waypoints, algorithm, distanceMatrix, startIndex, options = {}) => {
+  const initial = nearestNeighborTSP(waypoints, startIndex, distanceMatrix);
+
+  switch (algorithm) {
+    case '2-opt':
+      return { indices: twoOptImprove(initial, distanceMatrix), algorithm };
+
+    case 'or-opt': {
+      // 2-opt と Or-opt を改善がなくなるまで（最大 orOptTimeLimitMs）交互に適用
+      const { orOptTimeLimitMs = OR_OPT_TIME_LIMIT_MS } = options;
+      const deadline = now() + orOptTimeLimitMs;
+      let indices = twoOptImprove(initial, distanceMatrix);
+      let distance = calculateRouteDistance(indices, distanceMatrix);
+      while (now() < deadline) {
+        const improved = orOptImprove(indices, distanceMatrix, 3, { timeLimitMs: deadline - now() });
+        const next = twoOptImprove(improved, distanceMatrix);
+        const nextDistance = calculateRouteDistance(next, distanceMatrix);
+        if (nextDistance >= distance - 1e-9) break;
+        indices = next;
+        distance = nextDistance;
+      }
+      return { indices, algorithm };
+    }
+
+    case 'simulated-annealing': {
+      const annealed = simulatedAnnealingTSP(twoOptImprove(initial, distanceMatrix), distanceMatrix, options);
+      return { indices: twoOptImprove(annealed, distanceMatrix), algorithm };
+    }
+
+    case 'exact': {
+      const indices = exactTSP(distanceMatrix, startIndex);
+      return indices
+        ? { indices, algorithm }
+        : solveRouteOrder(waypoints, 'or-opt', distanceMatrix, startIndex, options);
+    }
+
+    default:
+      return { indices: initial, algorithm: 'nearest-neighbor' };
+  }
+};
+
+/**
+ * 全アルゴリズムで optimizeRoute を実行し、巡回距離と計算時間を比較する
+ * 除外エリア・巡回順序の制約・複数機体・離発着地点など、options は optimizeRoute と同じものを使う
+ * （距離はバッテリー分割前の巡回距離 summary.optimizedDistance）。
+ * @param {Array} waypoints - ウェイポイント配列
+ * @param {Object} [options] - optimizeRoute のオプション（algorithm は無視する）
+ * @returns {Promise<Array>} [{ algorithm, name, distance, durationMs, available }]
+ */
+export const compareSolvers = async (waypoints, options = {}) => {
+  if (!waypoints || waypoints.length === 0) return [];
+  const { onProgress = () => {}, ...routeOptions } = options;
+  const results = [];
+
+  for (const [i, { id, name }] of OPTIMIZATION_ALGORITHMS.entries()) {
+    const algorithmProgress = scaleProgress(
+      onProgress,
+      i / OPTIMIZATION_ALGORITHMS.length,
+      (i + 1) / OPTIMIZATION_ALGORITHMS.length
+    );
+    algorithmProgress({ progress: 0, message: `${name}を計算中` });
+    // 規制チェックは訪問順序によらないため比較では省く
+    const result = await optimizeRoute(waypoints, {
+      ...routeOptions,
+      algorithm: id,
+      checkRegulations: false,
+      onProgress: ({ progress }) => algorithmProgress({ progress, message: `${name}を計算中` }),
+    });
+
+    // 厳密解法は地点数の上限を超えると Or-opt で解くため、比較から外す
+    const available = result.success && (id !== 'exact' || result.summary.solvedWith.every(solved => solved === 'exact'));
+    results.push(available
+      ? { algorithm: id, name, distance: result.summary.optimizedDistance, durationMs: result.summary.solverDurationMs, available }
+      : { algorithm: id, name, distance: null, durationMs: null, available });
+  }
+
+  return results;
+};
+
+/**
+ * 指定位置のWaypointから、バッテリーが許す限り順にWaypointを積んだ1フライトを作成
+ * 先頭のWaypointは単独で超過する場合も含める（超過は exceedsBattery で警告する）
  * @param {Array} orderedWaypoints - 順序付きウェイポイント配列
+ * @param {number} start - 開始位置
  * @param {Object} droneSpec - ドローンスペック
  * @param {Object} homePoint - ホームポイント { lat, lng }
- * @returns {Array} フライト配列
+ * @param {Function} legDistance - 区間距離の計算関数
+ * @param {Object|null} batteryModel - createBatteryModel() の戻り値（null の場合は直線距離と maxRange で判定）
+ * @param {Function} [isLinked] - (from, to) => 連続指定で続けて飛ぶ2点か。その間では区切らず、手前で区切る
+ * @returns {Object} { flight: { waypoints, totalDistance, returnDistance, splitLink? }, end: 次のフライトの開始位置 }
+ *   splitLink は連続指定の途中で区切るしかなかった場合の { from, to }
  */
-export const splitRouteByBattery = (orderedWaypoints, droneSpec, homePoint) => {
-  const maxFlightDistance = droneSpec.maxRange;
-  const flights = [];
-  let currentFlight = {
-    waypoints: [],
-    totalDistance: 0,
-  };
+const buildBatteryFlight = (orderedWaypoints, start, droneSpec, homePoint, legDistance, batteryModel, isLinked = () => false) => {
+  const waypoints = [];
   let lastPoint = homePoint;
   let accumulatedDistance = 0;
+  let accumulatedEnergy = batteryModel?.zero;
+  let i = start;
 
-  for (let i = 0; i < orderedWaypoints.length; i++) {
+  for (; i < orderedWaypoints.length; i++) {
     const wp = orderedWaypoints[i];
-    const distToWp = getDistance(lastPoint, wp);
-    const distToHome = getDistance(wp, homePoint);
+    const segmentDistance = legDistance(lastPoint, wp);
+    const visit = batteryModel?.visit(lastPoint, wp, segmentDistance, lastPoint === homePoint);
 
     // このWPを訪問して帰還できるか？
-    const totalIfVisit = accumulatedDistance + distToWp + distToHome;
-
-    if (totalIfVisit > maxFlightDistance && currentFlight.waypoints.length > 0) {
-      // 現在のフライトを保存
-      currentFlight.returnDistance = getDistance(lastPoint, homePoint);
-      currentFlight.totalDistance = accumulatedDistance + currentFlight.returnDistance;
-      flights.push(currentFlight);
-
-      // 新しいフライトを開始
-      currentFlight = {
-        waypoints: [],
-        totalDistance: 0,
-      };
-      lastPoint = homePoint;
-      accumulatedDistance = 0;
+    if (waypoints.length > 0) {
+      const distToHome = legDistance(wp, homePoint);
+      const exceeds = batteryModel
+        ? accumulatedEnergy.high + visit.high + batteryModel.returnHome(wp, homePoint, distToHome).high > batteryModel.usableWh
+        : accumulatedDistance + segmentDistance + distToHome > droneSpec.maxRange;
+      if (exceeds) break;
     }
 
-    // WPをフライトに追加
-    const segmentDistance = getDistance(lastPoint, wp);
-    currentFlight.waypoints.push({
-      ...wp,
-      segmentDistance,
-    });
+    if (batteryModel) {
+      accumulatedEnergy = batteryModel.add(accumulatedEnergy, visit);
+    }
+    waypoints.push({ ...wp, segmentDistance });
     accumulatedDistance += segmentDistance;
     lastPoint = wp;
   }
 
-  // 残りのフライトを追加
-  if (currentFlight.waypoints.length > 0) {
-    currentFlight.returnDistance = getDistance(lastPoint, homePoint);
-    currentFlight.totalDistance = accumulatedDistance + currentFlight.returnDistance;
-    flights.push(currentFlight);
+  // 連続指定の途中で区切る場合は、連続指定の手前まで戻して次のフライトにまとめる
+  let splitLink = null;
+  if (i < orderedWaypoints.length && isLinked(orderedWaypoints[i - 1], orderedWaypoints[i])) {
+    let cut = i;
+    while (cut > start && isLinked(orderedWaypoints[cut - 1], orderedWaypoints[cut])) cut--;
+    if (cut > start) {
+      const kept = waypoints.slice(0, cut - start);
+      const removed = waypoints.slice(cut - start);
+      waypoints.length = 0;
+      waypoints.push(...kept);
+      accumulatedDistance -= removed.reduce((sum, wp) => sum + wp.segmentDistance, 0);
+      lastPoint = orderedWaypoints[cut - 1];
+      i = cut;
+    } else {
+      // 連続指定だけで1フライトに収まらない
+      splitLink = { from: orderedWaypoints[i - 1], to: orderedWaypoints[i] };
+    }
   }
 
+  const returnDistance = legDistance(lastPoint, homePoint);
+  return {
+    flight: {
+      waypoints,
+      totalDistance: accumulatedDistance + returnDistance,
+      returnDistance,
+      ...(splitLink && { splitLink }),
+    },
+    end: i,
+  };
+};
+
+/**
+ * バッテリー制約によるルート分割
+ * batteryModel を渡した場合は消費電力量（風・上昇・ホバリング・ペイロード込み、保守側の見積り）で、
+ * 省略した場合は直線距離と maxRange で分割点を決める。
+ * @param {Array} orderedWaypoints - 順序付きウェイポイント配列
+ * @param {Object} droneSpec - ドローンスペック
+ * @param {Object} homePoint - ホームポイント { lat, lng }
+ * @param {Function} [legDistance] - 区間距離の計算関数（除外エリア迂回時は迂回距離）
+ * @param {Object} [batteryModel] - createBatteryModel() の戻り値
+ * @param {Object} [options] - { isLinked: (from, to) => 連続指定で続けて飛ぶ2点か（その間では区切らない） }
+ * @returns {Array} フライト配列
+ */
+export const splitRouteByBattery = (
+  orderedWaypoints,
+  droneSpec,
+  homePoint,
+  legDistance = getDistance,
+  batteryModel = null,
+  options = {}
+) => {
+  const { isLinked } = options;
+  const flights = [];
+  let start = 0;
+  while (start < orderedWaypoints.length) {
+    const { flight, end } = buildBatteryFlight(
+      orderedWaypoints, start, droneSpec, homePoint, legDistance, batteryModel, isLinked
+    );
+    flights.push(flight);
+    start = end;
+  }
   return flights;
 };
 
 /**
- * フライトの推定時間を計算
- * @param {Object} flight - フライト情報
+ * 分割せずに全Waypointを1フライトで飛ぶ
+ * @param {Array} orderedWaypoints - 順序付きウェイポイント配列
+ * @param {Object} homePoint - ホームポイント { lat, lng }
+ * @param {Function} legDistance - 区間距離の計算関数
+ * @returns {Object} { waypoints, totalDistance, returnDistance }
+ */
+const buildSingleFlight = (orderedWaypoints, homePoint, legDistance) => {
+  let totalDistance = 0;
+  const waypoints = orderedWaypoints.map((wp, idx) => {
+    const prev = idx === 0 ? homePoint : orderedWaypoints[idx - 1];
+    const segmentDistance = legDistance(prev, wp);
+    totalDistance += segmentDistance;
+    return { ...wp, segmentDistance };
+  });
+  const returnDistance = legDistance(orderedWaypoints[orderedWaypoints.length - 1], homePoint);
+  return { waypoints, totalDistance: totalDistance + returnDistance, returnDistance };
+};
+
+/**
+ * 複数の離発着地点（車で移動しながらバッテリー交換する現場）でのルート分割
+ * 訪問順に沿ってフライトを区切り、各フライトは最も多くのWaypointを回れる離発着地点から飛ぶ
+ * （同数なら飛行距離が短い地点）。分割しない場合は全体の飛行距離が最短の地点を使う。
+ * @param {Array} orderedWaypoints - 順序付きウェイポイント配列
  * @param {Object} droneSpec - ドローンスペック
- * @returns {number} 推定時間（分）
+ * @param {Array} launchPoints - 離発着地点の候補 [{ lat, lng, ... }]
+ * @param {Function} [legDistance] - 区間距離の計算関数
+ * @param {Object} [batteryModel] - createBatteryModel() の戻り値
+ * @param {Object} [options] - { autoSplit: バッテリーで分割する（既定 true）, isLinked: 連続指定の判定（splitRouteByBattery と同じ） }
+ * @returns {Array} フライト配列（launchIndex: 使用する候補の番号、clusterHomePoint: その座標）
  */
-const calculateFlightTime = (flight, droneSpec) => {
-  const totalDistance = flight.totalDistance;
-  const speedMps = droneSpec.cruiseSpeed;
-  const timeSeconds = totalDistance / speedMps;
-  return timeSeconds / 60;
+export const splitRouteByLaunchPoints = (
+  orderedWaypoints,
+  droneSpec,
+  launchPoints,
+  legDistance = getDistance,
+  batteryModel = null,
+  options = {}
+) => {
+  const { autoSplit = true, isLinked } = options;
+  const withLaunch = (flight, launchIndex) => ({
+    ...flight,
+    launchIndex,
+    clusterHomePoint: { lat: launchPoints[launchIndex].lat, lng: launchPoints[launchIndex].lng },
+  });
+
+  if (!autoSplit) {
+    const candidates = launchPoints.map((launch, launchIndex) => ({
+      launchIndex,
+      flight: buildSingleFlight(orderedWaypoints, launch, legDistance),
+    }));
+    const best = candidates.reduce((a, b) => (b.flight.totalDistance < a.flight.totalDistance ? b : a));
+    return [withLaunch(best.flight, best.launchIndex)];
+  }
+
+  const flights = [];
+  let start = 0;
+  while (start < orderedWaypoints.length) {
+    let best = null;
+    launchPoints.forEach((launch, launchIndex) => {
+      const candidate = buildBatteryFlight(
+        orderedWaypoints, start, droneSpec, launch, legDistance, batteryModel, isLinked
+      );
+      if (
+        !best ||
+        candidate.end > best.end ||
+        (candidate.end === best.end && candidate.flight.totalDistance < best.flight.totalDistance)
+      ) {
+        best = { ...candidate, launchIndex };
+      }
+    });
+    flights.push(withLaunch(best.flight, best.launchIndex));
+    start = best.end;
+  }
+  return flights;
+};
+
+/**
+ * 除外エリアを迂回した区間距離の計算関数を作成
+ * クラスタ内のWaypoint同士は距離行列を引き、離発着地点との区間などだけ経路探索して保持する
+ * @param {Object} router - createKeepOutRouter() の戻り値
+ * @param {Array} waypoints - 距離行列と同じ並びのWaypoint配列
+ * @param {Array<Array<number>>} matrix - 迂回距離の距離行列
+ * @returns {Function} (from, to) => 区間距離（m）
+ */
+const createRerouteLegDistance = (router, waypoints, matrix) => {
+  const indexById = new Map();
+  waypoints.forEach((wp, i) => {
+    if (wp.id != null) indexById.set(wp.id, i);
+  });
+  // 離発着地点などが同じ id を持っていても、座標が一致するWaypointだけ距離行列を引く
+  const matrixIndex = (point) => {
+    const i = point.id != null ? indexById.get(point.id) : undefined;
+    if (i === undefined) return undefined;
+    return waypoints[i].lat === point.lat && waypoints[i].lng === point.lng ? i : undefined;
+  };
+  const routed = new Map();
+
+  return (from, to) => {
+    const i = matrixIndex(from);
+    const j = matrixIndex(to);
+    if (i !== undefined && j !== undefined) return matrix[i][j];
+
+    let row = routed.get(from);
+    if (!row) {
+      row = new Map();
+      routed.set(from, row);
+    }
+    if (!row.has(to)) row.set(to, router.route(from, to).distance);
+    return row.get(to);
+  };
+};
+
+/**
+ * フライトの各区間（Home→WP→…→Home）で除外エリアを横切る箇所を記録
+ * 迂回できた区間は経由点を detourPath（帰還区間は returnDetourPath）に保持する
+ * @param {Object} flight - フライト情報
+ * @param {Object} homePoint - ホームポイント
+ * @param {Object} router - createKeepOutRouter() の戻り値
+ * @param {boolean} reroute - 迂回する（false の場合は警告のみ）
+ * @returns {Object} keepOutLegs を付与したフライト
+ */
+const annotateKeepOutLegs = (flight, homePoint, router, reroute) => {
+  const keepOutLegs = [];
+  let lastPoint = homePoint;
+
+  const checkLeg = (from, to, toWaypoint) => {
+    const result = router.route(from, to);
+    if (result.crossed.length === 0) return null;
+
+    const rerouted = reroute && result.rerouted;
+    keepOutLegs.push({
+      toWaypointId: toWaypoint?.id ?? null,
+      toWaypointIndex: toWaypoint?.index ?? null,
+      areaNames: result.crossed.map(area => area.name),
+      rerouted,
+      extraDistance: rerouted ? result.distance - getDistance(from, to) : 0,
+    });
+    return rerouted ? result.path : null;
+  };
+
+  const waypoints = flight.waypoints.map((wp) => {
+    const detourPath = checkLeg(lastPoint, wp, wp);
+    lastPoint = wp;
+    return detourPath ? { ...wp, detourPath } : wp;
+  });
+  const returnDetourPath = checkLeg(lastPoint, homePoint, null);
+
+  return {
+    ...flight,
+    waypoints,
+    keepOutLegs,
+    ...(returnDetourPath && { returnDetourPath }),
+  };
+};
+
+/**
+ * 除外エリア区間を規制情報と同じ形式に変換
+ * @param {Object} leg - keepOutLegs の要素
+ * @returns {Object} 規制情報
+ */
+const keepOutLegToRestriction = (leg) => {
+  const target = leg.toWaypointId ? `WP${leg.toWaypointIndex ?? ''}への区間` : '帰還区間';
+  const areas = leg.areaNames.join('・');
+  return {
+    waypointId: leg.toWaypointId,
+    waypointIndex: leg.toWaypointIndex,
+    type: 'keepout',
+    name: areas,
+    severity: leg.rerouted ? 'low' : 'high',
+    description: leg.rerouted
+      ? `${target}は除外エリア（${areas}）を迂回（+${Math.round(leg.extraDistance)}m）`
+      : `${target}が除外エリア（${areas}）を横切ります`,
+  };
 };
 
 /**
- * バッテリー使用率を計算
+ * フライトの推定時間を計算（Home → WP → … → Home、加減速・旋回・上昇・停止・離着陸を含む）
  * @param {Object} flight - フライト情報
+ * @param {Object} homePoint - ホームポイント
  * @param {Object} droneSpec - ドローンスペック
- * @returns {number} バッテリー使用率（%）
+ * @returns {Object} estimateFlightTime の結果（区間ごと・フライト全体の内訳）
  */
-const calculateBatteryUsage = (flight, droneSpec) => {
-  const flightTime = calculateFlightTime(flight, droneSpec);
-  const maxTime = droneSpec.maxFlightTime;
-  return Math.min(100, (flightTime / maxTime) * 100);
+const calculateFlightTime = (flight, homePoint, droneSpec) => {
+  const legDistances = [
+    ...flight.waypoints.map(wp => wp.segmentDistance),
+    flight.returnDistance,
+  ];
+  return estimateFlightTime([homePoint, ...flight.waypoints, homePoint], droneSpec, {
+    legDistances,
+    labelOf: (point, i, last) => (i === 0 || i === last ? 'Home' : `WP${point.optimizedOrder || point.index}`),
+  });
 };
 
 /**
  * ルートの規制チェック
+ * 空港周辺は制限表面の高さと比較し、表面より下を飛ぶWaypoint・区間は規制対象としない
  * @param {Array} waypoints - ウェイポイント配列
+ * @param {Object} options - { legs: 判定する区間 [[from, to]]（省略時は配列順の隣接区間）, onProgress,
+ *   airspaceData: prepareAirspaceData の結果, didData: getDIDDataForCoordinates の結果 }
+ *   airspaceData・didData を渡すと制限表面・標高・DIDデータを取得せずにそれで判定する（Worker 用）
  * @returns {Promise<Array>} 規制情報配列
  */
-export const checkRouteRestrictions = async (waypoints) => {
+export const checkRouteRestrictions = async (waypoints, options = {}) => {
+  const { legs, onProgress = () => {}, airspaceData = null, didData = null } = options;
   const restrictions = [];
 
-  for (const wp of waypoints) {
+  let ceilings = null;
+  try {
+    ceilings = await computeAirspaceCeilings(waypoints, { legs, airspaceData });
+  } catch (error) {
+    console.warn('Airspace ceiling check failed:', error);
+  }
+
+  for (const [i, wp] of waypoints.entries()) {
+    if (shouldReportProgress(i, waypoints.length)) {
+      onProgress({ progress: i / waypoints.length, message: '規制区域を確認中' });
+    }
+
     // 空港・禁止区域チェック
     const airspaceRestrictions = checkAirspaceRestrictions(wp.lat, wp.lng);
     for (const restriction of airspaceRestrictions) {
+      let description = `${restriction.name}から${Math.round(restriction.distance)}m`;
+      let heightMargin;
+
+      // 制限表面データがある場合、表面外・表面より下のWaypointは空港の規制対象外
+      if (restriction.type === 'airport' && ceilings?.surfacesLoaded) {
+        const ceiling = ceilings.waypoints.get(wp.id);
+        if (!ceiling || (ceiling.margin !== null && ceiling.margin >= 0)) continue;
+        description += `（${ceiling.surfaceLabel} ${formatCeilingMargin(ceiling.margin)}）`;
+        heightMargin = ceiling.margin;
+      }
+
       restrictions.push({
         waypointId: wp.id,
         waypointIndex: wp.index,
@@ -341,13 +908,14 @@ export const checkRouteRestrictions = async (waypoints) => {
         name: restriction.name,
         distance: restriction.distance,
         severity: restriction.severity,
-        description: `${restriction.name}から${Math.round(restriction.distance)}m`,
+        description,
+        ...(heightMargin !== undefined && { heightMargin }),
       });
     }
 
     // DIDチェック
     try {
-      const didResult = await checkDIDArea(wp.lat, wp.lng);
+      const didResult = await checkDIDArea(wp.lat, wp.lng, { didData });
       if (didResult.isDID) {
         restrictions.push({
           waypointId: wp.id,
@@ -363,13 +931,53 @@ export const checkRouteRestrictions = async (waypoints) => {
     }
   }
 
+  // 制限表面を超える高さで飛ぶ区間
+  for (const leg of ceilings?.legs || []) {
+    if (!leg.violates) continue;
+    restrictions.push({
+      waypointId: leg.from.id,
+      waypointIndex: leg.from.index,
+      type: 'airspace_ceiling',
+      name: leg.airportName,
+      severity: 'high',
+      heightMargin: leg.margin,
+      description: `WP${leg.from.index}→WP${leg.to.index}: ${leg.airportName}の${leg.surfaceLabel}を${Math.round(-leg.margin)}m超過`,
+    });
+  }
+
   return restrictions;
 };
 
+/**
+ * 巡回順序の制約による距離の増加を集計
+ * @param {Array} reports - [{ applied?, distance, unconstrainedDistance, warnings }]
+ * @returns {Object|null} { distance, unconstrainedDistance, extraDistance, extraPercent, warnings }（適用なしは null）
+ */
+const summarizeOrderConstraints = (reports) => {
+  const applied = reports.filter(report => report.applied !== false);
+  if (applied.length === 0) return null;
+
+  const distance = applied.reduce((sum, report) => sum + report.distance, 0);
+  const unconstrainedDistance = applied.reduce((sum, report) => sum + report.unconstrainedDistance, 0);
+  // 制約付きの局所探索が制約なしの解より短くなることもあるため、増加分は 0 以上とする
+  const extraDistance = Math.max(0, distance - unconstrainedDistance);
+  return {
+    distance,
+    unconstrainedDistance,
+    extraDistance,
+    extraPercent: unconstrainedDistance > 0 ? (extraDistance / unconstrainedDistance) * 100 : 0,
+    warnings: [...new Set(applied.flatMap(report => report.warnings))],
+  };
+};
+
 /**
  * メイン最適化関数
  * @param {Array} waypoints - ウェイポイント配列
- * @param {Object} options - オプション
+ * @param {Object} options - オプション（onProgress: ({ progress: 0〜1, message }) => void で進捗を通知）
+ *   orderConstraints: { first, last, groups, adjacent }（Waypoint ID、orderConstraints.js 参照）で巡回順序を制約
+ *   launchPoints: [{ lat, lng, name? }] / launchPath: [{ lat, lng }]（走行ルート）で複数の離発着地点から飛ぶ
+ *   airspaceData / didData: 規制チェックに使う取得済みの制限表面・標高 / DIDデータ（checkRouteRestrictions 参照）
+ *   solverOptions: solveRouteOrder に渡すアルゴリズムのオプション（simulatedAnnealingTSP の maxIterations など）
  * @returns {Promise<Object>} 最適化結果
  */
 export const optimizeRoute = async (waypoints, options = {}) => {
@@ -380,6 +988,10 @@ export const optimizeRoute = async (waypoints, options = {}) => {
     };
   }
 
+  if (options.fleet?.length > 1) {
+    return optimizeFleetRoute(waypoints, options);
+  }
+
   const settings = getRouteSettings();
   const {
     droneId = settings.selectedDroneId,
@@ -387,6 +999,18 @@ export const optimizeRoute = async (waypoints, options = {}) => {
     algorithm = settings.optimizationAlgorithm,
     checkRegulations = settings.checkRegulationsEnabled,
     autoSplit = settings.autoSplitEnabled,
+    keepOutAreas = [],
+    keepOutMode = 'flag',
+    wind = null,
+    payload = 0,
+    safetyMargin = settings.safetyMargin,
+    orderConstraints = null,
+    launchPoints = null,
+    launchPath = null,
+    airspaceData = null,
+    didData = null,
+    solverOptions = {},
+    onProgress = () => {},
   } = options;
 
   const droneSpec = getDroneSpecs(droneId);
@@ -400,7 +1024,6 @@ export const optimizeRoute = async (waypoints, options = {}) => {
   // 0. 拠点クラスタリング（同一エリア内のWaypointをグループ化）
   // 遠距離拠点を一直線でつなぐ異常なルートを防止するため、
   // 20km以上離れたWaypoint群は別クラスタとして分離する。
-  const CLUSTER_THRESHOLD_METERS = 20000
   const clusters = clusterWaypointsByProximity(waypoints, CLUSTER_THRESHOLD_METERS)
   const isMultiCluster = clusters.length > 1
 
@@ -411,15 +1034,57 @@ export const optimizeRoute = async (waypoints, options = {}) => {
     lng: optimalStart.lng,
   };
 
+  // 複数の離発着地点: 走行ルートに沿った候補、または地点リスト（指定時は homePoint より優先）
+  const launchCandidates = launchPath?.length > 1
+    ? sampleLaunchPath(launchPath)
+    : launchPoints?.length > 0 ? launchPoints : null;
+
+  // 除外エリア: 横切る区間を警告、または迂回距離で計算する
+  const keepOutRouter = keepOutAreas.length > 0 ? createKeepOutRouter(keepOutAreas) : null;
+  const reroute = keepOutRouter !== null && keepOutMode === 'reroute';
+  const matrixDistance = reroute ? (from, to) => keepOutRouter.route(from, to).distance : getDistance;
+
+  // 風・上昇・ホバリング・ペイロードを考慮したバッテリーモデル
+  const batteryModel = createBatteryModel(droneSpec, { wind, payload, safetyMargin });
+
   // 2-5. 各クラスタごとに最適化（TSP + 順序付け）
   let globalOrder = 0
-  const clusterResults = clusters.map((clusterWaypoints) => {
-    const clusterMatrix = buildDistanceMatrix(clusterWaypoints)
+  const usedAlgorithms = new Set()
+  // 巡回順序の制約（最初/最後・グループ順・連続）: クラスタを制約に合う順番に並べ、
+  // 各クラスタ内ではそのクラスタに含まれるWaypointだけで適用する
+  const constraintReport = { applied: false, distance: 0, unconstrainedDistance: 0, warnings: [] }
+  const clusterOrder = orderClustersByConstraints(clusters, orderConstraints)
+  if (clusterOrder.warnings.length > 0) {
+    constraintReport.applied = true
+    constraintReport.warnings.push(...clusterOrder.warnings)
+  }
+  const isLinked = createAdjacencyTest(orderConstraints)
+  const solverStartTime = now()
+  const clusterResults = clusterOrder.clusters.map((clusterWaypoints, clusterIndex) => {
+    // 訪問順序の計算までを全体の 0〜60% とする
+    const clusterProgress = scaleProgress(
+      onProgress,
+      (0.6 * clusterIndex) / clusters.length,
+      (0.6 * (clusterIndex + 1)) / clusters.length
+    )
+    clusterProgress({ progress: 0, message: '距離行列を計算中' })
+    // 迂回モードでは除外エリアを回り込んだ距離を訪問順序のコストにする
+    const clusterMatrix = buildDistanceMatrix(clusterWaypoints, matrixDistance)
+    clusterProgress({ progress: 0.2, message: '出発点を探索中' })
     const clusterStart = findOptimalStartPoint(clusterWaypoints)
-    let clusterIndices = nearestNeighborTSP(clusterWaypoints, clusterStart.index, clusterMatrix)
-
-    if (algorithm === '2-opt') {
-      clusterIndices = twoOptImprove(clusterIndices, clusterMatrix)
+    clusterProgress({ progress: 0.4, message: '訪問順序を最適化中' })
+    const solved = solveRouteOrder(clusterWaypoints, algorithm, clusterMatrix, clusterStart.index, solverOptions)
+    let clusterIndices = solved.indices
+    usedAlgorithms.add(solved.algorithm)
+
+    // 制約がある場合は制約付きで解き直し、制約なしの解との距離差を記録する
+    const resolvedConstraints = resolveOrderConstraints(clusterWaypoints, orderConstraints)
+    if (resolvedConstraints) {
+      clusterIndices = solveConstrainedOrder(clusterMatrix, resolvedConstraints, clusterStart.index)
+      constraintReport.applied = true
+      constraintReport.unconstrainedDistance += calculateRouteDistance(solved.indices, clusterMatrix)
+      constraintReport.distance += calculateRouteDistance(clusterIndices, clusterMatrix)
+      constraintReport.warnings.push(...resolvedConstraints.warnings)
     }
 
     const ordered = clusterIndices.map((idx) => ({
@@ -432,9 +1097,12 @@ export const optimizeRoute = async (waypoints, options = {}) => {
       distanceMatrix: clusterMatrix,
       indices: clusterIndices,
       startPoint: clusterStart,
+      legDistance: reroute ? createRerouteLegDistance(keepOutRouter, clusterWaypoints, clusterMatrix) : getDistance,
     }
   })
 
+  const solverDurationMs = now() - solverStartTime
+
   // 全クラスタのorderedWaypointsをフラット化
   const orderedWaypoints = clusterResults.flatMap((c) => c.waypoints)
 
@@ -452,53 +1120,91 @@ export const optimizeRoute = async (waypoints, options = {}) => {
 
   // 6. バッテリー制約でルート分割
   // 複数クラスタの場合、各クラスタを独立したフライトとして扱う
+  onProgress({ progress: 0.6, message: 'バッテリー分割・飛行時間を計算中' })
   let flights = []
   for (const cluster of clusterResults) {
+    const { legDistance } = cluster
     // 各クラスタ内のHome Pointは、クラスタ内の最適出発点を使用
     const clusterHomePoint = isMultiCluster
       ? { lat: cluster.startPoint.lat, lng: cluster.startPoint.lng }
       : effectiveHomePoint
 
     let clusterFlights
-    if (autoSplit) {
-      clusterFlights = splitRouteByBattery(cluster.waypoints, droneSpec, clusterHomePoint)
+    if (launchCandidates) {
+      // 複数の離発着地点: フライトごとに最適な地点を選ぶ
+      clusterFlights = splitRouteByLaunchPoints(
+        cluster.waypoints, droneSpec, launchCandidates, legDistance, batteryModel, { autoSplit, isLinked }
+      )
+    } else if (autoSplit) {
+      clusterFlights = splitRouteByBattery(
+        cluster.waypoints, droneSpec, clusterHomePoint, legDistance, batteryModel, { isLinked }
+      )
     } else {
-      let totalDist = 0
-      const wps = cluster.waypoints.map((wp, idx) => {
-        const prev = idx === 0 ? clusterHomePoint : cluster.waypoints[idx - 1]
-        const segDist = getDistance(prev, wp)
-        totalDist += segDist
-        return { ...wp, segmentDistance: segDist }
-      })
-      const returnDist = getDistance(
-        cluster.waypoints[cluster.waypoints.length - 1],
-        clusterHomePoint
+      clusterFlights = [buildSingleFlight(cluster.waypoints, clusterHomePoint, legDistance)]
+    }
+    clusterFlights = clusterFlights.map(flight => {
+      const flightHomePoint = flight.clusterHomePoint || clusterHomePoint
+      return {
+        ...flight,
+        clusterHomePoint: flightHomePoint,
+        energy: batteryModel.estimateFlight(flightHomePoint, flight.waypoints, legDistance),
+      }
+    })
+    if (keepOutRouter) {
+      clusterFlights = clusterFlights.map(flight =>
+        annotateKeepOutLegs(flight, flight.clusterHomePoint, keepOutRouter, reroute)
+      )
+    }
+    for (const { splitLink } of clusterFlights) {
+      if (!splitLink) continue
+      constraintReport.warnings.push(
+        `WP${splitLink.from.index}→WP${splitLink.to.index}の連続指定は1フライトに収まらないため、バッテリー交換で区切りました`
       )
-      clusterFlights = [{
-        waypoints: wps,
-        totalDistance: totalDist + returnDist,
-        returnDistance: returnDist,
-        clusterHomePoint,
-      }]
     }
     flights.push(...clusterFlights)
   }
 
   // 7. 各フライトに追加情報を付与
-  const processedFlights = flights.map((flight, idx) => ({
-    flightNumber: idx + 1,
-    waypoints: flight.waypoints,
-    totalDistance: flight.totalDistance,
-    returnDistance: flight.returnDistance,
-    estimatedTime: calculateFlightTime(flight, droneSpec),
-    batteryUsage: calculateBatteryUsage(flight, droneSpec),
-    restrictions: [],
-  }));
+  const processedFlights = flights.map((flight, idx) => {
+    const battery = batteryModel.toBatteryUsage(flight.energy);
+    const timeBreakdown = calculateFlightTime(flight, flight.clusterHomePoint, droneSpec);
+    return {
+      flightNumber: idx + 1,
+      waypoints: flight.waypoints,
+      totalDistance: flight.totalDistance,
+      returnDistance: flight.returnDistance,
+      estimatedTime: timeBreakdown.totalSeconds / 60,
+      timeBreakdown,
+      energyWh: flight.energy.nominal,
+      batteryUsage: battery.usage,
+      batteryUsageHigh: battery.usageHigh,
+      batteryMargin: battery.margin,
+      exceedsBattery: battery.exceedsLimit,
+      restrictions: [],
+      keepOutLegs: flight.keepOutLegs || [],
+      ...(flight.returnDetourPath && { returnDetourPath: flight.returnDetourPath }),
+      ...(launchCandidates && { launchIndex: flight.launchIndex, homePoint: flight.clusterHomePoint }),
+    };
+  });
+
+  // 離発着地点の移動を含む現場の行程
+  const itinerary = launchCandidates
+    ? buildFieldItinerary(processedFlights, launchCandidates, { swapSeconds: BATTERY_SWAP_SECONDS })
+    : null;
 
   // 8. 規制チェック（オプション）
+  onProgress({ progress: 0.7, message: '規制区域を確認中' });
   let restrictions = [];
   if (checkRegulations) {
-    restrictions = await checkRouteRestrictions(orderedWaypoints);
+    const legs = processedFlights.flatMap(flight =>
+      flight.waypoints.slice(1).map((wp, i) => [flight.waypoints[i], wp])
+    );
+    restrictions = await checkRouteRestrictions(orderedWaypoints, {
+      legs,
+      airspaceData,
+      didData,
+      onProgress: scaleProgress(onProgress, 0.7, 1),
+    });
 
     // 各フライトに規制情報を振り分け
     for (const flight of processedFlights) {
@@ -508,7 +1214,32 @@ export const optimizeRoute = async (waypoints, options = {}) => {
     }
   }
 
+  // 除外エリアの横断・迂回を各フライトの警告に追加
+  const keepOutRestrictions = [];
+  for (const flight of processedFlights) {
+    const flightKeepOuts = flight.keepOutLegs.map(keepOutLegToRestriction);
+    flight.restrictions = [...flight.restrictions, ...flightKeepOuts];
+    keepOutRestrictions.push(...flightKeepOuts);
+  }
+  restrictions = [...restrictions, ...keepOutRestrictions];
+
+  // 保守側の見積りで安全マージンを割り込むフライト（自動分割オフ・単一WPで超過する場合）
+  for (const flight of processedFlights) {
+    if (!flight.exceedsBattery) continue;
+    const batteryRestriction = {
+      waypointId: null,
+      waypointIndex: null,
+      type: 'battery',
+      name: `Flight ${flight.flightNumber}`,
+      severity: 'high',
+      description: `Flight ${flight.flightNumber}のバッテリー使用率が安全マージンを超える可能性があります（最大${Math.round(flight.batteryUsageHigh)}%）`,
+    };
+    flight.restrictions.push(batteryRestriction);
+    restrictions.push(batteryRestriction);
+  }
+
   // 9. サマリー計算
+  onProgress({ progress: 1, message: '完了' });
   const totalDistance = processedFlights.reduce((sum, f) => sum + f.totalDistance, 0);
   const totalTime = processedFlights.reduce((sum, f) => sum + f.estimatedTime, 0);
 
@@ -520,8 +1251,9 @@ export const optimizeRoute = async (waypoints, options = {}) => {
   return {
     success: true,
     optimalStartPoint: optimalStart,
-    homePoint: effectiveHomePoint,
+    homePoint: processedFlights[0].homePoint || effectiveHomePoint,
     flights: processedFlights,
+    itinerary,
     totalFlights: processedFlights.length,
     totalDistance,
     totalTime,
@@ -532,19 +1264,178 @@ export const optimizeRoute = async (waypoints, options = {}) => {
       maxFlightTime: droneSpec.maxFlightTime,
       cruiseSpeed: droneSpec.cruiseSpeed,
       maxRange: droneSpec.maxRange,
+      batteryCapacity: droneSpec.batteryCapacity,
+    },
+    battery: {
+      wind,
+      payload,
+      safetyMargin,
+      usableWh: batteryModel.usableWh,
     },
     summary: {
       improvement,
       batteryChanges: processedFlights.length - 1,
       warnings: restrictions.filter(r => r.severity === 'high' || r.severity === 'critical').length,
       algorithm,
+      solvedWith: [...usedAlgorithms],
+      solverDurationMs,
+      optimizedDistance: optimizedDistanceSum,
       clusterCount: clusters.length,
       isMultiCluster,
+      keepOutCrossings: keepOutRestrictions.filter(r => r.severity === 'high').length,
+      keepOutDetours: keepOutRestrictions.filter(r => r.severity === 'low').length,
+      orderConstraints: summarizeOrderConstraints([constraintReport]),
     },
     orderedWaypoints,
   };
 };
 
+/**
+ * フリートモード: 複数機でWaypointを分担し、機体ごとに optimizeRoute を実行する
+ * 各機の担当エリアは重ならず、全機が作業を終えるまでの時間（ミッション時間）が最短になるよう分担する。
+ * @param {Array} waypoints - ウェイポイント配列
+ * @param {Object} options - optimizeRoute のオプション + fleet: [{ droneId, homePoint }]
+ * @returns {Promise<Object>} 最適化結果（isFleet: true、fleet に機体ごとの集計）
+ */
+const optimizeFleetRoute = async (waypoints, options) => {
+  // 機体ごとに離発着地点を持つため、複数離発着地点の指定は使わない
+  const {
+    fleet,
+    homePoint: _homePoint,
+    launchPoints: _launchPoints,
+    launchPath: _launchPath,
+    onProgress = () => {},
+    ...singleOptions
+  } = options;
+  if (fleet.length > MAX_FLEET_SIZE) {
+    return {
+      success: false,
+      error: `同時運航は${MAX_FLEET_SIZE}機までです`,
+    };
+  }
+
+  const specs = fleet.map(member => getDroneSpecs(member.droneId));
+  if (specs.some(spec => !spec)) {
+    return {
+      success: false,
+      error: '無効なドローン機種',
+    };
+  }
+
+  // 離発着地点の指定がない機体は全体の最適出発点から飛ぶ
+  const optimalStart = findOptimalStartPoint(waypoints);
+  const drones = fleet.map((member, i) => ({
+    spec: specs[i],
+    homePoint: member.homePoint || { lat: optimalStart.lat, lng: optimalStart.lng },
+  }));
+
+  // 分担の評価用: 担当区間の巡回順（fleetPlanner が求める）を1機のときと同じバッテリーモデルで分割し、
+  // フライトごとの飛行時間（flightTimeModel）+ バッテリー交換で所要時間を見積もる
+  const settings = getRouteSettings();
+  const {
+    wind = null,
+    payload = 0,
+    safetyMargin = settings.safetyMargin,
+    autoSplit = settings.autoSplitEnabled,
+  } = singleOptions;
+  const batteryModels = specs.map(spec => createBatteryModel(spec, { wind, payload, safetyMargin }));
+  const matrix = buildDistanceMatrix(waypoints);
+  const estimateSeconds = (order, droneIndex) => {
+    if (order.length === 0) return 0;
+    const { spec, homePoint } = drones[droneIndex];
+
+    const ordered = order.map(i => waypoints[i]);
+    const flights = autoSplit
+      ? splitRouteByBattery(ordered, spec, homePoint, getDistance, batteryModels[droneIndex])
+      : [{ waypoints: ordered }];
+    const flightSeconds = flights.reduce((sum, flight) =>
+      sum + estimateFlightTime([homePoint, ...flight.waypoints, homePoint], spec).totalSeconds, 0);
+    return flightSeconds + (flights.length - 1) * BATTERY_SWAP_SECONDS;
+  };
+
+  const { assignments } = partitionWaypointsForFleet(waypoints, drones, estimateSeconds, {
+    distance: (i, j) => matrix[i][j],
+  });
+
+  const members = [];
+  for (let i = 0; i < fleet.length; i++) {
+    const member = {
+      droneIndex: i,
+      droneId: fleet[i].droneId,
+      model: specs[i].model,
+      color: FLEET_COLORS[i],
+      homePoint: drones[i].homePoint,
+      waypointCount: assignments[i].length,
+      result: null,
+    };
+    if (assignments[i].length > 0) {
+      const result = await optimizeRoute(assignments[i].map(index => waypoints[index]), {
+        ...singleOptions,
+        droneId: fleet[i].droneId,
+        homePoint: drones[i].homePoint,
+        onProgress: scaleProgress(onProgress, i / fleet.length, (i + 1) / fleet.length),
+      });
+      if (!result.success) return result;
+      member.result = result;
+    }
+    members.push(member);
+  }
+
+  const active = members.filter(member => member.result);
+  const sum = (fn) => active.reduce((total, member) => total + fn(member.result), 0);
+  const missionTimeOf = (result) =>
+    result.totalTime + ((result.totalFlights - 1) * BATTERY_SWAP_SECONDS) / 60;
+
+  const flights = active.flatMap(member => member.result.flights.map(flight => ({
+    ...flight,
+    droneIndex: member.droneIndex,
+    droneColor: member.color,
+  })));
+  const restrictions = active.flatMap(member => member.result.restrictions);
+
+  return {
+    success: true,
+    isFleet: true,
+    fleet: members.map(({ result, ...member }) => ({
+      ...member,
+      totalFlights: result?.totalFlights || 0,
+      totalDistance: result?.totalDistance || 0,
+      totalTime: result?.totalTime || 0,
+      missionTime: result ? missionTimeOf(result) : 0,
+    })),
+    optimalStartPoint: optimalStart,
+    homePoint: drones[0].homePoint,
+    flights,
+    itinerary: null,
+    totalFlights: flights.length,
+    totalDistance: sum(result => result.totalDistance),
+    totalTime: sum(result => result.totalTime),
+    missionTime: Math.max(...active.map(member => missionTimeOf(member.result))),
+    restrictions,
+    droneSpec: active[0].result.droneSpec,
+    battery: active[0].result.battery,
+    summary: {
+      // 改善率は機体ごとに基準が異なるため集計しない
+      improvement: 0,
+      batteryChanges: sum(result => result.summary.batteryChanges),
+      warnings: restrictions.filter(r => r.severity === 'high' || r.severity === 'critical').length,
+      algorithm: singleOptions.algorithm ?? active[0].result.summary.algorithm,
+      solvedWith: [...new Set(active.flatMap(member => member.result.summary.solvedWith))],
+      solverDurationMs: sum(result => result.summary.solverDurationMs),
+      optimizedDistance: sum(result => result.summary.optimizedDistance),
+      clusterCount: sum(result => result.summary.clusterCount),
+      isMultiCluster: active.some(member => member.result.summary.isMultiCluster),
+      keepOutCrossings: sum(result => result.summary.keepOutCrossings),
+      keepOutDetours: sum(result => result.summary.keepOutDetours),
+      orderConstraints: summarizeOrderConstraints(
+        active.map(member => member.result.summary.orderConstraints).filter(Boolean)
+      ),
+      fleetSize: fleet.length,
+    },
+    orderedWaypoints: active.flatMap(member => member.result.orderedWaypoints),
+  };
+};
+
 /**
  * フォーマット済みの距離を取得
  * @param {number} meters - 距離（メートル）
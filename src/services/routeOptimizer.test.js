@@ -0,0 +1,195 @@
+/**
+ * routeOptimizer テスト
+ *
+ * 巡回順序ソルバー（Or-opt・焼きなまし法・厳密解）とフリートモードのテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildDistanceMatrix,
+  nearestNeighborTSP,
+  twoOptImprove,
+  orOptImprove,
+  simulatedAnnealingTSP,
+  exactTSP,
+  solveRouteOrder,
+  compareSolvers,
+  optimizeRoute
+} from './routeOptimizer';
+import { EXACT_SOLVER_MAX_POINTS } from './droneSpecsService';
+
+// 再現可能な擬似乱数で約1km四方に点を配置
+const randomWaypoints = (count, seed = 7) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  return Array.from({ length: count }, (_, i) => ({
+    id: `wp${i}`,
+    lat: 35.68 + random() * 0.01,
+    lng: 139.7 + random() * 0.01
+  }));
+};
+
+const routeDistance = (route, matrix) =>
+  route.slice(1).reduce((sum, idx, i) => sum + matrix[route[i]][idx], 0);
+
+// 出発点固定の全順列から最短距離を求める
+const bruteForce = (matrix, start) => {
+  const rest = matrix.map((_, i) => i).filter(i => i !== start);
+  let best = Infinity;
+  const permute = (prefix, remaining) => {
+    if (remaining.length === 0) {
+      best = Math.min(best, routeDistance(prefix, matrix));
+      return;
+    }
+    remaining.forEach((idx, i) => {
+      permute([...prefix, idx], [...remaining.slice(0, i), ...remaining.slice(i + 1)]);
+    });
+  };
+  permute([start], rest);
+  return best;
+};
+
+const isPermutation = (route, n) => [...route].sort((a, b) => a - b).every((v, i) => v === i) && route.length === n;
+
+describe('routeOptimizer solvers', () => {
+
+  describe('exactTSP', () => {
+    it('全順列探索と同じ最短距離を返す', () => {
+      const waypoints = randomWaypoints(8);
+      const matrix = buildDistanceMatrix(waypoints);
+      const route = exactTSP(matrix, 2);
+
+      expect(route[0]).toBe(2);
+      expect(isPermutation(route, 8)).toBe(true);
+      expect(routeDistance(route, matrix)).toBeCloseTo(bruteForce(matrix, 2), 6);
+    });
+
+    it('上限を超える地点数ではnullを返す', () => {
+      const matrix = buildDistanceMatrix(randomWaypoints(EXACT_SOLVER_MAX_POINTS + 1));
+      expect(exactTSP(matrix, 0)).toBeNull();
+    });
+  });
+
+  describe('orOptImprove', () => {
+    it('出発点を保ったまま2-optの結果を悪化させない', () => {
+      const waypoints = randomWaypoints(40);
+      const matrix = buildDistanceMatrix(waypoints);
+      const twoOpt = twoOptImprove(nearestNeighborTSP(waypoints, 0, matrix), matrix);
+      const route = orOptImprove(twoOpt, matrix);
+
+      expect(route[0]).toBe(0);
+      expect(isPermutation(route, 40)).toBe(true);
+      expect(routeDistance(route, matrix)).toBeLessThanOrEqual(routeDistance(twoOpt, matrix) + 1e-6);
+    });
+
+    it('走査回数・探索時間の上限に達したらその時点のルートを返す', () => {
+      const waypoints = randomWaypoints(200);
+      const matrix = buildDistanceMatrix(waypoints);
+      const initial = nearestNeighborTSP(waypoints, 0, matrix);
+
+      expect(orOptImprove(initial, matrix, 3, { timeLimitMs: -1 })).toEqual(initial);
+      const onePass = orOptImprove(initial, matrix, 3, { maxPasses: 1 });
+      const converged = orOptImprove(initial, matrix, 3, { maxPasses: Infinity, timeLimitMs: Infinity });
+      expect(isPermutation(onePass, 200)).toBe(true);
+      expect(routeDistance(onePass, matrix)).toBeLessThan(routeDistance(initial, matrix));
+      expect(routeDistance(converged, matrix)).toBeLessThanOrEqual(routeDistance(onePass, matrix) + 1e-6);
+    });
+  });
+
+  describe('simulatedAnnealingTSP', () => {
+    it('シードが同じなら同じ結果になり、初期ルートより悪化しない', () => {
+      const waypoints = randomWaypoints(30);
+      const matrix = buildDistanceMatrix(waypoints);
+      const initial = nearestNeighborTSP(waypoints, 0, matrix);
+      const options = { maxIterations: 20000, timeLimitMs: 10000, seed: 42 };
+
+      const route = simulatedAnnealingTSP(initial, matrix, options);
+      expect(simulatedAnnealingTSP(initial, matrix, options)).toEqual(route);
+      expect(route[0]).toBe(0);
+      expect(isPermutation(route, 30)).toBe(true);
+      expect(routeDistance(route, matrix)).toBeLessThanOrEqual(routeDistance(initial, matrix));
+    });
+  });
+
+  describe('solveRouteOrder', () => {
+    it('厳密解が使えない地点数ではOr-optで代替する', () => {
+      const waypoints = randomWaypoints(EXACT_SOLVER_MAX_POINTS + 2);
+      const matrix = buildDistanceMatrix(waypoints);
+      expect(solveRouteOrder(waypoints, 'exact', matrix, 0).algorithm).toBe('or-opt');
+    });
+
+    it('不明なアルゴリズムは最近傍法として扱う', () => {
+      const waypoints = randomWaypoints(5);
+      const matrix = buildDistanceMatrix(waypoints);
+      expect(solveRouteOrder(waypoints, 'unknown', matrix, 0)).toEqual({
+        indices: nearestNeighborTSP(waypoints, 0, matrix),
+        algorithm: 'nearest-neighbor'
+      });
+    });
+  });
+
+  describe('compareSolvers', () => {
+    it('全アルゴリズムの距離と計算時間を返し、厳密解が最短になる', async () => {
+      const results = await compareSolvers(randomWaypoints(10), { solverOptions: { maxIterations: 5000 } });
+      const exact = results.find(r => r.algorithm === 'exact');
+
+      expect(results.map(r => r.algorithm)).toEqual([
+        'nearest-neighbor', '2-opt', 'or-opt', 'simulated-annealing', 'exact'
+      ]);
+      for (const result of results) {
+        expect(result.durationMs).toBeGreaterThanOrEqual(0);
+        expect(exact.distance).toBeLessThanOrEqual(result.distance + 1e-6);
+      }
+    });
+
+    it('厳密解の上限を超える場合は利用不可として返す', async () => {
+      const results = await compareSolvers(randomWaypoints(EXACT_SOLVER_MAX_POINTS + 1), { solverOptions: { maxIterations: 1000 } });
+      expect(results.find(r => r.algorithm === 'exact').available).toBe(false);
+    });
+
+    it('optimizeRoute と同じオプション（複数機体など）で比較する', async () => {
+      const waypoints = randomWaypoints(12);
+      const options = {
+        fleet: [{ droneId: 'mavic-3-enterprise' }, { droneId: 'mavic-3-enterprise' }],
+        solverOptions: { maxIterations: 1000 },
+      };
+      const results = await compareSolvers(waypoints, options);
+      const twoOpt = await optimizeRoute(waypoints, { ...options, algorithm: '2-opt', checkRegulations: false });
+
+      expect(results.find(r => r.algorithm === '2-opt').distance).toBeCloseTo(twoOpt.summary.optimizedDistance, 6);
+    });
+  });
+
+  describe('optimizeRoute（フリートモード）', () => {
+    it('複数機で重複なく分担し、機体ごとの色とミッション時間を返す', async () => {
+      const waypoints = randomWaypoints(40);
+      const options = { algorithm: '2-opt', checkRegulations: false, autoSplit: true };
+      const single = await optimizeRoute(waypoints, { ...options, droneId: 'mavic-3-enterprise' });
+      const result = await optimizeRoute(waypoints, {
+        ...options,
+        fleet: [
+          { droneId: 'mavic-3-enterprise', homePoint: null },
+          { droneId: 'matrice-30t', homePoint: { lat: 35.69, lng: 139.71 } }
+        ]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.isFleet).toBe(true);
+      expect(result.fleet.map(m => m.waypointCount).reduce((a, b) => a + b)).toBe(40);
+      expect(new Set(result.orderedWaypoints.map(wp => wp.id)).size).toBe(40);
+      expect(new Set(result.flights.map(f => f.droneColor)).size).toBe(2);
+      expect(result.missionTime).toBeLessThan(single.totalTime);
+    });
+
+    it('無効な機種はエラーを返す', async () => {
+      const result = await optimizeRoute(randomWaypoints(5), {
+        checkRegulations: false,
+        fleet: [{ droneId: 'mavic-3-enterprise' }, { droneId: 'unknown' }]
+      });
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -7,19 +7,26 @@
  * - バッテリー効率ルート
  */
 
-import { getDistanceMeters, AIRPORT_ZONES, NO_FLY_ZONES } from '../lib';
+import { getDistanceMeters, AIRPORT_ZONES } from '../lib';
 import { checkDIDArea } from './flightAnalyzer';
+import { preloadDIDDataForCoordinates, getCachedDIDFeatures } from './didService';
+import { getSpatialIndex } from './riskService';
+import { planAvoidancePath } from './avoidancePlanner';
+import { getSelectedDroneId, getDroneSpecs } from './droneSpecsService';
+import { estimateFlightTime } from './flightTimeModel';
+import { planPhotogrammetryForDrone } from './photogrammetryService';
+import { classifySpecifiedFlight, formatFlightCategory } from './specifiedFlight';
 
 // Constants
-const AVG_SPEED_KMH = 40; // 一般的なドローン巡航速度
+const AVG_SPEED_KMH = 40; // 一般的なドローン巡航速度（機種スペックがない場合）
 const BATTERY_CONSUMPTION_PER_KM = 3; // 1kmあたり3%
 const BATTERY_ALTITUDE_FACTOR = 0.05; // 高度によるバッテリー消費係数
 const WEIGHT_MULTIPLIER_HEAVY = 1.5;
 const WEIGHT_MULTIPLIER_CARGO = 1.3;
 const CHECK_POINTS_COUNT = 10;
 const METERS_PER_DEGREE = 111000; // 緯度経度1度あたりの概算距離(m)
-const CAT2_DISTANCE_THRESHOLD = 500;
-const CAT3_DISTANCE_THRESHOLD = 2000;
+const DID_SEARCH_PADDING = 5000; // 経路周辺のDIDを取得する範囲(m)
+const VLOS_DISTANCE_THRESHOLD = 500; // これを超える経路は目視外飛行とみなす(m)
 const PENALTY_ERROR = 20;
 const PENALTY_WARNING = 10;
 const PENALTY_FLIGHT_TIME = 2;
@@ -30,6 +37,9 @@ const AVOIDANCE_DISTANCE_FACTOR = 1.1;
 
 // ===== ユースケース定義 =====
 
+// flightConditions: 用途ごとの飛行方法（特定飛行の判定に使用、specifiedFlight.js）
+// regulations: 特定飛行以外の関連規制・手続き
+
 export const USE_CASES = [
   {
     id: 'emergency_medical',
@@ -40,7 +50,8 @@ export const USE_CASES = [
     maxFlightTime: 30, // 分
     recommendedAltitude: 100,
     weight: 'light', // 軽量貨物
-    regulations: ['特定飛行（レベル3.5相当）', '緊急用務空域の確認必須'],
+    flightConditions: { bvlos: true },
+    regulations: ['緊急用務空域の確認必須'],
     tips: [
       '事前に飛行経路を医療機関と共有',
       'バックアップルートを設定',
@@ -56,7 +67,8 @@ export const USE_CASES = [
     maxFlightTime: 25,
     recommendedAltitude: 50,
     weight: 'camera',
-    regulations: ['目視外飛行（BVLOS）', '施設管理者許可'],
+    flightConditions: { bvlos: true },
+    regulations: ['施設管理者許可'],
     tips: [
       '熱画像カメラ搭載推奨',
       '日中の晴天時が最適',
@@ -72,7 +84,8 @@ export const USE_CASES = [
     maxFlightTime: 20,
     recommendedAltitude: 80,
     weight: 'camera',
-    regulations: ['目視外飛行（BVLOS）', '道路管理者・電力会社許可'],
+    flightConditions: { bvlos: true },
+    regulations: ['道路管理者・電力会社許可'],
     tips: [
       '障害物センサー搭載推奨',
       '風速に注意（高所は風が強い）',
@@ -88,7 +101,14 @@ export const USE_CASES = [
     maxFlightTime: 30,
     recommendedAltitude: 100,
     weight: 'survey',
-    regulations: ['目視外飛行（BVLOS）', '測量法に基づく資格'],
+    // 写真測量パラメータ（高度・ライン間隔はカメラ仕様から算出）
+    photogrammetry: {
+      targetGSD: 2.0, // cm/px
+      frontOverlap: 0.8,
+      sideOverlap: 0.7,
+    },
+    flightConditions: { bvlos: true },
+    regulations: ['測量法に基づく資格'],
     tips: [
       'RTK対応機体推奨',
       'GCP（基準点）を設置',
@@ -104,6 +124,7 @@ export const USE_CASES = [
     maxFlightTime: 15,
     recommendedAltitude: 30,
     weight: 'heavy', // 散布剤搭載
+    flightConditions: { dangerousGoods: true, payloadDrop: true },
     regulations: ['農薬散布は認定機体のみ', '周辺住民への事前通知'],
     tips: [
       '早朝または夕方が最適',
@@ -120,7 +141,8 @@ export const USE_CASES = [
     maxFlightTime: 30,
     recommendedAltitude: 100,
     weight: 'cargo',
-    regulations: ['レベル4飛行（一等資格）', '運航管理システム必須'],
+    flightConditions: { bvlos: true, overPeople: true },
+    regulations: ['運航管理システム必須'],
     tips: [
       '着陸地点の事前確認',
       '積載重量を確認',
@@ -136,7 +158,8 @@ export const USE_CASES = [
     maxFlightTime: 20,
     recommendedAltitude: 60,
     weight: 'light',
-    regulations: ['イベント上空は原則禁止', '警察との連携必須'],
+    flightConditions: { eventOverflight: true },
+    regulations: ['警察との連携必須'],
     tips: [
       'リアルタイム映像伝送',
       'スペア機を準備',
@@ -152,11 +175,41 @@ export const USE_CASES = [
     maxFlightTime: 25,
     recommendedAltitude: 50,
     weight: 'light',
+    flightConditions: {},
     regulations: ['用途に応じた許可取得'],
     tips: [],
   },
 ];
 
+// ===== 写真測量 =====
+
+/**
+ * ユースケースの写真測量計画を取得
+ * photogrammetry パラメータを持つユースケースのみ対象
+ *
+ * @param {Object} useCase - ユースケース
+ * @param {string} [droneId] - ドローンID（省略時は選択中の機種）
+ * @returns {Object|null} 撮影計画（高度・ライン間隔・撮影間隔）
+ */
+export const getUseCasePhotoPlan = (useCase, droneId = getSelectedDroneId()) => {
+  if (!useCase?.photogrammetry) return null;
+  return planPhotogrammetryForDrone(droneId, useCase.photogrammetry);
+};
+
+/**
+ * ユースケースの飛行高度を取得
+ * 写真測量ユースケースではカメラ仕様と目標GSDから算出した高度を使用
+ *
+ * @param {Object} useCase - ユースケース
+ * @param {string} [droneId] - ドローンID
+ * @returns {number} 対地高度（m）
+ */
+export const getUseCaseAltitude = (useCase, droneId) => {
+  const photoPlan = getUseCasePhotoPlan(useCase, droneId);
+  if (photoPlan) return Math.round(photoPlan.altitude);
+  return useCase?.recommendedAltitude || 50;
+};
+
 // ===== ルート生成 =====
 
 /**
@@ -178,134 +231,64 @@ const generateDirectRoute = (start, end) => {
 
 /**
  * DID/制限区域を回避するルートを生成
- * シンプルな迂回アルゴリズム
+ * 区域を離隔分だけ膨らませた可視グラフを A* で探索する（avoidancePlanner）
  */
 const generateAvoidanceRoute = async (start, end, options = {}) => {
   const { avoidDID = true, avoidAirport = true, margin = 500 } = options;
 
-  // 直線ルート上の中間点をチェック
-  const checkPoints = [];
-  const obstacles = [];
-
-  for (let i = 0; i <= CHECK_POINTS_COUNT; i++) {
-    const t = i / CHECK_POINTS_COUNT;
-    const lat = start.lat + (end.lat - start.lat) * t;
-    const lng = start.lng + (end.lng - start.lng) * t;
-    checkPoints.push({ lat, lng, t });
-
-    // DIDチェック
-    if (avoidDID) {
-      const didResult = await checkDIDArea(lat, lng);
-      if (didResult.isDID) {
-        obstacles.push({
-          type: 'did',
-          lat,
-          lng,
-          t,
-          name: didResult.area,
-          centroid: didResult.centroid,
-        });
-      }
-    }
-
-    // 空港チェック
-    if (avoidAirport) {
-      for (const airport of AIRPORT_ZONES) {
-        const dist = getDistanceMeters(lat, lng, airport.lat, airport.lng);
-        if (dist < airport.radius + margin) {
-          obstacles.push({
-            type: 'airport',
-            lat: airport.lat,
-            lng: airport.lng,
-            radius: airport.radius,
-            t,
-            name: airport.name,
-          });
-        }
-      }
-    }
-
-    // 禁止区域チェック
-    for (const zone of NO_FLY_ZONES) {
-      const dist = getDistanceMeters(lat, lng, zone.lat, zone.lng);
-      if (dist < zone.radius + margin) {
-        obstacles.push({
-          type: 'prohibited',
-          lat: zone.lat,
-          lng: zone.lng,
-          radius: zone.radius,
-          t,
-          name: zone.name,
-        });
-      }
-    }
+  // DIDは都道府県単位のGeoJSONを経路沿いにロードしてから障害物に加える
+  let didFeatures = [];
+  if (avoidDID) {
+    const samples = Array.from({ length: CHECK_POINTS_COUNT + 1 }, (_, i) => ({
+      lat: start.lat + ((end.lat - start.lat) * i) / CHECK_POINTS_COUNT,
+      lng: start.lng + ((end.lng - start.lng) * i) / CHECK_POINTS_COUNT,
+    }));
+    await preloadDIDDataForCoordinates(samples);
+    const pad = DID_SEARCH_PADDING / METERS_PER_DEGREE;
+    didFeatures = getCachedDIDFeatures({
+      minLat: Math.min(start.lat, end.lat) - pad,
+      maxLat: Math.max(start.lat, end.lat) + pad,
+      minLng: Math.min(start.lng, end.lng) - pad,
+      maxLng: Math.max(start.lng, end.lng) + pad,
+    });
   }
 
+  const plan = planAvoidancePath(start, end, {
+    spatialIndex: getSpatialIndex(),
+    extraFeatures: didFeatures,
+    margin,
+    filter: (feature) => avoidAirport || feature.properties?.zoneType !== 'AIRPORT',
+  });
+
   // 障害物がなければ直線ルート
-  if (obstacles.length === 0) {
+  if (plan.path.length <= 2) {
     return {
       ...generateDirectRoute(start, end),
       type: 'direct',
       avoided: [],
+      unavoidable: plan.unavoidable,
+      clear: plan.clear,
     };
   }
 
-  // 迂回ポイントを計算（シンプルな横方向オフセット）
   const waypoints = [
     { lat: start.lat, lng: start.lng, type: 'start', name: start.name || '出発地' },
-  ];
-
-  // 障害物ごとに迂回ポイントを追加
-  const uniqueObstacles = obstacles.reduce((acc, obs) => {
-    if (!acc.find(o => o.name === obs.name)) {
-      acc.push(obs);
-    }
-    return acc;
-  }, []);
-
-  for (const obs of uniqueObstacles) {
-    // 直線に対して垂直方向にオフセット
-    const dx = end.lng - start.lng;
-    const dy = end.lat - start.lat;
-    const len = Math.sqrt(dx * dx + dy * dy);
-    const perpX = -dy / len;
-    const perpY = dx / len;
-
-    // オフセット距離（障害物のサイズに応じて）
-    const offsetDist = obs.radius
-      ? (obs.radius + margin) / METERS_PER_DEGREE // メートルを度に変換（概算）
-      : 0.01; // DIDの場合は固定オフセット
-
-    // 迂回ポイント（障害物の手前と奥）
-    const midLat = start.lat + (end.lat - start.lat) * obs.t;
-    const midLng = start.lng + (end.lng - start.lng) * obs.t;
-
-    waypoints.push({
-      lat: midLat + perpY * offsetDist,
-      lng: midLng + perpX * offsetDist,
+    ...plan.path.slice(1, -1).map((point, i) => ({
+      lat: point.lat,
+      lng: point.lng,
       type: 'waypoint',
-      name: `${obs.name}回避`,
-    });
-  }
-
-  waypoints.push(
-    { lat: end.lat, lng: end.lng, type: 'end', name: end.name || '目的地' }
-  );
-
-  // 総距離を計算
-  let totalDistance = 0;
-  for (let i = 1; i < waypoints.length; i++) {
-    totalDistance += getDistanceMeters(
-      waypoints[i - 1].lat, waypoints[i - 1].lng,
-      waypoints[i].lat, waypoints[i].lng
-    );
-  }
+      name: `回避点${i + 1}`,
+    })),
+    { lat: end.lat, lng: end.lng, type: 'end', name: end.name || '目的地' },
+  ];
 
   return {
     waypoints,
-    distance: totalDistance,
+    distance: plan.distance,
     type: 'avoidance',
-    avoided: uniqueObstacles.map(o => o.name),
+    avoided: plan.avoided,
+    unavoidable: plan.unavoidable,
+    clear: plan.clear,
   };
 };
 
@@ -315,11 +298,16 @@ const generateAvoidanceRoute = async (start, end, options = {}) => {
  * ルートを評価してスコアリング
  */
 const evaluateRoute = async (route, useCase, options = {}) => {
-  const { altitude = 50 } = options;
+  const { altitude = 50, droneId = getSelectedDroneId() } = options;
 
-  // 基本情報
+  // 基本情報（飛行時間は選択中の機種で加減速・旋回・離着陸を含めて推定）
   const distance = route.distance;
-  const flightTime = (distance / 1000) / AVG_SPEED_KMH * 60; // 分
+  const droneSpec = getDroneSpecs(droneId) || { cruiseSpeed: AVG_SPEED_KMH / 3.6 };
+  const timeBreakdown = estimateFlightTime(route.waypoints, droneSpec, {
+    altitude,
+    labelOf: (point) => point.name,
+  });
+  const flightTime = timeBreakdown.totalSeconds / 60; // 分
 
   // バッテリー消費推定（距離 + 高度 + 積載重量）
   let batteryUsage = (distance / 1000) * BATTERY_CONSUMPTION_PER_KM; // 1kmあたり3%
@@ -342,7 +330,6 @@ const evaluateRoute = async (route, useCase, options = {}) => {
         severity: 'warning',
         description: `DID通過: ${didResult.area}`,
       });
-      permits.push('DIPS通報（特定飛行）');
     }
 
     for (const airport of AIRPORT_ZONES) {
@@ -359,14 +346,22 @@ const evaluateRoute = async (route, useCase, options = {}) => {
     }
   }
 
-  // 申請カテゴリ判定
-  let category = 'カテゴリーⅡ（目視内）';
-  if (distance > CAT2_DISTANCE_THRESHOLD) {
-    category = 'カテゴリーⅢ（目視外・補助者あり）';
-    permits.push('目視外飛行許可');
-  }
-  if (distance > CAT3_DISTANCE_THRESHOLD || issues.some(i => i.type === 'did')) {
-    category = 'カテゴリーⅢ（目視外・補助者なし）';
+  // 特定飛行・飛行カテゴリー判定（用途の飛行方法 + 経路の空域・距離）
+  const specifiedFlight = classifySpecifiedFlight({
+    ...useCase.flightConditions,
+    bvlos: useCase.flightConditions?.bvlos || distance > VLOS_DISTANCE_THRESHOLD,
+    did: issues.some(i => i.type === 'did'),
+    airport: issues.some(i => i.type === 'airport'),
+    altitude,
+    takeoffWeightKg: droneSpec.takeoffWeight,
+    autonomous: true,
+  });
+  const category = formatFlightCategory(specifiedFlight);
+  if (specifiedFlight.isSpecified) {
+    permits.push(specifiedFlight.permission.waivable
+      ? `飛行許可・承認（${specifiedFlight.categoryLabel}、技能証明＋機体認証で省略可）`
+      : `飛行許可・承認（${specifiedFlight.categoryLabel}）`);
+    permits.push('飛行計画の通報（特定飛行）');
   }
 
   // スコア計算（100点満点）
@@ -391,8 +386,10 @@ const evaluateRoute = async (route, useCase, options = {}) => {
       score,
       recommendation,
       flightTime: Math.round(flightTime),
+      timeBreakdown,
       batteryUsage,
       category,
+      specifiedFlight,
       issues,
       permits: [...new Set(permits)],
       pros: [],
@@ -413,7 +410,9 @@ const evaluateRoute = async (route, useCase, options = {}) => {
  * @returns {Promise<Object>} ルート候補と比較結果
  */
 export const generateRouteOptions = async (start, end, useCase, options = {}) => {
-  const { altitude = useCase.recommendedAltitude || 50 } = options;
+  const { droneId } = options;
+  const photoPlan = getUseCasePhotoPlan(useCase, droneId);
+  const { altitude = getUseCaseAltitude(useCase, droneId) } = options;
 
   // 1. 直線ルート（最短）
   const directRoute = generateDirectRoute(start, end);
@@ -432,6 +431,9 @@ export const generateRouteOptions = async (start, end, useCase, options = {}) =>
   avoidanceEval.description = avoidanceRoute.avoided.length > 0
     ? `${avoidanceRoute.avoided.join('、')}を回避`
     : '回避不要（直線経路で安全）';
+  if (avoidanceRoute.unavoidable.length > 0) {
+    avoidanceEval.description += `（${avoidanceRoute.unavoidable.join('、')}は出発地・目的地を含むため回避不可）`;
+  }
 
   // Pros/Cons を設定
   directEval.evaluation.pros = [
@@ -449,6 +451,9 @@ export const generateRouteOptions = async (start, end, useCase, options = {}) =>
   avoidanceEval.evaluation.cons = avoidanceRoute.distance > directRoute.distance * AVOIDANCE_DISTANCE_FACTOR
     ? ['距離が長い', 'バッテリー消費が多い', '飛行時間が長い']
     : [];
+  if (!avoidanceRoute.clear) {
+    avoidanceEval.evaluation.cons.push('回避経路が見つからず制限区域を通過');
+  }
 
   // ルートをスコア順にソート
   const routes = [directEval, avoidanceEval].sort(
@@ -463,6 +468,8 @@ export const generateRouteOptions = async (start, end, useCase, options = {}) =>
     routes,
     recommended,
     useCase,
+    photoPlan,
+    altitude,
     start,
     end,
     generatedAt: new Date().toISOString(),
@@ -488,4 +495,6 @@ export default {
   USE_CASES,
   generateRouteOptions,
   getUseCaseById,
+  getUseCasePhotoPlan,
+  getUseCaseAltitude,
 };
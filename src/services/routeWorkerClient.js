@@ -0,0 +1,134 @@
+/**
+ * ルート計算 Web Worker のクライアント
+ * メッセージでタスクを依頼し、進捗通知・キャンセル（AbortSignal）に対応した Promise を返す
+ *
+ * - キャンセル時は Worker を停止して作り直す（計算中の同期ループは中断できないため）
+ * - 停止で同じ Worker 上の他のタスクも中断されるので、用途ごとにクライアントを分けて使う
+ * - Worker が使えない環境（テスト・古いブラウザ）ではメインスレッドで同じ処理を実行する
+ */
+
+import { runRouteTask } from './routeWorkerTasks';
+
+const defaultCreateWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('../workers/routeWorker.js', import.meta.url), { type: 'module' });
+};
+
+/**
+ * キャンセル時のエラー（fetch と同じく name は 'AbortError'）
+ */
+const createAbortError = () => {
+  const error = new Error('処理をキャンセルしました');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * キャンセルによる中断か
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Worker クライアントを作成
+ * @param {Object} [options]
+ * @param {Function} [options.createWorker] - () => Worker | null（null の場合はメインスレッドで実行）
+ * @returns {Object} { run, terminate }
+ */
+export const createRouteWorkerClient = (options = {}) => {
+  const { createWorker = defaultCreateWorker } = options;
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map();
+
+  const rejectAll = (error) => {
+    for (const task of pending.values()) {
+      task.cleanup();
+      task.reject(error);
+    }
+    pending.clear();
+  };
+
+  const handleMessage = (event) => {
+    const { id, kind, progress, result, error } = event.data;
+    const task = pending.get(id);
+    if (!task) return;
+
+    if (kind === 'progress') {
+      task.onProgress(progress);
+      return;
+    }
+    pending.delete(id);
+    task.cleanup();
+    if (kind === 'error') {
+      task.reject(new Error(error));
+    } else {
+      task.resolve(result);
+    }
+  };
+
+  const ensureWorker = () => {
+    if (worker) return worker;
+    worker = createWorker();
+    if (worker) {
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        terminate(new Error(event.message || 'Workerでエラーが発生しました'));
+      };
+    }
+    return worker;
+  };
+
+  /**
+   * Worker を停止し、実行中のタスクをすべて中断する
+   * @param {Error} [reason] - 実行中のタスクの reject 理由
+   */
+  const terminate = (reason = createAbortError()) => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    rejectAll(reason);
+  };
+
+  /**
+   * タスクを実行
+   * @param {string} type - routeWorkerTasks の ROUTE_TASKS のキー
+   * @param {Object} payload - タスクの入力（構造化複製できる値）
+   * @param {Object} [runOptions]
+   * @param {Function} [runOptions.onProgress] - ({ progress: 0〜1, message }) => void
+   * @param {AbortSignal} [runOptions.signal] - 中断用シグナル
+   * @returns {Promise<any>} タスクの結果（キャンセル時は AbortError で reject）
+   */
+  const run = (type, payload, runOptions = {}) => {
+    const { onProgress = () => {}, signal = null } = runOptions;
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    const target = ensureWorker();
+
+    // Worker なし: メインスレッドで実行し、完了時点でキャンセル済みなら結果を捨てる
+    if (!target) {
+      return runRouteTask(type, payload, onProgress).then((result) => {
+        if (signal?.aborted) throw createAbortError();
+        return result;
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      const onAbort = () => terminate();
+      signal?.addEventListener('abort', onAbort);
+      pending.set(id, {
+        resolve,
+        reject,
+        onProgress,
+        cleanup: () => signal?.removeEventListener('abort', onAbort),
+      });
+      target.postMessage({ id, type, payload });
+    });
+  };
+
+  return { run, terminate };
+};
@@ -0,0 +1,177 @@
+/**
+ * routeWorkerClient テスト
+ *
+ * Web Worker へのタスク依頼（進捗通知・結果・エラー・キャンセル）と Worker がない環境での代替実行のテスト
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createRouteWorkerClient, isAbortError } from './routeWorkerClient';
+import { runRouteTask } from './routeWorkerTasks';
+import { clearDIDCache, getDIDDataForCoordinates } from './didService';
+
+// 約1km四方に並ぶ25点
+const waypoints = Array.from({ length: 25 }, (_, i) => ({
+  id: `wp${i}`,
+  index: i + 1,
+  lat: 35.68 + Math.floor(i / 5) * 0.002,
+  lng: 139.7 + (i % 5) * 0.0025
+}));
+
+const optimizeOptions = { droneId: 'mavic-3-enterprise', algorithm: '2-opt', checkRegulations: false, autoSplit: true };
+
+/**
+ * routeWorker.js と同じメッセージ形式で応答する Worker の代わり
+ * hold: true の場合は応答しない（計算中のまま）
+ */
+const createFakeWorker = ({ hold = false } = {}) => {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminated: false,
+    received: [],
+    postMessage: (data) => {
+      worker.received.push(data);
+      if (hold) return;
+      const send = (message) => {
+        if (!worker.terminated) worker.onmessage({ data: { id: data.id, ...message } });
+      };
+      setTimeout(() => {
+        runRouteTask(data.type, data.payload, (progress) => send({ kind: 'progress', progress }))
+          .then(result => send({ kind: 'result', result }))
+          .catch(error => send({ kind: 'error', error: error.message }));
+      }, 0);
+    },
+    terminate: vi.fn(() => { worker.terminated = true; }),
+  };
+  return worker;
+};
+
+describe('routeWorkerClient', () => {
+
+  it('Worker で最適化し、進捗を 0→1 の順に通知する', async () => {
+    const client = createRouteWorkerClient({ createWorker: () => createFakeWorker() });
+    const updates = [];
+    const result = await client.run('optimizeRoute', { waypoints, options: optimizeOptions }, {
+      onProgress: (progress) => updates.push(progress)
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.orderedWaypoints).toHaveLength(25);
+    expect(updates.map(u => u.message)).toContain('訪問順序を最適化中');
+    expect(updates[updates.length - 1].progress).toBe(1);
+    for (let i = 1; i < updates.length; i++) {
+      expect(updates[i].progress).toBeGreaterThanOrEqual(updates[i - 1].progress);
+    }
+  });
+
+  it('キャンセルすると AbortError で中断し、次のタスクは新しい Worker で実行する', async () => {
+    const workers = [];
+    const client = createRouteWorkerClient({
+      createWorker: () => {
+        const worker = createFakeWorker({ hold: workers.length === 0 });
+        workers.push(worker);
+        return worker;
+      }
+    });
+    const controller = new AbortController();
+    const pending = client.run('optimizeRoute', { waypoints, options: optimizeOptions }, { signal: controller.signal });
+    controller.abort();
+
+    const error = await pending.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(workers[0].terminate).toHaveBeenCalled();
+
+    const result = await client.run('compareSolvers', { waypoints, options: { solverOptions: { maxIterations: 1000 } } });
+    expect(workers).toHaveLength(2);
+    expect(result.length).toBeGreaterThan(0);
+  });
+
+  it('中断済みのシグナルでは Worker に依頼しない', async () => {
+    const worker = createFakeWorker();
+    const client = createRouteWorkerClient({ createWorker: () => worker });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(client.run('checkCollisions', { waypoints }, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.received).toHaveLength(0);
+  });
+
+  it('Worker 内のエラーは Error として返す', async () => {
+    const client = createRouteWorkerClient({ createWorker: () => createFakeWorker() });
+    await expect(client.run('unknownTask', {})).rejects.toThrow('未対応のタスクです: unknownTask');
+  });
+
+  it('Worker が使えない環境ではメインスレッドで実行する', async () => {
+    const client = createRouteWorkerClient({ createWorker: () => null });
+    const { results } = await client.run('checkCollisions', { waypoints });
+
+    expect(results).toBeInstanceOf(Map);
+    expect(results.size).toBe(25);
+  });
+
+  it('DID判定はメインスレッドで取得した周辺のDIDデータで行い、Worker 側では取得しない', async () => {
+    const did = (name, [minLng, minLat, maxLng, maxLat]) => ({
+      type: 'Feature',
+      properties: { CITYNAME: name },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+      }
+    });
+    // 先頭5点（南端の1列）だけを含むDIDと、Waypointから離れたDID
+    const tokyo = {
+      type: 'FeatureCollection',
+      features: [did('千代田区', [139.699, 35.679, 139.711, 35.681]), did('八王子市', [139.3, 35.65, 139.35, 35.7])]
+    };
+    clearDIDCache();
+    vi.mocked(fetch).mockReset();
+    vi.mocked(fetch).mockImplementation(async (url) => ({
+      ok: String(url).includes('_13_'),
+      json: async () => tokyo
+    }));
+
+    const didData = await getDIDDataForCoordinates(waypoints);
+    expect(didData.pref_13.features.map(f => f.properties.CITYNAME)).toEqual(['千代田区']);
+
+    vi.mocked(fetch).mockClear();
+    const client = createRouteWorkerClient({ createWorker: () => createFakeWorker() });
+    const result = await client.run('checkDID', { waypoints, didData });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result.didWaypoints.map(wp => wp.waypointId)).toEqual(['wp0', 'wp1', 'wp2', 'wp3', 'wp4']);
+    expect(result.areaSummaries).toEqual([{ area: '千代田区', waypointIndices: [1, 2, 3, 4, 5], count: 5 }]);
+    clearDIDCache();
+    vi.mocked(fetch).mockReset();
+  });
+
+  it('最適化の規制チェックは渡されたDID・制限表面で行い、Worker 側では取得しない', async () => {
+    // 先頭5点（南端の1列）だけを含むDID
+    const didData = {
+      pref_13: {
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          properties: { CITYNAME: '千代田区' },
+          geometry: {
+            type: 'Polygon',
+            coordinates: [[[139.699, 35.679], [139.711, 35.679], [139.711, 35.681], [139.699, 35.681], [139.699, 35.679]]]
+          }
+        }]
+      }
+    };
+    const airspaceData = { surfaces: { type: 'FeatureCollection', features: [] }, elevations: {} };
+    clearDIDCache();
+    vi.mocked(fetch).mockReset();
+
+    const client = createRouteWorkerClient({ createWorker: () => createFakeWorker() });
+    const result = await client.run('optimizeRoute', {
+      waypoints,
+      options: { ...optimizeOptions, checkRegulations: true, didData, airspaceData }
+    });
+
+    expect(fetch).not.toHaveBeenCalled();
+    const didIds = result.restrictions.filter(r => r.type === 'did').map(r => r.waypointId);
+    expect(didIds.sort()).toEqual(['wp0', 'wp1', 'wp2', 'wp3', 'wp4']);
+  });
+});
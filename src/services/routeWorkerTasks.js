@@ -0,0 +1,64 @@
+/**
+ * Web Worker で実行する重い処理（ルート最適化・一括の衝突判定・DID判定）
+ * src/workers/routeWorker.js から呼ばれるほか、Worker が使えない環境では routeWorkerClient がメインスレッドで直接実行する
+ *
+ * Worker には localStorage がないため、設定値（機種・アルゴリズムなど）は呼び出し側で解決して options に渡すこと。
+ * DID データ・制限表面・標高もメインスレッドのキャッシュを共有できないため、呼び出し側で取得して payload に渡す
+ * （Worker からは取得しない。渡されなかった場合は該当なしとして判定する）
+ */
+
+import { optimizeRoute, compareSolvers } from './routeOptimizer';
+import {
+  getDetailedCollisionResults,
+  getDetailedCollisionResultsWithRestrictionSurfaces,
+  checkAllWaypointsDID
+} from './riskService';
+
+// 制限表面・標高が渡されなかった場合（取得しないよう空データで判定する）
+const NO_AIRSPACE_DATA = { surfaces: { type: 'FeatureCollection', features: [] }, elevations: {} };
+
+/**
+ * タスク種別ごとの処理
+ * 各処理は (payload, onProgress) を受け取り、構造化複製できる値（Map 可）を返す
+ */
+export const ROUTE_TASKS = {
+  // payload: { waypoints, options }
+  // （規制チェックの options.airspaceData は prepareAirspaceData、options.didData は getDIDDataForCoordinates で取得したもの）
+  optimizeRoute: ({ waypoints, options = {} }, onProgress) =>
+    optimizeRoute(waypoints, {
+      ...options,
+      airspaceData: options.airspaceData || NO_AIRSPACE_DATA,
+      didData: options.didData || {},
+      onProgress,
+    }),
+
+  // payload: { waypoints, options }
+  compareSolvers: ({ waypoints, options = {} }, onProgress) =>
+    compareSolvers(waypoints, { ...options, onProgress }),
+
+  // payload: { waypoints, restrictionSurfaceResults?, rulePack? }
+  // （制限表面の判定結果はメインスレッドで取得済みのもの、rulePack はメインスレッドで解決した有効なルールパック）
+  checkCollisions: ({ waypoints, restrictionSurfaceResults = null, rulePack }) =>
+    restrictionSurfaceResults
+      ? getDetailedCollisionResultsWithRestrictionSurfaces(waypoints, { restrictionSurfaceResults, rulePack })
+      : getDetailedCollisionResults(waypoints, { rulePack }),
+
+  // payload: { waypoints, didData }
+  // （didData はメインスレッドで getDIDDataForCoordinates により取得したもの。Worker 側では DID データを取得しない）
+  checkDID: ({ waypoints, didData = null }, onProgress) => checkAllWaypointsDID(waypoints, { onProgress, didData }),
+};
+
+/**
+ * タスクを実行
+ * @param {string} type - ROUTE_TASKS のキー
+ * @param {Object} payload - タスクの入力
+ * @param {Function} [onProgress] - ({ progress: 0〜1, message }) => void
+ * @returns {Promise<any>} タスクの結果
+ */
+export const runRouteTask = async (type, payload, onProgress = () => {}) => {
+  const task = ROUTE_TASKS[type];
+  if (!task) {
+    throw new Error(`未対応のタスクです: ${type}`);
+  }
+  return task(payload, onProgress);
+};
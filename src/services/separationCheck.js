@@ -0,0 +1,508 @@
+/**
+ * 人・物件との距離（30m）の確認
+ * 建物（国土地理院 基盤地図情報の建築物外周線、または読み込んだ建物GeoJSON）と道路中心線から、
+ * 全Waypoint・全飛行区間の水平距離の最小値を測り、30m未満になる Waypoint と区間の該当部分を返す。
+ * 人・車両の位置データは持たないため、建物を物件、道路を人・車両が往来する場所として扱う。
+ */
+
+import * as turf from '@turf/turf';
+import { getFlightLegs } from './areaAssessment';
+
+// 人・物件との間に保つ距離（m）
+export const SEPARATION_DISTANCE_METERS = 30;
+
+// 最小距離を報告する範囲（m）。これより遠い建物・道路は読み込まない
+export const SEPARATION_SEARCH_METERS = 100;
+
+// 国土地理院 GeoJSON タイル（建築物外周線: 基盤地図情報、道路: 道路中心線）
+const GSI_TILE_SOURCES = {
+  building: {
+    url: 'https://cyberjapandata.gsi.go.jp/xyz/experimental_fgd/{z}/{x}/{y}.geojson',
+    zoom: 18,
+    filter: (feature) => feature.properties?.class === 'BldL',
+  },
+  road: {
+    url: 'https://cyberjapandata.gsi.go.jp/xyz/experimental_rdcl/{z}/{x}/{y}.geojson',
+    zoom: 16,
+    filter: () => true,
+  },
+};
+
+// 1データあたりの最大タイル数（超えた分は読み込まずに truncated とする）
+const MAX_TILES_PER_SOURCE = 150;
+const TILE_FETCH_CONCURRENCY = 6;
+const TILE_FETCH_TIMEOUT_MS = 8000;
+
+const METERS_PER_DEGREE = 111320;
+const EARTH_CIRCUMFERENCE = 40075016.686;
+
+const KIND_LABELS = { building: '建物', road: '道路' };
+
+// タイルURL → Feature 配列の Promise
+const tileCache = new Map();
+
+// ===== タイル =====
+
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+/**
+ * Waypoint・飛行区間の周囲 margin m にかかるタイル
+ * 区間はタイルの半分の間隔でたどり、範囲全体ではなく経路沿いのタイルだけを返す
+ */
+const getRouteTiles = (waypoints, zoom, margin) => {
+  const tiles = new Set();
+  const addAround = (lat, lng) => {
+    const dLat = margin / METERS_PER_DEGREE;
+    const dLng = margin / (METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180));
+    for (let x = lngToTileX(lng - dLng, zoom); x <= lngToTileX(lng + dLng, zoom); x++) {
+      for (let y = latToTileY(lat + dLat, zoom); y <= latToTileY(lat - dLat, zoom); y++) {
+        tiles.add(`${x}/${y}`);
+      }
+    }
+  };
+
+  waypoints.forEach(wp => addAround(wp.lat, wp.lng));
+  for (const { from, to } of getFlightLegs(waypoints)) {
+    const tileSize = (EARTH_CIRCUMFERENCE * Math.cos((from.lat * Math.PI) / 180)) / 2 ** zoom;
+    const length = turf.distance([from.lng, from.lat], [to.lng, to.lat], { units: 'meters' });
+    const steps = Math.ceil(length / (tileSize / 2));
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      addAround(from.lat + (to.lat - from.lat) * t, from.lng + (to.lng - from.lng) * t);
+    }
+  }
+
+  return [...tiles].map(key => {
+    const [x, y] = key.split('/').map(Number);
+    return { x, y };
+  });
+};
+
+/**
+ * GeoJSON タイルを取得（データのないタイルは 404 のため空配列）
+ * @param {string} url - タイルURL
+ * @returns {Promise<Array>} Feature 配列
+ */
+const fetchGeoJSONTile = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(TILE_FETCH_TIMEOUT_MS) });
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    throw new Error(`GSI tile error: ${response.status}`);
+  }
+  const data = await response.json();
+  return data.features || [];
+};
+
+/**
+ * タイルを読み込む（取得中・取得済みのタイルは使い回し、失敗したタイルは次回取り直す）
+ * @param {string} url - タイルURL
+ * @param {Function} fetchTile - (url) => Promise<Feature配列>
+ * @returns {Promise<Array>} Feature 配列
+ */
+const loadTile = (url, fetchTile) => {
+  if (!tileCache.has(url)) {
+    tileCache.set(url, fetchTile(url).catch(error => {
+      tileCache.delete(url);
+      throw error;
+    }));
+  }
+  return tileCache.get(url);
+};
+
+const getTileUrl = (source, { x, y }) => source.url.replace('{z}', source.zoom).replace('{x}', x).replace('{y}', y);
+
+/**
+ * 地点の周囲 margin m にかかる基盤地図情報（建築物外周線・水涯線・海岸線など）を読み込む
+ * 建物・道路との距離の確認と同じタイルを共有する
+ * @param {Object} point - { lat, lng }
+ * @param {number} margin - 読み込む範囲（m）
+ * @param {Object} [options] - { fetchTile: (url) => Promise<Feature配列> }
+ * @returns {Promise<Object>} { features: Feature 配列（properties.class が基盤地図情報の種別）, failedTiles }
+ */
+export const loadFundamentalFeatures = async (point, margin, options = {}) => {
+  const { fetchTile = fetchGeoJSONTile } = options;
+  const source = GSI_TILE_SOURCES.building;
+  const tiles = getRouteTiles([point], source.zoom, margin);
+  const settled = await Promise.allSettled(tiles.map(tile => loadTile(getTileUrl(source, tile), fetchTile)));
+  return {
+    features: settled.flatMap(result => (result.status === 'fulfilled' ? result.value.filter(f => f?.geometry) : [])),
+    failedTiles: settled.filter(result => result.status === 'rejected').length,
+  };
+};
+
+/**
+ * 経路周辺の建物・道路を読み込む
+ * @param {Array} waypoints - 飛行順のWaypoint配列
+ * @param {Object} [options]
+ * @param {Array} [options.buildings] - 読み込んだ建物の Feature 配列（指定時は国土地理院の建物データを使わない）
+ * @param {Function} [options.fetchTile] - (url) => Promise<Feature配列>（既定は国土地理院タイルの取得）
+ * @returns {Promise<Object>} { obstacles: [{ kind, name, geometry }], buildingSource, failedTiles, truncated }
+ */
+export const loadSeparationObstacles = async (waypoints, options = {}) => {
+  const { buildings = null, fetchTile = fetchGeoJSONTile } = options;
+  const obstacles = [];
+  let failedTiles = 0;
+  let truncated = false;
+
+  if (buildings) {
+    buildings
+      .filter(feature => feature?.geometry)
+      .forEach(feature => obstacles.push({
+        kind: 'building',
+        name: feature.properties?.name || null,
+        geometry: feature.geometry,
+      }));
+  }
+
+  const sources = Object.entries(GSI_TILE_SOURCES).filter(([kind]) => !(buildings && kind === 'building'));
+  for (const [kind, source] of sources) {
+    let tiles = getRouteTiles(waypoints, source.zoom, SEPARATION_SEARCH_METERS);
+    if (tiles.length > MAX_TILES_PER_SOURCE) {
+      tiles = tiles.slice(0, MAX_TILES_PER_SOURCE);
+      truncated = true;
+    }
+
+    for (let i = 0; i < tiles.length; i += TILE_FETCH_CONCURRENCY) {
+      const batch = tiles.slice(i, i + TILE_FETCH_CONCURRENCY).map(tile => loadTile(getTileUrl(source, tile), fetchTile));
+
+      const settled = await Promise.allSettled(batch);
+      for (const result of settled) {
+        if (result.status === 'rejected') {
+          failedTiles++;
+          continue;
+        }
+        result.value
+          .filter(feature => feature?.geometry && source.filter(feature))
+          .forEach(feature => obstacles.push({
+            kind,
+            name: feature.properties?.name || feature.properties?.rdCtg || null,
+            geometry: feature.geometry,
+          }));
+      }
+    }
+  }
+
+  return {
+    obstacles,
+    buildingSource: buildings ? 'imported' : 'gsi',
+    failedTiles,
+    truncated,
+  };
+};
+
+/**
+ * 読み込んだ建物・道路タイルのキャッシュをクリア
+ */
+export const clearSeparationCache = () => {
+  tileCache.clear();
+};
+
+// ===== 距離計算（基準点周辺の平面座標 m） =====
+
+const createProjection = (origin) => {
+  const lngScale = METERS_PER_DEGREE * Math.cos((origin.lat * Math.PI) / 180);
+  return ([lng, lat]) => [(lng - origin.lng) * lngScale, (lat - origin.lat) * METERS_PER_DEGREE];
+};
+
+const pointSegmentDistance = (px, py, [ax, ay, bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+};
+
+/**
+ * 2線分の交点の、1本目の線分上の位置 t（交差しなければ null）
+ */
+const segmentIntersection = ([ax, ay, bx, by], [cx, cy, dx, dy]) => {
+  const rx = bx - ax;
+  const ry = by - ay;
+  const sx = dx - cx;
+  const sy = dy - cy;
+  const denom = rx * sy - ry * sx;
+  if (denom === 0) return null;
+  const t = ((cx - ax) * sy - (cy - ay) * sx) / denom;
+  const u = ((cx - ax) * ry - (cy - ay) * rx) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+};
+
+const segmentDistance = (leg, segment) => {
+  if (segmentIntersection(leg, segment) !== null) return 0;
+  const [ax, ay, bx, by] = leg;
+  const [cx, cy, dx, dy] = segment;
+  return Math.min(
+    pointSegmentDistance(ax, ay, segment),
+    pointSegmentDistance(bx, by, segment),
+    pointSegmentDistance(cx, cy, leg),
+    pointSegmentDistance(dx, dy, leg)
+  );
+};
+
+const isInsideRings = (px, py, rings) => {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+};
+
+/**
+ * 建物・道路を平面座標の線分（と面の場合は外周リング）に変換
+ */
+const toLocalObstacle = (obstacle, project) => {
+  const polygons = [];
+  const lines = [];
+  const { type, coordinates } = obstacle.geometry;
+  if (type === 'Polygon') polygons.push(coordinates);
+  else if (type === 'MultiPolygon') polygons.push(...coordinates);
+  else if (type === 'LineString') lines.push(coordinates);
+  else if (type === 'MultiLineString') lines.push(...coordinates);
+  else if (type === 'Point') lines.push([coordinates, coordinates]);
+
+  const areas = polygons.map(rings => rings.map(ring => ring.map(project)));
+  const segments = [];
+  for (const line of [...lines.map(l => l.map(project)), ...areas.flat()]) {
+    for (let i = 0; i < line.length - 1; i++) {
+      segments.push([...line[i], ...line[i + 1]]);
+    }
+  }
+  if (segments.length === 0) return null;
+
+  const xs = segments.flatMap(s => [s[0], s[2]]);
+  const ys = segments.flatMap(s => [s[1], s[3]]);
+  return {
+    ...obstacle,
+    segments,
+    areas,
+    bounds: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+  };
+};
+
+const isNearBounds = (bounds, [minX, minY, maxX, maxY], margin) =>
+  !(bounds[2] < minX - margin || bounds[0] > maxX + margin || bounds[3] < minY - margin || bounds[1] > maxY + margin);
+
+/**
+ * 区間上の点と線分の距離が limit 未満になる範囲 [t0, t1]
+ * 直線上を動く点と線分の距離は t について凸なので、最小点から両側へ二分探索する
+ */
+const getCloseInterval = (leg, segment, limit) => {
+  const [ax, ay, bx, by] = leg;
+  const f = (t) => pointSegmentDistance(ax + (bx - ax) * t, ay + (by - ay) * t, segment);
+
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 50; i++) {
+    const m1 = lo + (hi - lo) / 3;
+    const m2 = hi - (hi - lo) / 3;
+    if (f(m1) <= f(m2)) hi = m2;
+    else lo = m1;
+  }
+  const tMin = (lo + hi) / 2;
+  if (f(tMin) >= limit) return null;
+
+  const edge = (inside, outside) => {
+    for (let i = 0; i < 40; i++) {
+      const mid = (inside + outside) / 2;
+      if (f(mid) < limit) inside = mid;
+      else outside = mid;
+    }
+    return inside;
+  };
+  return [f(0) < limit ? 0 : edge(tMin, 0), f(1) < limit ? 1 : edge(tMin, 1)];
+};
+
+/**
+ * 区間のうち面（建物）の内側にある範囲
+ */
+const getInsideIntervals = (leg, rings) => {
+  const ts = [0, 1];
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const t = segmentIntersection(leg, [...ring[i], ...ring[i + 1]]);
+      if (t !== null) ts.push(t);
+    }
+  }
+  ts.sort((a, b) => a - b);
+
+  const [ax, ay, bx, by] = leg;
+  const intervals = [];
+  for (let i = 0; i < ts.length - 1; i++) {
+    const mid = (ts[i] + ts[i + 1]) / 2;
+    if (ts[i + 1] > ts[i] && isInsideRings(ax + (bx - ax) * mid, ay + (by - ay) * mid, rings)) {
+      intervals.push([ts[i], ts[i + 1]]);
+    }
+  }
+  return intervals;
+};
+
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) last[1] = Math.max(last[1], interval[1]);
+    else merged.push([...interval]);
+  }
+  return merged;
+};
+
+/**
+ * 全Waypoint・全飛行区間と建物・道路の水平距離を測る
+ * @param {Array} waypoints - 飛行順のWaypoint配列
+ * @param {Array} obstacles - [{ kind: 'building' | 'road', name, geometry }]
+ * @param {Object} [options]
+ * @param {number} [options.distance] - 保つ距離（m）
+ * @returns {Object} {
+ *   distance, minDistance, nearest,
+ *   waypoints: 距離未満の Waypoint [{ id, label, distance, kind, name }],
+ *   legs: 距離未満の部分がある区間 [{ id, label, distance, kind, name, closeLength }],
+ *   features: 強調表示用 FeatureCollection（properties: itemId 'separation', status, label）
+ * }
+ */
+export const measureSeparation = (waypoints, obstacles, options = {}) => {
+  const { distance = SEPARATION_DISTANCE_METERS } = options;
+  const result = {
+    distance,
+    minDistance: null,
+    nearest: null,
+    waypoints: [],
+    legs: [],
+    features: turf.featureCollection([]),
+  };
+  if (waypoints.length === 0) return result;
+
+  const project = createProjection(waypoints[0]);
+  const local = obstacles.map(obstacle => toLocalObstacle(obstacle, project)).filter(Boolean);
+
+  const recordNearest = (value, obstacle) => {
+    if (value <= SEPARATION_SEARCH_METERS && (result.minDistance === null || value < result.minDistance)) {
+      result.minDistance = value;
+      result.nearest = { kind: obstacle.kind, name: obstacle.name };
+    }
+  };
+  const addHighlight = (geometry, label) => {
+    result.features.features.push(turf.feature(geometry, { itemId: 'separation', status: 'warning', label }));
+  };
+
+  // 1. Waypoint
+  waypoints.forEach((wp, i) => {
+    const [px, py] = project([wp.lng, wp.lat]);
+    let closest = null;
+    for (const obstacle of local) {
+      if (!isNearBounds(obstacle.bounds, [px, py, px, py], SEPARATION_SEARCH_METERS)) continue;
+      const inside = obstacle.areas.some(rings => isInsideRings(px, py, rings));
+      const value = inside ? 0 : Math.min(...obstacle.segments.map(s => pointSegmentDistance(px, py, s)));
+      recordNearest(value, obstacle);
+      if (!closest || value < closest.distance) closest = { distance: value, obstacle };
+    }
+    if (closest && closest.distance < distance) {
+      const label = `WP${wp.index ?? i + 1}`;
+      result.waypoints.push({
+        id: wp.id,
+        label,
+        distance: closest.distance,
+        kind: closest.obstacle.kind,
+        name: closest.obstacle.name,
+      });
+      addHighlight(turf.point([wp.lng, wp.lat]).geometry, `${label} ${KIND_LABELS[closest.obstacle.kind]}まで${Math.round(closest.distance)}m`);
+    }
+  });
+
+  // 2. 飛行区間（距離未満の部分を区間上の範囲として求める）
+  for (const leg of getFlightLegs(waypoints)) {
+    const a = project([leg.from.lng, leg.from.lat]);
+    const b = project([leg.to.lng, leg.to.lat]);
+    const segment = [...a, ...b];
+    const bounds = [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[0], b[0]), Math.max(a[1], b[1])];
+    const intervals = [];
+    let closest = null;
+
+    for (const obstacle of local) {
+      if (!isNearBounds(obstacle.bounds, bounds, SEPARATION_SEARCH_METERS)) continue;
+      // 建物の上空を通る部分は距離0
+      const insideIntervals = obstacle.areas.flatMap(rings => getInsideIntervals(segment, rings));
+      intervals.push(...insideIntervals);
+      let value = insideIntervals.length > 0 ? 0 : Infinity;
+      for (const s of obstacle.segments) {
+        const d = segmentDistance(segment, s);
+        value = Math.min(value, d);
+        if (d < distance) {
+          const interval = getCloseInterval(segment, s, distance);
+          if (interval) intervals.push(interval);
+        }
+      }
+      recordNearest(value, obstacle);
+      if (!closest || value < closest.distance) closest = { distance: value, obstacle };
+    }
+
+    if (!closest || closest.distance >= distance) continue;
+    const legLength = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const merged = mergeIntervals(intervals);
+    result.legs.push({
+      id: leg.id,
+      label: leg.label,
+      distance: closest.distance,
+      kind: closest.obstacle.kind,
+      name: closest.obstacle.name,
+      closeLength: merged.reduce((sum, [t0, t1]) => sum + (t1 - t0) * legLength, 0),
+    });
+    const at = (t) => [
+      leg.from.lng + (leg.to.lng - leg.from.lng) * t,
+      leg.from.lat + (leg.to.lat - leg.from.lat) * t,
+    ];
+    for (const [t0, t1] of merged) {
+      if (t1 <= t0) continue;
+      addHighlight(turf.lineString([at(t0), at(t1)]).geometry, `${leg.label} ${KIND_LABELS[closest.obstacle.kind]}まで${Math.round(closest.distance)}m`);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 経路周辺の建物・道路を読み込み、30m未満の Waypoint・区間を判定
+ * @param {Object} context - { waypoints, buildingFeatures（読み込んだ建物 GeoJSON Feature 配列） }
+ * @param {Object} [options] - loadSeparationObstacles の fetchTile、measureSeparation の distance
+ * @returns {Promise<Object>} measureSeparation の結果 + { buildingSource, failedTiles, truncated, obstacleCount }
+ */
+export const assessSeparation = async (context, options = {}) => {
+  const { waypoints = [], buildingFeatures = null } = context;
+  const loaded = await loadSeparationObstacles(waypoints, { buildings: buildingFeatures, fetchTile: options.fetchTile });
+  return {
+    ...measureSeparation(waypoints, loaded.obstacles, options),
+    buildingSource: loaded.buildingSource,
+    failedTiles: loaded.failedTiles,
+    truncated: loaded.truncated,
+    obstacleCount: loaded.obstacles.length,
+  };
+};
+
+/**
+ * 30m未満の Waypoint・区間を formatAssessmentTriggers の形式にする
+ * @param {Object} separation - measureSeparation の結果
+ * @returns {Array} [{ kind: 'waypoint' | 'leg', id, label, zoneName }]
+ */
+export const getSeparationTriggers = (separation) => {
+  const toTrigger = (kind) => (entry) => ({
+    kind,
+    id: entry.id,
+    label: entry.label,
+    zoneName: `${entry.name || KIND_LABELS[entry.kind]}まで${Math.round(entry.distance)}m`,
+  });
+  return [
+    ...separation.waypoints.map(toTrigger('waypoint')),
+    ...separation.legs.map(toTrigger('leg')),
+  ];
+};
@@ -0,0 +1,143 @@
+/**
+ * separationCheck テスト
+ *
+ * 建物・道路との水平距離（30m）の判定、経路沿いのタイル読み込みと、checkAviationLaw への反映のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as turf from '@turf/turf';
+import {
+  measureSeparation,
+  loadSeparationObstacles,
+  assessSeparation,
+  clearSeparationCache,
+} from './separationCheck';
+import { checkAllLegalRequirements } from './legalRequirements';
+
+const LAT = 36.2;
+const LNG = 138.3;
+const metersToLat = (m) => m / 111320;
+const metersToLng = (m) => m / (111320 * Math.cos((LAT * Math.PI) / 180));
+
+// 基準点から東へ x m・北へ y m の位置
+const at = (x, y) => [LNG + metersToLng(x), LAT + metersToLat(y)];
+
+// 東西 x0〜x1 m・南北 y0〜y1 m の建物
+const building = (x0, x1, y0, y1, name = null) => ({
+  kind: 'building',
+  name,
+  geometry: { type: 'Polygon', coordinates: [[at(x0, y0), at(x1, y0), at(x1, y1), at(x0, y1), at(x0, y0)]] },
+});
+
+const road = (y, name = '市区町村道等') => ({
+  kind: 'road',
+  name,
+  geometry: { type: 'LineString', coordinates: [at(-500, y), at(500, y)] },
+});
+
+const waypoint = (id, x, y) => {
+  const [lng, lat] = at(x, y);
+  return { id, index: Number(id.slice(2)), lat, lng };
+};
+
+// 西から東へ 400m の1区間
+const route = [waypoint('wp1', -200, 0), waypoint('wp2', 200, 0)];
+
+describe('separationCheck', () => {
+
+  it('区間の北10mの建物から30m未満になる部分だけを返す', () => {
+    // 東西 0〜20m、区間の北 10〜30m の建物
+    const result = measureSeparation(route, [building(0, 20, 10, 30, '倉庫')]);
+
+    expect(result.waypoints).toEqual([]);
+    expect(result.legs).toHaveLength(1);
+    expect(result.legs[0]).toMatchObject({ label: 'WP1→WP2', kind: 'building', name: '倉庫' });
+    expect(result.legs[0].distance).toBeCloseTo(10, 1);
+    // 30m未満の範囲: 建物の東西幅20m + 両側 √(30²-10²) ≈ 28.3m
+    expect(result.legs[0].closeLength).toBeCloseTo(20 + 2 * Math.sqrt(800), 0);
+
+    const [highlight] = result.features.features;
+    expect(highlight.properties).toMatchObject({ itemId: 'separation', status: 'warning' });
+    expect(turf.length(highlight, { units: 'meters' })).toBeCloseTo(76.6, 0);
+  });
+
+  it('建物の上空を通る区間は距離0で、上空部分を含めて返す', () => {
+    // 区間をまたぐ 100m 四方の建物（内部は外周から30m以上離れる）
+    const result = measureSeparation(route, [building(-50, 50, -50, 50)]);
+
+    expect(result.legs[0].distance).toBe(0);
+    expect(result.legs[0].closeLength).toBeCloseTo(160, 0);
+  });
+
+  it('30m以上離れた道路は該当せず、最小距離を報告する', () => {
+    const result = measureSeparation(route, [road(45, '国道')]);
+
+    expect(result.legs).toEqual([]);
+    expect(result.minDistance).toBeCloseTo(45, 1);
+    expect(result.nearest).toEqual({ kind: 'road', name: '国道' });
+  });
+
+  it('道路から30m未満の Waypoint を返す', () => {
+    const result = measureSeparation([waypoint('wp1', 0, 0), waypoint('wp2', 0, 200)], [road(-12)]);
+
+    expect(result.waypoints.map(wp => wp.label)).toEqual(['WP1']);
+    expect(result.waypoints[0].distance).toBeCloseTo(12, 1);
+    expect(result.legs[0].closeLength).toBeCloseTo(18, 0);
+  });
+
+  it('経路沿いのタイルだけを読み込み、建築物外周線以外は除外する', async () => {
+    clearSeparationCache();
+    const requested = [];
+    const fetchTile = async (url) => {
+      requested.push(url);
+      if (url.includes('experimental_rdcl')) throw new Error('offline');
+      return [
+        turf.lineString([at(0, 10), at(20, 10)], { class: 'BldL' }),
+        turf.lineString([at(0, 5), at(20, 5)], { class: 'RdEdg' }),
+      ];
+    };
+    const loaded = await loadSeparationObstacles(route, { fetchTile });
+    const buildingTiles = requested.filter(url => url.includes('experimental_fgd/18/'));
+
+    expect(buildingTiles.length).toBeGreaterThan(0);
+    expect(buildingTiles.length).toBeLessThanOrEqual(12);
+    expect(loaded.obstacles.every(obstacle => obstacle.kind === 'building')).toBe(true);
+    expect(loaded.obstacles).toHaveLength(buildingTiles.length);
+    expect(loaded.failedTiles).toBeGreaterThan(0);
+  });
+
+  it('建物 GeoJSON を読み込んだ場合は国土地理院の建物データを使わない', async () => {
+    clearSeparationCache();
+    const requested = [];
+    const fetchTile = async (url) => {
+      requested.push(url);
+      return [];
+    };
+    const imported = [turf.feature(building(0, 20, 10, 30).geometry, { name: '校舎' })];
+    const result = await assessSeparation({ waypoints: route, buildingFeatures: imported }, { fetchTile });
+
+    expect(requested.some(url => url.includes('experimental_fgd'))).toBe(false);
+    expect(result.buildingSource).toBe('imported');
+    expect(result.legs[0].name).toBe('校舎');
+  });
+
+  it('checkAllLegalRequirements は30m未満の区間を航空法の項目と特定飛行に反映する', async () => {
+    const separation = measureSeparation(route, [building(0, 20, 10, 30, '倉庫')]);
+    const results = await checkAllLegalRequirements({
+      lat: LAT,
+      lng: LNG,
+      altitude: 50,
+      waypoints: route,
+      areaAssessment: null,
+      separation,
+    });
+    const aviation = results.categories.find(c => c.category === 'aviation_law');
+    const item = aviation.items.find(i => i.id === 'separation');
+
+    expect(item.status).toBe('warning');
+    expect(item.description).toContain('WP1→WP2（倉庫まで10m）');
+    expect(aviation.items.some(i => i.id === 'near_people')).toBe(false);
+    expect(results.specifiedFlight.items.map(i => i.id)).toContain('near_people');
+    expect(results.separation).toBe(separation);
+  });
+});
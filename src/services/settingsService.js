@@ -29,6 +29,10 @@ const DEFAULT_SETTINGS = {
   sidebarSearchExpanded: true,
   // サイドバー「地図操作」セクションの開閉状態（永続化）
   sidebarMapControlsExpanded: true,
+  // 地形追従: 対地高度（メートル）
+  terrainFollowAGL: 50,
+  // 地形追従: 中間Waypointを挿入する地形のずれ（メートル）
+  terrainFollowTolerance: 5,
 };
 
 /**
@@ -116,6 +120,18 @@ export const setWaypointNumberingMode = (mode) => {
   return setSetting('waypointNumberingMode', mode);
 };
 
+/**
+ * 地形追従設定を取得
+ * @returns {{agl: number, tolerance: number}}
+ */
+export const getTerrainFollowSettings = () => {
+  const settings = getSettings();
+  return {
+    agl: settings.terrainFollowAGL,
+    tolerance: settings.terrainFollowTolerance,
+  };
+};
+
 /**
  * 設定をリセット
  */
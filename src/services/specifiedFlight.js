@@ -0,0 +1,200 @@
+/**
+ * 特定飛行の判定
+ * 飛行計画（飛行空域・高度・日時・飛行方法）から該当する特定飛行の項目を洗い出し、
+ * 飛行カテゴリー（Ⅰ/ⅡA/ⅡB/Ⅲ）、飛行レベル（1〜4）と、必要な技能証明・機体認証・許可承認を判定する。
+ *
+ * - カテゴリーⅠ: 特定飛行に該当しない（許可・承認不要）
+ * - カテゴリーⅡ: 立入管理措置を講じた特定飛行
+ *   - ⅡA: 空港等周辺・150m以上・催し場所上空・危険物輸送・物件投下、または最大離陸重量25kg以上（常に許可・承認が必要）
+ *   - ⅡB: DID・夜間・目視外・30m未満のみ（二等以上の技能証明＋第二種以上の機体認証があれば許可・承認不要）
+ * - カテゴリーⅢ: 第三者上空（立入管理措置なし）の特定飛行（一等＋第一種＋許可・承認）
+ *
+ * 参考: https://www.mlit.go.jp/koku/koku_fr10_000042.html
+ */
+
+// 最大離陸重量がこれ以上だとカテゴリーⅡA（kg）
+export const HEAVY_AIRCRAFT_WEIGHT_KG = 25;
+
+// 航空法の高度上限（m）
+const ALTITUDE_LIMIT = 150;
+
+/**
+ * 特定飛行の項目
+ * group: 'A' は常に許可・承認が必要な項目、'B' は技能証明＋機体認証で許可・承認を省略できる項目
+ */
+export const SPECIFIED_FLIGHT_ITEMS = [
+  { id: 'airport', kind: 'airspace', group: 'A', name: '空港等周辺' },
+  { id: 'altitude', kind: 'airspace', group: 'A', name: '地表等から150m以上' },
+  { id: 'did', kind: 'airspace', group: 'B', name: '人口集中地区（DID）上空' },
+  { id: 'night', kind: 'method', group: 'B', name: '夜間飛行' },
+  { id: 'bvlos', kind: 'method', group: 'B', name: '目視外飛行' },
+  { id: 'near_people', kind: 'method', group: 'B', name: '人・物件から30m未満' },
+  { id: 'event', kind: 'method', group: 'A', name: '催し場所上空' },
+  { id: 'dangerous_goods', kind: 'method', group: 'A', name: '危険物輸送' },
+  { id: 'payload_drop', kind: 'method', group: 'A', name: '物件投下' },
+];
+
+const LEVELS = {
+  1: '目視内での操縦飛行',
+  2: '目視内での自動・自律飛行',
+  3: '無人地帯での目視外飛行',
+  4: '有人地帯（第三者上空）での目視外飛行',
+};
+
+const CERTIFICATES = {
+  none: { id: 'none', license: '不要', typeCertificate: '不要' },
+  optional: {
+    id: 'optional',
+    license: '任意（二等以上で審査の一部を省略）',
+    typeCertificate: '任意（第二種以上で審査の一部を省略）',
+  },
+  second: { id: 'second', license: '二等無人航空機操縦士以上', typeCertificate: '第二種機体認証以上' },
+  first: { id: 'first', license: '一等無人航空機操縦士', typeCertificate: '第一種機体認証' },
+};
+
+const formatTime = (date) =>
+  date.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Tokyo' });
+
+/**
+ * 飛行予定日時が夜間（日没から日出まで）か
+ * @param {Date|string} plannedAt - 飛行予定日時
+ * @param {Object} sunTimes - { sunrise, sunset }（ISO 8601、fetchSunriseSunset の結果）
+ * @returns {boolean|null} 判定できない場合は null
+ */
+export const isNightFlight = (plannedAt, sunTimes) => {
+  if (!plannedAt || !sunTimes?.sunrise || !sunTimes?.sunset) return null;
+  const time = new Date(plannedAt).getTime();
+  const sunrise = new Date(sunTimes.sunrise).getTime();
+  const sunset = new Date(sunTimes.sunset).getTime();
+  if (![time, sunrise, sunset].every(Number.isFinite)) return null;
+  return time < sunrise || time >= sunset;
+};
+
+/**
+ * 飛行計画から該当する特定飛行の項目を取得
+ * @param {Object} plan - classifySpecifiedFlight と同じ
+ * @returns {Array} [{ id, kind, group, name, reason }]
+ */
+export const getSpecifiedFlightItems = (plan = {}) => {
+  const { did = false, airport = false, altitude = 0, plannedAt = null, sunTimes = null } = plan;
+  const above150m = plan.above150m ?? altitude > ALTITUDE_LIMIT;
+  const night = isNightFlight(plannedAt, sunTimes) ?? plan.night ?? false;
+
+  const reasons = {
+    airport: airport && '空港等の制限区域内',
+    altitude: above150m && (altitude > ALTITUDE_LIMIT ? `飛行高度 ${altitude}m` : '150mを超える区間あり'),
+    did: did && 'DID区域内',
+    night: night && (sunTimes && plannedAt
+      ? `日没後・日出前（日出 ${formatTime(new Date(sunTimes.sunrise))} / 日没 ${formatTime(new Date(sunTimes.sunset))}）`
+      : '夜間に飛行'),
+    bvlos: plan.bvlos && '目視外で飛行',
+    // 第三者上空の飛行は30m未満の飛行を含む
+    near_people: (plan.overPeople && '第三者上空を飛行') || (plan.nearPeople && '人・物件との距離30m未満'),
+    event: plan.eventOverflight && '催し場所の上空を飛行',
+    dangerous_goods: plan.dangerousGoods && '危険物（農薬・燃料等）を輸送',
+    payload_drop: plan.payloadDrop && '物件を投下（散布を含む）',
+  };
+
+  return SPECIFIED_FLIGHT_ITEMS
+    .filter(item => reasons[item.id])
+    .map(item => ({ ...item, reason: reasons[item.id] }));
+};
+
+/**
+ * 特定飛行・飛行カテゴリー・飛行レベルを判定
+ *
+ * @param {Object} plan - 飛行計画
+ * @param {boolean} [plan.did] - DID にかかる
+ * @param {boolean} [plan.airport] - 空港等の制限区域にかかる
+ * @param {number} [plan.altitude] - 飛行高度（m）
+ * @param {boolean} [plan.above150m] - 150m以上になる区間がある（省略時は altitude から判定）
+ * @param {Date|string} [plan.plannedAt] - 飛行予定日時
+ * @param {Object} [plan.sunTimes] - 予定日の { sunrise, sunset }（plannedAt と合わせて夜間を判定）
+ * @param {boolean} [plan.night] - 夜間飛行（sunTimes がない場合に使用）
+ * @param {boolean} [plan.bvlos] - 目視外飛行
+ * @param {boolean} [plan.overPeople] - 第三者上空（立入管理措置なし）
+ * @param {boolean} [plan.nearPeople] - 人・物件から30m未満
+ * @param {boolean} [plan.eventOverflight] - 催し場所上空
+ * @param {boolean} [plan.dangerousGoods] - 危険物輸送
+ * @param {boolean} [plan.payloadDrop] - 物件投下
+ * @param {number} [plan.takeoffWeightKg] - 最大離陸重量（kg）
+ * @param {boolean} [plan.autonomous] - 自動・自律飛行（Waypoint飛行）
+ * @returns {Object} {
+ *   items, isSpecified, category, categoryLabel, level, levelLabel,
+ *   license, typeCertificate, permission: { required, waivable, label }, limitations, notes
+ * }
+ */
+export const classifySpecifiedFlight = (plan = {}) => {
+  const items = getSpecifiedFlightItems(plan);
+  const isSpecified = items.length > 0;
+  const heavy = (plan.takeoffWeightKg ?? 0) >= HEAVY_AIRCRAFT_WEIGHT_KG;
+  const notes = [];
+
+  // カテゴリー
+  let category = 'I';
+  let categoryLabel = 'カテゴリーⅠ';
+  let requirement = CERTIFICATES.none;
+  let permission = { required: false, waivable: false, label: '許可・承認不要' };
+
+  if (isSpecified && plan.overPeople) {
+    category = 'III';
+    categoryLabel = 'カテゴリーⅢ';
+    requirement = CERTIFICATES.first;
+    permission = { required: true, waivable: false, label: '許可・承認が必要（運航管理体制の審査あり）' };
+  } else if (isSpecified && (heavy || items.some(item => item.group === 'A'))) {
+    category = 'II';
+    categoryLabel = 'カテゴリーⅡA';
+    requirement = CERTIFICATES.optional;
+    permission = { required: true, waivable: false, label: '許可・承認が必要' };
+    if (heavy) notes.push(`最大離陸重量${HEAVY_AIRCRAFT_WEIGHT_KG}kg以上のためカテゴリーⅡA`);
+  } else if (isSpecified) {
+    category = 'II';
+    categoryLabel = 'カテゴリーⅡB';
+    requirement = CERTIFICATES.second;
+    permission = {
+      required: true,
+      waivable: true,
+      label: '二等以上の技能証明＋第二種以上の機体認証があれば不要（ない場合は許可・承認が必要）',
+    };
+  }
+  if (isSpecified) {
+    notes.push('立入管理措置と飛行計画の通報・飛行日誌の記載が必要');
+  }
+
+  // 飛行レベル
+  let level = plan.autonomous ? 2 : 1;
+  if (plan.bvlos) level = plan.overPeople ? 4 : 3;
+  if (level === 3) {
+    notes.push('技能証明・保険加入・機上カメラによる確認で補助者・看板等を省略する場合はレベル3.5');
+  }
+
+  // 技能証明の限定変更（技能証明を使う場合）
+  const limitations = requirement.id === 'none' ? [] : [
+    items.some(item => item.id === 'night') && '昼間限定の解除',
+    items.some(item => item.id === 'bvlos') && '目視内限定の解除',
+    heavy && `${HEAVY_AIRCRAFT_WEIGHT_KG}kg未満限定の解除`,
+  ].filter(Boolean);
+
+  return {
+    items,
+    isSpecified,
+    category,
+    categoryLabel,
+    level,
+    levelLabel: `レベル${level}（${LEVELS[level]}）`,
+    license: { id: requirement.id, label: requirement.license },
+    typeCertificate: { id: requirement.id, label: requirement.typeCertificate },
+    permission,
+    limitations,
+    notes,
+  };
+};
+
+/**
+ * 判定結果の1行要約（書類出力・一覧表示用）
+ * 例: 「カテゴリーⅡB / レベル3（無人地帯での目視外飛行）」
+ * @param {Object} classification - classifySpecifiedFlight の結果
+ * @returns {string}
+ */
+export const formatFlightCategory = (classification) =>
+  `${classification.categoryLabel} / ${classification.levelLabel}`;
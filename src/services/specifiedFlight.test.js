@@ -0,0 +1,99 @@
+/**
+ * specifiedFlight テスト
+ *
+ * 特定飛行の該当項目、飛行カテゴリー・レベル、必要な技能証明・機体認証の判定と、
+ * legalRequirements への反映のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isNightFlight,
+  getSpecifiedFlightItems,
+  classifySpecifiedFlight,
+  formatFlightCategory,
+} from './specifiedFlight';
+import { checkAllLegalRequirements } from './legalRequirements';
+
+// 2026-10-18 東京の日出 05:50 / 日没 17:05（JST）
+const sunTimes = {
+  sunrise: '2026-10-18T05:50:00+09:00',
+  sunset: '2026-10-18T17:05:00+09:00',
+};
+
+describe('specifiedFlight', () => {
+
+  it('飛行予定日時を日出・日没と比べて夜間を判定する', () => {
+    expect(isNightFlight('2026-10-18T12:00:00+09:00', sunTimes)).toBe(false);
+    expect(isNightFlight('2026-10-18T17:30:00+09:00', sunTimes)).toBe(true);
+    expect(isNightFlight('2026-10-18T05:00:00+09:00', sunTimes)).toBe(true);
+    expect(isNightFlight('2026-10-18T12:00:00+09:00', null)).toBeNull();
+  });
+
+  it('特定飛行に該当しなければカテゴリーⅠで許可・承認不要', () => {
+    const result = classifySpecifiedFlight({ altitude: 50, plannedAt: '2026-10-18T10:00:00+09:00', sunTimes });
+
+    expect(result.isSpecified).toBe(false);
+    expect(result.category).toBe('I');
+    expect(result.level).toBe(1);
+    expect(result.license.id).toBe('none');
+    expect(result.permission.required).toBe(false);
+  });
+
+  it('DID・夜間・目視外のみはカテゴリーⅡB（二等＋第二種で許可・承認を省略可）', () => {
+    const result = classifySpecifiedFlight({
+      did: true,
+      bvlos: true,
+      plannedAt: '2026-10-18T18:00:00+09:00',
+      sunTimes,
+      autonomous: true,
+    });
+
+    expect(result.items.map(item => item.id)).toEqual(['did', 'night', 'bvlos']);
+    expect(result.categoryLabel).toBe('カテゴリーⅡB');
+    expect(result.level).toBe(3);
+    expect(result.license.label).toBe('二等無人航空機操縦士以上');
+    expect(result.typeCertificate.label).toBe('第二種機体認証以上');
+    expect(result.permission.waivable).toBe(true);
+    expect(result.limitations).toEqual(['昼間限定の解除', '目視内限定の解除']);
+    expect(formatFlightCategory(result)).toBe('カテゴリーⅡB / レベル3（無人地帯での目視外飛行）');
+  });
+
+  it('空港等周辺・150m超・危険物・物件投下、または25kg以上はカテゴリーⅡA', () => {
+    expect(classifySpecifiedFlight({ altitude: 180 }).categoryLabel).toBe('カテゴリーⅡA');
+    expect(classifySpecifiedFlight({ dangerousGoods: true, payloadDrop: true }).items.map(item => item.id))
+      .toEqual(['dangerous_goods', 'payload_drop']);
+
+    const heavy = classifySpecifiedFlight({ did: true, takeoffWeightKg: 32 });
+    expect(heavy.categoryLabel).toBe('カテゴリーⅡA');
+    expect(heavy.permission).toMatchObject({ required: true, waivable: false });
+    expect(heavy.limitations).toContain('25kg未満限定の解除');
+  });
+
+  it('第三者上空の目視外飛行はカテゴリーⅢ・レベル4（一等＋第一種）', () => {
+    const result = classifySpecifiedFlight({ bvlos: true, overPeople: true, autonomous: true });
+
+    expect(getSpecifiedFlightItems({ overPeople: true }).map(item => item.id)).toEqual(['near_people']);
+    expect(result.category).toBe('III');
+    expect(result.level).toBe(4);
+    expect(result.license.label).toBe('一等無人航空機操縦士');
+    expect(result.typeCertificate.label).toBe('第一種機体認証');
+    expect(result.permission.required).toBe(true);
+  });
+
+  it('checkAllLegalRequirements は飛行の条件を航空法の項目と手続きに反映する', async () => {
+    // 人口の少ない山間部（DID・空港・禁止区域の対象外）
+    const results = await checkAllLegalRequirements({
+      lat: 36.2,
+      lng: 138.3,
+      altitude: 50,
+      areaAssessment: null,
+      flightConditions: { bvlos: true, payloadDrop: true },
+    });
+    const aviation = results.categories.find(c => c.category === 'aviation_law');
+
+    expect(results.specifiedFlight.categoryLabel).toBe('カテゴリーⅡA');
+    expect(aviation.items.filter(item => item.statusText === '特定飛行').map(item => item.id))
+      .toEqual(['bvlos', 'payload_drop']);
+    expect(results.procedures.find(p => p.id === 'dips').description).toContain('目視外飛行、物件投下');
+  });
+});
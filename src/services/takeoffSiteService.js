@@ -0,0 +1,257 @@
+/**
+ * 離発着地点（ホームポイント）推薦サービス
+ * 飛行エリア周辺に候補点を格子状に配置し、法規制・目視範囲・帰還距離から評価して上位の候補を返す
+ *
+ * 評価項目（コストが小さいほど良い）
+ * - DID（人口集中地区）内の候補は大きく減点
+ * - レッド／イエローゾーンからの離隔が足りない候補は減点、ゾーン内・除外エリア内の候補は除外
+ * - 最も遠いWaypointまでの距離（目視内飛行 VLOS の目安を超える分は重く減点）
+ * - 各Waypointへの平均距離（帰還区間の長さ）
+ *
+ * 評価の高い順に、国土地理院の基盤地図情報で建物内・水面（水際）でないことを確かめてから推薦する。
+ * 水面は水域・閉じた水涯線の内側と、水涯線・海岸線の近くで判定するため、タイルをまたぐ大きな川・湖の中央は検出できない
+ */
+
+import * as turf from '@turf/turf';
+import { getDistanceMeters, getNearbyNoFlyZones } from '../lib';
+import { isPositionInDIDSync, preloadDIDDataForCoordinates } from './didService';
+import { getKeepOutGeometry } from './keepOutService';
+import { loadFundamentalFeatures } from './separationCheck';
+
+// 飛行エリアの外側に候補を広げる距離（m）
+const SEARCH_MARGIN = 300;
+
+// 候補格子の一辺の点数
+const GRID_SIZE = 15;
+
+// 目視内飛行の目安距離（m）
+const VLOS_LIMIT = 500;
+
+// 禁止区域の外縁から確保したい離隔（m）
+const ZONE_MARGINS = { red: 300, yellow: 100 };
+
+// 推薦候補どうしの最小間隔（m）
+const MIN_CANDIDATE_SPACING = 100;
+
+// 評価の重み（コストはメートル相当）
+const WEIGHTS = {
+  did: 1500,
+  vlosExcess: 3,
+  maxDistance: 0.5,
+  meanDistance: 1,
+  zoneMargin: { red: 5, yellow: 2 },
+};
+
+// スコア1点あたりのコスト
+const COST_PER_POINT = 20;
+
+// 離発着に使えない地物（国土地理院 基盤地図情報の種別）
+const SURFACE_CLASSES = { BldA: 'building', BldL: 'building', WA: 'water', WL: 'water', Cstline: 'water' };
+
+// 水涯線・海岸線からこの距離（m）以内の候補は水際として除外
+const WATER_EDGE_MARGIN = 10;
+
+// 建物・水面を確かめる候補の上限（タイル取得の回数を抑える）
+const MAX_SURFACE_CHECKS = 30;
+
+/**
+ * 飛行エリアを囲む格子状の候補点
+ * @param {Array} waypoints - ウェイポイント配列
+ * @param {number} margin - 外側に広げる距離（m）
+ * @param {number} gridSize - 一辺の点数
+ * @returns {Array<{ lat: number, lng: number }>}
+ */
+export const generateTakeoffCandidates = (waypoints, margin = SEARCH_MARGIN, gridSize = GRID_SIZE) => {
+  if (waypoints.length === 0) return [];
+
+  const lats = waypoints.map(wp => wp.lat);
+  const lngs = waypoints.map(wp => wp.lng);
+  const centerLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const latMargin = margin / 111320;
+  const lngMargin = margin / (111320 * Math.cos((centerLat * Math.PI) / 180));
+
+  const south = Math.min(...lats) - latMargin;
+  const north = Math.max(...lats) + latMargin;
+  const west = Math.min(...lngs) - lngMargin;
+  const east = Math.max(...lngs) + lngMargin;
+
+  const candidates = [];
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      candidates.push({
+        lat: south + ((north - south) * row) / (gridSize - 1),
+        lng: west + ((east - west) * col) / (gridSize - 1),
+      });
+    }
+  }
+  return candidates;
+};
+
+/**
+ * 候補点を評価
+ * @param {Object} candidate - { lat, lng }
+ * @param {Array} waypoints - ウェイポイント配列
+ * @param {Object} context - { isInDID: (lat, lng) => boolean, zones: [{ facility }], keepOutGeometries: [] }
+ * @returns {Object|null} { lat, lng, cost, score, reasons, metrics }。離発着できない場所は null
+ */
+export const scoreTakeoffCandidate = (candidate, waypoints, context = {}) => {
+  const { isInDID = () => false, zones = [], keepOutGeometries = [] } = context;
+  const reasons = [];
+
+  const point = turf.point([candidate.lng, candidate.lat]);
+  if (keepOutGeometries.some(geometry => turf.booleanPointInPolygon(point, turf.feature(geometry)))) {
+    return null;
+  }
+
+  // 禁止区域: 外縁までの距離（負ならゾーン内）
+  let nearestZone = null;
+  let zoneCost = 0;
+  for (const { facility } of zones) {
+    const edgeDistance = getDistanceMeters(
+      candidate.lat, candidate.lng, facility.coordinates[1], facility.coordinates[0]
+    ) - facility.radiusKm * 1000;
+    if (edgeDistance < 0) return null;
+    if (!nearestZone || edgeDistance < nearestZone.edgeDistance) {
+      nearestZone = { facility, edgeDistance };
+    }
+
+    const shortfall = ZONE_MARGINS[facility.zone] - edgeDistance;
+    if (shortfall > 0) {
+      zoneCost += shortfall * WEIGHTS.zoneMargin[facility.zone];
+      reasons.push(`${facility.name}まで${Math.round(edgeDistance)}m`);
+    }
+  }
+
+  const inDID = Boolean(isInDID(candidate.lat, candidate.lng));
+  reasons.unshift(inDID ? 'DID内（人口集中地区）' : 'DID外');
+
+  const distances = waypoints.map(wp => getDistanceMeters(candidate.lat, candidate.lng, wp.lat, wp.lng));
+  const maxDistance = Math.max(...distances);
+  const meanDistance = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+  const vlosExcess = Math.max(0, maxDistance - VLOS_LIMIT);
+  reasons.push(vlosExcess > 0
+    ? `最遠WPまで${Math.round(maxDistance)}m（目視の目安${VLOS_LIMIT}m超）`
+    : `最遠WPまで${Math.round(maxDistance)}m`);
+
+  const cost = (inDID ? WEIGHTS.did : 0)
+    + zoneCost
+    + vlosExcess * WEIGHTS.vlosExcess
+    + maxDistance * WEIGHTS.maxDistance
+    + meanDistance * WEIGHTS.meanDistance;
+
+  return {
+    lat: candidate.lat,
+    lng: candidate.lng,
+    cost,
+    score: Math.max(0, Math.round(100 - cost / COST_PER_POINT)),
+    reasons,
+    metrics: {
+      inDID,
+      maxDistance,
+      meanDistance,
+      nearestZone: nearestZone
+        ? { name: nearestZone.facility.name, zone: nearestZone.facility.zone, distance: nearestZone.edgeDistance }
+        : null,
+    },
+  };
+};
+
+const isClosedRing = (line) => line.length >= 4
+  && line[0][0] === line[line.length - 1][0] && line[0][1] === line[line.length - 1][1];
+
+/**
+ * 候補点が建物内・水面（水際）にあるか
+ * 建物・水域の面と閉じた外周線・水涯線は内側、水涯線・海岸線は WATER_EDGE_MARGIN m 以内で判定する
+ * @param {Object} candidate - { lat, lng }
+ * @param {Array} features - 基盤地図情報の Feature 配列（properties.class）
+ * @returns {string|null} 'building' | 'water'。どちらでもなければ null
+ */
+export const findSurfaceObstacle = (candidate, features = []) => {
+  const point = turf.point([candidate.lng, candidate.lat]);
+  for (const feature of features) {
+    const kind = SURFACE_CLASSES[feature.properties?.class];
+    if (!kind) continue;
+
+    const { type, coordinates } = feature.geometry;
+    if (type === 'Polygon' || type === 'MultiPolygon') {
+      if (turf.booleanPointInPolygon(point, feature)) return kind;
+      continue;
+    }
+    const lines = type === 'LineString' ? [coordinates] : type === 'MultiLineString' ? coordinates : [];
+    for (const line of lines.filter(l => l.length >= 2)) {
+      if (isClosedRing(line) && turf.booleanPointInPolygon(point, turf.polygon([line]))) return kind;
+      if (kind === 'water' && turf.pointToLineDistance(point, turf.lineString(line), { units: 'meters' }) < WATER_EDGE_MARGIN) {
+        return kind;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * 離発着地点の候補を推薦
+ * @param {Array} waypoints - ウェイポイント配列
+ * @param {Object} options - { keepOutAreas, limit, isInDID, preloadDID, checkSurface（建物・水面を確かめる）, fetchTile }
+ * @returns {Promise<Array>} スコア順の候補 [{ lat, lng, score, rank, reasons, metrics }]
+ *   metrics.surfaceChecked: 建物・水面を確かめたか（地図データを取得できなければ false）
+ */
+export const recommendTakeoffSites = async (waypoints, options = {}) => {
+  const {
+    keepOutAreas = [],
+    limit = 3,
+    isInDID = isPositionInDIDSync,
+    preloadDID = true,
+    checkSurface = true,
+    fetchTile,
+  } = options;
+  if (!waypoints || waypoints.length === 0) return [];
+
+  const candidates = generateTakeoffCandidates(waypoints);
+  if (preloadDID) {
+    await preloadDIDDataForCoordinates(candidates);
+  }
+
+  // 候補範囲に影響しうる禁止区域だけを対象にする（最大半径は空港周辺の数km）
+  const center = candidates[Math.floor(candidates.length / 2)];
+  const searchRadiusKm = getDistanceMeters(
+    candidates[0].lat, candidates[0].lng, center.lat, center.lng
+  ) / 1000 + 10;
+  const zones = getNearbyNoFlyZones(center.lat, center.lng, searchRadiusKm);
+  const keepOutGeometries = keepOutAreas.map(getKeepOutGeometry).filter(Boolean);
+
+  const scored = candidates
+    .map(candidate => scoreTakeoffCandidate(candidate, waypoints, { isInDID, zones, keepOutGeometries }))
+    .filter(Boolean)
+    .sort((a, b) => a.cost - b.cost);
+
+  // 近接した候補は1つにまとめ、建物内・水面の候補は除外する
+  const selected = [];
+  let surfaceChecks = 0;
+  for (const candidate of scored) {
+    if (selected.length >= limit) break;
+    const tooClose = selected.some(s =>
+      getDistanceMeters(s.lat, s.lng, candidate.lat, candidate.lng) < MIN_CANDIDATE_SPACING
+    );
+    if (tooClose) continue;
+    if (!checkSurface) {
+      selected.push(candidate);
+      continue;
+    }
+    if (surfaceChecks >= MAX_SURFACE_CHECKS) break;
+    surfaceChecks++;
+
+    const { features, failedTiles } = await loadFundamentalFeatures(candidate, WATER_EDGE_MARGIN, { fetchTile });
+    if (findSurfaceObstacle(candidate, features)) continue;
+    const surfaceChecked = failedTiles === 0;
+    selected.push({
+      ...candidate,
+      reasons: [
+        ...candidate.reasons,
+        surfaceChecked ? '建物・水面なし（国土地理院 基盤地図情報）' : '建物・水面は未確認（地図データを取得できませんでした）',
+      ],
+      metrics: { ...candidate.metrics, surfaceChecked },
+    });
+  }
+
+  return selected.map((candidate, i) => ({ ...candidate, rank: i + 1 }));
+};
@@ -0,0 +1,172 @@
+/**
+ * takeoffSiteService テスト
+ *
+ * 離発着地点候補の生成・評価（DID・禁止区域の離隔・目視距離）と推薦のテスト
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  generateTakeoffCandidates,
+  scoreTakeoffCandidate,
+  recommendTakeoffSites,
+  findSurfaceObstacle
+} from './takeoffSiteService';
+import { clearSeparationCache } from './separationCheck';
+import { getDistanceMeters } from '../lib';
+
+// 郊外の約400m四方に並ぶ9点
+const waypoints = Array.from({ length: 9 }, (_, i) => ({
+  id: `wp${i}`,
+  lat: 36.2 + Math.floor(i / 3) * 0.0018,
+  lng: 139.3 + (i % 3) * 0.0022
+}));
+
+const notDID = () => false;
+
+// 建物・水涯線のない基盤地図情報タイル
+const emptyTile = async () => [];
+
+// (lat, lng) を中心に一辺 2×half m の閉じた外周線
+const ring = (cls, lat, lng, half) => {
+  const dLat = half / 111320;
+  const dLng = half / (111320 * Math.cos((lat * Math.PI) / 180));
+  return {
+    type: 'Feature',
+    properties: { class: cls },
+    geometry: {
+      type: 'LineString',
+      coordinates: [
+        [lng - dLng, lat - dLat], [lng + dLng, lat - dLat], [lng + dLng, lat + dLat], [lng - dLng, lat + dLat], [lng - dLng, lat - dLat]
+      ]
+    }
+  };
+};
+
+describe('takeoffSiteService', () => {
+
+  describe('generateTakeoffCandidates', () => {
+    it('飛行エリアを外側に広げた格子を返す', () => {
+      const candidates = generateTakeoffCandidates(waypoints, 300, 5);
+      const lats = candidates.map(c => c.lat);
+
+      expect(candidates).toHaveLength(25);
+      expect(Math.min(...lats)).toBeLessThan(36.2);
+      expect(Math.max(...lats)).toBeGreaterThan(36.2 + 0.0036);
+    });
+  });
+
+  describe('scoreTakeoffCandidate', () => {
+    it('DID内の候補はDID外より評価が低い', () => {
+      const center = { lat: 36.2018, lng: 139.3022 };
+      const outside = scoreTakeoffCandidate(center, waypoints, { isInDID: notDID });
+      const inside = scoreTakeoffCandidate(center, waypoints, { isInDID: () => true });
+
+      expect(inside.cost).toBeGreaterThan(outside.cost);
+      expect(inside.reasons[0]).toBe('DID内（人口集中地区）');
+    });
+
+    it('禁止区域内の候補は除外し、離隔不足は減点する', () => {
+      const facility = { name: 'テスト施設', coordinates: [139.3022, 36.2018], radiusKm: 0.1, zone: 'red' };
+      const zones = [{ facility }];
+
+      expect(scoreTakeoffCandidate({ lat: 36.2018, lng: 139.3022 }, waypoints, { zones })).toBeNull();
+
+      // 外縁から約50m
+      const near = { lat: 36.2018 + 150 / 111320, lng: 139.3022 };
+      const withZone = scoreTakeoffCandidate(near, waypoints, { zones });
+      const withoutZone = scoreTakeoffCandidate(near, waypoints, {});
+      expect(withZone.cost).toBeGreaterThan(withoutZone.cost);
+      expect(withZone.metrics.nearestZone.distance).toBeCloseTo(50, -1);
+    });
+
+    it('遠い候補ほど最遠WPまでの距離が伸びて評価が下がる', () => {
+      const near = scoreTakeoffCandidate({ lat: 36.2018, lng: 139.3022 }, waypoints, {});
+      const far = scoreTakeoffCandidate({ lat: 36.2018, lng: 139.32 }, waypoints, {});
+
+      expect(far.metrics.maxDistance).toBeGreaterThan(500);
+      expect(far.score).toBeLessThan(near.score);
+    });
+  });
+
+  describe('findSurfaceObstacle', () => {
+    const center = { lat: 36.2018, lng: 139.3022 };
+
+    it('建物の外周線の内側を建物と判定する', () => {
+      expect(findSurfaceObstacle(center, [ring('BldL', center.lat, center.lng, 10)])).toBe('building');
+      expect(findSurfaceObstacle({ lat: center.lat + 50 / 111320, lng: center.lng }, [ring('BldL', center.lat, center.lng, 10)])).toBeNull();
+    });
+
+    it('水涯線の近くは水面と判定し、道路などの地物は無視する', () => {
+      const shore = {
+        type: 'Feature',
+        properties: { class: 'WL' },
+        geometry: { type: 'LineString', coordinates: [[139.30, center.lat + 5 / 111320], [139.31, center.lat + 5 / 111320]] }
+      };
+      expect(findSurfaceObstacle(center, [shore])).toBe('water');
+      expect(findSurfaceObstacle(center, [{ ...shore, properties: { class: 'RdEdg' } }])).toBeNull();
+    });
+  });
+
+  describe('recommendTakeoffSites', () => {
+    beforeEach(() => {
+      clearSeparationCache();
+    });
+
+    it('DIDを避け、互いに離れた上位候補を順位付きで返す', async () => {
+      // エリア西半分をDIDとする
+      const isInDID = (lat, lng) => lng < 139.3022;
+      const sites = await recommendTakeoffSites(waypoints, { isInDID, preloadDID: false, limit: 3, fetchTile: emptyTile });
+
+      expect(sites.map(s => s.rank)).toEqual([1, 2, 3]);
+      expect(sites.every(s => !s.metrics.inDID)).toBe(true);
+      expect(sites[0].score).toBeGreaterThanOrEqual(sites[2].score);
+      for (let i = 1; i < sites.length; i++) {
+        expect(getDistanceMeters(sites[0].lat, sites[0].lng, sites[i].lat, sites[i].lng)).toBeGreaterThanOrEqual(100);
+      }
+    });
+
+    it('除外エリア内には候補を置かない', async () => {
+      const keepOut = {
+        keepOutOf: 'p1',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[139.3005, 36.2], [139.304, 36.2], [139.304, 36.2036], [139.3005, 36.2036], [139.3005, 36.2]]]
+        }
+      };
+      const sites = await recommendTakeoffSites(waypoints, {
+        keepOutAreas: [keepOut], isInDID: notDID, preloadDID: false, fetchTile: emptyTile
+      });
+
+      expect(sites.length).toBeGreaterThan(0);
+      for (const site of sites) {
+        const inside = site.lng > 139.3005 && site.lng < 139.304 && site.lat > 36.2 && site.lat < 36.2036;
+        expect(inside).toBe(false);
+      }
+    });
+
+    it('建物内の候補は除外し、確認できた候補には理由を付ける', async () => {
+      const options = { isInDID: notDID, preloadDID: false, limit: 1 };
+      const [best] = await recommendTakeoffSites(waypoints, { ...options, checkSurface: false });
+      const building = ring('BldL', best.lat, best.lng, 20);
+      const sites = await recommendTakeoffSites(waypoints, { ...options, fetchTile: async () => [building] });
+
+      expect(sites).toHaveLength(1);
+      expect(findSurfaceObstacle(sites[0], [building])).toBeNull();
+      expect(sites[0].metrics.surfaceChecked).toBe(true);
+      expect(sites[0].reasons).toContain('建物・水面なし（国土地理院 基盤地図情報）');
+    });
+
+    it('地図データを取得できない候補は未確認として返す', async () => {
+      const sites = await recommendTakeoffSites(waypoints, {
+        isInDID: notDID, preloadDID: false, limit: 1, fetchTile: async () => { throw new Error('offline'); }
+      });
+
+      expect(sites[0].metrics.surfaceChecked).toBe(false);
+      expect(sites[0].reasons).toContain('建物・水面は未確認（地図データを取得できませんでした）');
+    });
+
+    it('Waypointがなければ空配列を返す', async () => {
+      expect(await recommendTakeoffSites([], { preloadDID: false })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * 可視グラフによる経路探索
+ * 障害物を膨らませた外周の頂点をノードとし、A* で障害物を通らない最短経路を求める。
+ * 制限区域の回避（avoidancePlanner）と除外エリアの迂回（keepOutService）で共用する。
+ *
+ * 障害物は { clearance, bbox, vertices } の形で渡す
+ * - clearance: 経路が通ってはいけない形状（GeoJSON Feature）
+ * - bbox: clearance の矩形 [minX, minY, maxX, maxY]
+ * - vertices: 迂回に使う頂点 { lat, lng } の配列
+ */
+
+import * as turf from '@turf/turf';
+import { getDistanceMeters } from '../lib';
+
+const toPosition = (point) => [point.lng, point.lat];
+
+const distanceBetween = (a, b) => getDistanceMeters(a.lat, a.lng, b.lat, b.lng);
+
+/**
+ * 点列の総距離（m）
+ * @param {Array} path - { lat, lng } の配列
+ * @returns {number}
+ */
+export const pathLength = (path) => path.slice(1).reduce((sum, p, i) => sum + distanceBetween(path[i], p), 0);
+
+// 2点を結ぶ線分の矩形が障害物の矩形と重なるか
+const overlapsBbox = (a, b, [minX, minY, maxX, maxY]) =>
+  Math.max(a.lng, b.lng) >= minX && Math.min(a.lng, b.lng) <= maxX &&
+  Math.max(a.lat, b.lat) >= minY && Math.min(a.lat, b.lat) <= maxY;
+
+/**
+ * 2点間の線分が横切る障害物（矩形で絞り込んでから判定）
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @param {Array} obstacles - 障害物
+ * @returns {Array} 横切る障害物
+ */
+export const findCrossedObstacles = (a, b, obstacles) => {
+  let leg = null;
+  return obstacles.filter(o => {
+    if (!overlapsBbox(a, b, o.bbox)) return false;
+    leg = leg || turf.lineString([toPosition(a), toPosition(b)]);
+    return turf.booleanIntersects(leg, o.clearance);
+  });
+};
+
+/**
+ * 2点間を遮る障害物がないか（矩形で絞り込んでから判定）
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @param {Array} obstacles - 障害物
+ * @returns {boolean}
+ */
+export const isVisible = (a, b, obstacles) => {
+  let leg = null;
+  for (const o of obstacles) {
+    if (!overlapsBbox(a, b, o.bbox)) continue;
+    leg = leg || turf.lineString([toPosition(a), toPosition(b)]);
+    if (turf.booleanIntersects(leg, o.clearance)) return false;
+  }
+  return true;
+};
+
+/**
+ * 障害物から可視グラフを作成
+ * 障害物の頂点どうし・探索した点と頂点の可視性は初回の判定結果を保持し、同じ障害物での探索を繰り返すときに使い回す
+ * @param {Array} obstacles - 障害物
+ * @returns {{ findPath: Function }} findPath(start, end) => 始点から終点までの点列（経路がなければ null）
+ */
+export const createVisibilityGraph = (obstacles) => {
+  const isInside = (point) => obstacles.some(o => turf.booleanPointInPolygon(toPosition(point), o.clearance));
+  const vertices = obstacles.flatMap(o => o.vertices).filter(v => !isInside(v));
+  const m = vertices.length;
+  // 頂点 i, j (i < j) の可視性（0: 未判定, 1: 見える, 2: 遮られる）
+  const vertexVisibility = new Uint8Array(m * m);
+
+  const isVertexVisible = (i, j) => {
+    const key = i < j ? i * m + j : j * m + i;
+    if (vertexVisibility[key] === 0) {
+      vertexVisibility[key] = isVisible(vertices[i], vertices[j], obstacles) ? 1 : 2;
+    }
+    return vertexVisibility[key] === 1;
+  };
+
+  // 始点・終点ごとの頂点への可視性（同じ点を含む区間の探索で使い回す）
+  const pointVisibility = new WeakMap();
+  const isPointVisible = (point, j) => {
+    let row = pointVisibility.get(point);
+    if (!row) {
+      row = new Uint8Array(m);
+      pointVisibility.set(point, row);
+    }
+    if (row[j] === 0) row[j] = isVisible(point, vertices[j], obstacles) ? 1 : 2;
+    return row[j] === 1;
+  };
+
+  /**
+   * 可視グラフ上の A* 探索
+   * 辺は展開したノードについてだけ判定する（遅延評価）
+   */
+  const findPath = (start, end) => {
+    const nodes = [start, end, ...vertices];
+    const END = 1;
+    const FIRST_VERTEX = 2;
+    const visible = (u, v) => {
+      if (u >= FIRST_VERTEX && v >= FIRST_VERTEX) return isVertexVisible(u - FIRST_VERTEX, v - FIRST_VERTEX);
+      if (v >= FIRST_VERTEX) return isPointVisible(nodes[u], v - FIRST_VERTEX);
+      if (u >= FIRST_VERTEX) return isPointVisible(nodes[v], u - FIRST_VERTEX);
+      return isVisible(nodes[u], nodes[v], obstacles);
+    };
+
+    const g = new Array(nodes.length).fill(Infinity);
+    const f = new Array(nodes.length).fill(Infinity);
+    const prev = new Array(nodes.length).fill(-1);
+    const closed = new Array(nodes.length).fill(false);
+    const open = new Set([0]);
+    g[0] = 0;
+    f[0] = distanceBetween(start, end);
+
+    while (open.size > 0) {
+      let u = -1;
+      for (const i of open) {
+        if (u === -1 || f[i] < f[u]) u = i;
+      }
+      if (u === END) break;
+      open.delete(u);
+      closed[u] = true;
+
+      for (let v = 0; v < nodes.length; v++) {
+        if (closed[v] || v === u) continue;
+        const d = distanceBetween(nodes[u], nodes[v]);
+        if (g[u] + d >= g[v]) continue;
+        if (!visible(u, v)) continue;
+        g[v] = g[u] + d;
+        f[v] = g[v] + distanceBetween(nodes[v], end);
+        prev[v] = u;
+        open.add(v);
+      }
+    }
+
+    if (g[END] === Infinity) return null;
+    const path = [];
+    for (let v = END; v !== -1; v = prev[v]) {
+      path.unshift(nodes[v]);
+    }
+    return path;
+  };
+
+  return { findPath };
+};
+
+/**
+ * 可視グラフ上の A* 探索（1回だけ探索する場合）
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @param {Array} obstacles - 障害物
+ * @returns {Array|null} 始点から終点までの点列（経路がなければ null）
+ */
+export const findVisibilityPath = (start, end, obstacles) => createVisibilityGraph(obstacles).findPath(start, end);
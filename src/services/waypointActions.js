@@ -0,0 +1,136 @@
+/**
+ * Waypointアクション定義
+ * 各Waypointで機体が実行する動作（撮影・ホバリング・ジンバル等）の型と編集ユーティリティ
+ */
+
+// アクション種別の定義（params: 数値パラメータの範囲とデフォルト値）
+export const WAYPOINT_ACTION_TYPES = {
+  takePhoto: {
+    label: '写真撮影',
+    icon: '📷',
+    params: {}
+  },
+  intervalShooting: {
+    label: 'インターバル撮影',
+    icon: '⏱️',
+    params: {
+      interval: { label: '間隔', unit: '秒', min: 1, max: 60, default: 2 }
+    }
+  },
+  hover: {
+    label: 'ホバリング',
+    icon: '⏸️',
+    params: {
+      duration: { label: '時間', unit: '秒', min: 1, max: 600, default: 5 }
+    }
+  },
+  gimbalPitch: {
+    label: 'ジンバル角度',
+    icon: '🎥',
+    params: {
+      pitch: { label: 'ピッチ', unit: '°', min: -90, max: 30, default: -90 }
+    }
+  },
+  yaw: {
+    label: '機首方位',
+    icon: '🧭',
+    params: {
+      heading: { label: '方位', unit: '°', min: 0, max: 359, default: 0 }
+    }
+  },
+  startRecord: {
+    label: '録画開始',
+    icon: '🔴',
+    params: {}
+  },
+  stopRecord: {
+    label: '録画停止',
+    icon: '⏹️',
+    params: {}
+  }
+}
+
+/**
+ * アクションを作成（パラメータは範囲内に丸める）
+ * @param {string} type - アクション種別
+ * @param {Object} params - パラメータ（省略時はデフォルト値）
+ * @returns {Object|null} アクション（未知の種別はnull）
+ */
+export const createWaypointAction = (type, params = {}) => {
+  const definition = WAYPOINT_ACTION_TYPES[type]
+  if (!definition) return null
+
+  const action = { type }
+  Object.entries(definition.params).forEach(([key, spec]) => {
+    const value = Number(params[key])
+    action[key] = Number.isFinite(value)
+      ? Math.min(spec.max, Math.max(spec.min, value))
+      : spec.default
+  })
+  return action
+}
+
+/**
+ * 外部データ（バックアップ等）のアクション配列を検証・正規化
+ * @param {unknown} actions
+ * @returns {Array} 有効なアクションのみの配列
+ */
+export const normalizeWaypointActions = (actions) => {
+  if (!Array.isArray(actions)) return []
+  return actions
+    .map(action => (action && typeof action === 'object' ? createWaypointAction(action.type, action) : null))
+    .filter(Boolean)
+}
+
+/**
+ * アクションを表示用テキストに変換
+ * @param {Object} action
+ * @returns {string} 例: 'ホバリング 5秒'
+ */
+export const formatWaypointAction = (action) => {
+  const definition = WAYPOINT_ACTION_TYPES[action?.type]
+  if (!definition) return ''
+
+  const values = Object.entries(definition.params)
+    .map(([key, spec]) => `${action[key]}${spec.unit}`)
+  return [definition.label, ...values].join(' ')
+}
+
+/**
+ * アクション一覧を1行のテキストに変換（CSV・KML出力用）
+ * @param {Array} actions
+ * @returns {string}
+ */
+export const formatWaypointActions = (actions) => {
+  return (actions || []).map(formatWaypointAction).filter(Boolean).join(' / ')
+}
+
+/**
+ * 複数Waypointにアクションを一括適用
+ * @param {Array} waypoints - 全Waypoint
+ * @param {string[]} ids - 適用対象のWaypoint ID
+ * @param {Array} actions - 適用するアクション
+ * @param {'append'|'replace'} mode - 既存アクションに追加 / 置き換え
+ * @returns {Array} 更新後のWaypoint配列
+ */
+export const applyActionsToWaypoints = (waypoints, ids, actions, mode = 'replace') => {
+  const targets = new Set(ids)
+  const normalized = normalizeWaypointActions(actions)
+
+  return waypoints.map(wp => {
+    if (!targets.has(wp.id)) return wp
+    const next = mode === 'append' ? [...(wp.actions || []), ...normalized] : normalized
+    return { ...wp, actions: next.map(action => ({ ...action })) }
+  })
+}
+
+/**
+ * アクションによる停止時間（ホバリング合計）を取得
+ * @param {Array} actions
+ * @returns {number} 秒
+ */
+export const getActionHoverSeconds = (actions) => {
+  return (actions || [])
+    .filter(action => action.type === 'hover')
+    .reduce((sum, action) => sum + (action.duration || 0), 0)
+}
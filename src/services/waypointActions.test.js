@@ -0,0 +1,186 @@
+/**
+ * waypointActions テスト
+ *
+ * アクションの生成・正規化・一括適用・表示テキストのテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createWaypointAction,
+  normalizeWaypointActions,
+  formatWaypointAction,
+  formatWaypointActions,
+  applyActionsToWaypoints,
+  getActionHoverSeconds
+} from './waypointActions';
+import { parseBackup, parseKML, parseWaypointJSON } from '../utils/fileParser';
+import { generateWaypointKMLPreview, generateWaypointJSONPreview } from '../utils/exporters';
+
+describe('waypointActions', () => {
+
+  describe('createWaypointAction', () => {
+    it('パラメータ省略時はデフォルト値を使う', () => {
+      expect(createWaypointAction('hover')).toEqual({ type: 'hover', duration: 5 });
+      expect(createWaypointAction('takePhoto')).toEqual({ type: 'takePhoto' });
+    });
+
+    it('範囲外のパラメータは上下限に丸める', () => {
+      expect(createWaypointAction('gimbalPitch', { pitch: -120 }).pitch).toBe(-90);
+      expect(createWaypointAction('yaw', { heading: 400 }).heading).toBe(359);
+    });
+
+    it('未知の種別はnullを返す', () => {
+      expect(createWaypointAction('unknown')).toBeNull();
+    });
+  });
+
+  describe('normalizeWaypointActions', () => {
+    it('不正な要素を除外し、余分なプロパティを落とす', () => {
+      const actions = normalizeWaypointActions([
+        { type: 'hover', duration: '10', extra: true },
+        { type: 'fly' },
+        null
+      ]);
+      expect(actions).toEqual([{ type: 'hover', duration: 10 }]);
+    });
+
+    it('配列以外は空配列を返す', () => {
+      expect(normalizeWaypointActions(undefined)).toEqual([]);
+      expect(normalizeWaypointActions('takePhoto')).toEqual([]);
+    });
+  });
+
+  describe('formatWaypointActions', () => {
+    it('パラメータ付きで表示テキストを生成する', () => {
+      expect(formatWaypointAction({ type: 'hover', duration: 5 })).toBe('ホバリング 5秒');
+      expect(formatWaypointActions([
+        { type: 'takePhoto' },
+        { type: 'hover', duration: 3 }
+      ])).toBe('写真撮影 / ホバリング 3秒');
+    });
+
+    it('アクションなしは空文字', () => {
+      expect(formatWaypointActions(undefined)).toBe('');
+    });
+  });
+
+  describe('applyActionsToWaypoints', () => {
+    const waypoints = [
+      { id: 'a', actions: [{ type: 'takePhoto' }] },
+      { id: 'b' },
+      { id: 'c' }
+    ];
+
+    it('replaceは対象Waypointのアクションを置き換える', () => {
+      const result = applyActionsToWaypoints(waypoints, ['a', 'b'], [{ type: 'startRecord' }]);
+      expect(result[0].actions).toEqual([{ type: 'startRecord' }]);
+      expect(result[1].actions).toEqual([{ type: 'startRecord' }]);
+      expect(result[2]).toBe(waypoints[2]);
+    });
+
+    it('appendは既存アクションの後ろに追加する', () => {
+      const result = applyActionsToWaypoints(waypoints, ['a'], [{ type: 'hover', duration: 2 }], 'append');
+      expect(result[0].actions.map(a => a.type)).toEqual(['takePhoto', 'hover']);
+    });
+
+    it('Waypoint間でアクションオブジェクトを共有しない', () => {
+      const result = applyActionsToWaypoints(waypoints, ['b', 'c'], [{ type: 'takePhoto' }]);
+      expect(result[1].actions[0]).not.toBe(result[2].actions[0]);
+    });
+  });
+
+  describe('getActionHoverSeconds', () => {
+    it('ホバリング時間の合計を返す', () => {
+      expect(getActionHoverSeconds([
+        { type: 'hover', duration: 5 },
+        { type: 'takePhoto' },
+        { type: 'hover', duration: 10 }
+      ])).toBe(15);
+      expect(getActionHoverSeconds(undefined)).toBe(0);
+    });
+  });
+
+  describe('エクスポート往復', () => {
+    const exported = [
+      {
+        id: 'w1',
+        lat: 35.001,
+        lng: 139.002,
+        polygonId: 'p1',
+        polygonName: 'エリア <A>',
+        type: 'survey',
+        elevation: 12.3,
+        altitude: 50,
+        altitudeASL: 62.3,
+        photoTriggerDistance: 24.5,
+        actions: [{ type: 'gimbalPitch', pitch: -45 }, { type: 'takePhoto' }]
+      },
+      { id: 'w2', lat: 35.002, lng: 139.003, polygonId: null, polygonName: '', type: 'manual' }
+    ];
+
+    it('KML の ExtendedData からアクションと撮影間隔を復元する', () => {
+      const result = parseKML(generateWaypointKMLPreview(exported));
+
+      expect(result.success).toBe(true);
+      expect(result.polygons).toEqual([]);
+      expect(result.waypoints).toHaveLength(2);
+      expect(result.waypoints[0]).toMatchObject({
+        lat: 35.001,
+        lng: 139.002,
+        polygonId: null,
+        polygonName: 'エリア <A>',
+        photoTriggerDistance: 24.5,
+        actions: [{ type: 'gimbalPitch', pitch: -45 }, { type: 'takePhoto' }]
+      });
+      expect(result.waypoints[1].actions).toBeUndefined();
+    });
+
+    it('Waypoint JSON からアクション・高度・撮影間隔を復元する', () => {
+      const result = parseWaypointJSON(JSON.stringify(generateWaypointJSONPreview(exported)));
+
+      expect(result.success).toBe(true);
+      expect(result.waypoints[0]).toMatchObject({
+        lat: 35.001,
+        lng: 139.002,
+        polygonName: 'エリア <A>',
+        type: 'survey',
+        elevation: 12.3,
+        altitude: 50,
+        altitudeASL: 62.3,
+        photoTriggerDistance: 24.5,
+        actions: [{ type: 'gimbalPitch', pitch: -45 }, { type: 'takePhoto' }]
+      });
+      expect(result.waypoints[1]).toMatchObject({ polygonName: '手動追加', type: 'manual' });
+      expect(parseWaypointJSON('{"type": "FeatureCollection"}').success).toBe(false);
+    });
+  });
+
+  describe('バックアップ往復', () => {
+    it('parseBackup はアクションを保持しポリゴンIDを付け替える', () => {
+      const backup = {
+        polygons: [{
+          id: 'p1',
+          name: 'エリア',
+          geometry: { type: 'Polygon', coordinates: [[[139, 35], [139.01, 35], [139.01, 35.01], [139, 35]]] }
+        }],
+        waypoints: [{
+          id: 'w1',
+          lat: 35,
+          lng: 139,
+          polygonId: 'p1',
+          actions: [{ type: 'gimbalPitch', pitch: -45 }, { type: 'bogus' }]
+        }]
+      };
+
+      const result = parseBackup(JSON.stringify(backup));
+      expect(result.success).toBe(true);
+      expect(result.waypoints[0].actions).toEqual([{ type: 'gimbalPitch', pitch: -45 }]);
+      expect(result.waypoints[0].polygonId).toBe(result.polygons[0].id);
+      expect(result.polygons[0].id).not.toBe('p1');
+    });
+
+    it('waypoints配列がなければ失敗を返す', () => {
+      expect(parseBackup('{"polygons": []}').success).toBe(false);
+    });
+  });
+});
@@ -1,58 +1,129 @@
 import * as turf from '@turf/turf'
+import { createWaypointAction } from './waypointActions'
 
-// Extract waypoints from polygon vertices
+/**
+ * Split a Polygon / MultiPolygon geometry into its parts.
+ * Each part is an array of rings: the outer ring first, then its holes.
+ * @param {object} polygon - Polygon object
+ * @returns {Array<Array<number[][]>>} Parts (empty for other geometry types)
+ */
+export const getPolygonParts = (polygon) => {
+  const geometry = polygon?.geometry
+  if (geometry?.type === 'Polygon') return [geometry.coordinates]
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates
+  return []
+}
+
+// turf feature for a Polygon / MultiPolygon object (holes included)
+const toTurfPolygon = (polygon) => {
+  const parts = getPolygonParts(polygon)
+  if (parts.length === 0) return null
+  return parts.length === 1 ? turf.polygon(parts[0]) : turf.multiPolygon(parts)
+}
+
+// Count vertices across every part and ring (closing points excluded)
+export const countPolygonVertices = (polygon) => {
+  return getPolygonParts(polygon)
+    .flat()
+    .reduce((sum, ring) => sum + Math.max(0, ring.length - 1), 0)
+}
+
+// Extract waypoints from polygon vertices (every part, outer ring then holes)
 export const polygonToWaypoints = (polygon) => {
-  if (!polygon.geometry || polygon.geometry.type !== 'Polygon') {
-    return []
-  }
+  const waypoints = []
+
+  getPolygonParts(polygon).forEach((rings, partIndex) => {
+    rings.forEach((ring, ringIndex) => {
+      // Exclude the closing point
+      ring.slice(0, -1).forEach((coord, vertexIndex) => {
+        waypoints.push({
+          id: crypto.randomUUID(),
+          lat: coord[1],
+          lng: coord[0],
+          index: waypoints.length + 1,
+          vertexIndex, // Index in the ring's coordinates array
+          ringIndex, // 0 = outer ring, 1+ = holes
+          partIndex, // MultiPolygon part
+          polygonId: polygon.id,
+          polygonName: polygon.name,
+          type: 'vertex'
+        })
+      })
+    })
+  })
 
-  // Get outer ring coordinates (excluding the closing point)
-  const coords = polygon.geometry.coordinates[0].slice(0, -1)
+  return waypoints
+}
 
-  return coords.map((coord, index) => ({
-    id: crypto.randomUUID(),
-    lat: coord[1],
-    lng: coord[0],
-    index: index + 1,
-    vertexIndex: index, // Index in polygon coordinates array
-    polygonId: polygon.id,
-    polygonName: polygon.name,
-    type: 'vertex'
-  }))
+/**
+ * Move one vertex of a Polygon / MultiPolygon geometry, keeping its ring closed.
+ * @param {object} geometry - GeoJSON Polygon / MultiPolygon geometry
+ * @param {{partIndex?: number, ringIndex?: number, vertexIndex: number}} location - Vertex location (see polygonToWaypoints)
+ * @param {number[]} coord - New [lng, lat]
+ * @returns {object} Updated geometry (unchanged when the vertex does not exist)
+ */
+export const moveGeometryVertex = (geometry, location, coord) => {
+  const { partIndex = 0, ringIndex = 0, vertexIndex } = location
+  const parts = getPolygonParts({ geometry })
+  const ring = parts[partIndex]?.[ringIndex]
+  if (!ring || !(vertexIndex >= 0) || vertexIndex >= ring.length - 1) return geometry
+
+  const newRing = ring.map((c, i) => (i === vertexIndex ? coord : c))
+  if (vertexIndex === 0) newRing[newRing.length - 1] = coord
+
+  const newParts = parts.map((rings, p) => (
+    p === partIndex ? rings.map((r, i) => (i === ringIndex ? newRing : r)) : rings
+  ))
+  return {
+    ...geometry,
+    coordinates: geometry.type === 'Polygon' ? newParts[0] : newParts
+  }
 }
 
 /**
- * Generate waypoints along polygon perimeter at regular intervals
+ * Generate waypoints along polygon perimeter at regular intervals.
+ * Holes and MultiPolygon parts are walked too; the count is shared between
+ * rings in proportion to their length (every outer ring gets at least one).
  * @param {object} polygon - Polygon object
  * @param {number} count - Number of waypoints to generate
  * @returns {Array} Array of waypoint objects
  */
 export const generatePerimeterWaypoints = (polygon, count = 8) => {
-  if (!polygon.geometry || polygon.geometry.type !== 'Polygon') {
+  const rings = getPolygonParts(polygon).flatMap((partRings, partIndex) =>
+    partRings.map((ring, ringIndex) => ({ ring, partIndex, ringIndex }))
+  )
+  if (rings.length === 0) {
     return []
   }
 
   try {
-    const turfPolygon = turf.polygon(polygon.geometry.coordinates)
-    const line = turf.polygonToLine(turfPolygon)
-    const length = turf.length(line, { units: 'meters' })
-    const spacing = length / count
+    const ringLines = rings.map(entry => {
+      const line = turf.lineString(entry.ring)
+      return { ...entry, line, length: turf.length(line, { units: 'meters' }) }
+    })
+    const totalLength = ringLines.reduce((sum, entry) => sum + entry.length, 0)
 
     const waypoints = []
-    for (let i = 0; i < count; i++) {
-      const distance = spacing * i
-      const point = turf.along(line, distance, { units: 'meters' })
-
-      waypoints.push({
-        id: crypto.randomUUID(),
-        lat: point.geometry.coordinates[1],
-        lng: point.geometry.coordinates[0],
-        index: i + 1,
-        polygonId: polygon.id,
-        polygonName: polygon.name,
-        type: 'perimeter'
-      })
-    }
+    ringLines.forEach(({ line, length, partIndex, ringIndex }) => {
+      const share = totalLength > 0 ? Math.round((count * length) / totalLength) : 0
+      const ringCount = ringIndex === 0 ? Math.max(1, share) : share
+      const spacing = length / Math.max(1, ringCount)
+
+      for (let i = 0; i < ringCount; i++) {
+        const point = turf.along(line, spacing * i, { units: 'meters' })
+
+        waypoints.push({
+          id: crypto.randomUUID(),
+          lat: point.geometry.coordinates[1],
+          lng: point.geometry.coordinates[0],
+          index: waypoints.length + 1,
+          polygonId: polygon.id,
+          polygonName: polygon.name,
+          type: 'perimeter',
+          ...((partIndex > 0 || ringIndex > 0) && { partIndex, ringIndex })
+        })
+      }
+    })
 
     return waypoints
   } catch (error) {
@@ -61,18 +132,161 @@ export const generatePerimeterWaypoints = (polygon, count = 8) => {
   }
 }
 
-// Generate grid waypoints inside polygon for thorough inspection
-export const generateGridWaypoints = (polygon, spacingMeters = 50) => {
-  if (!polygon.geometry || polygon.geometry.type !== 'Polygon') {
+/**
+ * List the edges of every ring (outer rings and courtyard holes) with their length and bearing.
+ * Used to pick the wall(s) for façade inspection.
+ * `outwardBearing` points away from the footprint: outside for outer rings, into the hole for inner rings.
+ * @param {object} polygon - Polygon object
+ * @returns {Array<{index: number, start: number[], end: number[], length: number, bearing: number, outwardBearing: number, partIndex: number, ringIndex: number}>}
+ */
+export const getPolygonEdges = (polygon) => {
+  const edges = []
+
+  getPolygonParts(polygon).forEach((rings, partIndex) => {
+    rings.forEach((ring, ringIndex) => {
+      if (ring.length < 4) return
+      // The footprint is on the left of a counter-clockwise outer ring and on the right of a
+      // counter-clockwise hole, so the outward normal flips with winding and with ring role
+      const isHole = ringIndex > 0
+      const outwardTurn = turf.booleanClockwise(ring) !== isHole ? -90 : 90
+
+      for (let i = 0; i < ring.length - 1; i++) {
+        const start = ring[i]
+        const end = ring[i + 1]
+        const bearing = turf.bearingToAzimuth(turf.bearing(start, end))
+        edges.push({
+          index: edges.length,
+          start,
+          end,
+          length: turf.distance(start, end, { units: 'meters' }),
+          bearing,
+          outwardBearing: ((bearing + outwardTurn) % 360 + 360) % 360,
+          partIndex,
+          ringIndex
+        })
+      }
+    })
+  })
+
+  return edges
+}
+
+/**
+ * Generate vertical façade inspection waypoints along selected polygon edges.
+ * Columns are spaced along each edge at a stand-off distance on the outward side,
+ * and flown serpentine (up, then down) from min to max altitude. Every waypoint
+ * faces the wall.
+ *
+ * @param {object} polygon - Polygon object (the building / dam footprint)
+ * @param {object} options
+ * @param {number[]} options.edges - Edge indices to inspect (see getPolygonEdges); all edges when omitted
+ * @param {number} options.offset - Stand-off distance from the wall in meters (outward normal)
+ * @param {number} options.spacing - Horizontal spacing between columns in meters
+ * @param {number} options.minAltitude - Lowest altitude in meters AGL
+ * @param {number} options.maxAltitude - Highest altitude in meters AGL
+ * @param {number} options.verticalStep - Altitude step within a column in meters
+ * @returns {Array} Array of waypoint objects
+ */
+export const generateFacadeWaypoints = (polygon, options = {}) => {
+  const {
+    edges: edgeIndices,
+    offset = 10,
+    spacing = 10,
+    minAltitude = 10,
+    maxAltitude = 30,
+    verticalStep = 5
+  } = options
+
+  const allEdges = getPolygonEdges(polygon)
+  if (allEdges.length === 0 || !(spacing > 0) || !(verticalStep > 0)) {
     return []
   }
 
+  const selected = edgeIndices
+    ? allEdges.filter(edge => edgeIndices.includes(edge.index))
+    : allEdges
+
+  // Altitude steps, always including the top of the wall
+  const low = Math.min(minAltitude, maxAltitude)
+  const high = Math.max(minAltitude, maxAltitude)
+  const levels = []
+  for (let alt = low; alt < high; alt += verticalStep) {
+    levels.push(alt)
+  }
+  levels.push(high)
+
+  const waypoints = []
+  let column = 0
+
+  selected.forEach(edge => {
+    if (edge.length === 0) return
+
+    const normal = edge.outwardBearing
+    const heading = ((normal + 180) % 360 + 360) % 360
+    const segments = Math.max(1, Math.ceil(edge.length / spacing))
+    const edgeLine = turf.lineString([edge.start, edge.end])
+
+    for (let i = 0; i <= segments; i++) {
+      const onWall = turf.along(edgeLine, (edge.length * i) / segments, { units: 'meters' })
+      const standOff = turf.destination(onWall, offset, normal, { units: 'meters' })
+      const [lng, lat] = standOff.geometry.coordinates
+      const columnLevels = column % 2 === 0 ? levels : [...levels].reverse()
+      column++
+
+      columnLevels.forEach(altitude => {
+        waypoints.push({
+          id: crypto.randomUUID(),
+          lat,
+          lng,
+          index: waypoints.length + 1,
+          polygonId: polygon.id,
+          polygonName: polygon.name,
+          type: 'facade',
+          altitude,
+          heading,
+          facadeEdge: edge.index,
+          facadeColumn: column
+        })
+      })
+    }
+  })
+
+  return waypoints
+}
+
+/**
+ * Grid spacing that keeps a photo plan's front and side overlap in both grid directions
+ * @param {object} photoPlan - Result of planPhotogrammetry()
+ * @returns {number} Spacing in meters
+ */
+export const getPhotoGridSpacing = (photoPlan) => Math.min(photoPlan.lineSpacing, photoPlan.triggerDistance)
+
+/**
+ * Generate grid waypoints inside polygon for thorough inspection
+ * @param {object} polygon - Polygon object
+ * @param {number} spacingMeters - Grid spacing in meters
+ * @param {object} [options]
+ * @param {object} [options.photoPlan] - Result of planPhotogrammetry(); overrides spacing, sets altitude and a photo at every point
+ * @returns {Array} Array of waypoint objects
+ */
+export const generateGridWaypoints = (polygon, spacingMeters = 50, options = {}) => {
+  if (getPolygonParts(polygon).length === 0) {
+    return []
+  }
+
+  const { photoPlan = null } = options
+  const spacing = photoPlan ? getPhotoGridSpacing(photoPlan) : spacingMeters
+  const photoFields = photoPlan
+    ? { altitude: Math.round(photoPlan.altitude), actions: [createWaypointAction('takePhoto')] }
+    : {}
+
   try {
-    const turfPolygon = turf.polygon(polygon.geometry.coordinates)
+    const turfPolygon = toTurfPolygon(polygon)
+    // The mask excludes holes and covers every MultiPolygon part
     const bbox = turf.bbox(turfPolygon)
 
     // Create point grid
-    const grid = turf.pointGrid(bbox, spacingMeters, {
+    const grid = turf.pointGrid(bbox, spacing, {
       units: 'meters',
       mask: turfPolygon
     })
@@ -84,7 +298,8 @@ export const generateGridWaypoints = (polygon, spacingMeters = 50) => {
       index: index + 1,
       polygonId: polygon.id,
       polygonName: polygon.name,
-      type: 'grid'
+      type: 'grid',
+      ...photoFields
     }))
   } catch (error) {
     console.error('Grid generation error:', error)
@@ -92,14 +307,370 @@ export const generateGridWaypoints = (polygon, spacingMeters = 50) => {
   }
 }
 
+// ============================================
+// Survey (boustrophedon / lawnmower) pattern
+// ============================================
+
+const METERS_PER_DEG_LAT = 110540
+const METERS_PER_DEG_LNG_EQUATOR = 111320
+const SURVEY_ANGLE_STEP = 5
+
+// Build a local planar projection (meters) around the polygon's first vertex.
+// Accurate enough for survey-sized areas (a few km).
+const createLocalProjection = (origin) => {
+  const [lng0, lat0] = origin
+  const kx = METERS_PER_DEG_LNG_EQUATOR * Math.cos(lat0 * Math.PI / 180)
+  const ky = METERS_PER_DEG_LAT
+  return {
+    toXY: ([lng, lat]) => [(lng - lng0) * kx, (lat - lat0) * ky],
+    toLngLat: ([x, y]) => [lng0 + x / kx, lat0 + y / ky]
+  }
+}
+
+/**
+ * Clip parallel flight lines to a polygon at the given heading.
+ * Inner rings are honoured (even-odd rule), so lines skip holes.
+ * MultiPolygon parts are swept together; a sweep crossing two parts yields one line per part.
+ * Lines are returned in serpentine order: every other line is reversed.
+ *
+ * @param {object} polygon - Polygon object (Polygon / MultiPolygon geometry)
+ * @param {number} spacingMeters - Distance between adjacent lines
+ * @param {number} heading - Line direction in degrees clockwise from north
+ * @returns {Array<{start: number[], end: number[], length: number, lineIndex: number}>}
+ */
+export const generateSurveyLines = (polygon, spacingMeters = 50, heading = 0) => {
+  if (!(spacingMeters > 0)) {
+    return []
+  }
+
+  // Rings of all MultiPolygon parts; parts do not overlap, so even-odd still holds
+  const rings = getPolygonParts(polygon).flat()
+  if (!rings[0] || rings[0].length < 4) return []
+
+  const projection = createLocalProjection(rings[0][0])
+  const rad = heading * Math.PI / 180
+  // Flight direction (along) and sweep direction (across), x = east, y = north
+  const dir = [Math.sin(rad), Math.cos(rad)]
+  const normal = [Math.cos(rad), -Math.sin(rad)]
+
+  const edges = []
+  let minAcross = Infinity
+  let maxAcross = -Infinity
+  for (const ring of rings) {
+    const pts = ring.map(c => {
+      const [x, y] = projection.toXY(c)
+      return { along: x * dir[0] + y * dir[1], across: x * normal[0] + y * normal[1] }
+    })
+    for (let i = 0; i < pts.length - 1; i++) {
+      edges.push([pts[i], pts[i + 1]])
+      minAcross = Math.min(minAcross, pts[i].across)
+      maxAcross = Math.max(maxAcross, pts[i].across)
+    }
+  }
+
+  const toLngLat = (along, across) => projection.toLngLat([
+    along * dir[0] + across * normal[0],
+    along * dir[1] + across * normal[1]
+  ])
+
+  const lines = []
+  let sweepIndex = 0
+  for (let across = minAcross + spacingMeters / 2; across < maxAcross; across += spacingMeters) {
+    const hits = []
+    for (const [a, b] of edges) {
+      if ((a.across <= across && b.across > across) || (b.across <= across && a.across > across)) {
+        const t = (across - a.across) / (b.across - a.across)
+        hits.push(a.along + t * (b.along - a.along))
+      }
+    }
+    hits.sort((p, q) => p - q)
+
+    const segments = []
+    for (let i = 0; i + 1 < hits.length; i += 2) {
+      if (hits[i + 1] - hits[i] > 0) segments.push([hits[i], hits[i + 1]])
+    }
+    if (segments.length === 0) continue
+
+    // Serpentine: alternate flight direction on every sweep
+    const reversed = sweepIndex % 2 === 1
+    if (reversed) segments.reverse()
+    for (const [from, to] of segments) {
+      const [s, e] = reversed ? [to, from] : [from, to]
+      lines.push({
+        start: toLngLat(s, across),
+        end: toLngLat(e, across),
+        length: Math.abs(to - from),
+        lineIndex: lines.length
+      })
+    }
+    sweepIndex++
+  }
+
+  return lines
+}
+
+/**
+ * Summarise a survey pattern without creating waypoints
+ * @param {object} polygon - Polygon object
+ * @param {number} spacingMeters - Line spacing
+ * @param {number} heading - Line heading (degrees)
+ * @returns {{heading: number, lineCount: number, turnCount: number, lineLength: number, totalLength: number}}
+ */
+export const estimateSurveyPattern = (polygon, spacingMeters = 50, heading = 0) => {
+  const lines = generateSurveyLines(polygon, spacingMeters, heading)
+  const lineLength = lines.reduce((sum, line) => sum + line.length, 0)
+
+  // Include the transit legs between consecutive lines
+  let transitLength = 0
+  for (let i = 1; i < lines.length; i++) {
+    transitLength += turf.distance(lines[i - 1].end, lines[i].start, { units: 'meters' })
+  }
+
+  return {
+    heading,
+    lineCount: lines.length,
+    turnCount: Math.max(0, lines.length - 1),
+    lineLength,
+    totalLength: lineLength + transitLength
+  }
+}
+
+/**
+ * Find the line heading that needs the fewest turns.
+ * Candidates are every polygon edge bearing plus a 5° sweep; ties are broken by total length.
+ * @param {object} polygon - Polygon object
+ * @param {number} spacingMeters - Line spacing
+ * @returns {number} Heading in degrees [0, 180)
+ */
+export const findOptimalSurveyHeading = (polygon, spacingMeters = 50) => {
+  const parts = getPolygonParts(polygon)
+  if (parts.length === 0) {
+    return 0
+  }
+
+  const normalize = (deg) => ((Math.round(deg * 10) / 10) % 180 + 180) % 180
+  const candidates = new Set()
+  for (let deg = 0; deg < 180; deg += SURVEY_ANGLE_STEP) {
+    candidates.add(deg)
+  }
+  parts.forEach(([outer]) => {
+    for (let i = 0; i < outer.length - 1; i++) {
+      candidates.add(normalize(turf.bearing(outer[i], outer[i + 1])))
+    }
+  })
+
+  let best = null
+  for (const heading of candidates) {
+    const estimate = estimateSurveyPattern(polygon, spacingMeters, heading)
+    if (estimate.lineCount === 0) continue
+    if (
+      !best ||
+      estimate.lineCount < best.lineCount ||
+      (estimate.lineCount === best.lineCount && estimate.totalLength < best.totalLength)
+    ) {
+      best = estimate
+    }
+  }
+
+  return best ? best.heading : 0
+}
+
+/**
+ * Generate survey (boustrophedon) waypoints: one waypoint at each end of every flight line
+ * @param {object} polygon - Polygon object
+ * @param {object} options
+ * @param {number} options.spacing - Line spacing in meters
+ * @param {number|'auto'} options.heading - Line heading in degrees, or 'auto' for fewest turns
+ * @param {object} [options.photoPlan] - Result of planPhotogrammetry(); overrides spacing and sets altitude/trigger distance
+ * @returns {Array} Array of waypoint objects
+ */
+export const generateSurveyWaypoints = (polygon, options = {}) => {
+  const { heading = 'auto', photoPlan = null } = options
+  const spacing = photoPlan?.lineSpacing || options.spacing || 50
+  const photoFields = photoPlan
+    ? { altitude: Math.round(photoPlan.altitude), photoTriggerDistance: photoPlan.triggerDistance }
+    : {}
+
+  try {
+    const resolvedHeading = heading === 'auto'
+      ? findOptimalSurveyHeading(polygon, spacing)
+      : heading
+    const lines = generateSurveyLines(polygon, spacing, resolvedHeading)
+
+    return lines.flatMap(line => [line.start, line.end].map(coord => ({
+      id: crypto.randomUUID(),
+      lat: coord[1],
+      lng: coord[0],
+      polygonId: polygon.id,
+      polygonName: polygon.name,
+      type: 'survey',
+      surveyLine: line.lineIndex + 1,
+      surveyHeading: resolvedHeading,
+      ...photoFields
+    }))).map((wp, index) => ({ ...wp, index: index + 1 }))
+  } catch (error) {
+    console.error('Survey pattern generation error:', error)
+    return []
+  }
+}
+
+// ============================================
+// Orbit / point-of-interest pattern
+// ============================================
+
+/**
+ * Generate circular orbit waypoints around a point of interest (tower, chimney, etc.).
+ * One ring is flown per altitude tier and radius; every waypoint stores the POI and
+ * the heading that keeps the aircraft (camera) pointed at it.
+ *
+ * @param {{lat: number, lng: number}} poi - Point of interest (orbit center)
+ * @param {object} options
+ * @param {number|number[]} options.radius - Orbit radius in meters (one ring per radius)
+ * @param {number} options.pointCount - Waypoints per ring
+ * @param {number} options.startAngle - Bearing (degrees from north) of the first waypoint, seen from the POI
+ * @param {'cw'|'ccw'} options.direction - Orbit direction
+ * @param {number[]} options.altitudes - Altitude tiers in meters AGL (flown bottom-up)
+ * @param {object} [options.polygon] - Source polygon when the POI is a polygon centroid
+ * @returns {Array} Array of waypoint objects
+ */
+export const generateOrbitWaypoints = (poi, options = {}) => {
+  const {
+    radius = 30,
+    pointCount = 12,
+    startAngle = 0,
+    direction = 'cw',
+    altitudes = [50],
+    polygon = null
+  } = options
+
+  if (!poi || !Number.isFinite(poi.lat) || !Number.isFinite(poi.lng)) {
+    return []
+  }
+
+  const radii = (Array.isArray(radius) ? radius : [radius]).filter(r => r > 0)
+  const tiers = [...altitudes].filter(a => Number.isFinite(a)).sort((a, b) => a - b)
+  const count = Math.max(3, Math.floor(pointCount))
+  if (radii.length === 0 || tiers.length === 0) return []
+
+  const step = (direction === 'ccw' ? -360 : 360) / count
+  const center = [poi.lng, poi.lat]
+  const waypoints = []
+
+  tiers.forEach((altitude, tierIndex) => {
+    radii.forEach(r => {
+      for (let i = 0; i < count; i++) {
+        const bearing = startAngle + step * i
+        const point = turf.destination(center, r, bearing, { units: 'meters' })
+        const [lng, lat] = point.geometry.coordinates
+        waypoints.push({
+          id: crypto.randomUUID(),
+          lat,
+          lng,
+          index: waypoints.length + 1,
+          polygonId: polygon?.id,
+          polygonName: polygon?.name || 'POI周回',
+          type: 'orbit',
+          altitude,
+          // Facing the POI: reverse of the bearing from POI to waypoint
+          heading: ((bearing + 180) % 360 + 360) % 360,
+          poi: { lat: poi.lat, lng: poi.lng },
+          orbitRadius: r,
+          orbitTier: tierIndex + 1
+        })
+      }
+    })
+  })
+
+  return waypoints
+}
+
+// ============================================
+// Corridor pattern (power lines, rivers, roads)
+// ============================================
+
+export const DEFAULT_CORRIDOR_WIDTH = 30 // meters
+
+/**
+ * Build the corridor area polygon by buffering a centerline.
+ * The result is stored as the polygon geometry so every polygon-based
+ * check (DID, airspace, collision) covers the whole corridor.
+ *
+ * @param {object} centerline - GeoJSON LineString geometry
+ * @param {number} width - Total corridor width in meters
+ * @returns {object|null} GeoJSON Polygon geometry
+ */
+export const createCorridorPolygon = (centerline, width = DEFAULT_CORRIDOR_WIDTH) => {
+  if (!centerline || centerline.type !== 'LineString' || centerline.coordinates.length < 2 || !(width > 0)) {
+    return null
+  }
+
+  try {
+    const buffered = turf.buffer(turf.lineString(centerline.coordinates), width / 2, { units: 'meters' })
+    return buffered?.geometry || null
+  } catch (error) {
+    console.error('Corridor buffer error:', error)
+    return null
+  }
+}
+
+/**
+ * Generate corridor mapping waypoints: N parallel passes offset from the
+ * centerline across the corridor width, flown serpentine (every other pass reversed).
+ * Waypoints follow the vertices of each offset line so bends are preserved.
+ *
+ * @param {object} polygon - Corridor polygon object ({ centerline, corridorWidth, ... })
+ * @param {object} options
+ * @param {number} options.width - Corridor width in meters (defaults to polygon.corridorWidth)
+ * @param {number} options.passes - Number of parallel passes
+ * @returns {Array} Array of waypoint objects
+ */
+export const generateCorridorWaypoints = (polygon, options = {}) => {
+  const centerline = polygon?.centerline
+  const { width = polygon?.corridorWidth ?? DEFAULT_CORRIDOR_WIDTH, passes = 2 } = options
+
+  if (!centerline || centerline.type !== 'LineString' || centerline.coordinates.length < 2) {
+    return []
+  }
+
+  const passCount = Math.max(1, Math.floor(passes))
+  const line = turf.lineString(centerline.coordinates)
+  const waypoints = []
+
+  for (let i = 0; i < passCount; i++) {
+    // Pass centers are spread evenly across the width (single pass = centerline)
+    const offset = -width / 2 + (width * (i + 0.5)) / passCount
+    const passLine = Math.abs(offset) < 1e-9
+      ? line
+      : turf.lineOffset(line, offset, { units: 'meters' })
+    const coords = i % 2 === 0
+      ? passLine.geometry.coordinates
+      : [...passLine.geometry.coordinates].reverse()
+
+    coords.forEach(([lng, lat]) => {
+      waypoints.push({
+        id: crypto.randomUUID(),
+        lat,
+        lng,
+        index: waypoints.length + 1,
+        polygonId: polygon.id,
+        polygonName: polygon.name,
+        type: 'corridor',
+        corridorPass: i + 1
+      })
+    })
+  }
+
+  return waypoints
+}
+
 // Estimate grid waypoint count without generating
 export const estimateGridWaypointCount = (polygon, spacingMeters = 50) => {
-  if (!polygon.geometry || polygon.geometry.type !== 'Polygon') {
+  if (getPolygonParts(polygon).length === 0) {
     return 0
   }
 
   try {
-    const turfPolygon = turf.polygon(polygon.geometry.coordinates)
+    const turfPolygon = toTurfPolygon(polygon)
     const bbox = turf.bbox(turfPolygon)
 
     // Create point grid
@@ -143,14 +714,14 @@ export const generateAllWaypoints = (polygons, options = {}) => {
   return allWaypoints
 }
 
-// Calculate polygon area in square meters
+// Calculate polygon area in square meters (holes subtracted, all parts summed)
 export const calculatePolygonArea = (polygon) => {
-  if (!polygon.geometry || polygon.geometry.type !== 'Polygon') {
+  if (getPolygonParts(polygon).length === 0) {
     return 0
   }
 
   try {
-    const turfPolygon = turf.polygon(polygon.geometry.coordinates)
+    const turfPolygon = toTurfPolygon(polygon)
     return turf.area(turfPolygon)
   } catch (error) {
     console.error('Area calculation error:', error)
@@ -158,14 +729,14 @@ export const calculatePolygonArea = (polygon) => {
   }
 }
 
-// Calculate polygon perimeter in meters
+// Calculate polygon perimeter in meters (hole boundaries and all parts included)
 export const calculatePolygonPerimeter = (polygon) => {
-  if (!polygon.geometry || polygon.geometry.type !== 'Polygon') {
+  if (getPolygonParts(polygon).length === 0) {
     return 0
   }
 
   try {
-    const turfPolygon = turf.polygon(polygon.geometry.coordinates)
+    const turfPolygon = toTurfPolygon(polygon)
     const line = turf.polygonToLine(turfPolygon)
     return turf.length(line, { units: 'meters' })
   } catch (error) {
@@ -176,12 +747,12 @@ export const calculatePolygonPerimeter = (polygon) => {
 
 // Get polygon centroid
 export const getPolygonCenter = (polygon) => {
-  if (!polygon || !polygon.geometry || polygon.geometry.type !== 'Polygon') {
+  if (getPolygonParts(polygon).length === 0) {
     return null
   }
 
   try {
-    const turfPolygon = turf.polygon(polygon.geometry.coordinates)
+    const turfPolygon = toTurfPolygon(polygon)
     const centroid = turf.centroid(turfPolygon)
     return {
       lat: centroid.geometry.coordinates[1],
@@ -0,0 +1,461 @@
+/**
+ * waypointGenerator テスト
+ *
+ * Waypoint生成パターン（測量パターン等）のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  generateSurveyLines,
+  generateSurveyWaypoints,
+  estimateSurveyPattern,
+  findOptimalSurveyHeading,
+  generateOrbitWaypoints,
+  getPolygonEdges,
+  generateFacadeWaypoints,
+  createCorridorPolygon,
+  generateCorridorWaypoints,
+  polygonToWaypoints,
+  generatePerimeterWaypoints,
+  generateGridWaypoints,
+  calculatePolygonArea,
+  calculatePolygonPerimeter,
+  countPolygonVertices,
+  moveGeometryVertex
+} from './waypointGenerator';
+import * as turf from '@turf/turf';
+
+// テスト用のモックデータ
+const createTestPolygon = (rings) => ({
+  id: 'test-polygon-1',
+  name: 'テストポリゴン',
+  geometry: {
+    type: 'Polygon',
+    coordinates: rings
+  }
+});
+
+// 東西約900m × 南北約110m の横長矩形
+const WIDE_RECT = [[
+  [139.70, 35.600],
+  [139.71, 35.600],
+  [139.71, 35.601],
+  [139.70, 35.601],
+  [139.70, 35.600]
+]];
+
+describe('waypointGenerator', () => {
+
+  describe('generateSurveyLines', () => {
+    it('南北方向のラインを間隔ごとに生成する', () => {
+      const lines = generateSurveyLines(createTestPolygon(WIDE_RECT), 100, 0);
+
+      // 約900m幅 / 100m間隔 → 9本
+      expect(lines.length).toBe(9);
+      lines.forEach(line => {
+        expect(line.length).toBeGreaterThan(100);
+        expect(line.length).toBeLessThan(120);
+      });
+    });
+
+    it('ラインが往復（蛇行）順になる', () => {
+      const lines = generateSurveyLines(createTestPolygon(WIDE_RECT), 100, 0);
+
+      // 1本目は南→北、2本目は北→南
+      expect(lines[0].end[1]).toBeGreaterThan(lines[0].start[1]);
+      expect(lines[1].end[1]).toBeLessThan(lines[1].start[1]);
+    });
+
+    it('内側リング（穴）をスキップする', () => {
+      const withHole = createTestPolygon([
+        WIDE_RECT[0],
+        [
+          [139.703, 35.6002],
+          [139.703, 35.6008],
+          [139.707, 35.6008],
+          [139.707, 35.6002],
+          [139.703, 35.6002]
+        ]
+      ]);
+
+      const lines = generateSurveyLines(withHole, 100, 0);
+
+      // 穴を横切るラインは2分割される
+      expect(lines.length).toBeGreaterThan(9);
+    });
+
+    it('Polygon以外では空配列を返す', () => {
+      expect(generateSurveyLines({ geometry: { type: 'LineString', coordinates: [] } }, 50, 0)).toEqual([]);
+      expect(generateSurveyLines({}, 50, 0)).toEqual([]);
+    });
+  });
+
+  describe('findOptimalSurveyHeading', () => {
+    it('横長矩形では東西方向（旋回最少）を選ぶ', () => {
+      const heading = findOptimalSurveyHeading(createTestPolygon(WIDE_RECT), 30);
+      expect(Math.abs(heading - 90)).toBeLessThan(1);
+    });
+
+    it('自動方位は南北方向より旋回数が少ない', () => {
+      const polygon = createTestPolygon(WIDE_RECT);
+      const heading = findOptimalSurveyHeading(polygon, 30);
+      const best = estimateSurveyPattern(polygon, 30, heading);
+      const northSouth = estimateSurveyPattern(polygon, 30, 0);
+
+      expect(best.turnCount).toBeLessThan(northSouth.turnCount);
+    });
+  });
+
+  describe('generateSurveyWaypoints', () => {
+    it('各ラインの両端にWaypointを生成する', () => {
+      const polygon = createTestPolygon(WIDE_RECT);
+      const waypoints = generateSurveyWaypoints(polygon, { spacing: 100, heading: 0 });
+
+      expect(waypoints.length).toBe(18);
+      expect(waypoints[0].type).toBe('survey');
+      expect(waypoints[0].polygonId).toBe('test-polygon-1');
+      expect(waypoints.map(wp => wp.index)).toEqual(waypoints.map((_, i) => i + 1));
+      expect(waypoints[0].surveyLine).toBe(1);
+      expect(waypoints[1].surveyLine).toBe(1);
+      expect(waypoints[2].surveyLine).toBe(2);
+    });
+
+    it('撮影計画があればライン間隔・高度・撮影間隔を使う', () => {
+      const photoPlan = { altitude: 82.4, lineSpacing: 40, triggerDistance: 25 };
+      const waypoints = generateSurveyWaypoints(createTestPolygon(WIDE_RECT), { spacing: 100, heading: 0, photoPlan });
+
+      expect(waypoints.length).toBeGreaterThan(18);
+      expect(waypoints[0]).toMatchObject({ altitude: 82, photoTriggerDistance: 25 });
+    });
+  });
+
+  describe('generateGridWaypoints', () => {
+    it('撮影計画があれば縦横のラップ率を満たす間隔で、各点に高度と写真撮影を設定する', () => {
+      const polygon = createTestPolygon(WIDE_RECT);
+      const photoPlan = { altitude: 82.4, lineSpacing: 40, triggerDistance: 25 };
+      const waypoints = generateGridWaypoints(polygon, 100, { photoPlan });
+
+      // 間隔は短い方（撮影間隔25m）
+      expect(waypoints.length).toBe(generateGridWaypoints(polygon, 25).length);
+      expect(waypoints[0]).toMatchObject({ altitude: 82, actions: [{ type: 'takePhoto' }] });
+      expect(generateGridWaypoints(polygon, 100)[0].actions).toBeUndefined();
+    });
+  });
+
+  describe('generateOrbitWaypoints', () => {
+    const POI = { lat: 35.6812, lng: 139.7671 };
+
+    it('指定半径の円周上に点数分のWaypointを生成する', () => {
+      const waypoints = generateOrbitWaypoints(POI, { radius: 40, pointCount: 8, altitudes: [60] });
+
+      expect(waypoints.length).toBe(8);
+      waypoints.forEach(wp => {
+        const distance = turf.distance([POI.lng, POI.lat], [wp.lng, wp.lat], { units: 'meters' });
+        expect(distance).toBeCloseTo(40, 1);
+        expect(wp.type).toBe('orbit');
+        expect(wp.altitude).toBe(60);
+        expect(wp.poi).toEqual(POI);
+      });
+    });
+
+    it('機首方位が常にPOIを向く', () => {
+      const waypoints = generateOrbitWaypoints(POI, { radius: 50, pointCount: 4, startAngle: 0 });
+
+      // 北側の点は南（180°）を向く
+      expect(waypoints[0].heading).toBeCloseTo(180, 6);
+      waypoints.forEach(wp => {
+        const bearingToPoi = turf.bearingToAzimuth(turf.bearing([wp.lng, wp.lat], [POI.lng, POI.lat]));
+        expect(Math.abs(bearingToPoi - wp.heading) % 360).toBeLessThan(0.1);
+      });
+    });
+
+    it('反時計回りでは方位が減少する', () => {
+      const cw = generateOrbitWaypoints(POI, { radius: 30, pointCount: 4, direction: 'cw' });
+      const ccw = generateOrbitWaypoints(POI, { radius: 30, pointCount: 4, direction: 'ccw' });
+
+      // 2点目: 時計回りは東側、反時計回りは西側
+      expect(cw[1].lng).toBeGreaterThan(POI.lng);
+      expect(ccw[1].lng).toBeLessThan(POI.lng);
+    });
+
+    it('高度ティア×半径ごとに周回を生成し、低い高度から飛行する', () => {
+      const waypoints = generateOrbitWaypoints(POI, {
+        radius: [20, 40],
+        pointCount: 6,
+        altitudes: [80, 30]
+      });
+
+      expect(waypoints.length).toBe(24);
+      expect(waypoints[0].altitude).toBe(30);
+      expect(waypoints[0].orbitTier).toBe(1);
+      expect(waypoints[23].altitude).toBe(80);
+      expect(waypoints[23].orbitRadius).toBe(40);
+      expect(waypoints.map(wp => wp.index)).toEqual(waypoints.map((_, i) => i + 1));
+    });
+
+    it('ポリゴン指定時はポリゴンに紐付ける', () => {
+      const polygon = createTestPolygon(WIDE_RECT);
+      const waypoints = generateOrbitWaypoints(POI, { radius: 30, polygon });
+      expect(waypoints[0].polygonId).toBe('test-polygon-1');
+      expect(waypoints[0].polygonName).toBe('テストポリゴン');
+    });
+
+    it('不正な入力では空配列を返す', () => {
+      expect(generateOrbitWaypoints(null, { radius: 30 })).toEqual([]);
+      expect(generateOrbitWaypoints(POI, { radius: 0 })).toEqual([]);
+      expect(generateOrbitWaypoints(POI, { radius: 30, altitudes: [] })).toEqual([]);
+    });
+  });
+
+  describe('getPolygonEdges', () => {
+    it('外周リングの辺を長さ・方位付きで返す', () => {
+      const edges = getPolygonEdges(createTestPolygon(WIDE_RECT));
+
+      expect(edges.length).toBe(4);
+      // 1辺目は西→東（約900m、方位90°）
+      expect(edges[0].length).toBeGreaterThan(890);
+      expect(edges[0].length).toBeLessThan(910);
+      expect(edges[0].bearing).toBeCloseTo(90, 0);
+    });
+  });
+
+  describe('generateFacadeWaypoints', () => {
+    // 南北約111m × 東西約90m（反時計回り）
+    const BUILDING = createTestPolygon([[
+      [139.700, 35.600],
+      [139.701, 35.600],
+      [139.701, 35.601],
+      [139.700, 35.601],
+      [139.700, 35.600]
+    ]]);
+
+    it('選択した辺に沿って列×高度のWaypointを生成する', () => {
+      const waypoints = generateFacadeWaypoints(BUILDING, {
+        edges: [0],
+        offset: 10,
+        spacing: 31,
+        minAltitude: 10,
+        maxAltitude: 30,
+        verticalStep: 10
+      });
+
+      // 約90m / 31m → 3区間 = 4列、高度 10/20/30m の3段
+      expect(waypoints.length).toBe(12);
+      expect(waypoints.every(wp => wp.type === 'facade' && wp.facadeEdge === 0)).toBe(true);
+      expect(waypoints.map(wp => wp.index)).toEqual(waypoints.map((_, i) => i + 1));
+    });
+
+    it('外向き法線方向に離隔し、機首を壁面に向ける', () => {
+      const waypoints = generateFacadeWaypoints(BUILDING, { edges: [0], offset: 15, spacing: 30 });
+
+      // 南側の辺 → 南へ15m離隔、機首は北（0°）
+      waypoints.forEach(wp => {
+        expect(wp.lat).toBeLessThan(35.600);
+        const distance = turf.distance([wp.lng, 35.600], [wp.lng, wp.lat], { units: 'meters' });
+        expect(distance).toBeCloseTo(15, 0);
+        expect(Math.min(wp.heading, 360 - wp.heading)).toBeLessThan(0.5);
+      });
+    });
+
+    it('時計回りのリングでも外側に離隔する', () => {
+      const clockwise = createTestPolygon([[...BUILDING.geometry.coordinates[0]].reverse()]);
+      const edges = getPolygonEdges(clockwise);
+      // 逆順リングで南側の辺を探す
+      const south = edges.find(edge => edge.start[1] === 35.600 && edge.end[1] === 35.600);
+      const waypoints = generateFacadeWaypoints(clockwise, { edges: [south.index], offset: 10 });
+
+      expect(waypoints.every(wp => wp.lat < 35.600)).toBe(true);
+    });
+
+    it('列ごとに上昇・下降を交互に行う（蛇行）', () => {
+      const waypoints = generateFacadeWaypoints(BUILDING, {
+        edges: [0],
+        spacing: 45,
+        minAltitude: 10,
+        maxAltitude: 20,
+        verticalStep: 5
+      });
+
+      const column1 = waypoints.filter(wp => wp.facadeColumn === 1).map(wp => wp.altitude);
+      const column2 = waypoints.filter(wp => wp.facadeColumn === 2).map(wp => wp.altitude);
+      expect(column1).toEqual([10, 15, 20]);
+      expect(column2).toEqual([20, 15, 10]);
+    });
+
+    it('最高高度がステップの倍数でなくても最上段を含む', () => {
+      const waypoints = generateFacadeWaypoints(BUILDING, {
+        edges: [0],
+        spacing: 100,
+        minAltitude: 10,
+        maxAltitude: 22,
+        verticalStep: 5
+      });
+
+      const column1 = waypoints.filter(wp => wp.facadeColumn === 1).map(wp => wp.altitude);
+      expect(column1).toEqual([10, 15, 20, 22]);
+    });
+
+    it('Polygon以外や不正な間隔では空配列を返す', () => {
+      expect(generateFacadeWaypoints({ geometry: { type: 'LineString', coordinates: [] } })).toEqual([]);
+      expect(generateFacadeWaypoints(BUILDING, { spacing: 0 })).toEqual([]);
+    });
+  });
+
+  describe('corridor', () => {
+    // 東西方向 約900m の中心線（途中で折れ曲がる）
+    const CENTERLINE = {
+      type: 'LineString',
+      coordinates: [
+        [139.700, 35.600],
+        [139.705, 35.600],
+        [139.710, 35.602]
+      ]
+    };
+    const createCorridor = (width) => ({
+      id: 'corridor-1',
+      name: 'テスト回廊',
+      centerline: CENTERLINE,
+      corridorWidth: width,
+      geometry: createCorridorPolygon(CENTERLINE, width)
+    });
+
+    it('中心線をバッファした回廊ポリゴンを作成する', () => {
+      const geometry = createCorridorPolygon(CENTERLINE, 40);
+
+      expect(geometry.type).toBe('Polygon');
+      // 中心線の各点を含み、幅の半分より外側は含まない
+      CENTERLINE.coordinates.forEach(coord => {
+        expect(turf.booleanPointInPolygon(coord, geometry)).toBe(true);
+      });
+      const outside = turf.destination([139.7025, 35.600], 25, 0, { units: 'meters' });
+      expect(turf.booleanPointInPolygon(outside, geometry)).toBe(false);
+    });
+
+    it('不正な中心線ではnullを返す', () => {
+      expect(createCorridorPolygon(null, 30)).toBeNull();
+      expect(createCorridorPolygon({ type: 'LineString', coordinates: [[139.7, 35.6]] }, 30)).toBeNull();
+      expect(createCorridorPolygon(CENTERLINE, 0)).toBeNull();
+    });
+
+    it('平行パスを中心線から幅方向にオフセットして生成する', () => {
+      const waypoints = generateCorridorWaypoints(createCorridor(40), { passes: 2 });
+
+      // 3頂点 × 2パス
+      expect(waypoints.length).toBe(6);
+      expect(waypoints.every(wp => wp.type === 'corridor' && wp.polygonId === 'corridor-1')).toBe(true);
+
+      // 各パスの始点は中心線から ±10m（幅40m / 2パス）
+      const start = CENTERLINE.coordinates[0];
+      const firstPassStart = waypoints[0];
+      const distance = turf.distance(start, [firstPassStart.lng, firstPassStart.lat], { units: 'meters' });
+      expect(distance).toBeCloseTo(10, 0);
+    });
+
+    it('パスが往復（蛇行）順になる', () => {
+      const waypoints = generateCorridorWaypoints(createCorridor(60), { passes: 3 });
+      const pass1 = waypoints.filter(wp => wp.corridorPass === 1);
+      const pass2 = waypoints.filter(wp => wp.corridorPass === 2);
+
+      // 1本目は西→東、2本目は東→西
+      expect(pass1[pass1.length - 1].lng).toBeGreaterThan(pass1[0].lng);
+      expect(pass2[pass2.length - 1].lng).toBeLessThan(pass2[0].lng);
+      // 奇数パス数では中央のパスが中心線と一致する
+      expect(pass2[pass2.length - 1].lng).toBeCloseTo(139.700, 6);
+      expect(pass2[pass2.length - 1].lat).toBeCloseTo(35.600, 6);
+    });
+
+    it('中心線がないポリゴンでは空配列を返す', () => {
+      expect(generateCorridorWaypoints(createTestPolygon(WIDE_RECT), { passes: 2 })).toEqual([]);
+    });
+  });
+
+  describe('穴あきポリゴン・MultiPolygon', () => {
+    // 約900m四方の外周と、中央の約450m四方の中庭（穴、時計回り）
+    const OUTER = [[139.70, 35.60], [139.71, 35.60], [139.71, 35.61], [139.70, 35.61], [139.70, 35.60]];
+    const HOLE = [[139.7025, 35.6025], [139.7025, 35.6075], [139.7075, 35.6075], [139.7075, 35.6025], [139.7025, 35.6025]];
+    const COURTYARD = createTestPolygon([OUTER, HOLE]);
+    const MULTI = {
+      ...createTestPolygon(null),
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [WIDE_RECT, [[
+          [139.72, 35.600],
+          [139.73, 35.600],
+          [139.73, 35.601],
+          [139.72, 35.601],
+          [139.72, 35.600]
+        ]]]
+      }
+    };
+
+    it('面積は穴を差し引き、パートを合算する', () => {
+      const outerArea = turf.area(turf.polygon([OUTER]));
+      const holeArea = turf.area(turf.polygon([HOLE]));
+      expect(calculatePolygonArea(COURTYARD)).toBeCloseTo(outerArea - holeArea, 0);
+
+      const rectArea = calculatePolygonArea(createTestPolygon(WIDE_RECT));
+      expect(calculatePolygonArea(MULTI)).toBeGreaterThan(rectArea * 1.9);
+    });
+
+    it('周長には穴の外周も含める', () => {
+      const outerPerimeter = calculatePolygonPerimeter(createTestPolygon([OUTER]));
+      expect(calculatePolygonPerimeter(COURTYARD)).toBeGreaterThan(outerPerimeter * 1.4);
+    });
+
+    it('頂点Waypointは全リング・全パートから生成する', () => {
+      const waypoints = polygonToWaypoints(COURTYARD);
+      expect(waypoints.length).toBe(8);
+      expect(waypoints.filter(wp => wp.ringIndex === 1).length).toBe(4);
+      expect(polygonToWaypoints(MULTI).map(wp => wp.partIndex)).toEqual([0, 0, 0, 0, 1, 1, 1, 1]);
+      expect(countPolygonVertices(MULTI)).toBe(8);
+    });
+
+    it('グリッドWaypointは穴の中に置かない', () => {
+      const waypoints = generateGridWaypoints(COURTYARD, 100);
+      const hole = turf.polygon([HOLE]);
+      expect(waypoints.length).toBeGreaterThan(0);
+      waypoints.forEach(wp => {
+        expect(turf.booleanPointInPolygon([wp.lng, wp.lat], hole)).toBe(false);
+      });
+      expect(generateGridWaypoints(MULTI, 50).length).toBeGreaterThan(generateGridWaypoints(createTestPolygon(WIDE_RECT), 50).length);
+    });
+
+    it('測量ラインは全パートをカバーする', () => {
+      const lines = generateSurveyLines(MULTI, 30, 90);
+      expect(lines.some(line => line.start[0] < 139.715)).toBe(true);
+      expect(lines.some(line => line.start[0] > 139.715)).toBe(true);
+    });
+
+    it('外周Waypointは穴の外周にも配分する', () => {
+      const waypoints = generatePerimeterWaypoints(COURTYARD, 12);
+      expect(waypoints.filter(wp => wp.ringIndex === 1).length).toBe(4);
+      expect(waypoints.length).toBe(12);
+    });
+
+    it('中庭の壁面は穴の内側（中庭側）に離隔する', () => {
+      const holeEdges = getPolygonEdges(COURTYARD).filter(edge => edge.ringIndex === 1);
+      expect(holeEdges.length).toBe(4);
+
+      const waypoints = generateFacadeWaypoints(COURTYARD, {
+        edges: holeEdges.map(edge => edge.index),
+        offset: 10,
+        minAltitude: 10,
+        maxAltitude: 10
+      });
+      // 角の列は穴の境界線上に乗るため、わずかに広げた穴で判定
+      const hole = turf.buffer(turf.polygon([HOLE]), 1, { units: 'meters' });
+      expect(waypoints.length).toBeGreaterThan(0);
+      waypoints.forEach(wp => {
+        expect(turf.booleanPointInPolygon([wp.lng, wp.lat], hole)).toBe(true);
+      });
+    });
+
+    it('頂点の移動はリングを閉じたまま該当頂点だけ更新する', () => {
+      const moved = moveGeometryVertex(COURTYARD.geometry, { ringIndex: 1, vertexIndex: 0 }, [139.703, 35.603]);
+      expect(moved.coordinates[0]).toEqual(OUTER);
+      expect(moved.coordinates[1][0]).toEqual([139.703, 35.603]);
+      expect(moved.coordinates[1][4]).toEqual([139.703, 35.603]);
+      expect(HOLE[0]).toEqual([139.7025, 35.6025]);
+    });
+  });
+});
@@ -1,3 +1,6 @@
+import * as turf from '@turf/turf'
+import { formatWaypointActions } from '../services/waypointActions'
+
 // 10進数の緯度経度を度分秒（DMS）に変換
 const decimalToDMS = (decimal, isLatitude = true) => {
   const absolute = Math.abs(decimal)
@@ -38,18 +41,45 @@ const escapeXml = (value) => {
     .replace(/'/g, '&apos;')
 }
 
+// 地形追従で設定した海抜高度（なければ空文字）
+const formatAltitudeASL = (wp) => (Number.isFinite(wp.altitudeASL) ? wp.altitudeASL.toFixed(1) : '')
+
+// Waypointごとの対地高度・機首方位（周回の段や壁面点検の列など。なければ空文字）
+const formatAltitudeAGL = (wp) => (Number.isFinite(wp.altitude) ? wp.altitude.toFixed(1) : '')
+const formatHeading = (wp) => (Number.isFinite(wp.heading) ? wp.heading.toFixed(1) : '')
+
+// Waypointアクション（CSV用にダブルクォートでエスケープ）
+const formatActionsCSV = (wp) => `"${formatWaypointActions(wp.actions).replace(/"/g, '""')}"`
+
 const buildWaypointKML = (waypoints) => {
   const placemarks = waypoints.map((wp, index) => {
     const name = escapeXml(wp.polygonName || `Waypoint ${index + 1}`)
-    const altitude = Number.isFinite(wp.elevation) ? wp.elevation : 0
+    // 海抜高度があれば絶対高度、対地高度があれば地表からの高さで出力、どちらもなければ地表標高（地表に沿わせる）
+    const hasASL = Number.isFinite(wp.altitudeASL)
+    const hasAGL = !hasASL && Number.isFinite(wp.altitude)
+    const altitude = hasASL ? wp.altitudeASL
+      : hasAGL ? wp.altitude
+      : Number.isFinite(wp.elevation) ? wp.elevation : 0
+    // アクションは表示用の説明文と、再読込用のJSONを両方出力
+    const hasActions = wp.actions?.length > 0
+    const extendedData = [
+      hasActions ? `<Data name="actions"><value>${escapeXml(JSON.stringify(wp.actions))}</value></Data>` : null,
+      Number.isFinite(wp.photoTriggerDistance) ? `<Data name="photoTriggerDistance"><value>${wp.photoTriggerDistance.toFixed(1)}</value></Data>` : null,
+      Number.isFinite(wp.heading) ? `<Data name="heading"><value>${formatHeading(wp)}</value></Data>` : null,
+      wp.poi ? `<Data name="poi"><value>${escapeXml(JSON.stringify({ lat: wp.poi.lat, lng: wp.poi.lng }))}</value></Data>` : null
+    ].filter(Boolean)
     return [
       '<Placemark>',
       `  <name>${name}</name>`,
+      hasActions ? `  <description>${escapeXml(formatWaypointActions(wp.actions))}</description>` : null,
+      extendedData.length > 0 ? `  <ExtendedData>${extendedData.join('')}</ExtendedData>` : null,
       '  <Point>',
+      hasASL ? '    <altitudeMode>absolute</altitudeMode>' : null,
+      hasAGL ? '    <altitudeMode>relativeToGround</altitudeMode>' : null,
       `    <coordinates>${wp.lng},${wp.lat},${altitude}</coordinates>`,
       '  </Point>',
       '</Placemark>'
-    ].join('\n')
+    ].filter(Boolean).join('\n')
   })
 
   return [
@@ -64,48 +94,60 @@ const buildWaypointKML = (waypoints) => {
 }
 
 const buildPolygonKML = (polygons) => {
+  const toKMLCoords = (ring) => ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ')
+
+  const buildPolygonBlock = (rings, indent) => {
+    const [outerRing, ...innerRings] = rings
+    // 内側リング（中庭など）は innerBoundaryIs として穴を表現
+    const innerBlocks = innerRings.map(ring => [
+      `${indent}  <innerBoundaryIs>`,
+      `${indent}    <LinearRing>`,
+      `${indent}      <coordinates>${toKMLCoords(ring)}</coordinates>`,
+      `${indent}    </LinearRing>`,
+      `${indent}  </innerBoundaryIs>`
+    ].join('\n'))
+
+    return [
+      `${indent}<Polygon>`,
+      `${indent}  <outerBoundaryIs>`,
+      `${indent}    <LinearRing>`,
+      `${indent}      <coordinates>${toKMLCoords(outerRing)}</coordinates>`,
+      `${indent}    </LinearRing>`,
+      `${indent}  </outerBoundaryIs>`,
+      ...innerBlocks,
+      `${indent}</Polygon>`
+    ].join('\n')
+  }
+
   const placemarks = polygons.flatMap((polygon, index) => {
     const name = escapeXml(polygon.name || `Polygon ${index + 1}`)
     const geometry = polygon.geometry
     if (!geometry) return []
 
-    const polygonCoords = geometry.type === 'Polygon'
+    const parts = geometry.type === 'Polygon'
       ? [geometry.coordinates]
       : geometry.type === 'MultiPolygon'
       ? geometry.coordinates
       : []
-
-    return polygonCoords.map((rings, ringIndex) => {
-      const [outerRing, ...innerRings] = rings
-      const outerCoords = outerRing
-        .map(([lng, lat]) => `${lng},${lat},0`)
-        .join(' ')
-
-      const innerBlocks = innerRings.map(ring => {
-        const coords = ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ')
-        return [
-          '      <innerBoundaryIs>',
-          '        <LinearRing>',
-          `          <coordinates>${coords}</coordinates>`,
-          '        </LinearRing>',
-          '      </innerBoundaryIs>'
+    if (parts.length === 0) return []
+
+    // 複数パートは1つのPlacemark内のMultiGeometryにまとめる
+    const body = parts.length === 1
+      ? buildPolygonBlock(parts[0], '  ')
+      : [
+          '  <MultiGeometry>',
+          ...parts.map(rings => buildPolygonBlock(rings, '    ')),
+          '  </MultiGeometry>'
         ].join('\n')
-      })
 
-      return [
-        '<Placemark>',
-        `  <name>${name}${ringIndex > 0 ? ` (${ringIndex + 1})` : ''}</name>`,
-        '  <Polygon>',
-        '    <outerBoundaryIs>',
-        '      <LinearRing>',
-        `        <coordinates>${outerCoords}</coordinates>`,
-        '      </LinearRing>',
-        '    </outerBoundaryIs>',
-        innerBlocks.join('\n'),
-        '  </Polygon>',
-        '</Placemark>'
-      ].filter(Boolean).join('\n')
-    })
+    // 除外エリアは親ポリゴンのIDを ExtendedData に書き、読み込み時に親子関係を戻す
+    return [[
+      polygon.id ? `<Placemark id="${escapeXml(polygon.id)}">` : '<Placemark>',
+      `  <name>${name}</name>`,
+      polygon.keepOutOf ? `  <ExtendedData><Data name="keepOutOf"><value>${escapeXml(polygon.keepOutOf)}</value></Data></ExtendedData>` : null,
+      body,
+      '</Placemark>'
+    ].filter(Boolean).join('\n')]
   })
 
   return [
@@ -119,18 +161,31 @@ const buildPolygonKML = (polygons) => {
   ].join('\n')
 }
 
-// Export waypoints to JSON
-export const exportToJSON = (waypoints, filename = null) => {
-  const date = new Date().toISOString().split('T')[0]
-  const data = waypoints.map((wp, index) => ({
+// Waypoint JSON（fileParser.parseWaypointJSON で再読込できる形式）
+const buildWaypointJSON = (waypoints) => {
+  return waypoints.map((wp, index) => ({
     number: index + 1,
     latitude: wp.lat,
     longitude: wp.lng,
     polygonName: wp.polygonName || '',
-    type: wp.type || 'vertex'
+    type: wp.type || 'vertex',
+    ...(Number.isFinite(wp.altitude) && { altitudeAGL: wp.altitude }),
+    ...(Number.isFinite(wp.altitudeASL) && {
+      elevation: wp.elevation,
+      altitudeASL: wp.altitudeASL
+    }),
+    ...(Number.isFinite(wp.heading) && { heading: wp.heading }),
+    // 周回の中心（機首を向ける地点）
+    ...(wp.poi && { poi: { latitude: wp.poi.lat, longitude: wp.poi.lng } }),
+    ...(Number.isFinite(wp.photoTriggerDistance) && { photoTriggerDistance: wp.photoTriggerDistance }),
+    ...(wp.actions?.length > 0 && { actions: wp.actions })
   }))
+}
 
-  const json = JSON.stringify(data, null, 2)
+// Export waypoints to JSON
+export const exportToJSON = (waypoints, filename = null) => {
+  const date = new Date().toISOString().split('T')[0]
+  const json = JSON.stringify(buildWaypointJSON(waypoints), null, 2)
   const blob = new Blob([json], { type: 'application/json' })
   const url = URL.createObjectURL(blob)
 
@@ -148,7 +203,7 @@ export const exportToCSV = (waypoints, filename = null) => {
   const date = new Date().toISOString().split('T')[0]
   const BOM = '\uFEFF' // UTF-8 BOM for Excel
 
-  const headers = ['番号', '緯度', '経度', 'ポリゴン名', '種別']
+  const headers = ['番号', '緯度', '経度', 'ポリゴン名', '種別', '海抜高度(m)', '対地高度(m)', '機首方位(°)', 'アクション', '撮影間隔(m)']
   const rows = waypoints.map((wp, index) => {
     const polygonName = wp.polygonName || ''
     const type = wp.type === 'manual' ? '手動' : '頂点'
@@ -157,7 +212,12 @@ export const exportToCSV = (waypoints, filename = null) => {
       wp.lat.toFixed(6),
       wp.lng.toFixed(6),
       `"${polygonName.replace(/"/g, '""')}"`,
-      type
+      type,
+      formatAltitudeASL(wp),
+      formatAltitudeAGL(wp),
+      formatHeading(wp),
+      formatActionsCSV(wp),
+      Number.isFinite(wp.photoTriggerDistance) ? wp.photoTriggerDistance.toFixed(1) : ''
     ].join(',')
   })
 
@@ -179,7 +239,7 @@ export const exportToDMSCSV = (waypoints, filename = null) => {
   const date = new Date().toISOString().split('T')[0]
   const BOM = '\uFEFF'
 
-  const headers = ['番号', '緯度（DMS）', '経度（DMS）', 'ポリゴン名', '種別']
+  const headers = ['番号', '緯度（DMS）', '経度（DMS）', 'ポリゴン名', '種別', '海抜高度(m)', '対地高度(m)', '機首方位(°)', 'アクション']
   const rows = waypoints.map((wp, index) => {
     const polygonName = wp.polygonName || ''
     const type = wp.type === 'manual' ? '手動' : '頂点'
@@ -188,7 +248,11 @@ export const exportToDMSCSV = (waypoints, filename = null) => {
       decimalToDMS(wp.lat, true),
       decimalToDMS(wp.lng, false),
       `"${polygonName.replace(/"/g, '""')}"`,
-      type
+      type,
+      formatAltitudeASL(wp),
+      formatAltitudeAGL(wp),
+      formatHeading(wp),
+      formatActionsCSV(wp)
     ].join(',')
   })
 
@@ -233,9 +297,11 @@ export const exportPolygonsToGeoJSON = (polygons, filename = null) => {
       properties: {
         name: polygon.name,
         color: polygon.color,
-        createdAt: polygon.createdAt
+        createdAt: polygon.createdAt,
+        ...(polygon.keepOutOf && { keepOutOf: polygon.keepOutOf })
       },
-      geometry: polygon.geometry
+      // RFC 7946 の巻き方向（外周: 反時計回り、穴: 時計回り）に揃える
+      geometry: polygon.geometry ? turf.rewind(polygon.geometry) : polygon.geometry
     }))
   }
 
@@ -252,9 +318,34 @@ export const exportPolygonsToGeoJSON = (polygons, filename = null) => {
   URL.revokeObjectURL(url)
 }
 
+// 地形追従で設定した海抜高度のポリゴンごとの最大値（切り上げ）
+// DMSテキストの「上限：海抜高度」の初期値に使う
+export const getMaxAltitudeASLByPolygon = (waypoints) => {
+  const result = {}
+  waypoints.forEach(wp => {
+    if (!Number.isFinite(wp.altitudeASL)) return
+    const polygonId = wp.polygonId || 'unknown'
+    result[polygonId] = Math.max(result[polygonId] ?? -Infinity, Math.ceil(wp.altitudeASL))
+  })
+  return result
+}
+
+// DMSテキストの飛行高度に添える制限表面の上限（上限の海抜高度が表面を超える場合は注記）
+// ceiling: getLowestCeilingByPolygon の判定
+const formatDMSCeilingLines = (ceiling, altitude) => {
+  if (!ceiling) return ''
+  const ceilingASL = Math.floor(ceiling.ceilingASL)
+  let lines = `制限表面による上限：海抜高度 ${ceilingASL} m（${ceiling.airportName} ${ceiling.surfaceLabel}）\n`
+  if (Number(altitude) > ceilingASL) {
+    lines += `※ 上限の海抜高度が制限表面を ${Number(altitude) - ceilingASL} m 超えています\n`
+  }
+  return lines
+}
+
 // WaypointをDMSテキスト形式でエクスポート
-// altitudes: { [polygonId]: number } - ポリゴンごとの高度
-export const exportToDMS = (waypoints, polygons = [], altitudes = {}, filename = null) => {
+// altitudes: { [polygonId]: number } - ポリゴンごとの高度（未入力なら地形追従の海抜高度を使用）
+// ceilings: { [polygonId]: 判定 } - 制限表面による飛行可能高度（getLowestCeilingByPolygon の結果）
+export const exportToDMS = (waypoints, polygons = [], altitudes = {}, filename = null, ceilings = {}) => {
   const date = new Date().toISOString().split('T')[0]
   const BOM = '\uFEFF' // UTF-8 BOM for Excel
 
@@ -289,15 +380,17 @@ export const exportToDMS = (waypoints, polygons = [], altitudes = {}, filename =
   })
 
   // Add altitude section with values
+  const terrainAltitudes = getMaxAltitudeASLByPolygon(waypoints)
   content += '\n■ 飛行高度\n\n'
   polygonOrder.forEach((polygonId, index) => {
     const polygon = polygons.find(p => p.id === polygonId)
     const polygonName = polygon?.name || `範囲${index + 1}`
-    const altitude = altitudes[polygonId]
+    const altitude = altitudes[polygonId] || terrainAltitudes[polygonId]
     const altitudeStr = altitude ? `${altitude}` : '    '
 
     content += `【範囲${index + 1} ${polygonName}】\n`
-    content += `下限：地表面、上限：海抜高度 ${altitudeStr} m\n\n`
+    content += `下限：地表面、上限：海抜高度 ${altitudeStr} m\n`
+    content += formatDMSCeilingLines(ceilings[polygonId], altitude) + '\n'
   })
 
   const blob = new Blob([BOM + content], { type: 'text/plain;charset=utf-8' })
@@ -350,7 +443,7 @@ export const getPolygonOrderFromWaypoints = (waypoints, polygons) => {
 }
 
 // DMSテキストプレビュー生成
-export const generateDMSPreview = (waypoints, polygons = [], altitudes = {}) => {
+export const generateDMSPreview = (waypoints, polygons = [], altitudes = {}, ceilings = {}) => {
   // Group waypoints by polygon
   const waypointsByPolygon = {}
   const polygonOrder = []
@@ -381,20 +474,26 @@ export const generateDMSPreview = (waypoints, polygons = [], altitudes = {}) =>
     content += '\n'
   })
 
+  const terrainAltitudes = getMaxAltitudeASLByPolygon(waypoints)
   content += '\n■ 飛行高度\n\n'
   polygonOrder.forEach((polygonId, index) => {
     const polygon = polygons.find(p => p.id === polygonId)
     const polygonName = polygon?.name || `範囲${index + 1}`
-    const altitude = altitudes[polygonId]
+    const altitude = altitudes[polygonId] || terrainAltitudes[polygonId]
     const altitudeStr = altitude ? `${altitude}` : '____'
 
     content += `【範囲${index + 1} ${polygonName}】\n`
-    content += `下限：地表面、上限：海抜高度 ${altitudeStr} m\n\n`
+    content += `下限：地表面、上限：海抜高度 ${altitudeStr} m\n`
+    content += formatDMSCeilingLines(ceilings[polygonId], altitude) + '\n'
   })
 
   return content
 }
 
+export const generateWaypointJSONPreview = (waypoints) => {
+  return buildWaypointJSON(waypoints)
+}
+
 export const generateWaypointKMLPreview = (waypoints) => {
   return buildWaypointKML(waypoints)
 }
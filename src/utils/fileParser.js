@@ -1,4 +1,29 @@
 import * as toGeoJSON from '@mapbox/togeojson'
+import { normalizeWaypointActions } from '../services/waypointActions'
+
+// Polygon / MultiPolygon geometry for an imported feature (null if it has no polygon)
+// MultiPolygonは1つのポリゴン（複数パート）として取り込む
+// KMLのMultiGeometryはtogeojsonでGeometryCollectionになるため、ポリゴンだけならMultiPolygonにまとめる
+const toPolygonGeometry = (geometry) => {
+  if (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') return geometry
+  if (geometry?.type !== 'GeometryCollection') return null
+
+  const parts = (geometry.geometries || []).flatMap(g => (
+    g?.type === 'Polygon' ? [g.coordinates]
+      : g?.type === 'MultiPolygon' ? g.coordinates
+      : []
+  ))
+  if (parts.length === 0) return null
+  return parts.length === 1
+    ? { type: 'Polygon', coordinates: parts[0] }
+    : { type: 'MultiPolygon', coordinates: parts }
+}
+
+// 除外エリアの親ポリゴンIDを読み込み後のIDに付け替える（親が読み込まれなかった除外エリアは通常のポリゴンにする）
+const relinkKeepOutAreas = (polygons, idMap) => polygons.map(({ keepOutOf, ...polygon }) => {
+  const parentId = keepOutOf && idMap.get(keepOutOf)
+  return parentId ? { ...polygon, keepOutOf: parentId } : polygon
+})
 
 // Parse GeoJSON file
 export const parseGeoJSON = (content) => {
@@ -14,37 +39,156 @@ export const parseGeoJSON = (content) => {
       ? geojson.features
       : [geojson]
 
+    const idMap = new Map()
     const polygons = features
-      .filter(f => f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
-      .map(f => {
-        // Handle MultiPolygon by converting to individual polygons
-        if (f.geometry.type === 'MultiPolygon') {
-          return f.geometry.coordinates.map((coords, i) => ({
-            id: crypto.randomUUID(),
-            name: f.properties?.name ? `${f.properties.name} (${i + 1})` : `Polygon ${i + 1}`,
-            geometry: { type: 'Polygon', coordinates: coords },
-            createdAt: Date.now(),
-            color: f.properties?.color || getRandomColor()
-          }))
-        }
-
+      .map(f => ({ feature: f, geometry: toPolygonGeometry(f.geometry) }))
+      .filter(({ geometry }) => geometry)
+      .map(({ feature: f, geometry }) => {
+        const id = crypto.randomUUID()
+        if (f.id !== undefined) idMap.set(f.id, id)
         return {
-          id: crypto.randomUUID(),
+          id,
           name: f.properties?.name || f.id || 'Imported Polygon',
-          geometry: f.geometry,
+          geometry,
           createdAt: Date.now(),
-          color: f.properties?.color || getRandomColor()
+          color: f.properties?.color || getRandomColor(),
+          keepOutOf: f.properties?.keepOutOf
         }
       })
-      .flat()
 
-    return { success: true, polygons }
+    return { success: true, polygons: relinkKeepOutAreas(polygons, idMap) }
   } catch (error) {
     console.error('GeoJSON parse error:', error)
     return { success: false, error: error.message }
   }
 }
 
+// Parse full backup (exportAllData) - polygons and waypoints with actions
+// IDは再採番し、WaypointのpolygonIdを新しいポリゴンIDに付け替える
+export const parseBackup = (content) => {
+  try {
+    const data = typeof content === 'string' ? JSON.parse(content) : content
+
+    if (!Array.isArray(data?.polygons) || !Array.isArray(data?.waypoints)) {
+      throw new Error('Invalid backup: missing polygons or waypoints')
+    }
+
+    const idMap = new Map()
+    const polygons = relinkKeepOutAreas(data.polygons
+      .filter(p => p?.geometry)
+      .map(p => {
+        const id = crypto.randomUUID()
+        idMap.set(p.id, id)
+        return { ...p, id, color: p.color || getRandomColor() }
+      }), idMap)
+
+    const waypoints = data.waypoints
+      .filter(wp => Number.isFinite(wp?.lat) && Number.isFinite(wp?.lng))
+      .map(wp => {
+        const { actions, ...rest } = wp
+        const normalized = normalizeWaypointActions(actions)
+        return {
+          ...rest,
+          id: crypto.randomUUID(),
+          polygonId: idMap.get(wp.polygonId) ?? wp.polygonId,
+          ...(normalized.length > 0 && { actions: normalized })
+        }
+      })
+
+    return { success: true, polygons, waypoints }
+  } catch (error) {
+    console.error('Backup parse error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Waypoint from exported fields (Waypoint JSON / KML ExtendedData)
+// エクスポートにはポリゴンIDを含まないため、どのポリゴンにも属さないWaypointとして取り込む
+const toImportedWaypoint = ({ lat, lng, polygonName, type, elevation, altitude, altitudeASL, heading, poi, photoTriggerDistance, actions }) => {
+  const normalized = normalizeWaypointActions(actions)
+  return {
+    id: crypto.randomUUID(),
+    lat,
+    lng,
+    index: 0, // Will be reindexed
+    polygonId: null,
+    polygonName: polygonName || '手動追加',
+    type: type || 'manual',
+    ...(Number.isFinite(altitude) && { altitude }),
+    ...(Number.isFinite(altitudeASL) && { elevation, altitudeASL }),
+    ...(Number.isFinite(heading) && { heading }),
+    ...(Number.isFinite(poi?.lat) && Number.isFinite(poi?.lng) && { poi: { lat: poi.lat, lng: poi.lng } }),
+    ...(Number.isFinite(photoTriggerDistance) && { photoTriggerDistance }),
+    ...(normalized.length > 0 && { actions: normalized })
+  }
+}
+
+// Parse waypoint JSON (exportToJSON) - waypoints with actions
+export const parseWaypointJSON = (content) => {
+  try {
+    const data = typeof content === 'string' ? JSON.parse(content) : content
+
+    if (!Array.isArray(data)) {
+      throw new Error('Invalid waypoint JSON: expected an array')
+    }
+
+    const waypoints = data
+      .filter(wp => Number.isFinite(wp?.latitude) && Number.isFinite(wp?.longitude))
+      .map(wp => toImportedWaypoint({
+        ...wp,
+        lat: wp.latitude,
+        lng: wp.longitude,
+        altitude: wp.altitudeAGL,
+        poi: wp.poi && { lat: wp.poi.latitude, lng: wp.poi.longitude }
+      }))
+
+    return { success: true, polygons: [], waypoints }
+  } catch (error) {
+    console.error('Waypoint JSON parse error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Detect backup JSON (has polygons and waypoints arrays) vs GeoJSON
+const isBackupData = (content) => {
+  try {
+    const data = JSON.parse(content)
+    return Array.isArray(data?.polygons) && Array.isArray(data?.waypoints)
+  } catch {
+    return false
+  }
+}
+
+// Detect waypoint JSON (array of exported waypoints) vs GeoJSON
+const isWaypointData = (content) => {
+  try {
+    const data = JSON.parse(content)
+    return Array.isArray(data) && data.some(wp => Number.isFinite(wp?.latitude) && Number.isFinite(wp?.longitude))
+  } catch {
+    return false
+  }
+}
+
+// KML ExtendedData の値を読む（togeojson は Data を文字列のプロパティにする）
+const parseKMLData = (value, parse) => {
+  if (value === undefined || value === null || value === '') return undefined
+  try {
+    return parse(value)
+  } catch {
+    return undefined
+  }
+}
+
+// Point の高度（altitudeMode が absolute なら海抜高度、relativeToGround なら対地高度。clampToGround・省略時は地表に沿うため読まない）
+const parseKMLAltitude = (placemark, z) => {
+  if (!placemark || !Number.isFinite(z)) return {}
+  const point = placemark.getElementsByTagName('Point')[0]
+  const mode = point?.getElementsByTagName('altitudeMode')[0]?.textContent.trim()
+  if (mode === 'absolute') return { altitudeASL: z }
+  if (mode === 'relativeToGround') return { altitude: z }
+  return {}
+}
+
 // Parse KML file
 export const parseKML = (content) => {
   try {
@@ -60,8 +204,30 @@ export const parseKML = (content) => {
     // Convert KML to GeoJSON using @mapbox/togeojson
     const geojson = toGeoJSON.kml(kml)
 
+    // Point placemarks are waypoints (exportWaypointsToKML writes actions into ExtendedData)
+    // togeojson は altitudeMode を残さないため、同じ順の Point の Placemark から読む
+    const pointPlacemarks = Array.from(kml.getElementsByTagName('Placemark'))
+      .filter(placemark => placemark.getElementsByTagName('Point').length > 0)
+    const pointFeatures = geojson.features.filter(f => f.geometry?.type === 'Point')
+    const hasPlacemarks = pointPlacemarks.length === pointFeatures.length
+    const waypoints = pointFeatures
+      .map((f, i) => {
+        const [lng, lat, z] = f.geometry.coordinates
+        return toImportedWaypoint({
+          lat,
+          lng,
+          ...parseKMLAltitude(hasPlacemarks ? pointPlacemarks[i] : null, z),
+          polygonName: f.properties?.name,
+          photoTriggerDistance: parseKMLData(f.properties?.photoTriggerDistance, Number),
+          heading: parseKMLData(f.properties?.heading, Number),
+          poi: parseKMLData(f.properties?.poi, JSON.parse),
+          actions: parseKMLData(f.properties?.actions, JSON.parse)
+        })
+      })
+
     // Parse the converted GeoJSON
-    return parseGeoJSON(geojson)
+    const result = parseGeoJSON(geojson)
+    return result.success && waypoints.length > 0 ? { ...result, waypoints } : result
   } catch (error) {
     console.error('KML parse error:', error)
     return { success: false, error: error.message }
@@ -79,6 +245,10 @@ export const parseFile = async (file) => {
 
       switch (extension) {
         case 'json':
+          if (isBackupData(content)) resolve(parseBackup(content))
+          else if (isWaypointData(content)) resolve(parseWaypointJSON(content))
+          else resolve(parseGeoJSON(content))
+          break
         case 'geojson':
           resolve(parseGeoJSON(content))
           break
@@ -0,0 +1,185 @@
+/**
+ * fileParser テスト
+ *
+ * エクスポートしたポリゴン・Waypointを読み込み直したときの形状と属性の復元テスト
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { parseGeoJSON, parseKML, parseWaypointJSON } from './fileParser'
+import { exportPolygonsToGeoJSON, exportPolygonsToKML, exportToCSV, generateWaypointJSONPreview, generateWaypointKMLPreview } from './exporters'
+import { generateFacadeWaypoints, generateOrbitWaypoints } from '../services/waypointGenerator'
+
+// ダウンロード用に作られた Blob の内容を取り出す
+const captureDownload = (exportFn) => {
+  let blob = null
+  URL.createObjectURL = vi.fn(b => {
+    blob = b
+    return 'blob:test'
+  })
+  URL.revokeObjectURL = vi.fn()
+  exportFn()
+  return new Promise(resolve => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.readAsText(blob)
+  })
+}
+
+const square = (lng, lat, size = 0.01) => [
+  [lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]
+]
+
+// 東西20mの壁（南側の1辺だけを点検する）
+const wall = {
+  id: 'wall',
+  name: '擁壁',
+  geometry: { type: 'Polygon', coordinates: [square(139.70, 35.60, 0.0002)] }
+}
+
+const twoParts = {
+  id: 'p1',
+  name: '2つの区画',
+  geometry: {
+    type: 'MultiPolygon',
+    coordinates: [
+      [square(139.70, 35.60), square(139.702, 35.602, 0.002)],
+      [square(139.80, 35.60)]
+    ]
+  }
+}
+
+describe('fileParser', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('ポリゴンの往復', () => {
+    it('MultiPolygon を KML に書き出して読み込むと、穴を含む1つのポリゴンに戻る', async () => {
+      const kml = await captureDownload(() => exportPolygonsToKML([twoParts]))
+      const result = parseKML(kml)
+
+      expect(result.success).toBe(true)
+      expect(result.polygons).toHaveLength(1)
+      expect(result.polygons[0].name).toBe('2つの区画')
+      expect(result.polygons[0].geometry.type).toBe('MultiPolygon')
+      expect(result.polygons[0].geometry.coordinates).toHaveLength(2)
+      expect(result.polygons[0].geometry.coordinates[0]).toHaveLength(2)
+    })
+
+    it('GeoJSON の MultiPolygon は分割せずに取り込む', () => {
+      const result = parseGeoJSON({
+        type: 'Feature',
+        properties: { name: '2つの区画' },
+        geometry: twoParts.geometry
+      })
+
+      expect(result.polygons).toHaveLength(1)
+      expect(result.polygons[0].geometry).toEqual(twoParts.geometry)
+    })
+
+    it('ポリゴンだけの GeometryCollection は MultiPolygon にまとめ、ポリゴンがなければ除く', () => {
+      const result = parseGeoJSON({
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            properties: { name: 'まとめる' },
+            geometry: {
+              type: 'GeometryCollection',
+              geometries: [
+                { type: 'Polygon', coordinates: [square(139.70, 35.60)] },
+                { type: 'Polygon', coordinates: [square(139.80, 35.60)] }
+              ]
+            }
+          },
+          {
+            type: 'Feature',
+            properties: { name: '点のみ' },
+            geometry: { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [139.7, 35.6] }] }
+          }
+        ]
+      })
+
+      expect(result.polygons).toHaveLength(1)
+      expect(result.polygons[0].geometry.type).toBe('MultiPolygon')
+      expect(result.polygons[0].geometry.coordinates).toHaveLength(2)
+    })
+
+    it.each([
+      ['KML', exportPolygonsToKML, parseKML],
+      ['GeoJSON', exportPolygonsToGeoJSON, parseGeoJSON]
+    ])('除外エリアは %s に書き出して読み込んでも親ポリゴンとの関係を保つ', async (_, exportFn, parse) => {
+      const parent = { id: 'field', name: '圃場', geometry: { type: 'Polygon', coordinates: [square(139.70, 35.60)] } }
+      const keepOut = { id: 'pole', name: '電柱', keepOutOf: 'field', geometry: { type: 'Polygon', coordinates: [square(139.702, 35.602, 0.001)] } }
+      const result = parse(await captureDownload(() => exportFn([parent, keepOut])))
+
+      const [importedParent, importedKeepOut] = result.polygons
+      expect(importedParent.keepOutOf).toBeUndefined()
+      expect(importedKeepOut.keepOutOf).toBe(importedParent.id)
+      expect(importedKeepOut.id).not.toBe('pole')
+    })
+  })
+
+  describe('Waypointの往復', () => {
+    // 1列 10m・20m・30m の3段
+    const facadeColumn = () => generateFacadeWaypoints(wall, { edges: [0], spacing: 100, minAltitude: 10, maxAltitude: 30, verticalStep: 10 })
+      .filter(wp => wp.facadeColumn === 1)
+
+    it('壁面点検の列は段ごとの対地高度と壁向きの機首方位を KML・CSV に書き出す', async () => {
+      const column = facadeColumn()
+      expect(column.map(wp => wp.altitude)).toEqual([10, 20, 30])
+
+      const kml = generateWaypointKMLPreview(column)
+      expect(kml.match(/<altitudeMode>relativeToGround<\/altitudeMode>/g)).toHaveLength(3)
+      column.forEach(wp => {
+        expect(kml).toContain(`<coordinates>${wp.lng},${wp.lat},${wp.altitude}</coordinates>`)
+      })
+      expect(kml).toContain(`<Data name="heading"><value>${column[0].heading.toFixed(1)}</value></Data>`)
+
+      const csv = await captureDownload(() => exportToCSV(column))
+      const [header, ...rows] = csv.replace('\uFEFF', '').split('\n')
+      const agl = header.split(',').indexOf('対地高度(m)')
+      const heading = header.split(',').indexOf('機首方位(°)')
+      expect(rows.map(row => row.split(',')[agl])).toEqual(['10.0', '20.0', '30.0'])
+      expect(rows.every(row => row.split(',')[heading] === column[0].heading.toFixed(1))).toBe(true)
+    })
+
+    it('壁面点検の列を JSON に書き出して読み込むと、段ごとの高度と機首方位が戻る', () => {
+      const column = facadeColumn()
+      const result = parseWaypointJSON(JSON.stringify(generateWaypointJSONPreview(column)))
+
+      expect(result.waypoints.map(wp => wp.altitude)).toEqual([10, 20, 30])
+      expect(result.waypoints.every(wp => wp.heading === column[0].heading)).toBe(true)
+    })
+
+    it('2段の周回を JSON・KML に書き出して読み込むと、段の高度と中心に向く機首方位が戻る', () => {
+      const poi = { lat: 35.6, lng: 139.7 }
+      const orbit = generateOrbitWaypoints(poi, { radius: 30, pointCount: 4, altitudes: [20, 40] })
+      const fromJSON = parseWaypointJSON(JSON.stringify(generateWaypointJSONPreview(orbit))).waypoints
+      const fromKML = parseKML(generateWaypointKMLPreview(orbit)).waypoints
+
+      for (const imported of [fromJSON, fromKML]) {
+        expect(imported).toHaveLength(8)
+        expect(imported.map(wp => wp.heading)).toEqual(orbit.map(wp => wp.heading))
+        expect(imported.every(wp => wp.poi.lat === poi.lat && wp.poi.lng === poi.lng)).toBe(true)
+      }
+      for (const imported of [fromJSON, fromKML]) {
+        expect(imported.map(wp => wp.altitude)).toEqual([20, 20, 20, 20, 40, 40, 40, 40])
+      }
+    })
+
+    it('KML の Point の高度は altitudeMode に応じて海抜高度・対地高度として読み込む', () => {
+      const column = facadeColumn()
+      const fromKML = parseKML(generateWaypointKMLPreview(column)).waypoints
+      expect(fromKML.map(wp => wp.altitude)).toEqual([10, 20, 30])
+
+      const withASL = column.map((wp, i) => ({ ...wp, elevation: 5, altitudeASL: 15 + i * 10 }))
+      const absolute = parseKML(generateWaypointKMLPreview(withASL)).waypoints
+      expect(absolute.map(wp => wp.altitudeASL)).toEqual([15, 25, 35])
+
+      // clampToGround（altitudeMode 省略）の高さは地表標高のため読まない
+      const clamped = parseKML(generateWaypointKMLPreview(column.map(({ altitude: _altitude, ...wp }) => ({ ...wp, elevation: 12 })))).waypoints
+      expect(clamped.every(wp => wp.altitude === undefined && wp.altitudeASL === undefined)).toBe(true)
+    })
+  })
+})
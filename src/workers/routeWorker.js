@@ -0,0 +1,22 @@
+/**
+ * ルート最適化・一括判定用の Web Worker
+ *
+ * 受信: { id, type, payload }
+ * 送信: { id, kind: 'progress', progress: { progress, message } }
+ *       { id, kind: 'result', result }
+ *       { id, kind: 'error', error: メッセージ }
+ */
+
+import { runRouteTask } from '../services/routeWorkerTasks';
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const onProgress = (progress) => self.postMessage({ id, kind: 'progress', progress });
+
+  try {
+    const result = await runRouteTask(type, payload, onProgress);
+    self.postMessage({ id, kind: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, kind: 'error', error: error?.message || String(error) });
+  }
+};